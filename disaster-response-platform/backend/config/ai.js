@@ -0,0 +1,63 @@
+const logger = require('../utils/logger');
+const createGeminiProvider = require('../utils/geminiProvider');
+const createOfflineAiProvider = require('../utils/offlineAiProvider');
+
+// AI providers: 'gemini' (needs GEMINI_API_KEY) or 'offline' (rule-based, no network)
+// Without AI_PROVIDER, Gemini is used when a key is set and the offline provider otherwise
+const providerName = process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'offline');
+
+// Answers when the primary provider errors or times out; 'none' to disable
+const fallbackName = process.env.AI_FALLBACK_PROVIDER || 'offline';
+
+/**
+ * Create a provider by name, exiting on bad configuration
+ * @param {string} name - Provider name
+ * @param {string} setting - Environment variable the name came from
+ * @returns {Object} AI provider
+ */
+const createProvider = (name, setting) => {
+  if (name === 'gemini') {
+    if (!process.env.GEMINI_API_KEY) {
+      logger.error(`Missing GEMINI_API_KEY in environment variables (required when ${setting}=gemini)`);
+      process.exit(1);
+    }
+
+    return createGeminiProvider({
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    });
+  }
+
+  if (name === 'offline') {
+    return createOfflineAiProvider();
+  }
+
+  logger.error(`Unknown ${setting} "${name}", expected gemini or offline`);
+  process.exit(1);
+};
+
+const primary = createProvider(providerName, 'AI_PROVIDER');
+const fallback = fallbackName === 'none' || fallbackName === providerName
+  ? null
+  : createProvider(fallbackName, 'AI_FALLBACK_PROVIDER');
+
+logger.info(`AI provider initialized: ${primary.name}${fallback ? ` (fallback: ${fallback.name})` : ''}`);
+
+/**
+ * Provider interface (replies are JSON text or objects, validated against utils/aiSchemas.js):
+ * - name
+ * - extractLocation(description, { correction }) - { location }
+ * - enrichReport(content, { correction }) - { needs, people_count, hazards, locations }
+ * - translate({ text, targetLanguage }, { correction }) - { language, translation (null if already in targetLanguage) }
+ * - verifyImage({ buffer, contentType }, { correction }) - { authentic, confidence (0-100), analysis, issues }
+ * correction holds follow-up instructions when the previous reply was invalid.
+ */
+module.exports = {
+  primary,
+  fallback,
+  timeoutMs: parseInt(process.env.AI_TIMEOUT_MS || 20000, 10),
+  // Extra attempts after an invalid reply before the result is inconclusive
+  maxRetries: parseInt(process.env.AI_MAX_RETRIES || 2, 10),
+  // ISO 639-1 code of the language reports are translated into and analyzed in
+  workingLanguage: (process.env.WORKING_LANGUAGE || 'en').toLowerCase(),
+};
@@ -0,0 +1,79 @@
+const logger = require('../utils/logger');
+const smsGateway = require('./smsGateway');
+const createOutboxAlertChannel = require('../utils/outboxAlertChannel');
+const createSendgridEmailChannel = require('../utils/sendgridEmailChannel');
+const createSmsAlertChannel = require('../utils/smsAlertChannel');
+const createWebhookAlertChannel = require('../utils/webhookAlertChannel');
+const createWebPushChannel = require('../utils/webPushChannel');
+
+// Email alerts: 'outbox' (kept in memory, nothing is sent) or 'sendgrid'
+const emailChannelName = process.env.ALERT_EMAIL_CHANNEL || 'outbox';
+
+// Webhook alerts: 'http' (POSTed to the subscriber's URL) or 'outbox'
+const webhookChannelName = process.env.ALERT_WEBHOOK_CHANNEL || 'http';
+
+// Push alerts need VAPID keys; without them they stay in an outbox
+const hasVapidKeys = Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+let email;
+
+if (emailChannelName === 'outbox') {
+  email = createOutboxAlertChannel('email');
+} else if (emailChannelName === 'sendgrid') {
+  const missing = ['SENDGRID_API_KEY', 'ALERT_EMAIL_FROM'].filter((name) => !process.env[name]);
+
+  if (missing.length > 0) {
+    logger.error(`Missing ${missing.join(', ')} in environment variables (required when ALERT_EMAIL_CHANNEL=sendgrid)`);
+    process.exit(1);
+  }
+
+  email = createSendgridEmailChannel({
+    apiKey: process.env.SENDGRID_API_KEY,
+    from: process.env.ALERT_EMAIL_FROM,
+  });
+} else {
+  logger.error(`Unknown ALERT_EMAIL_CHANNEL "${emailChannelName}", expected outbox or sendgrid`);
+  process.exit(1);
+}
+
+let webhook;
+
+if (webhookChannelName === 'http') {
+  webhook = createWebhookAlertChannel();
+} else if (webhookChannelName === 'outbox') {
+  webhook = createOutboxAlertChannel('webhook');
+} else {
+  logger.error(`Unknown ALERT_WEBHOOK_CHANNEL "${webhookChannelName}", expected http or outbox`);
+  process.exit(1);
+}
+
+const push = hasVapidKeys
+  ? createWebPushChannel({
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT || 'mailto:alerts@example.org',
+  })
+  : createOutboxAlertChannel('push');
+
+const channels = {
+  email,
+  sms: createSmsAlertChannel(smsGateway),
+  webhook,
+  push,
+};
+
+logger.info(`Alert channels initialized: ${Object.entries(channels).map(([name, channel]) => `${name} (${channel.name})`).join(', ')}`);
+
+/**
+ * Channel interface:
+ * - name
+ * - send(subscription, message) - deliver a rendered message (see utils/alertTemplates.js) to the
+ *   subscription's target, resolving to { id }; errors with an HTTP response are retried only for
+ *   5xx, 408 and 429, and errors with expired set (or 410 Gone) deactivate the subscription
+ * - getOutbox() - outbox channels only
+ */
+module.exports = {
+  channels,
+  // Browsers need it to subscribe; null when push alerts aren't configured
+  pushPublicKey: hasVapidKeys ? process.env.VAPID_PUBLIC_KEY : null,
+};
@@ -0,0 +1,33 @@
+const logger = require('../utils/logger');
+const createMemoryPubSub = require('../utils/memoryPubSub');
+const createRedisPubSub = require('../utils/redisPubSub');
+
+// Pub/sub adapter shared by every backend instance: 'memory' (single instance) or 'redis'
+const adapterName = process.env.PUBSUB_ADAPTER || 'memory';
+const redisUrl = process.env.REDIS_URL;
+
+let pubsub;
+
+if (adapterName === 'redis') {
+  if (!redisUrl) {
+    logger.error('Missing REDIS_URL in environment variables (required when PUBSUB_ADAPTER=redis)');
+    process.exit(1);
+  }
+
+  pubsub = createRedisPubSub(redisUrl, { keyPrefix: process.env.REDIS_KEY_PREFIX || 'drp:' });
+} else if (adapterName === 'memory') {
+  pubsub = createMemoryPubSub();
+} else {
+  logger.error(`Unknown PUBSUB_ADAPTER "${adapterName}", expected memory or redis`);
+  process.exit(1);
+}
+
+logger.info(`Pub/sub adapter initialized: ${pubsub.name}`);
+
+/**
+ * Adapter interface:
+ * - publish(channel, message) / subscribe(channel, handler) - JSON messages to every instance
+ * - increment(key, windowMs) / decrement(key) / resetKey(key) - counters shared by every instance (rate limits)
+ * - close()
+ */
+module.exports = pubsub;
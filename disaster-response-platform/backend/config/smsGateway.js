@@ -0,0 +1,46 @@
+const logger = require('../utils/logger');
+const createSimulatorSmsGateway = require('../utils/simulatorSmsGateway');
+const createTwilioSmsGateway = require('../utils/twilioSmsGateway');
+
+// SMS gateway: 'simulator' (local JSON, no phone network) or 'twilio'
+const gatewayName = process.env.SMS_GATEWAY || 'simulator';
+
+let gateway;
+
+if (gatewayName === 'simulator') {
+  if (!process.env.SMS_GATEWAY_SECRET) {
+    logger.warn('SMS_GATEWAY_SECRET is not set; inbound SMS will be rejected (the SMS simulator page still works)');
+  }
+
+  gateway = createSimulatorSmsGateway({ secret: process.env.SMS_GATEWAY_SECRET });
+} else if (gatewayName === 'twilio') {
+  const missing = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM_NUMBER']
+    .filter((name) => !process.env[name]);
+
+  if (missing.length > 0) {
+    logger.error(`Missing ${missing.join(', ')} in environment variables (required when SMS_GATEWAY=twilio)`);
+    process.exit(1);
+  }
+
+  gateway = createTwilioSmsGateway({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    fromNumber: process.env.TWILIO_FROM_NUMBER,
+    webhookUrl: process.env.SMS_WEBHOOK_URL,
+  });
+} else {
+  logger.error(`Unknown SMS_GATEWAY "${gatewayName}", expected simulator or twilio`);
+  process.exit(1);
+}
+
+logger.info(`SMS gateway initialized: ${gateway.name}`);
+
+/**
+ * Gateway interface:
+ * - name
+ * - verify(req) - whether an inbound webhook request really comes from the gateway
+ * - parseInbound(req) - { from, text, messageId } or null
+ * - reply(res, text) - answer the inbound message in the gateway's format
+ * - send(to, text) - send a message, resolving to { id }
+ */
+module.exports = gateway;
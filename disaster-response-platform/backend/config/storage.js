@@ -0,0 +1,32 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const createLocalDiskStorage = require('../utils/localDiskStorage');
+
+// Where uploaded photos and videos are kept: 'local' (a directory on this server)
+const backendName = process.env.MEDIA_STORAGE || 'local';
+const publicUrl = process.env.MEDIA_PUBLIC_URL
+  || `http://localhost:${process.env.PORT || 5000}/api/media/files`;
+
+let storage;
+
+if (backendName === 'local') {
+  storage = createLocalDiskStorage(
+    process.env.MEDIA_STORAGE_DIR || path.join(__dirname, '..', 'uploads'),
+    { publicUrl }
+  );
+} else {
+  logger.error(`Unknown MEDIA_STORAGE "${backendName}", expected local`);
+  process.exit(1);
+}
+
+logger.info(`Media storage initialized: ${storage.name}`);
+
+/**
+ * Storage backend interface:
+ * - put(key, buffer) / get(key) / delete(key) - file contents by key
+ * - putFile(key, filePath) - store a file from disk (large uploads)
+ * - send(res, key, headers) - stream a file to a response with Range support, resolving false if it is missing
+ * - url(key) / keyFromUrl(url) - stable public URL of a key, and back
+ * - isValidKey(key)
+ */
+module.exports = storage;
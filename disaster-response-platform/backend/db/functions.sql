@@ -36,6 +36,7 @@ BEGIN
     r.created_at
   FROM resources r
   WHERE (resource_type IS NULL OR r.type = resource_type)
+    AND r.deleted_at IS NULL
     AND ST_DWithin(
       r.location,
       ST_SetSRID(ST_Point(center_lng, center_lat), 4326)::geography,
@@ -112,6 +113,7 @@ BEGIN
     r.created_at
   FROM resources r
   WHERE (p_resource_type IS NULL OR r.type = p_resource_type)
+    AND r.deleted_at IS NULL
     AND (
       p_center_lat IS NULL OR p_center_lng IS NULL OR
       ST_DWithin(
@@ -155,6 +157,199 @@ BEGIN
     r.capacity,
     r.created_at
   FROM resources r
-  WHERE r.id = p_resource_id;
+  WHERE r.id = p_resource_id
+    AND r.deleted_at IS NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get a disaster's recent reports with their distance from a point (duplicate detection)
+-- distance_meters is NULL when either the report or the point has no location
+CREATE OR REPLACE FUNCTION find_report_duplicate_candidates(
+  p_disaster_id UUID,
+  p_since TIMESTAMPTZ,
+  p_exclude_id UUID DEFAULT NULL,
+  p_lng DOUBLE PRECISION DEFAULT NULL,
+  p_lat DOUBLE PRECISION DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  content TEXT,
+  cluster_id UUID,
+  created_at TIMESTAMPTZ,
+  distance_meters DOUBLE PRECISION
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    r.id,
+    r.content,
+    r.cluster_id,
+    r.created_at,
+    CASE
+      WHEN r.location IS NULL OR p_lng IS NULL OR p_lat IS NULL THEN NULL
+      ELSE ST_Distance(r.location, ST_SetSRID(ST_Point(p_lng, p_lat), 4326)::geography)
+    END as distance_meters
+  FROM reports r
+  WHERE r.disaster_id = p_disaster_id
+    AND r.deleted_at IS NULL
+    AND r.created_at >= p_since
+    AND (p_exclude_id IS NULL OR r.id <> p_exclude_id)
+  ORDER BY r.created_at DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get reports inside a bounding box (uses the spatial index; further filters can be chained by the caller)
+CREATE OR REPLACE FUNCTION get_reports_in_bbox(
+  p_min_lng DOUBLE PRECISION,
+  p_min_lat DOUBLE PRECISION,
+  p_max_lng DOUBLE PRECISION,
+  p_max_lat DOUBLE PRECISION
+)
+RETURNS SETOF reports AS $$
+BEGIN
+  RETURN QUERY
+  SELECT r.*
+  FROM reports r
+  WHERE r.location && ST_MakeEnvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)::geography;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to find reports with an image that looks like a given one (perceptual hashes within p_max_distance bits)
+-- Compares uploaded attachments and verified image URLs; one row per report with its closest image
+CREATE OR REPLACE FUNCTION find_similar_report_images(
+  p_hash TEXT,
+  p_max_distance INTEGER DEFAULT 6,
+  p_exclude_report_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  report_id UUID,
+  disaster_id UUID,
+  created_at TIMESTAMPTZ,
+  distance INTEGER
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    r.id,
+    r.disaster_id,
+    r.created_at,
+    MIN(h.distance)::INTEGER
+  FROM (
+    SELECT m.report_id, bit_count(('x' || m.perceptual_hash)::bit(64) # ('x' || p_hash)::bit(64)) AS distance
+    FROM media m
+    WHERE m.report_id IS NOT NULL AND m.perceptual_hash IS NOT NULL
+    UNION ALL
+    SELECT rh.id, bit_count(('x' || rh.image_hash)::bit(64) # ('x' || p_hash)::bit(64))
+    FROM reports rh
+    WHERE rh.image_hash IS NOT NULL
+  ) h
+  JOIN reports r ON r.id = h.report_id
+  WHERE h.distance <= p_max_distance
+    AND r.deleted_at IS NULL
+    AND (p_exclude_report_id IS NULL OR r.id <> p_exclude_report_id)
+  GROUP BY r.id, r.disaster_id, r.created_at
+  ORDER BY MIN(h.distance), r.created_at
+  LIMIT 20;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get open disasters whose affected area covers a point (used to scope resource moderation)
+CREATE OR REPLACE FUNCTION get_disasters_covering_point(
+  p_lng DOUBLE PRECISION,
+  p_lat DOUBLE PRECISION,
+  p_default_radius_meters DOUBLE PRECISION DEFAULT 10000
+)
+RETURNS TABLE (
+  id UUID
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT d.id
+  FROM disasters d
+  WHERE d.deleted_at IS NULL
+    AND d.status <> 'closed'
+    AND d.location IS NOT NULL
+    AND ST_DWithin(
+      d.location,
+      ST_SetSRID(ST_Point(p_lng, p_lat), 4326)::geography,
+      COALESCE(d.affected_radius_km * 1000, p_default_radius_meters)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get the active, confirmed alert subscriptions an event at a point should reach
+-- A subscription matches when its area (point + radius, or polygon) comes within p_radius_meters of the point,
+-- or it has no area; it must also list the event and share a tag unless it has none.
+-- Without a point only subscriptions with no area match.
+CREATE OR REPLACE FUNCTION get_alert_subscriptions_for_event(
+  p_event TEXT,
+  p_tags TEXT[],
+  p_lng DOUBLE PRECISION DEFAULT NULL,
+  p_lat DOUBLE PRECISION DEFAULT NULL,
+  p_radius_meters DOUBLE PRECISION DEFAULT 0
+)
+RETURNS SETOF alert_subscriptions AS $$
+BEGIN
+  RETURN QUERY
+  SELECT s.*
+  FROM alert_subscriptions s
+  WHERE s.active
+    AND s.confirmed_at IS NOT NULL
+    AND p_event = ANY(s.events)
+    AND (cardinality(s.tags) = 0 OR s.tags && COALESCE(p_tags, '{}'))
+    AND (
+      s.area_geography IS NULL
+      OR (
+        p_lng IS NOT NULL AND p_lat IS NOT NULL
+        AND ST_DWithin(
+          s.area_geography,
+          ST_SetSRID(ST_Point(p_lng, p_lat), 4326)::geography,
+          COALESCE(s.radius_km * 1000, 0) + COALESCE(p_radius_meters, 0)
+        )
+      )
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to change a user's role and write the change to role_audit_log in one transaction
+-- The user's row is locked, so concurrent changes each log the role they replaced.
+-- Returns the user with the role it had before (nothing is written if it already has the role), or no row if there is no such user.
+CREATE OR REPLACE FUNCTION change_user_role(
+  p_user_id TEXT,
+  p_role TEXT,
+  p_changed_by TEXT,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id TEXT,
+  name TEXT,
+  role TEXT,
+  active BOOLEAN,
+  created_at TIMESTAMPTZ,
+  from_role TEXT
+) AS $$
+DECLARE
+  v_from_role TEXT;
+BEGIN
+  SELECT u.role INTO v_from_role
+  FROM users u
+  WHERE u.id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  IF v_from_role <> p_role THEN
+    UPDATE users u SET role = p_role WHERE u.id = p_user_id;
+
+    INSERT INTO role_audit_log (user_id, from_role, to_role, changed_by, reason)
+    VALUES (p_user_id, v_from_role, p_role, p_changed_by, p_reason);
+  END IF;
+
+  RETURN QUERY
+  SELECT u.id, u.name, u.role, u.active, u.created_at, v_from_role
+  FROM users u
+  WHERE u.id = p_user_id;
 END;
 $$ LANGUAGE plpgsql;
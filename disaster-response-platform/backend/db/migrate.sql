@@ -96,6 +96,184 @@ BEGIN
     END IF;
 END $$;
 
+-- Add lifecycle status column to disasters if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'disasters' AND column_name = 'status'
+    ) THEN
+        ALTER TABLE disasters ADD COLUMN status TEXT NOT NULL DEFAULT 'reported'
+          CHECK (status IN ('reported', 'active', 'contained', 'recovery', 'closed'));
+        RAISE NOTICE 'Added status column to disasters table';
+    ELSE
+        RAISE NOTICE 'status column already exists in disasters table';
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS disasters_status_idx ON disasters (status);
+
+-- Add severity column to disasters if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'disasters' AND column_name = 'severity'
+    ) THEN
+        ALTER TABLE disasters ADD COLUMN severity TEXT NOT NULL DEFAULT 'medium'
+          CHECK (severity IN ('low', 'medium', 'high', 'critical'));
+        RAISE NOTICE 'Added severity column to disasters table';
+    ELSE
+        RAISE NOTICE 'severity column already exists in disasters table';
+    END IF;
+END $$;
+
+-- Add affected_radius_km column to disasters if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'disasters' AND column_name = 'affected_radius_km'
+    ) THEN
+        ALTER TABLE disasters ADD COLUMN affected_radius_km DOUBLE PRECISION;
+        RAISE NOTICE 'Added affected_radius_km column to disasters table';
+    ELSE
+        RAISE NOTICE 'affected_radius_km column already exists in disasters table';
+    END IF;
+END $$;
+
+-- Add estimated_population column to disasters if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'disasters' AND column_name = 'estimated_population'
+    ) THEN
+        ALTER TABLE disasters ADD COLUMN estimated_population INTEGER;
+        RAISE NOTICE 'Added estimated_population column to disasters table';
+    ELSE
+        RAISE NOTICE 'estimated_population column already exists in disasters table';
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS disasters_severity_idx ON disasters (severity);
+
+-- Add audit_trail column to reports if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'reports' AND column_name = 'audit_trail'
+    ) THEN
+        ALTER TABLE reports ADD COLUMN audit_trail JSONB DEFAULT '[]';
+        RAISE NOTICE 'Added audit_trail column to reports table';
+    ELSE
+        RAISE NOTICE 'audit_trail column already exists in reports table';
+    END IF;
+END $$;
+
+-- Add audit_trail column to resources if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'resources' AND column_name = 'audit_trail'
+    ) THEN
+        ALTER TABLE resources ADD COLUMN audit_trail JSONB DEFAULT '[]';
+        RAISE NOTICE 'Added audit_trail column to resources table';
+    ELSE
+        RAISE NOTICE 'audit_trail column already exists in resources table';
+    END IF;
+END $$;
+
+-- Add deleted_at column to disasters if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'disasters' AND column_name = 'deleted_at'
+    ) THEN
+        ALTER TABLE disasters ADD COLUMN deleted_at TIMESTAMPTZ;
+        RAISE NOTICE 'Added deleted_at column to disasters table';
+    ELSE
+        RAISE NOTICE 'deleted_at column already exists in disasters table';
+    END IF;
+END $$;
+
+-- Add deleted_by column to disasters if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'disasters' AND column_name = 'deleted_by'
+    ) THEN
+        ALTER TABLE disasters ADD COLUMN deleted_by TEXT;
+        RAISE NOTICE 'Added deleted_by column to disasters table';
+    ELSE
+        RAISE NOTICE 'deleted_by column already exists in disasters table';
+    END IF;
+END $$;
+
+-- Add deleted_at column to reports if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'reports' AND column_name = 'deleted_at'
+    ) THEN
+        ALTER TABLE reports ADD COLUMN deleted_at TIMESTAMPTZ;
+        RAISE NOTICE 'Added deleted_at column to reports table';
+    ELSE
+        RAISE NOTICE 'deleted_at column already exists in reports table';
+    END IF;
+END $$;
+
+-- Add deleted_by column to reports if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'reports' AND column_name = 'deleted_by'
+    ) THEN
+        ALTER TABLE reports ADD COLUMN deleted_by TEXT;
+        RAISE NOTICE 'Added deleted_by column to reports table';
+    ELSE
+        RAISE NOTICE 'deleted_by column already exists in reports table';
+    END IF;
+END $$;
+
+-- Add deleted_at column to resources if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'resources' AND column_name = 'deleted_at'
+    ) THEN
+        ALTER TABLE resources ADD COLUMN deleted_at TIMESTAMPTZ;
+        RAISE NOTICE 'Added deleted_at column to resources table';
+    ELSE
+        RAISE NOTICE 'deleted_at column already exists in resources table';
+    END IF;
+END $$;
+
+-- Add deleted_by column to resources if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'resources' AND column_name = 'deleted_by'
+    ) THEN
+        ALTER TABLE resources ADD COLUMN deleted_by TEXT;
+        RAISE NOTICE 'Added deleted_by column to resources table';
+    ELSE
+        RAISE NOTICE 'deleted_by column already exists in resources table';
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS disasters_deleted_at_idx ON disasters (deleted_at);
+CREATE INDEX IF NOT EXISTS reports_deleted_at_idx ON reports (deleted_at);
+CREATE INDEX IF NOT EXISTS resources_deleted_at_idx ON resources (deleted_at);
+
 -- Update any existing resources to have default availability_status
 UPDATE resources 
 SET availability_status = 'available' 
@@ -108,6 +286,265 @@ CREATE TABLE IF NOT EXISTS cache (
   expires_at TIMESTAMPTZ NOT NULL
 );
 
+-- Create users table if it doesn't exist
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'user'
+    CHECK (role IN ('admin', 'contributor', 'user')),
+  password_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create sessions table if it doesn't exist
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions (user_id);
+
+-- Add active column to users if it doesn't exist
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'users' AND column_name = 'active'
+    ) THEN
+        ALTER TABLE users ADD COLUMN active BOOLEAN NOT NULL DEFAULT TRUE;
+        RAISE NOTICE 'Added active column to users table';
+    ELSE
+        RAISE NOTICE 'active column already exists in users table';
+    END IF;
+END $$;
+
+-- Create role audit log table if it doesn't exist
+CREATE TABLE IF NOT EXISTS role_audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  from_role TEXT,
+  to_role TEXT NOT NULL,
+  changed_by TEXT NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS role_audit_log_user_id_idx ON role_audit_log (user_id);
+
+-- Create disaster team assignments table if it doesn't exist
+CREATE TABLE IF NOT EXISTS disaster_assignments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  incident_role TEXT NOT NULL
+    CHECK (incident_role IN ('commander', 'field_verifier', 'logistics')),
+  assigned_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (disaster_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS disaster_assignments_user_id_idx ON disaster_assignments (user_id);
+
+-- Create API keys table if it doesn't exist
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  owner_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute > 0),
+  last_used_at TIMESTAMPTZ,
+  last_used_ip TEXT,
+  revoked_at TIMESTAMPTZ,
+  revoked_by TEXT,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS api_keys_owner_id_idx ON api_keys (owner_id);
+
+-- Create socket events table if it doesn't exist
+CREATE TABLE IF NOT EXISTS socket_events (
+  seq BIGSERIAL PRIMARY KEY,
+  event TEXT NOT NULL,
+  rooms TEXT[] NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS socket_events_rooms_idx ON socket_events USING GIN (rooms);
+CREATE INDEX IF NOT EXISTS socket_events_created_at_idx ON socket_events (created_at);
+
+-- Add moderation queue columns to reports if they don't exist
+ALTER TABLE reports
+  ADD COLUMN IF NOT EXISTS claimed_by TEXT,
+  ADD COLUMN IF NOT EXISTS claim_expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS moderated_by TEXT,
+  ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS moderation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS moderation_notes TEXT;
+
+-- Create report clusters table if it doesn't exist
+CREATE TABLE IF NOT EXISTS report_clusters (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add location and cluster columns to reports if they don't exist
+ALTER TABLE reports
+  ADD COLUMN IF NOT EXISTS location GEOGRAPHY(POINT),
+  ADD COLUMN IF NOT EXISTS cluster_id UUID REFERENCES report_clusters(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS reports_cluster_id_idx ON reports (cluster_id);
+CREATE INDEX IF NOT EXISTS report_clusters_disaster_id_idx ON report_clusters (disaster_id);
+
+-- Add location name and plain coordinates to reports if they don't exist
+ALTER TABLE reports
+  ADD COLUMN IF NOT EXISTS location_name TEXT,
+  ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION GENERATED ALWAYS AS (ST_Y(location::geometry)) STORED,
+  ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION GENERATED ALWAYS AS (ST_X(location::geometry)) STORED;
+
+CREATE INDEX IF NOT EXISTS reports_location_idx ON reports USING GIST (location);
+
+-- Create media table if it doesn't exist
+CREATE TABLE IF NOT EXISTS media (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+  uploaded_by TEXT NOT NULL,
+  storage_key TEXT NOT NULL UNIQUE,
+  thumbnail_key TEXT,
+  content_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  original_name TEXT,
+  gps_retained BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS media_report_id_idx ON media (report_id);
+CREATE INDEX IF NOT EXISTS media_uploaded_by_idx ON media (uploaded_by);
+
+-- Add perceptual hash columns for image forensics if they don't exist
+ALTER TABLE media ADD COLUMN IF NOT EXISTS perceptual_hash TEXT;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS image_hash TEXT;
+
+-- Add report translation columns if they don't exist
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS content_language TEXT;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS translated_content TEXT;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS translated_language TEXT;
+
+-- Add structured fields extracted from report content if they don't exist
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS needs TEXT[] DEFAULT '{}';
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS people_count INTEGER;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS hazards TEXT[] DEFAULT '{}';
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS mentioned_locations TEXT[] DEFAULT '{}';
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS enriched_by TEXT;
+
+CREATE INDEX IF NOT EXISTS reports_needs_idx ON reports USING GIN (needs);
+
+-- Add report idempotency keys if they don't exist
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS reports_idempotency_key_idx ON reports (user_id, idempotency_key);
+
+-- Add SMS codes to disasters if they don't exist (existing disasters each get a random one)
+ALTER TABLE disasters ADD COLUMN IF NOT EXISTS code TEXT NOT NULL DEFAULT UPPER(SUBSTRING(MD5(RANDOM()::TEXT), 1, 6));
+
+CREATE UNIQUE INDEX IF NOT EXISTS disasters_code_idx ON disasters (code);
+
+-- Create alert_subscriptions table if it doesn't exist
+CREATE TABLE IF NOT EXISTS alert_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  channel TEXT NOT NULL
+    CHECK (channel IN ('email', 'sms', 'webhook', 'push')),
+  -- Email address, phone number, webhook URL or push endpoint
+  target TEXT NOT NULL,
+  -- Web push subscription keys ({ p256dh, auth }), push only
+  push_keys JSONB,
+  -- GeoJSON Point (with radius_km) or Polygon; NULL for anywhere
+  area JSONB,
+  area_geography GEOGRAPHY GENERATED ALWAYS AS (ST_GeomFromGeoJSON(area::TEXT)::geography) STORED,
+  radius_km DOUBLE PRECISION CHECK (radius_km > 0),
+  -- Only disasters with one of these tags; empty for any
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  events TEXT[] NOT NULL DEFAULT '{disaster_created,disaster_status_changed,report_verified}',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create alert_notifications table if it doesn't exist
+CREATE TABLE IF NOT EXISTS alert_notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscription_id UUID NOT NULL REFERENCES alert_subscriptions(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  disaster_id UUID REFERENCES disasters(id) ON DELETE CASCADE,
+  channel TEXT NOT NULL,
+  message JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS alert_subscriptions_area_idx ON alert_subscriptions USING GIST (area_geography);
+CREATE INDEX IF NOT EXISTS alert_subscriptions_user_id_idx ON alert_subscriptions (user_id);
+
+CREATE INDEX IF NOT EXISTS alert_notifications_due_idx ON alert_notifications (status, next_attempt_at);
+
+-- Add confirmation to alert_subscriptions if it doesn't exist; webhook and push subscriptions count as confirmed,
+-- existing email and SMS subscriptions get no alerts until a new code is asked for and entered
+ALTER TABLE alert_subscriptions ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ;
+ALTER TABLE alert_subscriptions ADD COLUMN IF NOT EXISTS confirmation_code_hash TEXT;
+ALTER TABLE alert_subscriptions ADD COLUMN IF NOT EXISTS confirmation_sent_at TIMESTAMPTZ;
+ALTER TABLE alert_subscriptions ADD COLUMN IF NOT EXISTS confirmation_attempts INTEGER NOT NULL DEFAULT 0;
+
+UPDATE alert_subscriptions SET confirmed_at = created_at
+WHERE confirmed_at IS NULL AND channel IN ('webhook', 'push');
+
+-- Create webhook_endpoints table if it doesn't exist
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create webhook_deliveries table if it doesn't exist
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'delivered', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_time_ms INTEGER,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_endpoint_id_idx ON webhook_deliveries (endpoint_id, created_at);
+
 DO $$
 BEGIN
     RAISE NOTICE 'Migration completed successfully!';
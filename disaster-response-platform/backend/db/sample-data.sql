@@ -1,7 +1,18 @@
 -- Sample data for testing
 
+-- Sample users (every password is "changeme"; change them before deploying)
+INSERT INTO users (id, name, role, password_hash)
+VALUES
+  ('netrunnerX', 'NetRunner X', 'admin', '$2a$10$8W6/n4dIJ4ocOoMUl5tJV.e.ziJebc92JjqM8f8XJDK5YYdqwq6V6'),
+  ('reliefAdmin', 'Relief Admin', 'admin', '$2a$10$8W6/n4dIJ4ocOoMUl5tJV.e.ziJebc92JjqM8f8XJDK5YYdqwq6V6'),
+  ('contributor1', 'Contributor 1', 'contributor', '$2a$10$8W6/n4dIJ4ocOoMUl5tJV.e.ziJebc92JjqM8f8XJDK5YYdqwq6V6'),
+  ('contributor2', 'Contributor 2', 'contributor', '$2a$10$8W6/n4dIJ4ocOoMUl5tJV.e.ziJebc92JjqM8f8XJDK5YYdqwq6V6'),
+  ('citizen1', 'Citizen 1', 'user', '$2a$10$8W6/n4dIJ4ocOoMUl5tJV.e.ziJebc92JjqM8f8XJDK5YYdqwq6V6'),
+  ('citizen2', 'Citizen 2', 'user', '$2a$10$8W6/n4dIJ4ocOoMUl5tJV.e.ziJebc92JjqM8f8XJDK5YYdqwq6V6')
+ON CONFLICT (id) DO NOTHING;
+
 -- Sample disasters
-INSERT INTO disasters (title, location_name, location, description, tags, owner_id, audit_trail)
+INSERT INTO disasters (title, location_name, location, description, tags, owner_id, status, severity, affected_radius_km, audit_trail)
 VALUES
   (
     'NYC Flood',
@@ -10,6 +21,9 @@ VALUES
     'Heavy flooding in Manhattan',
     ARRAY['flood', 'urgent'],
     'netrunnerX',
+    'active',
+    'high',
+    5,
     '[{"action": "create", "user_id": "netrunnerX", "timestamp": "2025-06-17T17:16:00Z"}]'
   ),
   (
@@ -19,6 +33,9 @@ VALUES
     'Wildfire spreading rapidly in Los Angeles area',
     ARRAY['fire', 'wildfire', 'urgent'],
     'reliefAdmin',
+    'contained',
+    'critical',
+    25,
     '[{"action": "create", "user_id": "reliefAdmin", "timestamp": "2025-06-18T09:30:00Z"}]'
   ),
   (
@@ -28,6 +45,9 @@ VALUES
     'Hurricane approaching Miami coastline',
     ARRAY['hurricane', 'storm'],
     'contributor1',
+    'reported',
+    'medium',
+    40,
     '[{"action": "create", "user_id": "contributor1", "timestamp": "2025-06-19T11:45:00Z"}]'
   );
 
@@ -1,6 +1,64 @@
 -- Enable PostGIS extension for geospatial features
 CREATE EXTENSION IF NOT EXISTS postgis;
 
+-- Users table (id is the username, referenced by owner_id/user_id columns)
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'user'
+    CHECK (role IN ('admin', 'contributor', 'user')),
+  password_hash TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Role audit log (every role assignment and change)
+CREATE TABLE IF NOT EXISTS role_audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  from_role TEXT,
+  to_role TEXT NOT NULL,
+  changed_by TEXT NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Refresh token sessions (only token hashes are stored)
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- API keys for machine clients, acting as their owner within the key's scopes (only key hashes are stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  owner_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute > 0),
+  last_used_at TIMESTAMPTZ,
+  last_used_ip TEXT,
+  revoked_at TIMESTAMPTZ,
+  revoked_by TEXT,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Real-time events, kept for a while so reconnecting clients can replay what they missed
+CREATE TABLE IF NOT EXISTS socket_events (
+  seq BIGSERIAL PRIMARY KEY,
+  event TEXT NOT NULL,
+  rooms TEXT[] NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Disasters table
 CREATE TABLE IF NOT EXISTS disasters (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -10,8 +68,27 @@ CREATE TABLE IF NOT EXISTS disasters (
   description TEXT NOT NULL,
   tags TEXT[] DEFAULT '{}',
   owner_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'reported'
+    CHECK (status IN ('reported', 'active', 'contained', 'recovery', 'closed')),
+  severity TEXT NOT NULL DEFAULT 'medium'
+    CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+  affected_radius_km DOUBLE PRECISION,
+  estimated_population INTEGER,
+  -- Short code people quote in SMS reports (e.g. "REPORT 3FA91C ...")
+  code TEXT NOT NULL DEFAULT UPPER(SUBSTRING(MD5(RANDOM()::TEXT), 1, 6)),
   created_at TIMESTAMPTZ DEFAULT NOW(),
-  audit_trail JSONB DEFAULT '[]'
+  audit_trail JSONB DEFAULT '[]',
+  deleted_at TIMESTAMPTZ,
+  deleted_by TEXT
+);
+
+-- Report clusters (likely duplicate reports grouped together)
+CREATE TABLE IF NOT EXISTS report_clusters (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+  -- NULL when created by duplicate detection
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Reports table
@@ -22,9 +99,71 @@ CREATE TABLE IF NOT EXISTS reports (
   content TEXT NOT NULL,
   image_url TEXT,
   verification_status TEXT DEFAULT 'pending',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  audit_trail JSONB DEFAULT '[]',
+  deleted_at TIMESTAMPTZ,
+  deleted_by TEXT,
+  -- Moderation queue: a moderator's claim expires so reports don't stay locked
+  claimed_by TEXT,
+  claim_expires_at TIMESTAMPTZ,
+  moderated_by TEXT,
+  moderated_at TIMESTAMPTZ,
+  moderation_reason TEXT,
+  moderation_notes TEXT,
+  location GEOGRAPHY(POINT),
+  location_name TEXT,
+  -- Kept in step with location so listings carry plain coordinates
+  latitude DOUBLE PRECISION GENERATED ALWAYS AS (ST_Y(location::geometry)) STORED,
+  longitude DOUBLE PRECISION GENERATED ALWAYS AS (ST_X(location::geometry)) STORED,
+  cluster_id UUID REFERENCES report_clusters(id) ON DELETE SET NULL,
+  -- Perceptual hash of image_url, recorded when the image is verified
+  image_hash TEXT,
+  -- Detected language of content and its translation into the working language (NULL if already in it)
+  content_language TEXT,
+  translated_content TEXT,
+  translated_language TEXT,
+  -- Extracted from content by the AI provider when the report is created or its content changes; enriched_by is NULL if that failed
+  needs TEXT[] DEFAULT '{}',
+  people_count INTEGER,
+  hazards TEXT[] DEFAULT '{}',
+  mentioned_locations TEXT[] DEFAULT '{}',
+  enriched_by TEXT,
+  -- Client-chosen key so a retried submission returns the original report instead of a copy
+  idempotency_key TEXT
+);
+
+-- Uploaded photos and videos; report_id stays NULL until the upload is attached to a report
+CREATE TABLE IF NOT EXISTS media (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+  uploaded_by TEXT NOT NULL,
+  -- Keys in the configured storage backend
+  storage_key TEXT NOT NULL UNIQUE,
+  thumbnail_key TEXT,
+  content_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  original_name TEXT,
+  -- Whether the reporter chose to keep the photo's GPS tags
+  gps_retained BOOLEAN DEFAULT FALSE,
+  -- 64-bit difference hash (hex) for spotting re-used images
+  perceptual_hash TEXT,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Team assignments (one incident role per user per disaster)
+CREATE TABLE IF NOT EXISTS disaster_assignments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  incident_role TEXT NOT NULL
+    CHECK (incident_role IN ('commander', 'field_verifier', 'logistics')),
+  assigned_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (disaster_id, user_id)
+);
+
 -- Resources table (independent resources like shelters, hospitals, etc.)
 CREATE TABLE IF NOT EXISTS resources (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -36,6 +175,81 @@ CREATE TABLE IF NOT EXISTS resources (
   availability_status TEXT DEFAULT 'available',
   contact_info TEXT,
   capacity INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  audit_trail JSONB DEFAULT '[]',
+  deleted_at TIMESTAMPTZ,
+  deleted_by TEXT
+);
+
+-- Alert subscriptions: a user's channel, area and tags to be told about disasters on
+CREATE TABLE IF NOT EXISTS alert_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  channel TEXT NOT NULL
+    CHECK (channel IN ('email', 'sms', 'webhook', 'push')),
+  -- Email address, phone number, webhook URL or push endpoint
+  target TEXT NOT NULL,
+  -- Web push subscription keys ({ p256dh, auth }), push only
+  push_keys JSONB,
+  -- GeoJSON Point (with radius_km) or Polygon; NULL for anywhere
+  area JSONB,
+  area_geography GEOGRAPHY GENERATED ALWAYS AS (ST_GeomFromGeoJSON(area::TEXT)::geography) STORED,
+  radius_km DOUBLE PRECISION CHECK (radius_km > 0),
+  -- Only disasters with one of these tags; empty for any
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  events TEXT[] NOT NULL DEFAULT '{disaster_created,disaster_status_changed,report_verified}',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Email and SMS targets are confirmed with a code sent to them; alerts only go to confirmed subscriptions
+  confirmed_at TIMESTAMPTZ,
+  confirmation_code_hash TEXT,
+  confirmation_sent_at TIMESTAMPTZ,
+  confirmation_attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Alert notifications: one rendered message per subscription and event, retried until sent or out of attempts
+CREATE TABLE IF NOT EXISTS alert_notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscription_id UUID NOT NULL REFERENCES alert_subscriptions(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  disaster_id UUID REFERENCES disasters(id) ON DELETE CASCADE,
+  channel TEXT NOT NULL,
+  message JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Partner webhook endpoints (the secret signs every payload, so it is kept; clients only see it when it is issued)
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Webhook deliveries: one per endpoint and event with the outcome of its latest attempt; dead once out of attempts
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'delivered', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_time_ms INTEGER,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -58,15 +272,73 @@ CREATE INDEX IF NOT EXISTS disasters_tags_idx ON disasters USING GIN (tags);
 -- Create index on disasters owner_id
 CREATE INDEX IF NOT EXISTS disasters_owner_id_idx ON disasters (owner_id);
 
+-- Create index on disasters status
+CREATE INDEX IF NOT EXISTS disasters_status_idx ON disasters (status);
+
+-- Create index on disasters severity
+CREATE INDEX IF NOT EXISTS disasters_severity_idx ON disasters (severity);
+
+-- Create unique index on disasters code for SMS lookups
+CREATE UNIQUE INDEX IF NOT EXISTS disasters_code_idx ON disasters (code);
+
 -- Create index on reports disaster_id
 CREATE INDEX IF NOT EXISTS reports_disaster_id_idx ON reports (disaster_id);
 
 -- Create index on reports verification_status
 CREATE INDEX IF NOT EXISTS reports_verification_status_idx ON reports (verification_status);
 
+-- Create spatial index on reports location for bounding box queries
+CREATE INDEX IF NOT EXISTS reports_location_idx ON reports USING GIST (location);
+
+-- Create indexes for listing a disaster's report clusters
+CREATE INDEX IF NOT EXISTS reports_cluster_id_idx ON reports (cluster_id);
+CREATE INDEX IF NOT EXISTS report_clusters_disaster_id_idx ON report_clusters (disaster_id);
+
+-- Create index on report needs for need-type filters
+CREATE INDEX IF NOT EXISTS reports_needs_idx ON reports USING GIN (needs);
+
+-- Create unique index so each submitter's idempotency key maps to one report
+CREATE UNIQUE INDEX IF NOT EXISTS reports_idempotency_key_idx ON reports (user_id, idempotency_key);
+
+-- Create indexes for listing a report's attachments and a user's unattached uploads
+CREATE INDEX IF NOT EXISTS media_report_id_idx ON media (report_id);
+CREATE INDEX IF NOT EXISTS media_uploaded_by_idx ON media (uploaded_by);
+
 -- Create index on resources type
 CREATE INDEX IF NOT EXISTS resources_type_idx ON resources (type);
 
+-- Create indexes on deleted_at for trash listings
+CREATE INDEX IF NOT EXISTS disasters_deleted_at_idx ON disasters (deleted_at);
+CREATE INDEX IF NOT EXISTS reports_deleted_at_idx ON reports (deleted_at);
+CREATE INDEX IF NOT EXISTS resources_deleted_at_idx ON resources (deleted_at);
+
+-- Create index on role_audit_log user_id
+CREATE INDEX IF NOT EXISTS role_audit_log_user_id_idx ON role_audit_log (user_id);
+
+-- Create index on disaster_assignments user_id
+CREATE INDEX IF NOT EXISTS disaster_assignments_user_id_idx ON disaster_assignments (user_id);
+
+-- Create index on sessions user_id
+CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions (user_id);
+
+-- Create index on api_keys owner_id
+CREATE INDEX IF NOT EXISTS api_keys_owner_id_idx ON api_keys (owner_id);
+
+-- Create indexes on socket_events for replaying a room's events and pruning old ones
+CREATE INDEX IF NOT EXISTS socket_events_rooms_idx ON socket_events USING GIN (rooms);
+CREATE INDEX IF NOT EXISTS socket_events_created_at_idx ON socket_events (created_at);
+
+-- Create indexes on alert_subscriptions for matching areas and listing a user's subscriptions
+CREATE INDEX IF NOT EXISTS alert_subscriptions_area_idx ON alert_subscriptions USING GIST (area_geography);
+CREATE INDEX IF NOT EXISTS alert_subscriptions_user_id_idx ON alert_subscriptions (user_id);
+
+-- Create index on alert_notifications for finding deliveries that are due
+CREATE INDEX IF NOT EXISTS alert_notifications_due_idx ON alert_notifications (status, next_attempt_at);
+
+-- Create indexes on webhook_deliveries for finding due retries and listing an endpoint's deliveries
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_endpoint_id_idx ON webhook_deliveries (endpoint_id, created_at);
+
 -- Create index on cache expires_at for efficient cleanup
 CREATE INDEX IF NOT EXISTS cache_expires_at_idx ON cache (expires_at);
 
@@ -1,59 +1,128 @@
+const rateLimit = require('express-rate-limit');
 const logger = require('../utils/logger');
+const authService = require('../utils/authService');
+const apiKeyService = require('../utils/apiKeyService');
+const permissions = require('../utils/permissions');
+const createRateLimitStore = require('../utils/rateLimitStore');
 
-// Mock users with roles
-const mockUsers = {
-  'netrunnerX': { role: 'admin' },
-  'reliefAdmin': { role: 'admin' },
-  'contributor1': { role: 'contributor' },
-  'contributor2': { role: 'contributor' },
-  'citizen1': { role: 'user' },
-  'citizen2': { role: 'user' },
+// Per-key rate limiter, applied on top of the global per-IP limiter in server.js
+const apiKeyLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: (req) => req.user.rate_limit_per_minute,
+  keyGenerator: (req) => req.user.api_key_id,
+  store: createRateLimitStore('api-key'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many requests for this API key, please try again later',
+});
+
+/**
+ * Authenticate a request made with an API key
+ * The key acts as its owner, limited to the requests its scopes allow.
+ * @param {string} key - Plain API key from the X-API-Key header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateApiKey = async (key, req, res, next) => {
+  let apiKey;
+  try {
+    apiKey = await apiKeyService.findActiveKey(key);
+  } catch (error) {
+    logger.error({ error }, 'Error looking up API key');
+    return res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+
+  if (!apiKey || !apiKey.users?.active) {
+    logger.warn('Authentication failed: Unknown, revoked or deactivated API key');
+    return res.status(401).json({
+      error: 'Authentication failed',
+      message: 'Invalid API key',
+    });
+  }
+
+  const path = req.originalUrl.split('?')[0];
+  if (!apiKeyService.allowsRequest(apiKey.scopes, req.method, path)) {
+    logger.warn(`Authorization failed: API key ${apiKey.key_prefix} (${apiKey.scopes.join(', ')}) used for ${req.method} ${path}`);
+    return res.status(403).json({
+      error: 'Not authorized',
+      message: `This API key's scopes do not allow ${req.method} ${path}`,
+      scopes: apiKey.scopes,
+    });
+  }
+
+  // Attach the key's owner to the request object
+  req.user = apiKeyService.toRequestUser(apiKey);
+
+  try {
+    await apiKeyService.recordUse(apiKey.id, req.ip);
+  } catch (error) {
+    // Usage tracking shouldn't block the request
+    logger.error({ error }, 'Error recording API key use');
+  }
+
+  logger.info(`API key authenticated: ${apiKey.key_prefix} for ${req.user.id} (${req.user.role})`);
+  apiKeyLimiter(req, res, next);
 };
 
 /**
- * Mock authentication middleware
+ * Authentication middleware
+ * Verifies the bearer access token, or the X-API-Key header, and attaches the user to the request
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const mockAuth = (req, res, next) => {
-  // Get user ID from header or query parameter
-  const userId = req.headers['x-user-id'] || req.query.user_id;
+const authenticate = (req, res, next) => {
+  // Several routers share a mount path and each applies this middleware; authenticate (and rate limit) once
+  if (req.user) {
+    return next();
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const [scheme, token] = authHeader.split(' ');
   
-  if (!userId) {
-    logger.warn('Authentication failed: No user ID provided');
+  if (scheme !== 'Bearer' || !token) {
+    logger.warn('Authentication failed: No access token provided');
     return res.status(401).json({
       error: 'Authentication required',
-      message: 'Please provide a user ID in the X-User-ID header or user_id query parameter',
+      message: 'Please provide an access token in the Authorization header or an API key in the X-API-Key header',
     });
   }
   
-  const user = mockUsers[userId];
-  
-  if (!user) {
-    logger.warn(`Authentication failed: Unknown user ID: ${userId}`);
+  try {
+    // Attach user to request object
+    req.user = authService.verifyAccessToken(token);
+  } catch (error) {
+    logger.warn(`Authentication failed: ${error.message}`);
     return res.status(401).json({
       error: 'Authentication failed',
-      message: 'Unknown user ID',
+      message: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token',
     });
   }
   
-  // Attach user to request object
-  req.user = {
-    id: userId,
-    role: user.role,
-  };
-  
-  logger.info(`User authenticated: ${userId} (${user.role})`);
+  logger.info(`User authenticated: ${req.user.id} (${req.user.role})`);
   next();
 };
 
 /**
- * Role-based authorization middleware
- * @param {Array<string>} allowedRoles - Array of allowed roles
+ * Permission-based authorization middleware
+ * @param {...string} requiredPermissions - Permissions from utils/permissions.js, all of which are required
  * @returns {Function} Express middleware
  */
-const authorize = (allowedRoles) => {
+const requirePermission = (...requiredPermissions) => {
+  const unknown = requiredPermissions.filter((permission) => !permissions.isKnown(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+  }
+  
   return (req, res, next) => {
     // Make sure user is authenticated
     if (!req.user) {
@@ -64,22 +133,65 @@ const authorize = (allowedRoles) => {
       });
     }
     
-    // Check if user's role is allowed
-    if (!allowedRoles.includes(req.user.role)) {
-      logger.warn(`Authorization failed: User ${req.user.id} with role ${req.user.role} not authorized`);
+    // Check that the user's role grants every required permission
+    const missing = requiredPermissions.filter((permission) => !permissions.can(req.user, permission));
+    if (missing.length > 0) {
+      logger.warn(`Authorization failed: User ${req.user.id} with role ${req.user.role} lacks ${missing.join(', ')}`);
       return res.status(403).json({
         error: 'Not authorized',
         message: 'You do not have permission to access this resource',
+        missing_permissions: missing,
       });
     }
     
-    logger.info(`User authorized: ${req.user.id} (${req.user.role})`);
+    logger.info(`User authorized: ${req.user.id} (${requiredPermissions.join(', ')})`);
     next();
   };
 };
 
+/**
+ * Socket.IO authentication middleware
+ * Accepts the same credentials as HTTP requests, sent in the handshake as `auth: { token }` or `auth: { apiKey }`
+ * (API keys need the read-only scope), and attaches the user to socket.data.user
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} next - Socket.IO next function
+ */
+const authenticateSocket = async (socket, next) => {
+  const { token, apiKey } = socket.handshake.auth || {};
+
+  if (apiKey) {
+    try {
+      const key = await apiKeyService.findActiveKey(apiKey);
+
+      if (!key || !key.users?.active || !key.scopes.includes('read-only')) {
+        logger.warn('Socket authentication failed: Invalid API key');
+        return next(new Error('Invalid API key'));
+      }
+
+      socket.data.user = apiKeyService.toRequestUser(key);
+      await apiKeyService.recordUse(key.id, socket.handshake.address);
+    } catch (error) {
+      logger.error({ error }, 'Error authenticating socket with API key');
+      return next(new Error('Authentication failed'));
+    }
+  } else if (token) {
+    try {
+      socket.data.user = authService.verifyAccessToken(token);
+    } catch (error) {
+      logger.warn(`Socket authentication failed: ${error.message}`);
+      return next(new Error(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'));
+    }
+  } else {
+    logger.warn('Socket authentication failed: No credentials provided');
+    return next(new Error('Authentication required'));
+  }
+
+  logger.info(`Socket authenticated: ${socket.id} as ${socket.data.user.id} (${socket.data.user.role})`);
+  next();
+};
+
 module.exports = {
-  mockAuth,
-  authorize,
-  mockUsers,
+  authenticate,
+  authenticateSocket,
+  requirePermission,
 };
@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { authenticate } = require('../middleware/auth');
+const alertChannels = require('../config/alertChannels');
+const alertSubscriptionService = require('../utils/alertSubscriptionService');
+
+// Confirmation codes are six digits
+const CONFIRMATION_CODE_PATTERN = /^\d{6}$/;
+
+// Reply when a user has had too many confirmation codes sent
+const TOO_MANY_CONFIRMATIONS = {
+  error: 'Too many confirmation codes',
+  message: 'Too many confirmation codes sent, please try again in an hour',
+};
+
+// Apply authentication middleware
+router.use(authenticate);
+
+/**
+ * @route   GET /api/alerts/push-key
+ * @desc    VAPID public key browsers subscribe to push alerts with
+ * @access  Private
+ */
+router.get('/push-key', (req, res) => {
+  if (!alertChannels.pushPublicKey) {
+    return res.status(404).json({
+      error: 'Not available',
+      message: 'Push alerts are not configured on this server',
+    });
+  }
+
+  res.status(200).json({ public_key: alertChannels.pushPublicKey });
+});
+
+/**
+ * @route   GET /api/alerts/subscriptions
+ * @desc    The user's alert subscriptions
+ * @access  Private
+ */
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await alertSubscriptionService.list(req.user.id);
+    res.status(200).json(subscriptions);
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /alerts/subscriptions');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/alerts/subscriptions
+ * @desc    Subscribe to alerts: { channel, target (or push_subscription for push), area, radius_km, tags, events }
+ *          area is a GeoJSON Point with radius_km, a GeoJSON Polygon, or null for anywhere
+ *          Email and SMS targets are sent a code and get no alerts until it is confirmed (confirmed_at is null until then)
+ * @access  Private
+ */
+router.post('/subscriptions', async (req, res) => {
+  try {
+    const { values, message } = alertSubscriptionService.validate(req.body);
+
+    if (!values) {
+      return res.status(400).json({
+        error: 'Invalid subscription',
+        message,
+      });
+    }
+
+    if (await alertSubscriptionService.count(req.user.id) >= alertSubscriptionService.MAX_SUBSCRIPTIONS_PER_USER) {
+      return res.status(409).json({
+        error: 'Too many subscriptions',
+        message: `You can have at most ${alertSubscriptionService.MAX_SUBSCRIPTIONS_PER_USER} alert subscriptions`,
+      });
+    }
+
+    if (alertSubscriptionService.CONFIRMED_CHANNELS.includes(values.channel)
+      && !await alertSubscriptionService.withinConfirmationLimit(req.user.id)) {
+      return res.status(429).json(TOO_MANY_CONFIRMATIONS);
+    }
+
+    const subscription = await alertSubscriptionService.create(req.user.id, values);
+
+    logger.info({ subscriptionId: subscription.id, userId: req.user.id, channel: subscription.channel }, 'Alert subscription created');
+    res.status(201).json(subscription);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /alerts/subscriptions');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/alerts/subscriptions/:id/confirm
+ * @desc    Confirm an email or SMS subscription with the code sent to its target: { code }
+ * @access  Owner
+ */
+router.post('/subscriptions/:id/confirm', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { code } = req.body;
+
+    if (typeof code !== 'string' || !CONFIRMATION_CODE_PATTERN.test(code.trim())) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'code must be the six digits sent to you',
+      });
+    }
+
+    const result = await alertSubscriptionService.confirm(req.user.id, id, code.trim());
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Alert subscription with ID ${id} not found`,
+      });
+    }
+
+    if (!result.subscription) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: result.message,
+      });
+    }
+
+    logger.info({ subscriptionId: id, userId: req.user.id }, 'Alert subscription confirmed');
+    res.status(200).json(result.subscription);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /alerts/subscriptions/:id/confirm');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/alerts/subscriptions/:id/resend
+ * @desc    Send a new confirmation code to an unconfirmed subscription's target
+ * @access  Owner
+ */
+router.post('/subscriptions/:id/resend', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await alertSubscriptionService.withinConfirmationLimit(req.user.id)) {
+      return res.status(429).json(TOO_MANY_CONFIRMATIONS);
+    }
+
+    const result = await alertSubscriptionService.resendConfirmation(req.user.id, id);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Alert subscription with ID ${id} not found`,
+      });
+    }
+
+    if (result.message) {
+      return res.status(409).json({
+        error: 'Already confirmed',
+        message: result.message,
+      });
+    }
+
+    if (!result.sent) {
+      return res.status(500).json({
+        error: 'Delivery failed',
+        message: 'The confirmation code could not be sent, please try again later',
+      });
+    }
+
+    res.status(200).json({
+      message: 'A new confirmation code was sent',
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /alerts/subscriptions/:id/resend');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/alerts/subscriptions/:id
+ * @desc    Change a subscription's area, tags, events or active flag
+ * @access  Owner
+ */
+router.put('/subscriptions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { values, message } = alertSubscriptionService.validate(req.body, { partial: true });
+
+    if (!values) {
+      return res.status(400).json({
+        error: 'Invalid subscription',
+        message,
+      });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        error: 'No changes',
+        message: 'Provide area, tags, events or active',
+      });
+    }
+
+    const subscription = await alertSubscriptionService.update(req.user.id, id, values);
+
+    if (!subscription) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Alert subscription with ID ${id} not found`,
+      });
+    }
+
+    res.status(200).json(subscription);
+  } catch (error) {
+    logger.error({ error }, 'Error in PUT /alerts/subscriptions/:id');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/alerts/subscriptions/:id
+ * @desc    Unsubscribe
+ * @access  Owner
+ */
+router.delete('/subscriptions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await alertSubscriptionService.remove(req.user.id, id)) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Alert subscription with ID ${id} not found`,
+      });
+    }
+
+    logger.info({ subscriptionId: id, userId: req.user.id }, 'Alert subscription deleted');
+    res.status(200).json({
+      message: `Alert subscription with ID ${id} deleted successfully`,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in DELETE /alerts/subscriptions/:id');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const apiKeyService = require('../utils/apiKeyService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Apply authentication middleware to all routes, key management is admin only
+router.use(authenticate);
+router.use(requirePermission('api_key:manage'));
+
+// Keys are managed from a logged-in session, never with another API key
+router.use((req, res, next) => {
+  if (req.user.api_key_id) {
+    return res.status(403).json({
+      error: 'Not authorized',
+      message: 'API keys cannot be used to manage API keys',
+    });
+  }
+
+  next();
+});
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List API keys
+ * @access  Admins only
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { owner_id, include_revoked } = req.query;
+
+    let query = supabase.from('api_keys').select(apiKeyService.KEY_COLUMNS);
+
+    if (owner_id) {
+      query = query.eq('owner_id', owner_id);
+    }
+
+    if (include_revoked !== 'true') {
+      query = query.is('revoked_at', null);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error({ error }, 'Error fetching API keys');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    logger.info({ count: data.length }, 'API keys fetched successfully');
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /api-keys');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Issue an API key that acts as an existing user within the given scopes
+ * @access  Admins only
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, owner_id, scopes, rate_limit_per_minute } = req.body;
+
+    if (!name || !owner_id || !scopes) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'name, owner_id and scopes are required',
+      });
+    }
+
+    if (!apiKeyService.areValidScopes(scopes)) {
+      return res.status(400).json({
+        error: 'Invalid scopes',
+        message: `Scopes must be a non-empty list of: ${apiKeyService.SCOPES.join(', ')}`,
+      });
+    }
+
+    if (rate_limit_per_minute !== undefined && !(Number.isInteger(rate_limit_per_minute) && rate_limit_per_minute > 0)) {
+      return res.status(400).json({
+        error: 'Invalid rate limit',
+        message: 'rate_limit_per_minute must be a positive integer',
+      });
+    }
+
+    const { data: owner, error: ownerError } = await supabase
+      .from('users')
+      .select('id, active')
+      .eq('id', owner_id)
+      .maybeSingle();
+
+    if (ownerError) {
+      logger.error({ error: ownerError }, `Error fetching user ${owner_id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: ownerError.message,
+      });
+    }
+
+    if (!owner || !owner.active) {
+      return res.status(400).json({
+        error: 'Invalid user',
+        message: `User ${owner_id} does not exist or is deactivated`,
+      });
+    }
+
+    const { apiKey, key } = await apiKeyService.issueKey({
+      name,
+      ownerId: owner_id,
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute: rate_limit_per_minute,
+      createdBy: req.user.id,
+    });
+
+    logger.info({ apiKeyId: apiKey.id, ownerId: owner_id, scopes: apiKey.scopes, createdBy: req.user.id }, 'API key issued');
+
+    // The plain key is only ever returned here
+    res.status(201).json({
+      ...apiKey,
+      key,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /api-keys');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Admins only
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await apiKeyService.revokeKey(id, req.user.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Active API key with ID ${id} not found`,
+      });
+    }
+
+    logger.info({ apiKeyId: id, revokedBy: req.user.id }, 'API key revoked');
+    res.status(200).json(apiKey);
+  } catch (error) {
+    logger.error({ error }, 'Error in DELETE /api-keys/:id');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
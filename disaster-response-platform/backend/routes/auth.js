@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const authService = require('../utils/authService');
+const permissions = require('../utils/permissions');
+const createRateLimitStore = require('../utils/rateLimitStore');
+const { authenticate } = require('../middleware/auth');
+
+// Stricter limiter for login attempts to slow down password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 login attempts per windowMs
+  store: createRateLimitStore('login'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: 'Too many login attempts',
+    message: 'Too many login attempts from this IP, please try again after 15 minutes',
+  },
+});
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in with username and password
+ * @access  Public
+ */
+router.post('/login', loginLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Username and password are required',
+      });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', username)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ error }, 'Error fetching user for login');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    // Same response for unknown users and wrong passwords
+    if (!user || !(await authService.verifyPassword(password, user.password_hash))) {
+      logger.warn(`Login failed for user: ${username}`);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid username or password',
+      });
+    }
+
+    if (!user.active) {
+      logger.warn(`Login rejected for deactivated user: ${username}`);
+      return res.status(403).json({
+        error: 'Account deactivated',
+        message: 'This account has been deactivated',
+      });
+    }
+
+    const tokens = await authService.issueTokens(user);
+
+    logger.info(`User logged in: ${user.id} (${user.role})`);
+    res.status(200).json(tokens);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /auth/login');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (refresh token required)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token: refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'refresh_token is required',
+      });
+    }
+
+    const session = await authService.findSession(refreshToken);
+
+    if (!session) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid or expired refresh token',
+      });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', session.user_id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ error }, 'Error fetching user for token refresh');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    if (!user || !user.active) {
+      await authService.revokeSession(session.id);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: user ? 'This account has been deactivated' : 'User no longer exists',
+      });
+    }
+
+    // Rotate: the old refresh token can't be used again
+    await authService.revokeSession(session.id);
+    const tokens = await authService.issueTokens(user);
+
+    logger.info(`Tokens refreshed for user: ${user.id}`);
+    res.status(200).json(tokens);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /auth/refresh');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke a refresh token
+ * @access  Public (refresh token required)
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refresh_token: refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'refresh_token is required',
+      });
+    }
+
+    const session = await authService.findSession(refreshToken);
+
+    if (session) {
+      await authService.revokeSession(session.id);
+      logger.info(`User logged out: ${session.user_id}`);
+    }
+
+    res.status(200).json({
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /auth/logout');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the currently authenticated user
+ * @access  Public (authenticated)
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.status(200).json(req.user);
+});
+
+/**
+ * @route   GET /api/auth/permissions
+ * @desc    Get the current user's effective permissions
+ * @access  Public (authenticated)
+ */
+router.get('/permissions', authenticate, (req, res) => {
+  res.status(200).json({
+    user_id: req.user.id,
+    role: req.user.role,
+    permissions: permissions.forRole(req.user.role),
+  });
+});
+
+module.exports = router;
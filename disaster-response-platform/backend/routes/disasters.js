@@ -2,12 +2,32 @@ const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
 const logger = require('../utils/logger');
-const { mockAuth, authorize } = require('../middleware/auth');
-const geminiService = require('../utils/geminiService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const permissions = require('../utils/permissions');
+const aiService = require('../utils/aiService');
 const geocodingService = require('../utils/geocodingService');
+const disasterLifecycle = require('../utils/disasterLifecycle');
+const priorityService = require('../utils/priorityService');
+const auditService = require('../utils/auditService');
+const softDeleteService = require('../utils/softDeleteService');
+const realtimeService = require('../utils/realtimeService');
+const alertDispatcher = require('../utils/alertDispatcher');
+const webhookService = require('../utils/webhookService');
+
+// Fields an admin can restore from the audit trail (status changes go through the lifecycle)
+const REVERTABLE_FIELDS = [
+  'title',
+  'location_name',
+  'location',
+  'description',
+  'tags',
+  'severity',
+  'affected_radius_km',
+  'estimated_population',
+];
 
 // Apply authentication middleware to all routes
-router.use(mockAuth);
+router.use(authenticate);
 
 /**
  * @route   GET /api/disasters
@@ -16,16 +36,49 @@ router.use(mockAuth);
  */
 router.get('/', async (req, res) => {
   try {
-    const { tag, owner_id, location, radius } = req.query;
+    const { tag, owner_id, location, radius, status, severity, sort } = req.query;
+    
+    if (sort && !['priority', 'created_at'].includes(sort)) {
+      return res.status(400).json({
+        error: 'Invalid sort',
+        message: 'sort must be either "priority" or "created_at"',
+      });
+    }
     
-    // Start building the query
-    let query = supabase.from('disasters').select('*');
+    // Start building the query (soft-deleted disasters live in the trash)
+    let query = supabase.from('disasters').select('*').is('deleted_at', null);
     
     // Apply filters if provided
     if (tag) {
       query = query.contains('tags', [tag]);
     }
     
+    // Status accepts a single value or a comma-separated list (e.g. "reported,active")
+    if (status) {
+      const statuses = status.split(',').map((value) => value.trim());
+      const invalidStatuses = statuses.filter((value) => !disasterLifecycle.isValidStatus(value));
+      
+      if (invalidStatuses.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `Unknown status: ${invalidStatuses.join(', ')}. Status must be one of: ${disasterLifecycle.STATUSES.join(', ')}`,
+        });
+      }
+      
+      query = query.in('status', statuses);
+    }
+    
+    if (severity) {
+      if (!priorityService.isValidSeverity(severity)) {
+        return res.status(400).json({
+          error: 'Invalid severity',
+          message: `Severity must be one of: ${priorityService.SEVERITY_LEVELS.join(', ')}`,
+        });
+      }
+      
+      query = query.eq('severity', severity);
+    }
+    
     if (owner_id) {
       query = query.eq('owner_id', owner_id);
     }
@@ -52,6 +105,10 @@ router.get('/', async (req, res) => {
       }
     }
     
+    if (sort === 'created_at') {
+      query = query.order('created_at', { ascending: false });
+    }
+    
     // Execute the query
     const { data, error } = await query;
     
@@ -63,6 +120,15 @@ router.get('/', async (req, res) => {
       });
     }
     
+    // Priority depends on reports and social media, so it is scored and sorted here
+    if (sort === 'priority') {
+      const scored = await priorityService.scoreDisasters(data);
+      scored.sort((a, b) => b.priority_score - a.priority_score);
+      
+      logger.info({ count: scored.length }, 'Disasters fetched and ranked by priority');
+      return res.status(200).json(scored);
+    }
+    
     logger.info({ count: data.length }, 'Disasters fetched successfully');
     res.status(200).json(data);
   } catch (error) {
@@ -74,6 +140,38 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/disasters/trash
+ * @desc    List soft-deleted disasters
+ * @access  Admin
+ */
+router.get('/trash', requirePermission('trash:manage'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('disasters')
+      .select('*')
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+    
+    if (error) {
+      logger.error({ error }, 'Error fetching deleted disasters');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info({ count: data.length }, 'Deleted disasters fetched successfully');
+    res.status(200).json(softDeleteService.withRetentionInfo(data));
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /disasters/trash');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/disasters/:id
  * @desc    Get a single disaster by ID
@@ -87,6 +185,7 @@ router.get('/:id', async (req, res) => {
       .from('disasters')
       .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (error) {
@@ -105,8 +204,10 @@ router.get('/:id', async (req, res) => {
       });
     }
     
+    const [scored] = await priorityService.scoreDisasters([data]);
+    
     logger.info(`Disaster with ID ${id} fetched successfully`);
-    res.status(200).json(data);
+    res.status(200).json(scored);
   } catch (error) {
     logger.error({ error }, 'Error in GET /disasters/:id');
     res.status(500).json({
@@ -116,14 +217,170 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/disasters/:id/history
+ * @desc    Get the audit timeline of a disaster with per-field changes
+ * @access  Public (authenticated)
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data, error } = await supabase
+      .from('disasters')
+      .select('id, audit_trail')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+    
+    if (error) {
+      if (error.message.includes('No rows found')) {
+        logger.warn(`Disaster with ID ${id} not found`);
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Disaster with ID ${id} not found`,
+        });
+      }
+      
+      logger.error({ error }, `Error fetching history of disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    const history = auditService.toTimeline(data.audit_trail);
+    
+    logger.info({ disasterId: id, count: history.length }, 'Disaster history fetched successfully');
+    res.status(200).json({
+      disaster_id: id,
+      history,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /disasters/:id/history');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/disasters/:id/revert/:entryIndex
+ * @desc    Restore a disaster to how it was right after the given audit entry
+ * @access  Admin
+ */
+router.post('/:id/revert/:entryIndex', requirePermission('history:revert'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entryIndex = Number(req.params.entryIndex);
+    
+    const { data: existingDisaster, error: fetchError } = await supabase
+      .from('disasters')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+    
+    if (fetchError) {
+      if (fetchError.message.includes('No rows found')) {
+        logger.warn(`Disaster with ID ${id} not found`);
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Disaster with ID ${id} not found`,
+        });
+      }
+      
+      logger.error({ error: fetchError }, `Error fetching disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: fetchError.message,
+      });
+    }
+    
+    const restored = auditService.getRevertData(existingDisaster, entryIndex, REVERTABLE_FIELDS);
+    
+    if (!restored) {
+      return res.status(400).json({
+        error: 'Invalid entry index',
+        message: `entryIndex must be between 0 and ${(existingDisaster.audit_trail || []).length - 1}`,
+      });
+    }
+    
+    const changes = auditService.diff(existingDisaster, restored);
+    
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to revert',
+        message: `Disaster already matches the version at entry ${entryIndex}`,
+      });
+    }
+    
+    const updateData = {
+      ...restored,
+      audit_trail: auditService.append(
+        existingDisaster,
+        auditService.createEntry('revert', req.user.id, changes, { reverted_to: entryIndex })
+      ),
+    };
+    
+    const { data, error } = await supabase
+      .from('disasters')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      logger.error({ error }, `Error reverting disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info({ disasterId: id, entryIndex, fields: Object.keys(changes) }, 'Disaster reverted successfully');
+    
+    const [scoredDisaster] = await priorityService.scoreDisasters([data]);
+    
+    // Emit socket event to the disaster's room, its region and the disasters feed
+    await realtimeService.emitDisasterEvent(id, 'disaster_updated', {
+      action: 'update',
+      disaster: scoredDisaster,
+    });
+    
+    // Notify partner webhooks in the background
+    webhookService.publish('disaster.updated', {
+      action: 'update',
+      disaster: scoredDisaster,
+    });
+    
+    res.status(200).json(scoredDisaster);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /disasters/:id/revert/:entryIndex');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   POST /api/disasters
  * @desc    Create a new disaster
  * @access  Admin, Contributor
  */
-router.post('/', authorize(['admin', 'contributor']), async (req, res) => {
+router.post('/', requirePermission('disaster:create'), async (req, res) => {
   try {
-    const { title, location_name, description, tags } = req.body;
+    const {
+      title,
+      location_name,
+      description,
+      tags,
+      severity,
+      affected_radius_km,
+      estimated_population,
+    } = req.body;
     
     // Validate required fields
     if (!title || !description) {
@@ -133,11 +390,18 @@ router.post('/', authorize(['admin', 'contributor']), async (req, res) => {
       });
     }
     
+    if (severity && !priorityService.isValidSeverity(severity)) {
+      return res.status(400).json({
+        error: 'Invalid severity',
+        message: `Severity must be one of: ${priorityService.SEVERITY_LEVELS.join(', ')}`,
+      });
+    }
+    
     // Get location name from description if not provided
     let finalLocationName = location_name;
     if (!finalLocationName) {
       try {
-        finalLocationName = await geminiService.extractLocation(description);
+        finalLocationName = await aiService.extractLocation(description);
         if (!finalLocationName) {
           return res.status(400).json({
             error: 'Location extraction failed',
@@ -145,7 +409,7 @@ router.post('/', authorize(['admin', 'contributor']), async (req, res) => {
           });
         }
       } catch (error) {
-        logger.error({ error }, 'Error extracting location with Gemini API');
+        logger.error({ error }, 'Error extracting location with AI provider');
         return res.status(500).json({
           error: 'Location extraction error',
           message: error.message,
@@ -175,11 +439,7 @@ router.post('/', authorize(['admin', 'contributor']), async (req, res) => {
     const geographyPoint = geocodingService.toGeographyPoint(coordinates.lat, coordinates.lng);
     
     // Create audit trail entry
-    const auditTrail = [{
-      action: 'create',
-      user_id: req.user.id,
-      timestamp: new Date().toISOString(),
-    }];
+    const auditTrail = [auditService.createEntry('create', req.user.id)];
     
     // Insert the disaster into the database
     const { data, error } = await supabase
@@ -191,6 +451,10 @@ router.post('/', authorize(['admin', 'contributor']), async (req, res) => {
         description,
         tags: tags || [],
         owner_id: req.user.id,
+        status: disasterLifecycle.INITIAL_STATUS,
+        severity: severity || priorityService.DEFAULT_SEVERITY,
+        affected_radius_km: affected_radius_km ?? null,
+        estimated_population: estimated_population ?? null,
         audit_trail: auditTrail,
       })
       .select()
@@ -206,13 +470,25 @@ router.post('/', authorize(['admin', 'contributor']), async (req, res) => {
     
     logger.info({ disaster: data }, 'Disaster created successfully');
     
-    // Emit socket event for real-time updates
-    req.io.emit('disaster_updated', {
+    // Include the priority score so clients can re-rank without refetching
+    const [scoredDisaster] = await priorityService.scoreDisasters([data]);
+    
+    // Emit socket event to the disaster's room, its region and the disasters feed
+    await realtimeService.emitDisasterEvent(data.id, 'disaster_updated', {
       action: 'create',
-      disaster: data,
+      disaster: scoredDisaster,
     });
     
-    res.status(201).json(data);
+    // Notify partner webhooks in the background
+    webhookService.publish('disaster.created', {
+      action: 'create',
+      disaster: scoredDisaster,
+    });
+    
+    // Alert subscribers in the background; delivery doesn't hold up the response
+    alertDispatcher.notify('disaster_created', { disasterId: data.id });
+    
+    res.status(201).json(scoredDisaster);
   } catch (error) {
     logger.error({ error }, 'Error in POST /disasters');
     res.status(500).json({
@@ -230,13 +506,29 @@ router.post('/', authorize(['admin', 'contributor']), async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, location_name, description, tags } = req.body;
+    const {
+      title,
+      location_name,
+      description,
+      tags,
+      severity,
+      affected_radius_km,
+      estimated_population,
+    } = req.body;
+    
+    if (severity && !priorityService.isValidSeverity(severity)) {
+      return res.status(400).json({
+        error: 'Invalid severity',
+        message: `Severity must be one of: ${priorityService.SEVERITY_LEVELS.join(', ')}`,
+      });
+    }
     
     // First, fetch the current disaster to check ownership and get current data
     const { data: existingDisaster, error: fetchError } = await supabase
       .from('disasters')
       .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (fetchError) {
@@ -255,8 +547,8 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    // Check ownership or admin role
-    if (existingDisaster.owner_id !== req.user.id && req.user.role !== 'admin') {
+    // Check ownership or permission to edit any disaster
+    if (existingDisaster.owner_id !== req.user.id && !permissions.can(req.user, 'disaster:update_any')) {
       logger.warn(`User ${req.user.id} not authorized to update disaster ${id}`);
       return res.status(403).json({
         error: 'Not authorized',
@@ -269,6 +561,9 @@ router.put('/:id', async (req, res) => {
     if (title) updateData.title = title;
     if (description) updateData.description = description;
     if (tags) updateData.tags = tags;
+    if (severity) updateData.severity = severity;
+    if (affected_radius_km !== undefined) updateData.affected_radius_km = affected_radius_km;
+    if (estimated_population !== undefined) updateData.estimated_population = estimated_population;
     
     // Handle location update if provided
     if (location_name && location_name !== existingDisaster.location_name) {
@@ -289,14 +584,12 @@ router.put('/:id', async (req, res) => {
       }
     }
     
-    // Update audit trail
-    const auditTrail = existingDisaster.audit_trail || [];
-    auditTrail.push({
-      action: 'update',
-      user_id: req.user.id,
-      timestamp: new Date().toISOString(),
-    });
-    updateData.audit_trail = auditTrail;
+    // Record what changed, field by field, in the audit trail
+    const changes = auditService.diff(existingDisaster, updateData);
+    updateData.audit_trail = auditService.append(
+      existingDisaster,
+      auditService.createEntry('update', req.user.id, changes)
+    );
     
     // Update the disaster
     const { data, error } = await supabase
@@ -316,13 +609,21 @@ router.put('/:id', async (req, res) => {
     
     logger.info({ disaster: data }, `Disaster with ID ${id} updated successfully`);
     
-    // Emit socket event for real-time updates
-    req.io.emit('disaster_updated', {
+    const [scoredDisaster] = await priorityService.scoreDisasters([data]);
+    
+    // Emit socket event to the disaster's room, its region and the disasters feed
+    await realtimeService.emitDisasterEvent(id, 'disaster_updated', {
       action: 'update',
-      disaster: data,
+      disaster: scoredDisaster,
     });
     
-    res.status(200).json(data);
+    // Notify partner webhooks in the background
+    webhookService.publish('disaster.updated', {
+      action: 'update',
+      disaster: scoredDisaster,
+    });
+    
+    res.status(200).json(scoredDisaster);
   } catch (error) {
     logger.error({ error }, 'Error in PUT /disasters/:id');
     res.status(500).json({
@@ -332,9 +633,146 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/disasters/:id/status
+ * @desc    Move a disaster to another lifecycle status
+ * @access  Admin, Contributor (depending on the transition)
+ */
+router.put('/:id/status', requirePermission('disaster:update_status'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    
+    if (!status) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'status is required',
+      });
+    }
+    
+    // Fetch the current disaster to know which status it is moving from
+    const { data: existingDisaster, error: fetchError } = await supabase
+      .from('disasters')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+    
+    if (fetchError) {
+      if (fetchError.message.includes('No rows found')) {
+        logger.warn(`Disaster with ID ${id} not found`);
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Disaster with ID ${id} not found`,
+        });
+      }
+      
+      logger.error({ error: fetchError }, `Error fetching disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: fetchError.message,
+      });
+    }
+    
+    const previousStatus = existingDisaster.status || disasterLifecycle.INITIAL_STATUS;
+    
+    if (previousStatus === status) {
+      return res.status(400).json({
+        error: 'Invalid transition',
+        message: `Disaster is already ${status}`,
+      });
+    }
+    
+    // Validate the transition against the lifecycle rules
+    const check = disasterLifecycle.checkTransition(previousStatus, status, req.user.role);
+    
+    if (!check.allowed) {
+      if (check.code === 'forbidden') {
+        logger.warn(`User ${req.user.id} with role ${req.user.role} not authorized to move disaster ${id} from ${previousStatus} to ${status}`);
+        return res.status(403).json({
+          error: 'Not authorized',
+          message: check.message,
+        });
+      }
+      
+      return res.status(400).json({
+        error: check.code === 'invalid_status' ? 'Invalid status' : 'Invalid transition',
+        message: check.message,
+        allowed_transitions: disasterLifecycle.getAllowedTransitions(previousStatus, req.user.role),
+      });
+    }
+    
+    // Record the transition in the audit trail
+    const auditTrail = auditService.append(
+      existingDisaster,
+      auditService.createEntry(
+        'status_change',
+        req.user.id,
+        { status: { from: previousStatus, to: status } },
+        { from: previousStatus, to: status, reason: reason || null }
+      )
+    );
+    
+    // Only update if the status hasn't changed underneath us
+    const { data, error } = await supabase
+      .from('disasters')
+      .update({ status, audit_trail: auditTrail })
+      .eq('id', id)
+      .eq('status', previousStatus)
+      .select()
+      .single();
+    
+    if (error) {
+      if (error.message.includes('No rows found')) {
+        logger.warn(`Disaster ${id} status changed concurrently`);
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'Disaster status was changed by someone else. Please reload and try again.',
+        });
+      }
+      
+      logger.error({ error }, `Error updating status of disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info({ disasterId: id, from: previousStatus, to: status }, 'Disaster status updated successfully');
+    
+    const [scoredDisaster] = await priorityService.scoreDisasters([data]);
+    
+    // Emit socket event to the disaster's room, its region and the disasters feed
+    await realtimeService.emitDisasterEvent(id, 'disaster_updated', {
+      action: 'status_change',
+      disaster: scoredDisaster,
+      previous_status: previousStatus,
+      status,
+    });
+    
+    // Notify partner webhooks in the background
+    webhookService.publish('disaster.updated', {
+      action: 'status_change',
+      disaster: scoredDisaster,
+      previous_status: previousStatus,
+      status,
+    });
+    
+    alertDispatcher.notify('disaster_status_changed', { disasterId: id, previousStatus, status });
+    
+    res.status(200).json(scoredDisaster);
+  } catch (error) {
+    logger.error({ error }, 'Error in PUT /disasters/:id/status');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/disasters/:id
- * @desc    Delete a disaster
+ * @desc    Move a disaster and its reports to the trash
  * @access  Admin, Owner
  */
 router.delete('/:id', async (req, res) => {
@@ -346,6 +784,7 @@ router.delete('/:id', async (req, res) => {
       .from('disasters')
       .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (fetchError) {
@@ -364,8 +803,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Check ownership or admin role
-    if (existingDisaster.owner_id !== req.user.id && req.user.role !== 'admin') {
+    // Check ownership or permission to delete any disaster
+    if (existingDisaster.owner_id !== req.user.id && !permissions.can(req.user, 'disaster:delete_any')) {
       logger.warn(`User ${req.user.id} not authorized to delete disaster ${id}`);
       return res.status(403).json({
         error: 'Not authorized',
@@ -373,10 +812,34 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Delete the disaster
+    // Reports share the disaster's deletion timestamp so a restore brings back exactly these
+    const deletedFields = softDeleteService.markDeleted(req.user.id);
+    
+    const { data: cascadedReports, error: reportsError } = await supabase
+      .from('reports')
+      .update(deletedFields)
+      .eq('disaster_id', id)
+      .is('deleted_at', null)
+      .select('id');
+    
+    if (reportsError) {
+      logger.error({ error: reportsError }, `Error moving reports of disaster ${id} to trash`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: reportsError.message,
+      });
+    }
+    
+    // Move the disaster to the trash
     const { error } = await supabase
       .from('disasters')
-      .delete()
+      .update({
+        ...deletedFields,
+        audit_trail: auditService.append(
+          existingDisaster,
+          auditService.createEntry('delete', req.user.id, null, { cascaded_reports: cascadedReports.length })
+        ),
+      })
       .eq('id', id);
     
     if (error) {
@@ -387,16 +850,24 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    logger.info(`Disaster with ID ${id} deleted successfully`);
+    logger.info({ disasterId: id, cascadedReports: cascadedReports.length }, `Disaster with ID ${id} moved to trash`);
+    
+    // Emit socket event to the disaster's room, its region and the disasters feed
+    await realtimeService.emitDisasterEvent(id, 'disaster_updated', {
+      action: 'delete',
+      disaster: { id },
+    });
     
-    // Emit socket event for real-time updates
-    req.io.emit('disaster_updated', {
+    // Notify partner webhooks in the background
+    webhookService.publish('disaster.deleted', {
       action: 'delete',
       disaster: { id },
     });
     
     res.status(200).json({
       message: `Disaster with ID ${id} deleted successfully`,
+      deleted_reports: cascadedReports.length,
+      purge_available_at: softDeleteService.getPurgeAvailableAt(deletedFields).toISOString(),
     });
   } catch (error) {
     logger.error({ error }, 'Error in DELETE /disasters/:id');
@@ -407,4 +878,168 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/disasters/:id/restore
+ * @desc    Restore a disaster from the trash together with the reports deleted with it
+ * @access  Admin
+ */
+router.post('/:id/restore', requirePermission('trash:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: deletedDisaster, error: fetchError } = await supabase
+      .from('disasters')
+      .select('*')
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .single();
+    
+    if (fetchError) {
+      if (fetchError.message.includes('No rows found')) {
+        logger.warn(`Deleted disaster with ID ${id} not found`);
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Disaster with ID ${id} is not in the trash`,
+        });
+      }
+      
+      logger.error({ error: fetchError }, `Error fetching deleted disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: fetchError.message,
+      });
+    }
+    
+    // Bring back only the reports that were deleted along with the disaster
+    const { data: restoredReports, error: reportsError } = await supabase
+      .from('reports')
+      .update(softDeleteService.markRestored())
+      .eq('disaster_id', id)
+      .eq('deleted_at', deletedDisaster.deleted_at)
+      .select('id');
+    
+    if (reportsError) {
+      logger.error({ error: reportsError }, `Error restoring reports of disaster ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: reportsError.message,
+      });
+    }
+    
+    const { data, error } = await supabase
+      .from('disasters')
+      .update({
+        ...softDeleteService.markRestored(),
+        audit_trail: auditService.append(
+          deletedDisaster,
+          auditService.createEntry('restore', req.user.id, null, { restored_reports: restoredReports.length })
+        ),
+      })
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      logger.error({ error }, `Error restoring disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info({ disasterId: id, restoredReports: restoredReports.length }, `Disaster with ID ${id} restored`);
+    
+    const [scoredDisaster] = await priorityService.scoreDisasters([data]);
+    
+    // Emit socket event to the disaster's room, its region and the disasters feed
+    await realtimeService.emitDisasterEvent(id, 'disaster_updated', {
+      action: 'restore',
+      disaster: scoredDisaster,
+    });
+    
+    // Notify partner webhooks in the background
+    webhookService.publish('disaster.updated', {
+      action: 'restore',
+      disaster: scoredDisaster,
+    });
+    
+    res.status(200).json({
+      disaster: scoredDisaster,
+      restored_reports: restoredReports.length,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /disasters/:id/restore');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/disasters/:id/purge
+ * @desc    Permanently delete a trashed disaster once its retention period has passed
+ * @access  Admin
+ */
+router.delete('/:id/purge', requirePermission('trash:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: deletedDisaster, error: fetchError } = await supabase
+      .from('disasters')
+      .select('id, deleted_at')
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .single();
+    
+    if (fetchError) {
+      if (fetchError.message.includes('No rows found')) {
+        logger.warn(`Deleted disaster with ID ${id} not found`);
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Disaster with ID ${id} is not in the trash`,
+        });
+      }
+      
+      logger.error({ error: fetchError }, `Error fetching deleted disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: fetchError.message,
+      });
+    }
+    
+    if (!softDeleteService.isPurgeable(deletedDisaster)) {
+      return res.status(409).json({
+        error: 'Retention period not over',
+        message: `Disaster can be purged after ${softDeleteService.getPurgeAvailableAt(deletedDisaster).toISOString()}`,
+      });
+    }
+    
+    // Reports are removed by the ON DELETE CASCADE foreign key
+    const { error } = await supabase
+      .from('disasters')
+      .delete()
+      .eq('id', id);
+    
+    if (error) {
+      logger.error({ error }, `Error purging disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info(`Disaster with ID ${id} purged by ${req.user.id}`);
+    res.status(200).json({
+      message: `Disaster with ID ${id} permanently deleted`,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in DELETE /disasters/:id/purge');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 module.exports = router;
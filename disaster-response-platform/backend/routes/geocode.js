@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { mockAuth } = require('../middleware/auth');
-const geminiService = require('../utils/geminiService');
+const { authenticate } = require('../middleware/auth');
+const aiService = require('../utils/aiService');
 const geocodingService = require('../utils/geocodingService');
 const cacheService = require('../utils/cacheService');
 
 // Apply authentication middleware
-router.use(mockAuth);
+router.use(authenticate);
 
 /**
  * @route   POST /api/geocode
@@ -35,10 +35,10 @@ router.post('/', async (req, res) => {
       return res.status(200).json(cachedResult);
     }
     
-    // Extract location from text using Gemini API
+    // Extract location from text using the AI provider
     let locationName;
     try {
-      locationName = await geminiService.extractLocation(text);
+      locationName = await aiService.extractLocation(text);
       
       if (!locationName) {
         return res.status(400).json({
@@ -47,7 +47,7 @@ router.post('/', async (req, res) => {
         });
       }
     } catch (error) {
-      logger.error({ error }, 'Error extracting location with Gemini API');
+      logger.error({ error }, 'Error extracting location with AI provider');
       return res.status(500).json({
         error: 'Location extraction error',
         message: error.message,
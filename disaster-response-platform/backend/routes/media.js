@@ -0,0 +1,160 @@
+const fs = require('fs/promises');
+const express = require('express');
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const logger = require('../utils/logger');
+const createRateLimitStore = require('../utils/rateLimitStore');
+const storage = require('../config/storage');
+const mediaService = require('../utils/mediaService');
+const createMediaUploadStorage = require('../utils/mediaUploadStorage');
+const { authenticate } = require('../middleware/auth');
+
+// Images are held in memory until their metadata is stripped, videos go to a temporary file; types and sizes are
+// checked while the files stream in, so an oversized or unsupported file is refused before it is all received
+const upload = multer({
+  storage: createMediaUploadStorage({
+    detectType: (buffer) => mediaService.detectType(buffer),
+    isImage: (contentType) => mediaService.isImage(contentType),
+    maxImageBytes: mediaService.MAX_IMAGE_BYTES,
+    maxVideoBytes: mediaService.MAX_VIDEO_BYTES,
+    maxTotalBytes: mediaService.MAX_UPLOAD_BYTES,
+  }),
+  limits: {
+    fileSize: mediaService.MAX_VIDEO_BYTES,
+    files: mediaService.MAX_ATTACHMENTS,
+  },
+}).array('files', mediaService.MAX_ATTACHMENTS);
+
+// Per-IP limiter for file downloads, which skip the global limiter; generous because pages load many thumbnails
+const filesLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.MEDIA_FILES_PER_IP_PER_MINUTE || 600, 10),
+  store: createRateLimitStore('media-files'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: 'Too many requests',
+    message: 'Too many file requests from this IP, please try again later',
+  },
+});
+
+/**
+ * Delete the temporary files an upload left behind
+ * @param {Array<Object>} files - Multer files
+ * @returns {Promise<void>}
+ */
+const removeTempFiles = (files) => Promise.all(
+  files.filter((file) => file.path).map((file) => fs.rm(file.path, { force: true }))
+);
+
+/**
+ * @route   GET /api/media/files/:key
+ * @desc    Serve a stored photo, video or thumbnail (the stable URL used by reports and verification);
+ *          streamed from storage, with Range requests so videos can be seeked
+ * @access  Public
+ */
+router.get('/files/:key', filesLimiter, async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    // Keys are never reused, so a file never changes
+    const sent = storage.isValidKey(key) && await storage.send(res, key, {
+      'Content-Type': mediaService.contentTypeForKey(key),
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff',
+    });
+
+    if (!sent) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `File ${key} not found`,
+      });
+    }
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /media/files/:key');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+// Apply authentication middleware
+router.use(authenticate);
+
+/**
+ * @route   POST /api/media
+ * @desc    Upload photos and videos (multipart field "files") to attach to a report with media_ids;
+ *          GPS tags are stripped from images unless keep_location is "true"
+ * @access  Public (authenticated)
+ */
+router.post('/', (req, res) => {
+  upload(req, res, async (uploadError) => {
+    try {
+      if (uploadError instanceof multer.MulterError) {
+        const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          error: tooLarge ? 'File too large' : 'Invalid upload',
+          message: uploadError.code === 'LIMIT_FILE_COUNT' || uploadError.code === 'LIMIT_UNEXPECTED_FILE'
+            ? `Upload at most ${mediaService.MAX_ATTACHMENTS} files in the "files" field`
+            : uploadError.message,
+        });
+      }
+
+      if (uploadError?.status) {
+        return res.status(uploadError.status).json({
+          error: uploadError.status === 413 ? 'File too large' : 'Unsupported file type',
+          message: uploadError.message,
+        });
+      }
+
+      if (uploadError) {
+        throw uploadError;
+      }
+
+      const files = req.files || [];
+
+      if (files.length === 0) {
+        return res.status(400).json({
+          error: 'Missing required field',
+          message: 'Attach at least one file in the "files" field',
+        });
+      }
+
+      // Check every file before storing any, so a bad file doesn't leave half an upload behind
+      const checked = files.map((file) => ({ file, ...mediaService.validate(file) }));
+      const rejected = checked.find(({ error }) => error);
+
+      if (rejected) {
+        const tooLarge = rejected.contentType !== null;
+        return res.status(tooLarge ? 413 : 415).json({
+          error: tooLarge ? 'File too large' : 'Unsupported file type',
+          message: rejected.error,
+        });
+      }
+
+      const keepLocation = req.body.keep_location === 'true';
+      const media = [];
+
+      for (const { file, contentType } of checked) {
+        media.push(await mediaService.store(file, contentType, { userId: req.user.id, keepLocation }));
+      }
+
+      logger.info({ userId: req.user.id, count: media.length, keepLocation }, 'Media uploaded successfully');
+      res.status(201).json(media);
+    } catch (error) {
+      logger.error({ error }, 'Error in POST /media');
+      res.status(500).json({
+        error: 'Server error',
+        message: error.message,
+      });
+    } finally {
+      await removeTempFiles(req.files || []).catch((error) => {
+        logger.warn({ error: error.message }, 'Could not delete temporary upload files');
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { mockAuth } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
 const browsePageService = require('../utils/browsePageService');
 const supabase = require('../config/supabase');
 
 // Apply authentication middleware
-router.use(mockAuth);
+router.use(authenticate);
 
 /**
  * @route   GET /api/disasters/:id/official-updates
@@ -22,6 +22,7 @@ router.get('/:id/official-updates', async (req, res) => {
       .from('disasters')
       .select('tags')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (disasterError) {
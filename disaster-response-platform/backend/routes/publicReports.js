@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const createRateLimitStore = require('../utils/rateLimitStore');
+const proofOfWorkService = require('../utils/proofOfWorkService');
+const reportIntakeService = require('../utils/reportIntakeService');
+
+// Content limits for anonymous reports; links are capped to keep spam out of the queue
+const MIN_CONTENT_LENGTH = 10;
+const MAX_CONTENT_LENGTH = parseInt(process.env.ANON_REPORT_MAX_LENGTH || 1000, 10);
+const MAX_LINKS = 2;
+const MAX_LOCATION_NAME_LENGTH = 200;
+
+// Device IDs are random tokens the client keeps in local storage
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Anonymous idempotency keys share one namespace, so they must be long enough (a UUID) that nobody can guess another's
+const MIN_ANONYMOUS_KEY_LENGTH = 32;
+
+/**
+ * Key a request by its device, falling back to its IP when no usable device ID is sent
+ * @param {Object} req - Express request object
+ * @returns {string} Rate limit key
+ */
+const deviceKey = (req) => {
+  const deviceId = req.get('X-Device-Id');
+  return deviceId && DEVICE_ID_PATTERN.test(deviceId) ? `device:${deviceId}` : `ip:${req.ip}`;
+};
+
+// Per-device limiter for anonymous submissions, applied on top of the global per-IP limiter in server.js
+const deviceLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.ANON_REPORTS_PER_HOUR || 10, 10),
+  keyGenerator: deviceKey,
+  store: createRateLimitStore('anonymous-report'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: 'Too many reports',
+    message: 'Too many reports from this device, please try again later',
+  },
+});
+
+// Per-IP ceiling so rotating device IDs doesn't lift the limit; generous because shelters share connections
+const ipLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.ANON_REPORTS_PER_IP_PER_HOUR || 60, 10),
+  store: createRateLimitStore('anonymous-report-ip'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: 'Too many reports',
+    message: 'Too many reports from this network, please try again later',
+  },
+});
+
+/**
+ * Check anonymous report content against the length and link limits
+ * @param {*} content - Submitted content
+ * @returns {string|null} Problem with the content, or null if it is acceptable
+ */
+const checkContent = (content) => {
+  if (typeof content !== 'string' || content.trim().length < MIN_CONTENT_LENGTH) {
+    return `c must be at least ${MIN_CONTENT_LENGTH} characters`;
+  }
+
+  if (content.length > MAX_CONTENT_LENGTH) {
+    return `c must be at most ${MAX_CONTENT_LENGTH} characters`;
+  }
+
+  if ((content.match(/https?:\/\/|www\./gi) || []).length > MAX_LINKS) {
+    return `c may contain at most ${MAX_LINKS} links`;
+  }
+
+  return null;
+};
+
+/**
+ * @route   GET /api/public/disasters
+ * @desc    List disasters that are still taking reports, in compact form: [{ i: id, t: title, l: location_name }]
+ * @access  Public
+ */
+router.get('/disasters', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('disasters')
+      .select('id, title, location_name')
+      .is('deleted_at', null)
+      .neq('status', 'closed')
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) {
+      logger.error({ error }, 'Error fetching open disasters');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.status(200).json(data.map((disaster) => ({ i: disaster.id, t: disaster.title, l: disaster.location_name })));
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /public/disasters');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/public/challenge
+ * @desc    Get a proof-of-work challenge to solve before submitting: { c: challenge, b: difficulty bits, e: expiry (ms) }
+ * @access  Public
+ */
+router.get('/challenge', (req, res) => {
+  const { challenge, difficulty, expiresAt } = proofOfWorkService.createChallenge();
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({ c: challenge, b: difficulty, e: expiresAt });
+});
+
+/**
+ * @route   POST /api/public/reports
+ * @desc    Submit a report without an account, in compact form:
+ *          { d: disaster_id, c: content, g: [latitude, longitude], n: location_name, k: idempotency key, p: [challenge, nonce] }
+ *          k is a random key of at least 32 characters (a UUID); reusing it for another disaster is a 409.
+ *          Replies { i: id, s: verification_status, dup: true if likely a duplicate }; 200 when k was already used.
+ *          Rate limited per device (X-Device-Id header) and per IP; photos and videos are not accepted.
+ * @access  Public
+ */
+router.post('/reports', ipLimiter, deviceLimiter, async (req, res) => {
+  try {
+    const { d: disasterId, c: content, g: coordinates, n: locationName, k: idempotencyKey, p: proof } = req.body;
+
+    if (!reportIntakeService.isValidIdempotencyKey(idempotencyKey) || idempotencyKey.length < MIN_ANONYMOUS_KEY_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid idempotency key',
+        message: `k must be ${MIN_ANONYMOUS_KEY_LENGTH} to 64 letters, digits, dashes or underscores, such as a random UUID`,
+      });
+    }
+
+    if (!disasterId || typeof disasterId !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'd (disaster ID) and c (content) are required',
+      });
+    }
+
+    // A retry of a submission that already went through gets the original report back without solving again
+    const existing = await reportIntakeService.findByIdempotencyKey(reportIntakeService.ANONYMOUS_USER_ID, idempotencyKey);
+    if (existing && existing.disaster_id !== disasterId) {
+      return res.status(409).json({
+        error: 'Idempotency key conflict',
+        message: 'k was already used for a different report',
+      });
+    }
+
+    if (existing) {
+      logger.info({ reportId: existing.id, idempotencyKey }, 'Replayed anonymous report submission');
+      return res.status(200).json({ i: existing.id, s: existing.verification_status });
+    }
+
+    const contentProblem = checkContent(content);
+    if (contentProblem) {
+      return res.status(400).json({
+        error: 'Invalid content',
+        message: contentProblem,
+      });
+    }
+
+    if (locationName !== undefined && (typeof locationName !== 'string' || locationName.length > MAX_LOCATION_NAME_LENGTH)) {
+      return res.status(400).json({
+        error: 'Invalid location',
+        message: `n must be a place name of at most ${MAX_LOCATION_NAME_LENGTH} characters`,
+      });
+    }
+
+    if (coordinates !== undefined && (!Array.isArray(coordinates) || coordinates.length !== 2)) {
+      return res.status(400).json({
+        error: 'Invalid coordinates',
+        message: 'g must be [latitude, longitude]',
+      });
+    }
+
+    // Solving the puzzle costs the client a moment of CPU, which makes bulk submissions expensive
+    const [challenge, nonce] = Array.isArray(proof) ? proof : [];
+    const work = await proofOfWorkService.redeem(challenge, nonce);
+    if (!work.valid) {
+      return res.status(400).json({
+        error: 'Invalid proof of work',
+        message: work.message,
+      });
+    }
+
+    let location;
+    try {
+      location = await reportIntakeService.resolveLocation({
+        latitude: coordinates?.[0],
+        longitude: coordinates?.[1],
+        locationName,
+      });
+    } catch (error) {
+      logger.error({ error }, 'Error geocoding anonymous report location');
+      return res.status(500).json({
+        error: 'Geocoding error',
+        message: error.message,
+      });
+    }
+
+    if (location.code) {
+      return res.status(400).json({
+        error: location.code === 'invalid_coordinates' ? 'Invalid coordinates' : 'Invalid location',
+        message: location.message,
+      });
+    }
+
+    // Only disasters that are still open take anonymous reports
+    const { data: disaster, error: disasterError } = await supabase
+      .from('disasters')
+      .select('id, status')
+      .eq('id', disasterId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (disasterError) {
+      logger.error({ error: disasterError }, `Error fetching disaster with ID ${disasterId}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: disasterError.message,
+      });
+    }
+
+    if (!disaster || disaster.status === 'closed') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `No open disaster with ID ${disasterId}`,
+      });
+    }
+
+    let result;
+    try {
+      result = await reportIntakeService.create({
+        disasterId,
+        userId: reportIntakeService.ANONYMOUS_USER_ID,
+        content: content.trim(),
+        coordinates: location.coordinates,
+        locationName: locationName || null,
+        idempotencyKey,
+      });
+    } catch (error) {
+      logger.error({ error }, 'Error creating anonymous report');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    const { report, replayed, possibleDuplicate } = result;
+
+    // A concurrent submission with the same key won the insert
+    if (replayed && report.disaster_id !== disasterId) {
+      return res.status(409).json({
+        error: 'Idempotency key conflict',
+        message: 'k was already used for a different report',
+      });
+    }
+
+    logger.info({ reportId: report.id, replayed, device: deviceKey(req) }, 'Anonymous report received');
+    res.status(replayed ? 200 : 201).json({
+      i: report.id,
+      s: report.verification_status,
+      ...(possibleDuplicate && { dup: true }),
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /public/reports');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const teamService = require('../utils/teamService');
+const reportClusterService = require('../utils/reportClusterService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Apply authentication middleware
+router.use(authenticate);
+
+/**
+ * Check that a disaster exists and isn't deleted
+ * @param {string} id - Disaster ID
+ * @returns {Promise<{found: boolean, error: Object|null}>} Lookup result
+ */
+const findDisaster = async (id) => {
+  const { data, error } = await supabase
+    .from('disasters')
+    .select('id')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  return { found: Boolean(data), error };
+};
+
+/**
+ * Check that a value is an array of IDs
+ * @param {*} value - Value to check
+ * @returns {boolean} True for an array of non-empty strings
+ */
+const isIdList = (value) => Array.isArray(value) && value.every((id) => typeof id === 'string' && id.length > 0);
+
+/**
+ * Make sure the disaster exists and the user may moderate its reports, sending the error response if not
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} True if the request may go on
+ */
+const checkModerationAccess = async (req, res) => {
+  const { id } = req.params;
+
+  const { found, error } = await findDisaster(id);
+
+  if (error) {
+    logger.error({ error }, `Error fetching disaster with ID ${id}`);
+    res.status(500).json({
+      error: 'Database error',
+      message: error.message,
+    });
+    return false;
+  }
+
+  if (!found) {
+    res.status(404).json({
+      error: 'Not found',
+      message: `Disaster with ID ${id} not found`,
+    });
+    return false;
+  }
+
+  if (!await teamService.canModerateDisaster(req.user, id, 'report:verify')) {
+    logger.warn(`User ${req.user.id} not authorized to manage report clusters for disaster ${id}`);
+    res.status(403).json({
+      error: 'Not authorized',
+      message: 'Only the disaster\'s commander or field verifiers can merge or split its report clusters',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * @route   GET /api/disasters/:id/report-clusters
+ * @desc    Get groups of likely duplicate reports, each with a representative report and member count
+ * @access  Public (authenticated)
+ */
+router.get('/:id/report-clusters', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { found, error } = await findDisaster(id);
+
+    if (error) {
+      logger.error({ error }, `Error fetching disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    if (!found) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Disaster with ID ${id} not found`,
+      });
+    }
+
+    const clusters = await reportClusterService.getClusters(id);
+
+    logger.info({ disasterId: id, count: clusters.length }, 'Report clusters fetched successfully');
+    res.status(200).json({
+      disaster_id: id,
+      clusters,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /disasters/:id/report-clusters');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/disasters/:id/report-clusters/merge
+ * @desc    Merge clusters and loose reports into one cluster (the first cluster listed is kept)
+ * @access  Contributors and admins (the disaster's commander or field verifiers)
+ */
+router.post('/:id/report-clusters/merge', requirePermission('report:verify'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cluster_ids = [], report_ids = [] } = req.body;
+
+    if (!isIdList(cluster_ids) || !isIdList(report_ids)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'cluster_ids and report_ids must be arrays of IDs',
+      });
+    }
+
+    if (cluster_ids.length + report_ids.length < 2) {
+      return res.status(400).json({
+        error: 'Nothing to merge',
+        message: 'Give at least two clusters or reports in total',
+      });
+    }
+
+    if (!await checkModerationAccess(req, res)) {
+      return;
+    }
+
+    if (!await reportClusterService.belongToDisaster(id, report_ids, cluster_ids)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `Every cluster and report must belong to disaster ${id}`,
+      });
+    }
+
+    const cluster = await reportClusterService.merge(
+      id,
+      { clusterIds: cluster_ids, reportIds: report_ids },
+      req.user.id
+    );
+
+    logger.info({ disasterId: id, clusterId: cluster?.id, mergedBy: req.user.id }, 'Report clusters merged');
+    res.status(200).json(cluster);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /disasters/:id/report-clusters/merge');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/disasters/:id/report-clusters/:clusterId/split
+ * @desc    Take reports out of a cluster; a cluster left with one report is dissolved
+ * @access  Contributors and admins (the disaster's commander or field verifiers)
+ */
+router.post('/:id/report-clusters/:clusterId/split', requirePermission('report:verify'), async (req, res) => {
+  try {
+    const { id, clusterId } = req.params;
+    const { report_ids } = req.body;
+
+    if (!isIdList(report_ids) || report_ids.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'report_ids must be a non-empty array of IDs',
+      });
+    }
+
+    if (!await checkModerationAccess(req, res)) {
+      return;
+    }
+
+    if (!await reportClusterService.belongToDisaster(id, [], [clusterId])) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Report cluster ${clusterId} not found for disaster ${id}`,
+      });
+    }
+
+    const cluster = await reportClusterService.split(id, clusterId, report_ids);
+
+    logger.info({ disasterId: id, clusterId, dissolved: !cluster, splitBy: req.user.id }, 'Report cluster split');
+    res.status(200).json({
+      cluster,
+      dissolved: !cluster,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /disasters/:id/report-clusters/:clusterId/split');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,86 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { mockAuth } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const permissions = require('../utils/permissions');
+const teamService = require('../utils/teamService');
+const moderationService = require('../utils/moderationService');
 const supabase = require('../config/supabase');
+const auditService = require('../utils/auditService');
+const softDeleteService = require('../utils/softDeleteService');
+const mediaService = require('../utils/mediaService');
+const reportIntakeService = require('../utils/reportIntakeService');
+const aiSchemas = require('../utils/aiSchemas');
+const alertDispatcher = require('../utils/alertDispatcher');
+const webhookService = require('../utils/webhookService');
+
+// Fields an admin can restore from the audit trail; verification status only changes through moderation decisions
+const REVERTABLE_FIELDS = ['content', 'image_url'];
 
 // Apply authentication middleware
-router.use(mockAuth);
+router.use(authenticate);
+
+/**
+ * Parse a bbox query parameter
+ * @param {string} bbox - "minLng,minLat,maxLng,maxLat"
+ * @returns {Array<number>|null} The four bounds, or null if malformed
+ */
+const parseBbox = (bbox) => {
+  const bounds = bbox.split(',').map(Number);
+  
+  if (bounds.length !== 4 || bounds.some(Number.isNaN)) {
+    return null;
+  }
+  
+  const [minLng, minLat, maxLng, maxLat] = bounds;
+  const inRange = [minLng, maxLng].every((lng) => Math.abs(lng) <= 180)
+    && [minLat, maxLat].every((lat) => Math.abs(lat) <= 90);
+  
+  return inRange && minLng < maxLng && minLat < maxLat ? bounds : null;
+};
 
 /**
  * @route   GET /api/reports
  * @desc    Get all reports with optional filtering
+ * @param   {string} bbox - Optional "minLng,minLat,maxLng,maxLat"; only reports located inside it
+ * @param   {string} need - Optional need type (water, medical, shelter, rescue); only reports with that need
  * @access  Public (authenticated)
  */
 router.get('/', async (req, res) => {
   try {
-    const { disaster_id, user_id, verification_status } = req.query;
+    const { disaster_id, user_id, verification_status, bbox, need } = req.query;
     
-    // Start building the query
-    let query = supabase.from('reports').select('*');
+    if (need && !aiSchemas.NEED_TYPES.includes(need)) {
+      return res.status(400).json({
+        error: 'Invalid need',
+        message: `need must be one of: ${aiSchemas.NEED_TYPES.join(', ')}`,
+      });
+    }
+    
+    let query;
+    if (bbox) {
+      const bounds = parseBbox(bbox);
+      
+      if (!bounds) {
+        return res.status(400).json({
+          error: 'Invalid bbox',
+          message: 'bbox should be "minLng,minLat,maxLng,maxLat" with min below max',
+        });
+      }
+      
+      const [minLng, minLat, maxLng, maxLat] = bounds;
+      query = supabase.rpc('get_reports_in_bbox', {
+        p_min_lng: minLng,
+        p_min_lat: minLat,
+        p_max_lng: maxLng,
+        p_max_lat: maxLat,
+      });
+    } else {
+      query = supabase.from('reports').select('*');
+    }
+    
+    // Soft-deleted reports live in the trash
+    query = query.is('deleted_at', null);
     
     // Apply filters if provided
     if (disaster_id) {
@@ -32,6 +95,10 @@ router.get('/', async (req, res) => {
       query = query.eq('verification_status', verification_status);
     }
     
+    if (need) {
+      query = query.contains('needs', [need]);
+    }
+    
     // Execute the query
     const { data, error } = await query;
     
@@ -44,7 +111,7 @@ router.get('/', async (req, res) => {
     }
     
     logger.info({ count: data.length }, 'Reports fetched successfully');
-    res.status(200).json(data);
+    res.status(200).json(await mediaService.withAttachments(data));
   } catch (error) {
     logger.error({ error }, 'Error in GET /reports');
     res.status(500).json({
@@ -54,6 +121,77 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/reports/trash
+ * @desc    List soft-deleted reports
+ * @access  Admin
+ */
+router.get('/trash', requirePermission('trash:manage'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('reports')
+      .select('*')
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+    
+    if (error) {
+      logger.error({ error }, 'Error fetching deleted reports');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info({ count: data.length }, 'Deleted reports fetched successfully');
+    res.status(200).json(softDeleteService.withRetentionInfo(data));
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /reports/trash');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reports/moderation-queue
+ * @desc    List pending reports the user can moderate, by disaster priority then age
+ * @access  Contributors and admins (the disaster's commander or field verifiers)
+ */
+router.get('/moderation-queue', requirePermission('report:verify'), async (req, res) => {
+  try {
+    const { disaster_id, unclaimed, limit } = req.query;
+    
+    const parsedLimit = limit === undefined ? moderationService.MAX_QUEUE_SIZE : parseInt(limit, 10);
+    
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+      return res.status(400).json({
+        error: 'Invalid limit',
+        message: `limit must be a positive integer (at most ${moderationService.MAX_QUEUE_SIZE})`,
+      });
+    }
+    
+    const reports = await moderationService.getQueue(req.user, {
+      disasterId: disaster_id,
+      unclaimedOnly: unclaimed === 'true',
+      limit: parsedLimit,
+    });
+    
+    logger.info({ userId: req.user.id, count: reports.length }, 'Moderation queue fetched successfully');
+    res.status(200).json({
+      reports: await mediaService.withAttachments(reports),
+      reason_codes: moderationService.REASON_CODES,
+      claim_ttl_minutes: moderationService.CLAIM_TTL_MINUTES,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /reports/moderation-queue');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/reports/:id
  * @desc    Get a single report by ID
@@ -67,6 +205,7 @@ router.get('/:id', async (req, res) => {
       .from('reports')
       .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (error) {
@@ -85,8 +224,10 @@ router.get('/:id', async (req, res) => {
       });
     }
     
+    const [report] = await mediaService.withAttachments([data]);
+    
     logger.info(`Report with ID ${id} fetched successfully`);
-    res.status(200).json(data);
+    res.status(200).json(report);
   } catch (error) {
     logger.error({ error }, 'Error in GET /reports/:id');
     res.status(500).json({
@@ -96,15 +237,169 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/reports/:id/history
+ * @desc    Get the audit timeline of a report with per-field changes
+ * @access  Public (authenticated)
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data, error } = await supabase
+      .from('reports')
+      .select('id, audit_trail')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+    
+    if (error) {
+      if (error.message.includes('No rows found')) {
+        logger.warn(`Report with ID ${id} not found`);
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Report with ID ${id} not found`,
+        });
+      }
+      
+      logger.error({ error }, `Error fetching history of report with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    const history = auditService.toTimeline(data.audit_trail);
+    
+    logger.info({ reportId: id, count: history.length }, 'Report history fetched successfully');
+    res.status(200).json({
+      report_id: id,
+      history,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /reports/:id/history');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reports/:id/revert/:entryIndex
+ * @desc    Restore a report to how it was right after the given audit entry
+ * @access  Admin
+ */
+router.post('/:id/revert/:entryIndex', requirePermission('history:revert'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entryIndex = Number(req.params.entryIndex);
+    
+    const { data: existingReport, error: fetchError } = await supabase
+      .from('reports')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+    
+    if (fetchError) {
+      if (fetchError.message.includes('No rows found')) {
+        logger.warn(`Report with ID ${id} not found`);
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Report with ID ${id} not found`,
+        });
+      }
+      
+      logger.error({ error: fetchError }, `Error fetching report with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: fetchError.message,
+      });
+    }
+    
+    const restored = auditService.getRevertData(existingReport, entryIndex, REVERTABLE_FIELDS);
+    
+    if (!restored) {
+      return res.status(400).json({
+        error: 'Invalid entry index',
+        message: `entryIndex must be between 0 and ${(existingReport.audit_trail || []).length - 1}`,
+      });
+    }
+    
+    const changes = auditService.diff(existingReport, restored);
+    
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to revert',
+        message: `Report already matches the version at entry ${entryIndex}`,
+      });
+    }
+    
+    const { data, error } = await supabase
+      .from('reports')
+      .update({
+        ...restored,
+        ...(changes.content ? await reportIntakeService.analyzeContent(restored.content) : {}),
+        audit_trail: auditService.append(
+          existingReport,
+          auditService.createEntry('revert', req.user.id, changes, { reverted_to: entryIndex })
+        ),
+      })
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      logger.error({ error }, `Error reverting report with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info({ reportId: id, entryIndex, fields: Object.keys(changes) }, 'Report reverted successfully');
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /reports/:id/revert/:entryIndex');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   POST /api/reports
- * @desc    Create a new report
+ * @desc    Create a new report; the content is translated into the working language, its needs, people count,
+ *          hazards and places are extracted from the translation and likely duplicates are grouped into a cluster
+ *          A request with an Idempotency-Key header that was already used returns the original report (200)
+ * @param   {Array<string>} media_ids - Optional uploads from POST /api/media to attach
  * @access  Public (authenticated)
  */
 router.post('/', async (req, res) => {
   try {
     // All authenticated users can create incident reports
-    const { disaster_id, content, image_url } = req.body;
+    const { disaster_id, content, image_url, latitude, longitude, location_name, media_ids = [] } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+    
+    if (idempotencyKey && !reportIntakeService.isValidIdempotencyKey(idempotencyKey)) {
+      return res.status(400).json({
+        error: 'Invalid Idempotency-Key',
+        message: 'Idempotency-Key must be 8 to 64 letters, digits, dashes or underscores',
+      });
+    }
+    
+    // A retry of a submission that already went through gets the original report back
+    if (idempotencyKey) {
+      const existing = await reportIntakeService.findByIdempotencyKey(req.user.id, idempotencyKey);
+      
+      if (existing) {
+        logger.info({ reportId: existing.id, idempotencyKey }, 'Replayed report submission');
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(200).json(existing);
+      }
+    }
     
     // Validate required fields
     if (!disaster_id || !content) {
@@ -114,11 +409,38 @@ router.post('/', async (req, res) => {
       });
     }
     
+    if (!Array.isArray(media_ids) || !media_ids.every((mediaId) => typeof mediaId === 'string')
+      || media_ids.length > mediaService.MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        error: 'Invalid media_ids',
+        message: `media_ids must be an array of at most ${mediaService.MAX_ATTACHMENTS} upload IDs`,
+      });
+    }
+    
+    let location;
+    try {
+      location = await reportIntakeService.resolveLocation({ latitude, longitude, locationName: location_name });
+    } catch (error) {
+      logger.error({ error }, 'Error geocoding report location');
+      return res.status(500).json({
+        error: 'Geocoding error',
+        message: error.message,
+      });
+    }
+    
+    if (location.code) {
+      return res.status(400).json({
+        error: location.code === 'invalid_coordinates' ? 'Invalid coordinates' : 'Invalid location',
+        message: location.message,
+      });
+    }
+    
     // Check if disaster exists
     const { data: disaster, error: disasterError } = await supabase
       .from('disasters')
       .select('id')
       .eq('id', disaster_id)
+      .is('deleted_at', null)
       .single();
     
     if (disasterError) {
@@ -137,21 +459,34 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // Insert the report into the database
-    const { data, error } = await supabase
-      .from('reports')
-      .insert({
-        disaster_id,
-        user_id: req.user.id,
-        content,
-        image_url: image_url || null,
-        verification_status: 'pending',
-        created_at: new Date().toISOString(),
-      })
-      .select()
-      .single();
+    // Only the reporter's own uploads that aren't on another report yet can be attached
+    const uniqueMediaIds = [...new Set(media_ids)];
+    const attachments = uniqueMediaIds.length > 0
+      ? await mediaService.getUnattached(uniqueMediaIds, req.user.id)
+      : [];
     
-    if (error) {
+    if (attachments.length !== uniqueMediaIds.length) {
+      return res.status(400).json({
+        error: 'Invalid media_ids',
+        message: 'Every upload must be yours and not attached to another report',
+      });
+    }
+    
+    // Without an image URL, the first uploaded image is the one verification looks at
+    const firstImage = attachments.find((media) => mediaService.isImage(media.content_type));
+    
+    let result;
+    try {
+      result = await reportIntakeService.create({
+        disasterId: disaster_id,
+        userId: req.user.id,
+        content,
+        imageUrl: image_url || firstImage?.url || null,
+        coordinates: location.coordinates,
+        locationName: location_name || null,
+        idempotencyKey,
+      });
+    } catch (error) {
       logger.error({ error }, 'Error creating report');
       return res.status(500).json({
         error: 'Database error',
@@ -159,8 +494,25 @@ router.post('/', async (req, res) => {
       });
     }
     
+    const { report: data, replayed, possibleDuplicate } = result;
+    
+    // A concurrent retry stored the report first
+    if (replayed) {
+      logger.info({ reportId: data.id, idempotencyKey }, 'Replayed report submission');
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(200).json(data);
+    }
+    
+    if (attachments.length > 0) {
+      await mediaService.attachToReport(uniqueMediaIds, data.id);
+    }
+    
     logger.info({ report: data }, 'Report created successfully');
-    res.status(201).json(data);
+    res.status(201).json({
+      ...data,
+      attachments: attachments.map((media) => ({ ...media, report_id: data.id })),
+      possible_duplicate: possibleDuplicate,
+    });
   } catch (error) {
     logger.error({ error }, 'Error in POST /reports');
     res.status(500).json({
@@ -180,11 +532,20 @@ router.put('/:id', async (req, res) => {
     const { id } = req.params;
     const { content, image_url, verification_status } = req.body;
     
+    // Verification goes through the moderation queue so every verdict has a moderator and a reason
+    if (verification_status !== undefined) {
+      return res.status(400).json({
+        error: 'Use moderation decision',
+        message: 'Verification status is set with POST /api/reports/:id/decision',
+      });
+    }
+    
     // First, fetch the current report to check ownership
     const { data: existingReport, error: fetchError } = await supabase
       .from('reports')
       .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (fetchError) {
@@ -203,8 +564,8 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    // Check ownership or admin role
-    if (existingReport.user_id !== req.user.id && req.user.role !== 'admin') {
+    // Check ownership or permission to edit any report
+    if (existingReport.user_id !== req.user.id && !permissions.can(req.user, 'report:update_any')) {
       logger.warn(`User ${req.user.id} not authorized to update report ${id}`);
       return res.status(403).json({
         error: 'Not authorized',
@@ -215,16 +576,17 @@ router.put('/:id', async (req, res) => {
     const updateData = {};
     if (content) updateData.content = content;
     if (image_url !== undefined) updateData.image_url = image_url;
-      // Only admins and contributors can update verification status
-    if (verification_status && (req.user.role === 'admin' || req.user.role === 'contributor')) {
-      updateData.verification_status = verification_status;
-    } else if (verification_status) {
-      // If user tries to update verification status without permission
-      logger.warn(`User ${req.user.id} with role ${req.user.role} not authorized to update verification status`);
-      return res.status(403).json({
-        error: 'Not authorized',
-        message: 'Only contributors and administrators can update verification status',
-      });
+    
+    // Record what changed, field by field, in the audit trail
+    const changes = auditService.diff(existingReport, updateData);
+    updateData.audit_trail = auditService.append(
+      existingReport,
+      auditService.createEntry('update', req.user.id, changes)
+    );
+    
+    // Keep the translation and extracted needs in step with edited content
+    if (changes.content) {
+      Object.assign(updateData, await reportIntakeService.analyzeContent(content));
     }
     
     // Update the report
@@ -254,9 +616,224 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Fetch a report that isn't deleted
+ * @param {string} id - Report ID
+ * @returns {Promise<{report: Object|null, error: Object|null}>} Lookup result
+ */
+const findReport = async (id) => {
+  const { data, error } = await supabase
+    .from('reports')
+    .select('*')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .maybeSingle();
+  
+  return { report: data, error };
+};
+
+/**
+ * @route   POST /api/reports/:id/claim
+ * @desc    Claim a pending report for review, or extend your claim; claims expire after MODERATION_CLAIM_MINUTES
+ * @access  Contributors and admins (the disaster's commander or field verifiers)
+ */
+router.post('/:id/claim', requirePermission('report:verify'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { report, error } = await findReport(id);
+    
+    if (error) {
+      logger.error({ error }, `Error fetching report with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    if (!report) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Report with ID ${id} not found`,
+      });
+    }
+    
+    if (!await teamService.canModerateDisaster(req.user, report.disaster_id, 'report:verify')) {
+      logger.warn(`User ${req.user.id} not authorized to moderate reports for disaster ${report.disaster_id}`);
+      return res.status(403).json({
+        error: 'Not authorized',
+        message: 'Only the disaster\'s commander or field verifiers can moderate its reports',
+      });
+    }
+    
+    if (report.verification_status !== 'pending') {
+      return res.status(409).json({
+        error: 'Already decided',
+        message: `Report has already been ${report.verification_status}`,
+      });
+    }
+    
+    const claimed = await moderationService.claim(id, req.user.id);
+    
+    if (!claimed) {
+      // Refetch so the response names whoever got there first
+      const { report: current } = await findReport(id);
+      return res.status(409).json({
+        error: 'Already claimed',
+        message: current?.claimed_by
+          ? `Report is claimed by ${current.claimed_by} until ${current.claim_expires_at}`
+          : 'Report is no longer pending',
+      });
+    }
+    
+    logger.info({ reportId: id, userId: req.user.id, expiresAt: claimed.claim_expires_at }, 'Report claimed');
+    res.status(200).json(claimed);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /reports/:id/claim');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/reports/:id/claim
+ * @desc    Release a claim so others can review the report
+ * @access  Claim holder (anyone's claim: admins)
+ */
+router.delete('/:id/claim', requirePermission('report:verify'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const released = await moderationService.release(
+      id,
+      req.user.id,
+      permissions.can(req.user, 'disaster:moderate_any')
+    );
+    
+    if (!released) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `You hold no claim on report ${id}`,
+      });
+    }
+    
+    logger.info({ reportId: id, userId: req.user.id }, 'Report claim released');
+    res.status(200).json(released);
+  } catch (error) {
+    logger.error({ error }, 'Error in DELETE /reports/:id/claim');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reports/:id/decision
+ * @desc    Verify or reject a pending report with a reason code and optional notes
+ * @access  Contributors and admins (the disaster's commander or field verifiers)
+ */
+router.post('/:id/decision', requirePermission('report:verify'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { verdict, reason_code, notes } = req.body;
+    
+    if (!moderationService.isValidVerdict(verdict)) {
+      return res.status(400).json({
+        error: 'Invalid verdict',
+        message: `Verdict must be one of: ${moderationService.VERDICTS.join(', ')}`,
+      });
+    }
+    
+    if (!moderationService.isValidReasonCode(verdict, reason_code)) {
+      return res.status(400).json({
+        error: 'Invalid reason code',
+        message: `Reason code for ${verdict} must be one of: ${moderationService.REASON_CODES[verdict].join(', ')}`,
+      });
+    }
+    
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid notes',
+        message: 'notes must be a string',
+      });
+    }
+    
+    const { report, error } = await findReport(id);
+    
+    if (error) {
+      logger.error({ error }, `Error fetching report with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    if (!report) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Report with ID ${id} not found`,
+      });
+    }
+    
+    if (!await teamService.canModerateDisaster(req.user, report.disaster_id, 'report:verify')) {
+      logger.warn(`User ${req.user.id} not authorized to moderate reports for disaster ${report.disaster_id}`);
+      return res.status(403).json({
+        error: 'Not authorized',
+        message: 'Only the disaster\'s commander or field verifiers can moderate its reports',
+      });
+    }
+    
+    if (report.verification_status !== 'pending') {
+      return res.status(409).json({
+        error: 'Already decided',
+        message: `Report has already been ${report.verification_status}`,
+      });
+    }
+    
+    if (report.claimed_by !== req.user.id && moderationService.isClaimActive(report)) {
+      return res.status(409).json({
+        error: 'Already claimed',
+        message: `Report is claimed by ${report.claimed_by} until ${report.claim_expires_at}`,
+      });
+    }
+    
+    const data = await moderationService.decide(report, req.user.id, {
+      verdict,
+      reasonCode: reason_code,
+      notes: notes?.trim(),
+    });
+    
+    if (!data) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Report was decided or claimed by someone else in the meantime',
+      });
+    }
+    
+    logger.info({ reportId: id, verdict, reasonCode: reason_code, moderatedBy: req.user.id }, 'Report moderated');
+    
+    // Alert subscribers and partner webhooks in the background; delivery doesn't hold up the response
+    if (verdict === 'verified') {
+      alertDispatcher.notify('report_verified', { disasterId: data.disaster_id, report: data });
+      webhookService.publish('report.verified', { report: data });
+    }
+    
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /reports/:id/decision');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/reports/:id
- * @desc    Delete a report
+ * @desc    Move a report to the trash
  * @access  Owner, Admin
  */
 router.delete('/:id', async (req, res) => {
@@ -268,6 +845,7 @@ router.delete('/:id', async (req, res) => {
       .from('reports')
       .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (fetchError) {
@@ -286,8 +864,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Check ownership or admin role
-    if (existingReport.user_id !== req.user.id && req.user.role !== 'admin') {
+    // Check ownership or permission to delete any report
+    if (existingReport.user_id !== req.user.id && !permissions.can(req.user, 'report:delete_any')) {
       logger.warn(`User ${req.user.id} not authorized to delete report ${id}`);
       return res.status(403).json({
         error: 'Not authorized',
@@ -295,10 +873,15 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Delete the report
+    // Move the report to the trash
+    const deletedFields = softDeleteService.markDeleted(req.user.id);
+    
     const { error } = await supabase
       .from('reports')
-      .delete()
+      .update({
+        ...deletedFields,
+        audit_trail: auditService.append(existingReport, auditService.createEntry('delete', req.user.id)),
+      })
       .eq('id', id);
     
     if (error) {
@@ -309,9 +892,10 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    logger.info(`Report with ID ${id} deleted successfully`);
+    logger.info(`Report with ID ${id} moved to trash`);
     res.status(200).json({
       message: `Report with ID ${id} deleted successfully`,
+      purge_available_at: softDeleteService.getPurgeAvailableAt(deletedFields).toISOString(),
     });
   } catch (error) {
     logger.error({ error }, 'Error in DELETE /reports/:id');
@@ -322,4 +906,144 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/reports/:id/restore
+ * @desc    Restore a report from the trash
+ * @access  Admin
+ */
+router.post('/:id/restore', requirePermission('trash:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: deletedReport, error: fetchError } = await supabase
+      .from('reports')
+      .select('*')
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .single();
+    
+    if (fetchError) {
+      if (fetchError.message.includes('No rows found')) {
+        logger.warn(`Deleted report with ID ${id} not found`);
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Report with ID ${id} is not in the trash`,
+        });
+      }
+      
+      logger.error({ error: fetchError }, `Error fetching deleted report with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: fetchError.message,
+      });
+    }
+    
+    // A report can't come back while its disaster is still in the trash
+    const { data: disaster } = await supabase
+      .from('disasters')
+      .select('id, deleted_at')
+      .eq('id', deletedReport.disaster_id)
+      .single();
+    
+    if (!disaster || disaster.deleted_at) {
+      return res.status(409).json({
+        error: 'Disaster deleted',
+        message: 'Restore the disaster this report belongs to first',
+      });
+    }
+    
+    const { data, error } = await supabase
+      .from('reports')
+      .update({
+        ...softDeleteService.markRestored(),
+        audit_trail: auditService.append(deletedReport, auditService.createEntry('restore', req.user.id)),
+      })
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      logger.error({ error }, `Error restoring report with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info(`Report with ID ${id} restored`);
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /reports/:id/restore');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/reports/:id/purge
+ * @desc    Permanently delete a trashed report once its retention period has passed
+ * @access  Admin
+ */
+router.delete('/:id/purge', requirePermission('trash:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: deletedReport, error: fetchError } = await supabase
+      .from('reports')
+      .select('id, deleted_at')
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .single();
+    
+    if (fetchError) {
+      if (fetchError.message.includes('No rows found')) {
+        logger.warn(`Deleted report with ID ${id} not found`);
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Report with ID ${id} is not in the trash`,
+        });
+      }
+      
+      logger.error({ error: fetchError }, `Error fetching deleted report with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: fetchError.message,
+      });
+    }
+    
+    if (!softDeleteService.isPurgeable(deletedReport)) {
+      return res.status(409).json({
+        error: 'Retention period not over',
+        message: `Report can be purged after ${softDeleteService.getPurgeAvailableAt(deletedReport).toISOString()}`,
+      });
+    }
+    
+    const { error } = await supabase
+      .from('reports')
+      .delete()
+      .eq('id', id);
+    
+    if (error) {
+      logger.error({ error }, `Error purging report with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info(`Report with ID ${id} purged by ${req.user.id}`);
+    res.status(200).json({
+      message: `Report with ID ${id} permanently deleted`,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in DELETE /reports/:id/purge');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 module.exports = router;
@@ -2,11 +2,28 @@ const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
 const logger = require('../utils/logger');
-const { mockAuth, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const geocodingService = require('../utils/geocodingService');
+const auditService = require('../utils/auditService');
+const softDeleteService = require('../utils/softDeleteService');
+const teamService = require('../utils/teamService');
+const realtimeService = require('../utils/realtimeService');
+const webhookService = require('../utils/webhookService');
+
+// Fields an admin can restore from the audit trail
+const REVERTABLE_FIELDS = [
+  'name',
+  'location_name',
+  'location',
+  'type',
+  'description',
+  'availability_status',
+  'contact_info',
+  'capacity',
+];
 
 // Apply authentication middleware to all routes
-router.use(mockAuth);
+router.use(authenticate);
 
 /**
  * @route   GET /api/disasters/:id/resources
@@ -176,19 +193,10 @@ router.get('/', async (req, res) => {
 /**
  * @route   POST /api/resources
  * @desc    Create a new resource (independent of disasters)
- * @access  Contributors and Admins only
+ * @access  Admins, or contributors on the commander/logistics team of a disaster covering the resource
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('resource:create'), async (req, res) => {
   try {
-    // Check if user has permission to create resources (contributors and admins only)
-    if (req.user.role !== 'admin' && req.user.role !== 'contributor') {
-      logger.warn(`User ${req.user.id} with role ${req.user.role} not authorized to create resources`);
-      return res.status(403).json({
-        error: 'Not authorized',
-        message: 'Only contributors and administrators can create resources',
-      });
-    }
-
     const { 
       name, 
       location_name, 
@@ -226,12 +234,22 @@ router.post('/', async (req, res) => {
       });
     }
     
+    // Resources can only be added inside a disaster area the user is a commander or logistics lead for
+    if (!(await teamService.canModerateLocation(req.user, coordinates, 'resource:create'))) {
+      logger.warn(`User ${req.user.id} not authorized to create resources at ${location_name}`);
+      return res.status(403).json({
+        error: 'Not authorized',
+        message: 'You can only add resources inside the area of a disaster you are assigned to as commander or logistics',
+      });
+    }
+    
     // Create the resource with geometry
     const resourceData = {
       name,
       location_name,
       type,
       location: `POINT(${coordinates.lng} ${coordinates.lat})`,
+      audit_trail: [auditService.createEntry('create', req.user.id)],
     };
     
     // Add optional fields if provided
@@ -270,8 +288,14 @@ router.post('/', async (req, res) => {
     
     const createdResource = resourceWithLocation[0];
     
-    // Emit socket event for real-time updates
-    req.io.emit('resources_updated', {
+    // Emit socket event to the resources feed and the rooms covering its location
+    await realtimeService.emitResourceEvent([createdResource], 'resources_updated', {
+      action: 'create',
+      resource: createdResource,
+    });
+    
+    // Notify partner webhooks in the background
+    webhookService.publish('resource.updated', {
       action: 'create',
       resource: createdResource,
     });
@@ -292,6 +316,38 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/resources/trash
+ * @desc    List soft-deleted resources
+ * @access  Admins only
+ */
+router.get('/trash', requirePermission('trash:manage'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('resources')
+      .select('id, name, location_name, type, description, availability_status, deleted_at, deleted_by, created_at')
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+    
+    if (error) {
+      logger.error({ error }, 'Error fetching deleted resources');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info({ count: data.length }, 'Deleted resources fetched successfully');
+    res.status(200).json(softDeleteService.withRetentionInfo(data));
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /resources/trash');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/resources/:id
  * @desc    Get a specific resource by ID
@@ -332,21 +388,169 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/resources/:id/history
+ * @desc    Get the audit timeline of a resource with per-field changes
+ * @access  Public (authenticated)
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data, error } = await supabase
+      .from('resources')
+      .select('id, audit_trail')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+    
+    if (error) {
+      if (error.message.includes('No rows found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Resource with ID ${id} not found`,
+        });
+      }
+      
+      logger.error({ error }, 'Error fetching resource history');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    const history = auditService.toTimeline(data.audit_trail);
+    
+    logger.info({ resourceId: id, count: history.length }, 'Resource history fetched successfully');
+    res.status(200).json({
+      resource_id: id,
+      history,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /resources/:id/history');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/resources/:id/revert/:entryIndex
+ * @desc    Restore a resource to how it was right after the given audit entry
+ * @access  Admins only
+ */
+router.post('/:id/revert/:entryIndex', requirePermission('history:revert'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entryIndex = Number(req.params.entryIndex);
+    
+    const { data: existingResource, error: resourceError } = await supabase
+      .from('resources')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+    
+    if (resourceError) {
+      if (resourceError.message.includes('No rows found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Resource with ID ${id} not found`,
+        });
+      }
+      
+      logger.error({ error: resourceError }, 'Error checking resource existence');
+      return res.status(500).json({
+        error: 'Database error',
+        message: resourceError.message,
+      });
+    }
+    
+    const restored = auditService.getRevertData(existingResource, entryIndex, REVERTABLE_FIELDS);
+    
+    if (!restored) {
+      return res.status(400).json({
+        error: 'Invalid entry index',
+        message: `entryIndex must be between 0 and ${(existingResource.audit_trail || []).length - 1}`,
+      });
+    }
+    
+    const changes = auditService.diff(existingResource, restored);
+    
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to revert',
+        message: `Resource already matches the version at entry ${entryIndex}`,
+      });
+    }
+    
+    const { error } = await supabase
+      .from('resources')
+      .update({
+        ...restored,
+        audit_trail: auditService.append(
+          existingResource,
+          auditService.createEntry('revert', req.user.id, changes, { reverted_to: entryIndex })
+        ),
+      })
+      .eq('id', id);
+    
+    if (error) {
+      logger.error({ error }, 'Error reverting resource');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    // Fetch the reverted resource with properly formatted location data
+    const { data: revertedResourceWithLocation, error: fetchError } = await supabase
+      .rpc('get_resource_with_text_location', {
+        p_resource_id: id
+      });
+    
+    if (fetchError || !revertedResourceWithLocation || revertedResourceWithLocation.length === 0) {
+      logger.error({ error: fetchError }, 'Error fetching reverted resource');
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Resource reverted but could not fetch details',
+      });
+    }
+    
+    const revertedResource = revertedResourceWithLocation[0];
+    
+    // Emit socket event to the resources feed and the rooms covering its location
+    await realtimeService.emitResourceEvent([revertedResource], 'resources_updated', {
+      action: 'update',
+      resource: revertedResource,
+    });
+    
+    // Notify partner webhooks in the background
+    webhookService.publish('resource.updated', {
+      action: 'update',
+      resource: revertedResource,
+    });
+    
+    logger.info({ resourceId: id, entryIndex, fields: Object.keys(changes) }, 'Resource reverted successfully');
+    res.status(200).json(revertedResource);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /resources/:id/revert/:entryIndex');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route   PUT /api/resources/:id
  * @desc    Update a resource
- * @access  Contributors and Admins only
+ * @access  Admins, or contributors on the commander/logistics team of a disaster covering the resource
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('resource:update'), async (req, res) => {
   try {
-    // Check if user has permission to update resources (contributors and admins only)
-    if (req.user.role !== 'admin' && req.user.role !== 'contributor') {
-      logger.warn(`User ${req.user.id} with role ${req.user.role} not authorized to update resources`);
-      return res.status(403).json({
-        error: 'Not authorized',
-        message: 'Only contributors and administrators can update resources',
-      });
-    }    const { id } = req.params;
+    const { id } = req.params;
     const { 
       name, 
       location_name, 
@@ -360,8 +564,9 @@ router.put('/:id', async (req, res) => {
     // Check if resource exists
     const { data: existingResource, error: resourceError } = await supabase
       .from('resources')
-      .select('id, location_name')
+      .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (resourceError) {
@@ -379,6 +584,29 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    // Only the teams of disasters covering the resource may edit it
+    const { data: currentLocation, error: locationError } = await supabase
+      .rpc('get_resource_with_text_location', {
+        p_resource_id: id
+      });
+    
+    if (locationError || !currentLocation || currentLocation.length === 0) {
+      logger.error({ error: locationError }, 'Error fetching resource location');
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Could not fetch resource location',
+      });
+    }
+    
+    const { latitude, longitude } = currentLocation[0];
+    if (!(await teamService.canModerateLocation(req.user, { lat: latitude, lng: longitude }, 'resource:update'))) {
+      logger.warn(`User ${req.user.id} not authorized to update resource ${id}`);
+      return res.status(403).json({
+        error: 'Not authorized',
+        message: 'You can only edit resources inside the area of a disaster you are assigned to as commander or logistics',
+      });
+    }
+    
     // Prepare update data
     const updateData = {};
     if (name) updateData.name = name;
@@ -389,6 +617,7 @@ router.put('/:id', async (req, res) => {
     if (capacity !== undefined) updateData.capacity = capacity;
     
     // If location changed, geocode the new location
+    let newCoordinates = null;
     if (location_name && location_name !== existingResource.location_name) {
       updateData.location_name = location_name;
       
@@ -396,6 +625,7 @@ router.put('/:id', async (req, res) => {
       try {
         const coordinates = await geocodingService.geocode(location_name);
         if (coordinates) {
+          newCoordinates = coordinates;
           updateData.location = `POINT(${coordinates.lng} ${coordinates.lat})`;
         } else {
           return res.status(400).json({
@@ -412,6 +642,21 @@ router.put('/:id', async (req, res) => {
       }
     }
     
+    // Moving a resource must keep it inside an area the user is responsible for
+    if (newCoordinates && !(await teamService.canModerateLocation(req.user, newCoordinates, 'resource:update'))) {
+      return res.status(403).json({
+        error: 'Not authorized',
+        message: 'You can only move resources inside the area of a disaster you are assigned to as commander or logistics',
+      });
+    }
+    
+    // Record what changed, field by field, in the audit trail
+    const changes = auditService.diff(existingResource, updateData);
+    updateData.audit_trail = auditService.append(
+      existingResource,
+      auditService.createEntry('update', req.user.id, changes)
+    );
+    
     // Update the resource
     const { data, error } = await supabase
       .from('resources')
@@ -444,8 +689,14 @@ router.put('/:id', async (req, res) => {
     
     const updatedResource = updatedResourceWithLocation[0];
     
-    // Emit socket event for real-time updates
-    req.io.emit('resources_updated', {
+    // Emit socket event to the resources feed and the rooms covering its old and new location
+    await realtimeService.emitResourceEvent([currentLocation[0], updatedResource], 'resources_updated', {
+      action: 'update',
+      resource: updatedResource,
+    });
+    
+    // Notify partner webhooks in the background
+    webhookService.publish('resource.updated', {
       action: 'update',
       resource: updatedResource,
     });
@@ -463,27 +714,19 @@ router.put('/:id', async (req, res) => {
 
 /**
  * @route   DELETE /api/resources/:id
- * @desc    Delete a resource
+ * @desc    Move a resource to the trash
  * @access  Admins only
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('resource:delete'), async (req, res) => {
   try {
-    // Check if user has permission to delete resources (admins only)
-    if (req.user.role !== 'admin') {
-      logger.warn(`User ${req.user.id} with role ${req.user.role} not authorized to delete resources`);
-      return res.status(403).json({
-        error: 'Not authorized',
-        message: 'Only administrators can delete resources',
-      });
-    }
-
     const { id } = req.params;
     
     // Check if resource exists
     const { data: existingResource, error: resourceError } = await supabase
       .from('resources')
-      .select('id')
+      .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (resourceError) {
@@ -501,10 +744,29 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Delete the resource
+    // Look up the location while the resource is still live, to notify the rooms covering it
+    const { data: resourceLocation, error: locationError } = await supabase
+      .rpc('get_resource_with_text_location', {
+        p_resource_id: id
+      });
+    
+    if (locationError) {
+      logger.error({ error: locationError }, 'Error fetching resource location');
+      return res.status(500).json({
+        error: 'Database error',
+        message: locationError.message,
+      });
+    }
+    
+    // Move the resource to the trash
+    const deletedFields = softDeleteService.markDeleted(req.user.id);
+    
     const { error } = await supabase
       .from('resources')
-      .delete()
+      .update({
+        ...deletedFields,
+        audit_trail: auditService.append(existingResource, auditService.createEntry('delete', req.user.id)),
+      })
       .eq('id', id);
     
     if (error) {
@@ -515,16 +777,23 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Emit socket event for real-time updates
-    req.io.emit('resources_updated', {
+    // Emit socket event to the resources feed and the rooms covering its location
+    await realtimeService.emitResourceEvent(resourceLocation, 'resources_updated', {
+      action: 'delete',
+      resource_id: id,
+    });
+    
+    // Notify partner webhooks in the background
+    webhookService.publish('resource.updated', {
       action: 'delete',
       resource_id: id,
     });
     
-    logger.info({ resourceId: id }, 'Resource deleted successfully');
+    logger.info({ resourceId: id }, 'Resource moved to trash');
     res.status(200).json({
       message: 'Resource deleted successfully',
       id: id,
+      purge_available_at: softDeleteService.getPurgeAvailableAt(deletedFields).toISOString(),
     });
   } catch (error) {
     logger.error({ error }, 'Error in DELETE /resources/:id');
@@ -535,6 +804,157 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/resources/:id/restore
+ * @desc    Restore a resource from the trash
+ * @access  Admins only
+ */
+router.post('/:id/restore', requirePermission('trash:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: deletedResource, error: resourceError } = await supabase
+      .from('resources')
+      .select('*')
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .single();
+    
+    if (resourceError) {
+      if (resourceError.message.includes('No rows found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Resource with ID ${id} is not in the trash`,
+        });
+      }
+      
+      logger.error({ error: resourceError }, 'Error fetching deleted resource');
+      return res.status(500).json({
+        error: 'Database error',
+        message: resourceError.message,
+      });
+    }
+    
+    const { error } = await supabase
+      .from('resources')
+      .update({
+        ...softDeleteService.markRestored(),
+        audit_trail: auditService.append(deletedResource, auditService.createEntry('restore', req.user.id)),
+      })
+      .eq('id', id);
+    
+    if (error) {
+      logger.error({ error }, 'Error restoring resource');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    // Fetch the restored resource with properly formatted location data
+    const { data: restoredResourceWithLocation, error: fetchError } = await supabase
+      .rpc('get_resource_with_text_location', {
+        p_resource_id: id
+      });
+    
+    if (fetchError || !restoredResourceWithLocation || restoredResourceWithLocation.length === 0) {
+      logger.error({ error: fetchError }, 'Error fetching restored resource');
+      return res.status(500).json({
+        error: 'Database error',
+        message: 'Resource restored but could not fetch details',
+      });
+    }
+    
+    const restoredResource = restoredResourceWithLocation[0];
+    
+    // Emit socket event to the resources feed and the rooms covering its location
+    await realtimeService.emitResourceEvent([restoredResource], 'resources_updated', {
+      action: 'create',
+      resource: restoredResource,
+    });
+    
+    // Notify partner webhooks in the background
+    webhookService.publish('resource.updated', {
+      action: 'create',
+      resource: restoredResource,
+    });
+    
+    logger.info({ resourceId: id }, 'Resource restored successfully');
+    res.status(200).json(restoredResource);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /resources/:id/restore');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/resources/:id/purge
+ * @desc    Permanently delete a trashed resource once its retention period has passed
+ * @access  Admins only
+ */
+router.delete('/:id/purge', requirePermission('trash:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: deletedResource, error: resourceError } = await supabase
+      .from('resources')
+      .select('id, deleted_at')
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .single();
+    
+    if (resourceError) {
+      if (resourceError.message.includes('No rows found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Resource with ID ${id} is not in the trash`,
+        });
+      }
+      
+      logger.error({ error: resourceError }, 'Error fetching deleted resource');
+      return res.status(500).json({
+        error: 'Database error',
+        message: resourceError.message,
+      });
+    }
+    
+    if (!softDeleteService.isPurgeable(deletedResource)) {
+      return res.status(409).json({
+        error: 'Retention period not over',
+        message: `Resource can be purged after ${softDeleteService.getPurgeAvailableAt(deletedResource).toISOString()}`,
+      });
+    }
+    
+    const { error } = await supabase
+      .from('resources')
+      .delete()
+      .eq('id', id);
+    
+    if (error) {
+      logger.error({ error }, 'Error purging resource');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+    
+    logger.info({ resourceId: id, userId: req.user.id }, 'Resource purged');
+    res.status(200).json({
+      message: 'Resource permanently deleted',
+      id: id,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in DELETE /resources/:id/purge');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
 // ============================================================================
 // DISASTER-SPECIFIC RESOURCE ROUTES (for finding resources near disasters)
 // ============================================================================
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const logger = require('../utils/logger');
+const smsGateway = require('../config/smsGateway');
+const smsReportService = require('../utils/smsReportService');
+const createRateLimitStore = require('../utils/rateLimitStore');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Sent when a message can't be handled, so the sender isn't left without an answer
+const FAILURE_REPLY = 'Sorry, your message could not be processed. Please try again later.';
+
+// Per-IP limiter for inbound webhooks, which skip the global limiter; generous because a gateway relays
+// every sender's messages from a few addresses, while each sender is also limited in smsReportService
+const inboundLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.SMS_INBOUND_PER_IP_PER_MINUTE || 300, 10),
+  store: createRateLimitStore('sms-inbound'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: 'Too many requests',
+    message: 'Too many inbound messages from this address, please try again later',
+  },
+});
+
+/**
+ * @route   POST /api/sms/inbound
+ * @desc    Webhook for inbound SMS from the configured gateway (SMS_GATEWAY); keyword messages become reports
+ *          and the reply confirms them with a reference number
+ * @access  Public (signed by the gateway)
+ */
+router.post('/inbound', inboundLimiter, express.urlencoded({ extended: false }), async (req, res) => {
+  if (!smsGateway.verify(req)) {
+    logger.warn(`Rejected inbound SMS with an invalid ${smsGateway.name} signature`);
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Invalid gateway signature',
+    });
+  }
+
+  const message = smsGateway.parseInbound(req);
+
+  if (!message) {
+    return res.status(400).json({
+      error: 'Invalid message',
+      message: 'The request does not contain a message',
+    });
+  }
+
+  try {
+    const { reply } = await smsReportService.handleMessage(message);
+    smsGateway.reply(res, reply);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /sms/inbound');
+    smsGateway.reply(res, FAILURE_REPLY);
+  }
+});
+
+// Apply authentication middleware
+router.use(authenticate);
+
+/**
+ * @route   POST /api/sms/simulate
+ * @desc    Handle a message as if it had arrived from { from, text }, without a gateway; returns { reply, report_id }
+ * @access  Admins only
+ */
+router.post('/simulate', requirePermission('sms:simulate'), async (req, res) => {
+  try {
+    const { from, text } = req.body;
+
+    if (typeof from !== 'string' || !from.trim() || typeof text !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'from and text are required',
+      });
+    }
+
+    const { reply, report } = await smsReportService.handleMessage({ from: from.trim(), text, messageId: null });
+
+    res.status(200).json({ reply, report_id: report?.id || null });
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /sms/simulate');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/sms/outbox
+ * @desc    Messages the simulator gateway has sent, newest first
+ * @access  Admins only
+ */
+router.get('/outbox', requirePermission('sms:simulate'), (req, res) => {
+  if (!smsGateway.getOutbox) {
+    return res.status(404).json({
+      error: 'Not available',
+      message: `The ${smsGateway.name} gateway has no local outbox`,
+    });
+  }
+
+  res.status(200).json(smsGateway.getOutbox());
+});
+
+module.exports = router;
@@ -1,12 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { mockAuth } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
 const mockTwitterService = require('../utils/mockTwitterService');
+const realtimeService = require('../utils/realtimeService');
 const supabase = require('../config/supabase');
 
 // Apply authentication middleware
-router.use(mockAuth);
+router.use(authenticate);
 
 /**
  * @route   GET /api/disasters/:id/social-media
@@ -23,6 +24,7 @@ router.get('/:id/social-media', async (req, res) => {
       .from('disasters')
       .select('tags')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (disasterError) {
@@ -48,8 +50,8 @@ router.get('/:id/social-media', async (req, res) => {
       include_replies === 'true'
     );
     
-    // Emit socket event for real-time updates
-    req.io.emit('social_media_updated', {
+    // Emit socket event to the disaster's room
+    await realtimeService.emitToDisaster(id, 'social_media_updated', {
       disaster_id: id,
       count: posts.length,
     });
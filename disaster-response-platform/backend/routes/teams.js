@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const teamService = require('../utils/teamService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Apply authentication middleware
+router.use(authenticate);
+
+/**
+ * Check that a disaster exists and isn't deleted
+ * @param {string} id - Disaster ID
+ * @returns {Promise<{found: boolean, error: Object|null}>} Lookup result
+ */
+const findDisaster = async (id) => {
+  const { data, error } = await supabase
+    .from('disasters')
+    .select('id')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  return { found: Boolean(data), error };
+};
+
+/**
+ * @route   GET /api/disasters/:id/team
+ * @desc    Get the response team assigned to a disaster
+ * @access  Public (authenticated)
+ */
+router.get('/:id/team', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { found, error } = await findDisaster(id);
+
+    if (error) {
+      logger.error({ error }, `Error fetching disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    if (!found) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Disaster with ID ${id} not found`,
+      });
+    }
+
+    const team = await teamService.getTeam(id);
+
+    logger.info({ disasterId: id, count: team.length }, 'Disaster team fetched successfully');
+    res.status(200).json({
+      disaster_id: id,
+      team,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /disasters/:id/team');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/disasters/:id/team
+ * @desc    Assign a user to a disaster's team, or change their incident role
+ * @access  Admins only
+ */
+router.post('/:id/team', requirePermission('team:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { user_id, incident_role } = req.body;
+
+    if (!user_id || !incident_role) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'user_id and incident_role are required',
+      });
+    }
+
+    if (!teamService.isValidIncidentRole(incident_role)) {
+      return res.status(400).json({
+        error: 'Invalid incident role',
+        message: `Incident role must be one of: ${teamService.INCIDENT_ROLES.join(', ')}`,
+      });
+    }
+
+    const { found, error: disasterError } = await findDisaster(id);
+
+    if (disasterError) {
+      logger.error({ error: disasterError }, `Error fetching disaster with ID ${id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: disasterError.message,
+      });
+    }
+
+    if (!found) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Disaster with ID ${id} not found`,
+      });
+    }
+
+    const { data: member, error: userError } = await supabase
+      .from('users')
+      .select('id, active')
+      .eq('id', user_id)
+      .maybeSingle();
+
+    if (userError) {
+      logger.error({ error: userError }, `Error fetching user ${user_id}`);
+      return res.status(500).json({
+        error: 'Database error',
+        message: userError.message,
+      });
+    }
+
+    if (!member || !member.active) {
+      return res.status(400).json({
+        error: 'Invalid user',
+        message: `User ${user_id} does not exist or is deactivated`,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('disaster_assignments')
+      .upsert(
+        {
+          disaster_id: id,
+          user_id,
+          incident_role,
+          assigned_by: req.user.id,
+        },
+        { onConflict: 'disaster_id,user_id' }
+      )
+      .select('*')
+      .single();
+
+    if (error) {
+      logger.error({ error }, 'Error assigning team member');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    logger.info({ disasterId: id, userId: user_id, incidentRole: incident_role, assignedBy: req.user.id }, 'Team member assigned');
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /disasters/:id/team');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/disasters/:id/team/:userId
+ * @desc    Remove a user from a disaster's team
+ * @access  Admins only
+ */
+router.delete('/:id/team/:userId', requirePermission('team:manage'), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const { data, error } = await supabase
+      .from('disaster_assignments')
+      .delete()
+      .eq('disaster_id', id)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      logger.error({ error }, 'Error removing team member');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `User ${userId} is not on the team for disaster ${id}`,
+      });
+    }
+
+    logger.info({ disasterId: id, userId, removedBy: req.user.id }, 'Team member removed');
+    res.status(200).json({
+      message: 'Team member removed successfully',
+      disaster_id: id,
+      user_id: userId,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in DELETE /disasters/:id/team/:userId');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
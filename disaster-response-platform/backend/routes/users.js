@@ -0,0 +1,323 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const authService = require('../utils/authService');
+const reportIntakeService = require('../utils/reportIntakeService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Columns safe to return to clients (never password_hash)
+const USER_COLUMNS = 'id, name, role, active, created_at';
+
+// Usernames appear in URLs, logs and audit trails, so they are kept to a safe set of characters
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+
+// Apply authentication middleware to all routes, user administration is admin only
+router.use(authenticate);
+router.use(requirePermission('user:manage'));
+
+/**
+ * Write a role change to the role audit log
+ * @param {string} userId - User whose role changed
+ * @param {string|null} fromRole - Previous role (null for new users)
+ * @param {string} toRole - New role
+ * @param {string} changedBy - Admin making the change
+ * @param {string} [reason] - Optional reason
+ * @returns {Promise<void>}
+ */
+const logRoleChange = async (userId, fromRole, toRole, changedBy, reason) => {
+  const { error } = await supabase
+    .from('role_audit_log')
+    .insert({
+      user_id: userId,
+      from_role: fromRole,
+      to_role: toRole,
+      changed_by: changedBy,
+      reason: reason || null,
+    });
+
+  if (error) {
+    throw new Error(`Could not write role audit log: ${error.message}`);
+  }
+};
+
+/**
+ * @route   GET /api/users
+ * @desc    List users
+ * @access  Admins only
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { role, active } = req.query;
+
+    let query = supabase.from('users').select(USER_COLUMNS);
+
+    if (role) {
+      query = query.eq('role', role);
+    }
+
+    if (active !== undefined) {
+      query = query.eq('active', active === 'true');
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error({ error }, 'Error fetching users');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    logger.info({ count: data.length }, 'Users fetched successfully');
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /users');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/users
+ * @desc    Create a user
+ * @access  Admins only
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { id, name, password, role = 'user' } = req.body;
+
+    if (!id || !name || !password) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Username (id), name and password are required',
+      });
+    }
+
+    if (typeof id !== 'string' || !USERNAME_PATTERN.test(id)) {
+      return res.status(400).json({
+        error: 'Invalid username',
+        message: 'Username (id) must be 3 to 32 letters, digits, dots, dashes or underscores',
+      });
+    }
+
+    if (reportIntakeService.isReservedUserId(id)) {
+      return res.status(400).json({
+        error: 'Reserved username',
+        message: `${id} is reserved for reports submitted without an account`,
+      });
+    }
+
+    if (!authService.ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: `Role must be one of: ${authService.ROLES.join(', ')}`,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .insert({
+        id,
+        name,
+        role,
+        password_hash: await authService.hashPassword(password),
+      })
+      .select(USER_COLUMNS)
+      .single();
+
+    if (error) {
+      // Unique violation on the primary key
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'User exists',
+          message: `A user with username ${id} already exists`,
+        });
+      }
+
+      logger.error({ error }, 'Error creating user');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    await logRoleChange(data.id, null, data.role, req.user.id, 'User created');
+
+    logger.info({ userId: data.id, role: data.role, createdBy: req.user.id }, 'User created successfully');
+    res.status(201).json(data);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /users');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/users/:id/role
+ * @desc    Change a user's role
+ * @access  Admins only
+ */
+router.put('/:id/role', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, reason } = req.body;
+
+    if (!authService.ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: `Role must be one of: ${authService.ROLES.join(', ')}`,
+      });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        error: 'Invalid operation',
+        message: 'You cannot change your own role',
+      });
+    }
+
+    // The role and its audit log entry are written in one transaction
+    const { data, error } = await supabase
+      .rpc('change_user_role', {
+        p_user_id: id,
+        p_role: role,
+        p_changed_by: req.user.id,
+        p_reason: reason || null,
+      });
+
+    if (error) {
+      logger.error({ error }, 'Error updating user role');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `User with ID ${id} not found`,
+      });
+    }
+
+    const [{ from_role: fromRole, ...user }] = data;
+
+    if (fromRole !== role) {
+      logger.info({ userId: id, from: fromRole, to: role, changedBy: req.user.id }, 'User role changed');
+    }
+
+    res.status(200).json(user);
+  } catch (error) {
+    logger.error({ error }, 'Error in PUT /users/:id/role');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/users/:id/active
+ * @desc    Deactivate or reactivate a user
+ * @access  Admins only
+ */
+router.put('/:id/active', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { active } = req.body;
+
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid value',
+        message: 'active must be true or false',
+      });
+    }
+
+    if (id === req.user.id && !active) {
+      return res.status(400).json({
+        error: 'Invalid operation',
+        message: 'You cannot deactivate your own account',
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .update({ active })
+      .eq('id', id)
+      .select(USER_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.message.includes('No rows found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `User with ID ${id} not found`,
+        });
+      }
+
+      logger.error({ error }, 'Error updating user status');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    // Sign a deactivated user out everywhere
+    if (!active) {
+      await authService.revokeUserSessions(id);
+    }
+
+    logger.info({ userId: id, active, changedBy: req.user.id }, 'User active status changed');
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error({ error }, 'Error in PUT /users/:id/active');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/:id/role-history
+ * @desc    Get the role audit log of a user
+ * @access  Admins only
+ */
+router.get('/:id/role-history', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('role_audit_log')
+      .select('*')
+      .eq('user_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error({ error }, 'Error fetching role audit log');
+      return res.status(500).json({
+        error: 'Database error',
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      user_id: id,
+      history: data,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /users/:id/role-history');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
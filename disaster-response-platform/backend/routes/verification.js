@@ -1,16 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { mockAuth } = require('../middleware/auth');
-const geminiService = require('../utils/geminiService');
+const { authenticate } = require('../middleware/auth');
+const aiService = require('../utils/aiService');
+const imageForensicsService = require('../utils/imageForensicsService');
+const mediaService = require('../utils/mediaService');
 const supabase = require('../config/supabase');
+const auditService = require('../utils/auditService');
+const teamService = require('../utils/teamService');
+const moderationService = require('../utils/moderationService');
+const alertDispatcher = require('../utils/alertDispatcher');
+const webhookService = require('../utils/webhookService');
 
 // Apply authentication middleware
-router.use(mockAuth);
+router.use(authenticate);
 
 /**
  * @route   POST /api/disasters/:id/verify-image
- * @desc    Verify image authenticity for a disaster report
+ * @desc    Verify image authenticity for a disaster report: AI analysis plus local forensics
+ *          (EXIF capture time and GPS against the disaster, editing software, re-use in earlier reports)
  * @access  Public (authenticated)
  */
 router.post('/:id/verify-image', async (req, res) => {
@@ -28,8 +36,9 @@ router.post('/:id/verify-image', async (req, res) => {
     // Check if disaster exists
     const { data: disaster, error: disasterError } = await supabase
       .from('disasters')
-      .select('id')
+      .select('id, created_at, affected_radius_km')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
     
     if (disasterError) {
@@ -49,12 +58,23 @@ router.post('/:id/verify-image', async (req, res) => {
     }
     
     // If report_id is provided, check if it exists and belongs to the disaster
+    let report = null;
     if (report_id) {
-      const { data: report, error: reportError } = await supabase
+      // Updating a report's verification status is limited to the disaster's team
+      if (!(await teamService.canModerateDisaster(req.user, id, 'report:verify'))) {
+        logger.warn(`User ${req.user.id} not authorized to verify reports for disaster ${id}`);
+        return res.status(403).json({
+          error: 'Not authorized',
+          message: 'Only the disaster\'s commander or field verifiers can verify its reports',
+        });
+      }
+      
+      const { data: reportData, error: reportError } = await supabase
         .from('reports')
-        .select('id, verification_status')
+        .select('id, disaster_id, verification_status, claimed_by, claim_expires_at, audit_trail')
         .eq('id', report_id)
         .eq('disaster_id', id)
+        .is('deleted_at', null)
         .single();
       
       if (reportError) {
@@ -72,34 +92,110 @@ router.post('/:id/verify-image', async (req, res) => {
           message: reportError.message,
         });
       }
+      
+      report = reportData;
     }
     
-    // Verify image with Gemini API
-    const verificationResult = await geminiService.verifyImage(image_url);
+    let image;
+    try {
+      image = await mediaService.loadImage(image_url);
+    } catch (loadError) {
+      logger.warn({ error: loadError.message, image_url }, 'Could not load image for verification');
+      // Other reasons stay in the log; passing them on would let callers probe other hosts
+      return res.status(400).json({
+        error: 'Invalid image',
+        message: loadError.code === 'NOT_AN_IMAGE' ? loadError.message : 'Could not load image',
+      });
+    }
     
-    // Update report verification status if report_id is provided
+    // Forensics are best effort; the AI verdict stands alone if they fail
+    let forensics = null;
+    try {
+      const { data: coordinates } = await supabase
+        .rpc('get_disaster_coordinates', { disaster_id: id });
+      
+      forensics = await imageForensicsService.analyze(
+        image.buffer,
+        { ...disaster, ...coordinates?.[0] },
+        { reportId: report_id }
+      );
+      
+      if (report_id) {
+        await imageForensicsService.recordReportImage(report_id, forensics.perceptual_hash);
+      }
+    } catch (forensicsError) {
+      logger.error({ error: forensicsError }, 'Error running image forensics');
+    }
+    
+    // Verify image with the AI provider and merge in the forensic findings
+    const verificationResult = imageForensicsService.mergeResults(
+      await aiService.verifyImage(image_url, image),
+      forensics
+    );
+    
+    // Record the result on the report if report_id is provided
+    // A conclusive AI verdict decides a pending report through the moderation queue, so the verdict has a moderator
+    // and a reason; it never overrides an earlier verdict or another moderator's claim. Answers from the rule-based
+    // offline provider or a fallback are shown but too weak to decide a report, and an image the AI accepts
+    // despite high-severity forensic findings is left for a person. Anything else is only audited.
     if (report_id) {
-      const verification_status = verificationResult.authentic ? 'verified' : 'rejected';
+      const forensicIssues = forensics ? forensics.issues.map((issue) => issue.code) : null;
+      const conclusive = verificationResult.outcome !== 'inconclusive'
+        && verificationResult.provider !== 'offline'
+        && !verificationResult.fallback
+        && !(verificationResult.authentic && verificationResult.forensic_concerns);
+      const decidable = report.verification_status === 'pending'
+        && (report.claimed_by === req.user.id || !moderationService.isClaimActive(report));
       
-      const { error: updateError } = await supabase
-        .from('reports')
-        .update({ verification_status })
-        .eq('id', report_id)
-        .eq('disaster_id', id);
+      let decided = null;
+      if (conclusive && decidable) {
+        decided = await moderationService.decide(report, req.user.id, {
+          verdict: verificationResult.authentic ? 'verified' : 'rejected',
+          reasonCode: verificationResult.authentic ? 'media_confirmed' : 'manipulated_media',
+          notes: `Image verification (${verificationResult.provider}): ${verificationResult.outcome}, `
+            + `confidence ${verificationResult.confidence}`
+            + (forensicIssues?.length ? `, forensic issues: ${forensicIssues.join(', ')}` : ''),
+        });
+      }
       
-      if (updateError) {
-        logger.error({ error: updateError }, `Error updating report ${report_id} verification status`);
-        // Continue with response, but log the error
+      if (decided) {
+        logger.info({ report_id, verification_status: decided.verification_status }, 'Report decided by image verification');
+        
+        // Alert subscribers and partner webhooks in the background, as for decisions from the moderation queue
+        if (decided.verification_status === 'verified') {
+          alertDispatcher.notify('report_verified', { disasterId: decided.disaster_id, report: decided });
+          webhookService.publish('report.verified', { report: decided });
+        }
       } else {
-        logger.info({ report_id, verification_status }, 'Report verification status updated');
+        const { error: updateError } = await supabase
+          .from('reports')
+          .update({
+            audit_trail: auditService.append(
+              report,
+              auditService.createEntry('image_verification', req.user.id, null, {
+                outcome: verificationResult.outcome,
+                confidence: verificationResult.confidence,
+                provider: verificationResult.provider,
+                forensic_issues: forensicIssues,
+              })
+            ),
+          })
+          .eq('id', report_id)
+          .eq('disaster_id', id);
+        
+        if (updateError) {
+          logger.error({ error: updateError }, `Error recording image verification on report ${report_id}`);
+          // Continue with response, but log the error
+        }
       }
     }
     
     logger.info({
       disaster_id: id,
       report_id: report_id || 'N/A',
-      authentic: verificationResult.authentic,
+      outcome: verificationResult.outcome,
       confidence: verificationResult.confidence,
+      forensicIssues: forensics ? forensics.issues.map((issue) => issue.code) : null,
     }, 'Image verification completed');
     
     res.status(200).json({
@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const webhookService = require('../utils/webhookService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Statuses deliveries can be filtered by
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Apply authentication middleware to all routes, webhook management is admin only
+router.use(authenticate);
+router.use(requirePermission('webhook:manage'));
+
+/**
+ * @route   GET /api/webhooks/endpoints
+ * @desc    List partner webhook endpoints
+ * @access  Admins only
+ */
+router.get('/endpoints', async (req, res) => {
+  try {
+    const endpoints = await webhookService.listEndpoints();
+    res.status(200).json(endpoints);
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /webhooks/endpoints');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/endpoints
+ * @desc    Register an endpoint: { name, url, events }; the response carries the signing secret, shown only once
+ * @access  Admins only
+ */
+router.post('/endpoints', async (req, res) => {
+  try {
+    const { values, message } = webhookService.validateEndpoint(req.body);
+
+    if (!values) {
+      return res.status(400).json({
+        error: 'Invalid endpoint',
+        message,
+      });
+    }
+
+    const { endpoint, secret } = await webhookService.createEndpoint(values, req.user.id);
+
+    logger.info({ endpointId: endpoint.id, url: endpoint.url, events: endpoint.events, createdBy: req.user.id }, 'Webhook endpoint registered');
+    res.status(201).json({ ...endpoint, secret });
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /webhooks/endpoints');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/webhooks/endpoints/:id
+ * @desc    Change an endpoint's name, URL, events or active flag
+ * @access  Admins only
+ */
+router.put('/endpoints/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { values, message } = webhookService.validateEndpoint(req.body, { partial: true });
+
+    if (!values) {
+      return res.status(400).json({
+        error: 'Invalid endpoint',
+        message,
+      });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        error: 'No changes',
+        message: 'Provide name, url, events or active',
+      });
+    }
+
+    const endpoint = await webhookService.updateEndpoint(id, values);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Webhook endpoint with ID ${id} not found`,
+      });
+    }
+
+    logger.info({ endpointId: id, fields: Object.keys(values), updatedBy: req.user.id }, 'Webhook endpoint updated');
+    res.status(200).json(endpoint);
+  } catch (error) {
+    logger.error({ error }, 'Error in PUT /webhooks/endpoints/:id');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/endpoints/:id/rotate-secret
+ * @desc    Replace an endpoint's signing secret; the new one is returned once and used from the next attempt on
+ * @access  Admins only
+ */
+router.post('/endpoints/:id/rotate-secret', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const secret = webhookService.generateSecret();
+    const endpoint = await webhookService.updateEndpoint(id, { secret });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Webhook endpoint with ID ${id} not found`,
+      });
+    }
+
+    logger.info({ endpointId: id, rotatedBy: req.user.id }, 'Webhook endpoint secret rotated');
+    res.status(200).json({ ...endpoint, secret });
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /webhooks/endpoints/:id/rotate-secret');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/endpoints/:id
+ * @desc    Delete an endpoint and its delivery log
+ * @access  Admins only
+ */
+router.delete('/endpoints/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await webhookService.deleteEndpoint(id)) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Webhook endpoint with ID ${id} not found`,
+      });
+    }
+
+    logger.info({ endpointId: id, deletedBy: req.user.id }, 'Webhook endpoint deleted');
+    res.status(200).json({
+      message: `Webhook endpoint with ID ${id} deleted successfully`,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error in DELETE /webhooks/endpoints/:id');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    Delivery log, newest first
+ * @param   {string} endpoint_id - Only this endpoint's deliveries
+ * @param   {string} status - pending, delivered or dead
+ * @param   {number} limit - Most deliveries to return (default 100, at most 500)
+ * @access  Admins only
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { endpoint_id: endpointId, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+      });
+    }
+
+    const deliveries = await webhookService.listDeliveries({ endpointId, status, limit });
+    res.status(200).json(deliveries);
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /webhooks/deliveries');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/dead-letters
+ * @desc    Deliveries that ran out of attempts, newest first
+ * @param   {string} endpoint_id - Only this endpoint's dead letters
+ * @access  Admins only
+ */
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const deliveries = await webhookService.listDeliveries({
+      endpointId: req.query.endpoint_id,
+      status: 'dead',
+      limit: 500,
+    });
+    res.status(200).json(deliveries);
+  } catch (error) {
+    logger.error({ error }, 'Error in GET /webhooks/dead-letters');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/deliveries/:id/redeliver
+ * @desc    Send a delivery again now, with a fresh set of retries if it fails
+ * @access  Admins only
+ */
+router.post('/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const delivery = await webhookService.redeliver(id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Webhook delivery with ID ${id} not found`,
+      });
+    }
+
+    logger.info({ deliveryId: id, status: delivery.status, requestedBy: req.user.id }, 'Webhook delivery redelivered');
+    res.status(200).json(delivery);
+  } catch (error) {
+    logger.error({ error }, 'Error in POST /webhooks/deliveries/:id/redeliver');
+    res.status(500).json({
+      error: 'Server error',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
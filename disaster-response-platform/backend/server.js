@@ -5,8 +5,18 @@ const http = require('http');
 const socketIo = require('socket.io');
 const logger = require('./utils/logger');
 const rateLimit = require('express-rate-limit');
+const realtimeService = require('./utils/realtimeService');
+const alertDispatcher = require('./utils/alertDispatcher');
+const webhookService = require('./utils/webhookService');
+const createRateLimitStore = require('./utils/rateLimitStore');
+const { authenticateSocket } = require('./middleware/auth');
 
 // Routes
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
+const teamRoutes = require('./routes/teams');
+const reportClusterRoutes = require('./routes/reportClusters');
 const disasterRoutes = require('./routes/disasters');
 const geocodeRoutes = require('./routes/geocode');
 const socialMediaRoutes = require('./routes/socialMedia');
@@ -14,6 +24,11 @@ const resourcesRoutes = require('./routes/resources');
 const updatesRoutes = require('./routes/officialUpdates');
 const verificationRoutes = require('./routes/verification');
 const reportRoutes = require('./routes/reports');
+const mediaRoutes = require('./routes/media');
+const publicReportRoutes = require('./routes/publicReports');
+const smsRoutes = require('./routes/sms');
+const alertRoutes = require('./routes/alerts');
+const webhookRoutes = require('./routes/webhooks');
 
 // Initialize Express app
 const app = express();
@@ -32,6 +47,10 @@ const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   standardHeaders: true,
   legacyHeaders: false,
+  store: createRateLimitStore('global'), // shared by every instance
+  // Pages load many thumbnails and SMS gateways post from a few addresses; both get their own per-IP limits
+  // (routes/media.js, routes/sms.js)
+  skip: (req) => (req.method === 'GET' && req.path.startsWith('/api/media/files/')) || req.path === '/api/sms/inbound',
   message: 'Too many requests from this IP, please try again after 15 minutes',
 });
 
@@ -46,22 +65,33 @@ app.use((req, res, next) => {
   next();
 });
 
+// Sockets authenticate like HTTP requests and only receive events for the rooms they subscribe to
+io.use(authenticateSocket);
+
+// Emit events published by any instance to the sockets connected here
+realtimeService.attach(io).catch((error) => {
+  logger.error({ error }, 'Error subscribing to socket events');
+});
+
+// Retry alert notifications and webhook deliveries that failed or were interrupted
+alertDispatcher.start();
+webhookService.start();
+
 // Socket.IO connection handler
 io.on('connection', (socket) => {
-  logger.info(`New client connected: ${socket.id}`);
+  logger.info(`New client connected: ${socket.id} (${socket.data.user.id})`);
+  
+  realtimeService.registerSubscriptions(socket);
   
   socket.on('disconnect', () => {
     logger.info(`Client disconnected: ${socket.id}`);
   });
 });
 
-// Make io accessible to routes
-app.use((req, res, next) => {
-  req.io = io;
-  next();
-});
-
 // Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 app.use('/api/disasters', disasterRoutes);
 app.use('/api/geocode', geocodeRoutes);
 app.use('/api/disasters', socialMediaRoutes);
@@ -69,7 +99,14 @@ app.use('/api/disasters', resourcesRoutes); // disaster-specific resource routes
 app.use('/api/resources', resourcesRoutes); // independent resource routes
 app.use('/api/disasters', updatesRoutes);
 app.use('/api/disasters', verificationRoutes);
+app.use('/api/disasters', teamRoutes);
+app.use('/api/disasters', reportClusterRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/public', publicReportRoutes); // anonymous report submission, no account needed
+app.use('/api/sms', smsRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/webhooks', webhookRoutes); // partner webhook endpoints and delivery log
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -0,0 +1,218 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The Supabase client is only constructed; every query below goes to the in-memory fake
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+const supabase = require('../config/supabase');
+const alertDispatcher = require('../utils/alertDispatcher');
+const createOutboxAlertChannel = require('../utils/outboxAlertChannel');
+const createSmsAlertChannel = require('../utils/smsAlertChannel');
+const createSimulatorSmsGateway = require('../utils/simulatorSmsGateway');
+
+/**
+ * Replace supabase.from with a fake that records every query
+ * Selects resolve to rows; updates match every row they filter on.
+ * @param {Array<Object>} [rows] - Rows selects return
+ * @returns {Array<Object>} Recorded queries: { table, op, values, filters }
+ */
+const fakeSupabase = (rows = []) => {
+  const queries = [];
+
+  supabase.from = (table) => {
+    const query = { table, op: 'select', values: null, filters: {} };
+    queries.push(query);
+
+    const builder = {
+      select: () => builder,
+      order: () => builder,
+      limit: () => builder,
+      lte: () => builder,
+      update: (values) => {
+        Object.assign(query, { op: 'update', values });
+        return builder;
+      },
+      eq: (column, value) => {
+        query.filters[column] = value;
+        return builder;
+      },
+      then: (resolve, reject) => Promise.resolve({
+        data: query.op === 'select' ? rows : [{ id: query.filters.id }],
+        error: null,
+      }).then(resolve, reject),
+    };
+
+    return builder;
+  };
+
+  return queries;
+};
+
+/**
+ * Channel that fails every send with an error
+ * @param {Object} error - Error properties (e.g. { response: { status: 503 } })
+ * @returns {Object} Alert channel
+ */
+const failingChannel = (error) => ({
+  name: 'failing',
+  sends: 0,
+  async send() {
+    this.sends += 1;
+    throw Object.assign(new Error('Delivery failed'), error);
+  },
+});
+
+const notification = (overrides = {}) => ({
+  id: 'n1',
+  subscription_id: 's1',
+  channel: 'email',
+  message: { subject: 'New disaster near you: Flood', text: 'Flood at Springfield' },
+  attempts: 0,
+  next_attempt_at: '2026-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+const subscription = (overrides = {}) => ({
+  id: 's1',
+  channel: 'email',
+  target: 'someone@example.org',
+  active: true,
+  ...overrides,
+});
+
+// Delivery outcome written to alert_notifications
+const outcome = (queries) => queries.find((query) => query.table === 'alert_notifications' && query.op === 'update').values;
+
+describe('alertDispatcher.deliver', () => {
+  let sms;
+
+  beforeEach(() => {
+    sms = createSimulatorSmsGateway();
+    alertDispatcher.channels = {
+      email: createOutboxAlertChannel('email'),
+      sms: createSmsAlertChannel(sms),
+    };
+  });
+
+  it('sends through the outbox channel and records it as sent', async () => {
+    const queries = fakeSupabase();
+
+    assert.equal(await alertDispatcher.deliver(notification(), subscription()), true);
+
+    const [kept] = alertDispatcher.channels.email.getOutbox();
+    assert.equal(kept.to, 'someone@example.org');
+    assert.equal(kept.message.subject, 'New disaster near you: Flood');
+    assert.equal(outcome(queries).status, 'sent');
+    assert.equal(outcome(queries).attempts, 1);
+  });
+
+  it('texts SMS subscriptions through the simulator gateway', async () => {
+    fakeSupabase();
+
+    await alertDispatcher.deliver(
+      notification({ channel: 'sms', message: { text: 'ALERT: Flood (high) at Springfield.' } }),
+      subscription({ channel: 'sms', target: '+15555550100' })
+    );
+
+    const [sent] = sms.getOutbox();
+    assert.equal(sent.to, '+15555550100');
+    assert.equal(sent.text, 'ALERT: Flood (high) at Springfield.');
+  });
+
+  it('schedules a retry with backoff for network errors and 5xx responses', async () => {
+    for (const error of [{ code: 'ECONNRESET' }, { response: { status: 503 } }, { response: { status: 429 } }]) {
+      alertDispatcher.channels.email = failingChannel(error);
+      const queries = fakeSupabase();
+      const before = Date.now();
+
+      assert.equal(await alertDispatcher.deliver(notification({ attempts: 2 }), subscription()), false);
+
+      const { status, attempts, next_attempt_at: nextAttemptAt } = outcome(queries);
+      assert.equal(status, 'pending');
+      assert.equal(attempts, 3);
+      assert.ok(new Date(nextAttemptAt).getTime() > before);
+    }
+  });
+
+  it('marks a notification failed once it runs out of attempts', async () => {
+    alertDispatcher.channels.email = failingChannel({ response: { status: 503 } });
+    const queries = fakeSupabase();
+
+    await alertDispatcher.deliver(notification({ attempts: alertDispatcher.MAX_ATTEMPTS - 1 }), subscription());
+
+    assert.equal(outcome(queries).status, 'failed');
+    assert.equal(outcome(queries).attempts, alertDispatcher.MAX_ATTEMPTS);
+    assert.equal(outcome(queries).last_error, 'HTTP 503');
+    assert.equal(outcome(queries).next_attempt_at, undefined);
+  });
+
+  it('fails at once on responses that retrying won\'t fix', async () => {
+    alertDispatcher.channels.email = failingChannel({ response: { status: 400 } });
+    const queries = fakeSupabase();
+
+    await alertDispatcher.deliver(notification(), subscription());
+
+    assert.equal(outcome(queries).status, 'failed');
+    assert.equal(outcome(queries).attempts, 1);
+  });
+
+  it('deactivates the subscription when its target has gone', async () => {
+    alertDispatcher.channels.email = failingChannel({ response: { status: 410 } });
+    const queries = fakeSupabase();
+
+    await alertDispatcher.deliver(notification(), subscription());
+
+    assert.equal(outcome(queries).status, 'failed');
+    const deactivation = queries.find((query) => query.table === 'alert_subscriptions');
+    assert.deepEqual(deactivation.values, { active: false });
+    assert.equal(deactivation.filters.id, 's1');
+  });
+
+  it('doesn\'t send to inactive subscriptions', async () => {
+    const queries = fakeSupabase();
+
+    await alertDispatcher.deliver(notification(), subscription({ active: false }));
+
+    assert.equal(alertDispatcher.channels.email.getOutbox().length, 0);
+    assert.equal(outcome(queries).status, 'failed');
+  });
+});
+
+describe('alertDispatcher.retryDue', () => {
+  beforeEach(() => {
+    alertDispatcher.channels = { email: createOutboxAlertChannel('email') };
+  });
+
+  it('claims due notifications before delivering them', async () => {
+    const due = [notification({ attempts: 1, subscription: subscription() })];
+    const queries = fakeSupabase(due);
+
+    assert.equal(await alertDispatcher.retryDue(), 1);
+
+    const [claim, delivered] = queries.filter((query) => query.op === 'update');
+    assert.equal(claim.filters.next_attempt_at, due[0].next_attempt_at);
+    assert.equal(claim.filters.status, 'pending');
+    assert.ok(new Date(claim.values.next_attempt_at).getTime() > Date.now());
+    assert.equal(delivered.values.status, 'sent');
+    assert.equal(delivered.values.attempts, 2);
+    assert.equal(alertDispatcher.channels.email.getOutbox().length, 1);
+  });
+
+  it('retries a notification that fails again until it runs out of attempts', async () => {
+    const channel = failingChannel({ response: { status: 502 } });
+    alertDispatcher.channels.email = channel;
+    let current = notification({ subscription: subscription() });
+    let values;
+
+    do {
+      const queries = fakeSupabase([current]);
+      await alertDispatcher.retryDue();
+      values = queries.filter((query) => query.op === 'update').pop().values;
+      current = { ...current, attempts: values.attempts };
+    } while (values.status === 'pending');
+
+    assert.equal(values.status, 'failed');
+    assert.equal(channel.sends, alertDispatcher.MAX_ATTEMPTS);
+  });
+});
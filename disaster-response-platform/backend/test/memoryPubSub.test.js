@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const createMemoryPubSub = require('../utils/memoryPubSub');
+
+describe('memoryPubSub', () => {
+  let pubsub;
+
+  beforeEach(() => {
+    pubsub = createMemoryPubSub();
+  });
+
+  afterEach(async () => {
+    await pubsub.close();
+  });
+
+  it('delivers published messages to every subscriber of the channel only', async () => {
+    const received = [];
+    await pubsub.subscribe('emits', (message) => received.push(['first', message]));
+    await pubsub.subscribe('emits', (message) => received.push(['second', message]));
+    await pubsub.subscribe('other', (message) => received.push(['other', message]));
+
+    await pubsub.publish('emits', { event: 'disaster_updated', data: { id: 'd1' } });
+
+    assert.deepEqual(received, [
+      ['first', { event: 'disaster_updated', data: { id: 'd1' } }],
+      ['second', { event: 'disaster_updated', data: { id: 'd1' } }],
+    ]);
+  });
+
+  it('hands subscribers a copy of the message', async () => {
+    const message = { data: { id: 'd1' } };
+    let received;
+    await pubsub.subscribe('emits', (copy) => { received = copy; });
+
+    await pubsub.publish('emits', message);
+    received.data.id = 'changed';
+
+    assert.equal(message.data.id, 'd1');
+  });
+
+  it('counts increments within a window and starts over once it ends', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+
+    assert.equal((await pubsub.increment('ratelimit:global:1.2.3.4', 1000)).count, 1);
+    const { count, resetTime } = await pubsub.increment('ratelimit:global:1.2.3.4', 1000);
+    assert.equal(count, 2);
+    assert.equal(resetTime.getTime(), 1000);
+
+    t.mock.timers.tick(1000);
+    assert.equal((await pubsub.increment('ratelimit:global:1.2.3.4', 1000)).count, 1);
+  });
+
+  it('keeps counters apart by key', async () => {
+    await pubsub.increment('a', 60000);
+    await pubsub.increment('a', 60000);
+
+    assert.equal((await pubsub.increment('b', 60000)).count, 1);
+  });
+
+  it('decrements without going below zero, and resets keys', async () => {
+    await pubsub.increment('a', 60000);
+    await pubsub.decrement('a');
+    await pubsub.decrement('a');
+    assert.equal((await pubsub.increment('a', 60000)).count, 1);
+
+    await pubsub.increment('a', 60000);
+    await pubsub.resetKey('a');
+    assert.equal((await pubsub.increment('a', 60000)).count, 1);
+  });
+
+  it('stops delivering once closed', async () => {
+    const received = [];
+    await pubsub.subscribe('emits', (message) => received.push(message));
+
+    await pubsub.close();
+    await pubsub.publish('emits', { event: 'late' });
+
+    assert.deepEqual(received, []);
+  });
+});
+
+describe('rateLimitStore', () => {
+  const createRateLimitStore = require('../utils/rateLimitStore');
+
+  it('counts hits per key in the shared pub/sub counters', async () => {
+    const store = createRateLimitStore('test-hits');
+    store.init({ windowMs: 60000 });
+
+    assert.equal((await store.increment('1.2.3.4')).totalHits, 1);
+    assert.equal((await store.increment('1.2.3.4')).totalHits, 2);
+    assert.equal((await store.increment('5.6.7.8')).totalHits, 1);
+
+    await store.decrement('1.2.3.4');
+    assert.equal((await store.increment('1.2.3.4')).totalHits, 2);
+
+    await store.resetKey('1.2.3.4');
+    assert.equal((await store.increment('1.2.3.4')).totalHits, 1);
+  });
+
+  it('keeps limiters with different prefixes apart', async () => {
+    const first = createRateLimitStore('test-first');
+    const second = createRateLimitStore('test-second');
+    first.init({ windowMs: 60000 });
+    second.init({ windowMs: 60000 });
+
+    await first.increment('1.2.3.4');
+    await first.increment('1.2.3.4');
+
+    assert.equal((await second.increment('1.2.3.4')).totalHits, 1);
+  });
+});
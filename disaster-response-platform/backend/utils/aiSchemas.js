@@ -0,0 +1,145 @@
+// Needs a report can be classified under
+const NEED_TYPES = ['water', 'medical', 'shelter', 'rescue'];
+
+// Expected shape of every AI response; fields not listed are dropped
+const SCHEMAS = {
+  location: {
+    location: { type: 'string', nullable: true },
+  },
+  imageVerification: {
+    authentic: { type: 'boolean' },
+    confidence: { type: 'number', min: 0, max: 100 },
+    analysis: { type: 'string' },
+    issues: { type: 'array', items: 'string' },
+  },
+  translation: {
+    language: { type: 'string', nullable: true },
+    translation: { type: 'string', nullable: true },
+  },
+  reportEnrichment: {
+    needs: { type: 'array', items: 'string', values: NEED_TYPES },
+    people_count: { type: 'integer', min: 0, max: 1000000, nullable: true },
+    hazards: { type: 'array', items: 'string' },
+    locations: { type: 'array', items: 'string' },
+  },
+};
+
+/**
+ * Check one field against its rule
+ * @param {string} name - Field name
+ * @param {Object} rule - Field rule from SCHEMAS
+ * @param {*} value - Field value
+ * @returns {string|null} What's wrong, or null if the value is valid
+ */
+const checkField = (name, rule, value) => {
+  if (value === undefined) {
+    return `"${name}" is missing`;
+  }
+
+  if (value === null) {
+    return rule.nullable ? null : `"${name}" must not be null`;
+  }
+
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) {
+      return `"${name}" must be an array`;
+    }
+    if (!value.every((item) => typeof item === rule.items)) {
+      return `"${name}" must only contain ${rule.items}s`;
+    }
+    if (rule.values && !value.every((item) => rule.values.includes(item))) {
+      return `"${name}" may only contain ${rule.values.join(', ')}`;
+    }
+    return null;
+  }
+
+  if (rule.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      return `"${name}" must be an integer`;
+    }
+  } else if (typeof value !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+    return `"${name}" must be a ${rule.type}`;
+  }
+
+  if (rule.min !== undefined && (value < rule.min || value > rule.max)) {
+    return `"${name}" must be between ${rule.min} and ${rule.max}`;
+  }
+
+  return null;
+};
+
+/**
+ * Schemas for AI responses and strict validation of what providers return
+ */
+const aiSchemas = {
+  NEED_TYPES,
+  SCHEMAS,
+
+  /**
+   * Parse and validate a provider's reply
+   * Text replies must be a single JSON object (a ```json fence around it is allowed); nothing is guessed from prose.
+   * @param {string} schemaName - Key of SCHEMAS
+   * @param {string|Object} raw - Provider reply
+   * @returns {{value: Object|null, errors: Array<string>}} The valid fields, or what's wrong
+   */
+  parse(schemaName, raw) {
+    const schema = SCHEMAS[schemaName];
+    let data = raw;
+
+    if (typeof raw === 'string') {
+      const text = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        return { value: null, errors: [`reply is not valid JSON (${error.message})`] };
+      }
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { value: null, errors: ['reply must be a JSON object'] };
+    }
+
+    const errors = Object.entries(schema)
+      .map(([name, rule]) => checkField(name, rule, data[name]))
+      .filter(Boolean);
+
+    if (errors.length > 0) {
+      return { value: null, errors };
+    }
+
+    return {
+      value: Object.fromEntries(Object.keys(schema).map((name) => [name, data[name]])),
+      errors: [],
+    };
+  },
+
+  /**
+   * Describe a schema for a prompt
+   * @param {string} schemaName - Key of SCHEMAS
+   * @returns {string} One line per field
+   */
+  describe(schemaName) {
+    return Object.entries(SCHEMAS[schemaName])
+      .map(([name, rule]) => {
+        const values = rule.values ? ` (${rule.values.join(', ')})` : '';
+        const type = rule.type === 'array' ? `array of ${rule.items}s${values}` : rule.type;
+        const range = rule.min !== undefined ? ` from ${rule.min} to ${rule.max}` : '';
+        return `"${name}": ${type}${range}${rule.nullable ? ' or null' : ''}`;
+      })
+      .join('\n');
+  },
+
+  /**
+   * Build the follow-up prompt sent after an invalid reply
+   * @param {string} schemaName - Key of SCHEMAS
+   * @param {Array<string>} errors - What was wrong with the reply
+   * @returns {string} Corrective instructions
+   */
+  correctionPrompt(schemaName, errors) {
+    return `Your previous reply was invalid: ${errors.join('; ')}.
+Reply with ONLY a JSON object with exactly these fields and no other text:
+${this.describe(schemaName)}`;
+  },
+};
+
+module.exports = aiSchemas;
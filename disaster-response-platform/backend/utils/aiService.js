@@ -0,0 +1,240 @@
+const ai = require('../config/ai');
+const logger = require('./logger');
+const cacheService = require('./cacheService');
+const mediaService = require('./mediaService');
+const aiSchemas = require('./aiSchemas');
+
+/**
+ * Reject if a promise takes longer than a time limit
+ * @param {Promise} promise - Provider call
+ * @param {number} ms - Time limit in milliseconds
+ * @returns {Promise} The call's result
+ */
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms} ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Call a provider method until its reply matches the schema, re-asking with a corrective prompt
+ * @param {Object} provider - AI provider
+ * @param {string} method - Provider method name
+ * @param {*} input - Method argument
+ * @param {string} schemaName - Schema the reply must match (see aiSchemas.js)
+ * @returns {Promise<Object|null>} The validated reply, or null if every attempt was invalid
+ */
+const callValidated = async (provider, method, input, schemaName) => {
+  let correction;
+
+  for (let attempt = 1; attempt <= ai.maxRetries + 1; attempt++) {
+    const raw = await withTimeout(provider[method](input, { correction }), ai.timeoutMs);
+    const { value, errors } = aiSchemas.parse(schemaName, raw);
+
+    if (value) {
+      return value;
+    }
+
+    logger.warn({ provider: provider.name, method, attempt, errors }, 'AI provider returned an invalid reply');
+    correction = aiSchemas.correctionPrompt(schemaName, errors);
+  }
+
+  return null;
+};
+
+/**
+ * Call a provider method, falling back to the fallback provider when the primary errors or times out
+ * Invalid replies aren't handed to the fallback: they make the result inconclusive rather than a guess.
+ * @param {string} method - Provider method name
+ * @param {*} input - Method argument
+ * @param {string} schemaName - Schema the reply must match
+ * @returns {Promise<{result: Object|null, provider: string, fallback: boolean}>} Validated result (null if inconclusive) and the provider that gave it
+ */
+const callProvider = async (method, input, schemaName) => {
+  try {
+    const result = await callValidated(ai.primary, method, input, schemaName);
+    return { result, provider: ai.primary.name, fallback: false };
+  } catch (error) {
+    if (!ai.fallback) {
+      throw error;
+    }
+
+    logger.warn({ error: error.message, provider: ai.primary.name, method }, `AI provider failed, falling back to ${ai.fallback.name}`);
+    const result = await callValidated(ai.fallback, method, input, schemaName);
+    return { result, provider: ai.fallback.name, fallback: true };
+  }
+};
+
+/**
+ * AI features on top of the configured provider (see config/ai.js)
+ * Only the primary provider's answers are cached, so a fallback answer is replaced once the primary recovers.
+ */
+const aiService = {
+  /**
+   * Detect a text's language and translate it into the working language (WORKING_LANGUAGE, see config/ai.js)
+   * @param {string} text - Free text
+   * @returns {Promise<Object|null>} language (ISO 639-1, null if unknown), translation (null if the text is already
+   *   in the working language or couldn't be translated), target_language and provider, or null if the reply was invalid
+   */
+  async translate(text) {
+    const cacheKey = `trans_${ai.workingLanguage}_${Buffer.from(text).toString('base64')}`;
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const { result, provider, fallback } = await callProvider(
+        'translate',
+        { text, targetLanguage: ai.workingLanguage },
+        'translation'
+      );
+
+      if (!result) {
+        logger.warn('Translation inconclusive');
+        return null;
+      }
+
+      const language = result.language ? result.language.toLowerCase() : null;
+      const resultObject = {
+        language,
+        // Some models echo text that's already in the working language
+        translation: language === ai.workingLanguage ? null : result.translation,
+        target_language: ai.workingLanguage,
+        provider,
+      };
+
+      if (!fallback) {
+        await cacheService.set(cacheKey, resultObject);
+      }
+      logger.info({ language, translated: Boolean(resultObject.translation), provider }, 'Text translated');
+
+      return resultObject;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error translating text');
+      throw new Error('Failed to translate text: ' + error.message);
+    }
+  },
+
+  /**
+   * Extract the most specific location mentioned in a text
+   * Text in another language is translated into the working language first.
+   * @param {string} description - Free text
+   * @returns {Promise<string|null>} Location name, or null if none is mentioned or the reply was invalid
+   */
+  async extractLocation(description) {
+    const cacheKey = `loc_${Buffer.from(description).toString('base64')}`;
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      let text = description;
+      try {
+        text = (await this.translate(description))?.translation || description;
+      } catch (translateError) {
+        // Extraction still works on many untranslated texts
+        logger.warn({ error: translateError.message }, 'Extracting location from untranslated text');
+      }
+
+      const { result, fallback } = await callProvider('extractLocation', text, 'location');
+
+      if (!result) {
+        logger.warn({ description }, 'Location extraction inconclusive');
+        return null;
+      }
+
+      if (!fallback) {
+        await cacheService.set(cacheKey, result.location);
+      }
+      logger.info({ location: result.location }, 'Extracted location');
+
+      return result.location;
+    } catch (error) {
+      logger.error({ error: error.message, description }, 'Error extracting location');
+      throw new Error('Failed to extract location: ' + error.message);
+    }
+  },
+
+  /**
+   * Extract structured fields from a report's free text
+   * @param {string} content - Report text
+   * @returns {Promise<Object|null>} needs (see aiSchemas.NEED_TYPES), people_count, hazards, locations
+   *   and the provider that answered, or null if the reply was invalid
+   */
+  async enrichReport(content) {
+    const cacheKey = `enrich_${Buffer.from(content).toString('base64')}`;
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const { result, provider, fallback } = await callProvider('enrichReport', content, 'reportEnrichment');
+
+      if (!result) {
+        logger.warn('Report enrichment inconclusive');
+        return null;
+      }
+
+      const resultObject = { ...result, provider };
+
+      if (!fallback) {
+        await cacheService.set(cacheKey, resultObject);
+      }
+      logger.info({ needs: result.needs, provider }, 'Report enriched');
+
+      return resultObject;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error enriching report');
+      throw new Error('Failed to enrich report: ' + error.message);
+    }
+  },
+
+  /**
+   * Judge whether an image looks authentic
+   * @param {string} imageUrl - Image URL (also the cache key)
+   * @param {{buffer: Buffer, contentType: string}} [image] - Image already loaded from the URL
+   * @returns {Promise<Object>} outcome ('authentic', 'inauthentic' or 'inconclusive'), authentic, confidence (0-100),
+   *   analysis, issues, the provider that answered and whether it was the fallback; authentic and confidence are null
+   *   when inconclusive
+   */
+  async verifyImage(imageUrl, image) {
+    const cacheKey = `verif_${Buffer.from(imageUrl).toString('base64')}`;
+    const cached = await cacheService.get(cacheKey);
+    // Entries cached before outcomes existed are verified again
+    if (cached?.outcome) return cached;
+
+    try {
+      // Callers that already loaded the image pass it in so it isn't fetched twice
+      const loaded = image || await mediaService.loadImage(imageUrl);
+      const { result, provider, fallback } = await callProvider('verifyImage', loaded, 'imageVerification');
+
+      if (!result) {
+        // Nothing usable after the retries; don't guess, and ask again next time
+        logger.warn({ imageUrl, provider }, 'Image verification inconclusive');
+        return {
+          outcome: 'inconclusive',
+          authentic: null,
+          confidence: null,
+          analysis: 'The AI provider did not return a valid answer. Review the image manually.',
+          issues: [],
+          provider,
+          fallback,
+        };
+      }
+
+      const resultObject = { outcome: result.authentic ? 'authentic' : 'inauthentic', ...result, provider, fallback };
+
+      if (!fallback) {
+        await cacheService.set(cacheKey, resultObject);
+      }
+      logger.info({ outcome: resultObject.outcome, provider, fallback }, 'Image verified');
+
+      return resultObject;
+    } catch (error) {
+      logger.error({ error: error.message, imageUrl }, 'Error verifying image');
+      throw new Error('Failed to verify image: ' + error.message);
+    }
+  },
+};
+
+module.exports = aiService;
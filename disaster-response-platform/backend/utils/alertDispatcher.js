@@ -0,0 +1,303 @@
+const supabase = require('../config/supabase');
+const alertChannels = require('../config/alertChannels');
+const logger = require('./logger');
+const alertTemplates = require('./alertTemplates');
+const retryBackoff = require('./retryBackoff');
+
+// Attempts per notification before it is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.ALERT_MAX_ATTEMPTS || 6, 10);
+
+// How often due retries are picked up
+const RETRY_INTERVAL_MS = parseInt(process.env.ALERT_RETRY_INTERVAL_SECONDS || 30, 10) * 1000;
+
+// How long a delivery in progress is left alone; one interrupted by a restart is retried after this
+const CLAIM_TTL_MS = 5 * 60 * 1000;
+
+// Notifications delivered at once, and picked up per retry run
+const CONCURRENCY = 10;
+const RETRY_BATCH_SIZE = 100;
+
+/**
+ * Check whether a failed delivery is worth retrying
+ * @param {Error} error - Error thrown by the channel
+ * @returns {boolean} True for network errors, timeouts, 5xx, 408 and 429
+ */
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+};
+
+/**
+ * Run a function over items, a few at a time
+ * @param {Array} items - Items
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<void>}
+ */
+const inBatches = async (items, fn) => {
+  for (let i = 0; i < items.length; i += CONCURRENCY) {
+    await Promise.all(items.slice(i, i + CONCURRENCY).map(fn));
+  }
+};
+
+/**
+ * Dispatcher for alert notifications: matches events to subscriptions, renders a message per
+ * subscription, delivers it over the subscription's channel and retries failures with backoff
+ * Every notification is stored before delivery, so nothing is lost if a channel or the server fails.
+ */
+const alertDispatcher = {
+  MAX_ATTEMPTS,
+
+  // Channel adapters by channel name; replaceable with fakes (see config/alertChannels.js)
+  channels: alertChannels.channels,
+
+  /**
+   * Find and notify the subscribers of an event; never throws, so callers can fire and forget
+   * @param {string} event - disaster_created, disaster_status_changed or report_verified
+   * @param {Object} details - Event details
+   * @param {string} details.disasterId - Disaster the event is about
+   * @param {Object} [details.report] - Verified report; its location is used when it has one
+   * @param {string} [details.previousStatus] - Status before the change
+   * @param {string} [details.status] - New status
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notify(event, { disasterId, report = null, previousStatus = null, status = null }) {
+    try {
+      const { data: disaster, error } = await supabase
+        .from('disasters')
+        .select('id, title, description, location_name, tags, status, severity, code, affected_radius_km')
+        .eq('id', disasterId)
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to fetch disaster: ${error.message}`);
+      }
+
+      const subscriptions = await this.findSubscriptions(event, disaster, report);
+
+      if (subscriptions.length === 0) {
+        return 0;
+      }
+
+      const variables = { disaster, report, previous_status: previousStatus, status };
+      const claimedUntil = new Date(Date.now() + CLAIM_TTL_MS).toISOString();
+
+      const { data: notifications, error: insertError } = await supabase
+        .from('alert_notifications')
+        .insert(subscriptions.map((subscription) => ({
+          subscription_id: subscription.id,
+          event,
+          disaster_id: disaster.id,
+          channel: subscription.channel,
+          message: alertTemplates.build(event, subscription.channel, variables),
+          // Claimed for the delivery below
+          next_attempt_at: claimedUntil,
+        })))
+        .select();
+
+      if (insertError) {
+        throw new Error(`Failed to store alert notifications: ${insertError.message}`);
+      }
+
+      const subscriptionsById = new Map(subscriptions.map((subscription) => [subscription.id, subscription]));
+
+      await inBatches(notifications, (notification) =>
+        this.deliver(notification, subscriptionsById.get(notification.subscription_id)));
+
+      logger.info({ event, disasterId, notifications: notifications.length }, 'Alert notifications dispatched');
+      return notifications.length;
+    } catch (error) {
+      logger.error({ error }, `Error dispatching ${event} alerts for disaster ${disasterId}`);
+      return 0;
+    }
+  },
+
+  /**
+   * Find the active subscriptions an event reaches, by area, tags and event
+   * @param {string} event - Event name
+   * @param {Object} disaster - Disaster record
+   * @param {Object} [report] - Report the event is about
+   * @returns {Promise<Array<Object>>} Matching subscriptions
+   */
+  async findSubscriptions(event, disaster, report) {
+    let point = null;
+    let radiusMeters = 0;
+
+    if (report?.latitude != null) {
+      point = { lat: report.latitude, lng: report.longitude };
+    } else {
+      const { data, error } = await supabase
+        .rpc('get_disaster_coordinates', { disaster_id: disaster.id });
+
+      if (error) {
+        throw new Error(`Failed to fetch disaster coordinates: ${error.message}`);
+      }
+
+      if (data?.[0]?.latitude != null) {
+        point = { lat: data[0].latitude, lng: data[0].longitude };
+        // A disaster reaches subscribers whose area its affected area overlaps
+        radiusMeters = (disaster.affected_radius_km || 0) * 1000;
+      }
+    }
+
+    const { data, error } = await supabase.rpc('get_alert_subscriptions_for_event', {
+      p_event: event,
+      p_tags: disaster.tags || [],
+      p_lng: point?.lng ?? null,
+      p_lat: point?.lat ?? null,
+      p_radius_meters: radiusMeters,
+    });
+
+    if (error) {
+      throw new Error(`Failed to find alert subscriptions: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Deliver a notification and record the outcome: sent, due for a retry, or failed
+   * @param {Object} notification - Notification record
+   * @param {Object} subscription - Its subscription
+   * @returns {Promise<boolean>} True if it was sent
+   */
+  async deliver(notification, subscription) {
+    const attempts = notification.attempts + 1;
+    const channel = this.channels[notification.channel];
+
+    try {
+      if (!subscription?.active) {
+        throw Object.assign(new Error('Subscription is no longer active'), { permanent: true });
+      }
+
+      await channel.send(subscription, notification.message);
+
+      await this.record(notification.id, {
+        status: 'sent',
+        attempts,
+        last_error: null,
+        sent_at: new Date().toISOString(),
+      });
+      return true;
+    } catch (error) {
+      const expired = error.expired || error.response?.status === 410;
+      const retry = !error.permanent && !expired && isRetryable(error) && attempts < MAX_ATTEMPTS;
+
+      await this.record(notification.id, {
+        status: retry ? 'pending' : 'failed',
+        attempts,
+        last_error: error.response ? `HTTP ${error.response.status}` : error.message,
+        ...(retry && { next_attempt_at: new Date(Date.now() + retryBackoff(attempts)).toISOString() }),
+      });
+
+      if (expired) {
+        await this.deactivate(subscription.id);
+      }
+
+      logger.warn({
+        notificationId: notification.id,
+        channel: channel?.name || notification.channel,
+        attempts,
+        retry,
+        error: error.message,
+      }, 'Alert delivery failed');
+      return false;
+    }
+  },
+
+  /**
+   * Store a delivery outcome
+   * @param {string} id - Notification ID
+   * @param {Object} values - Columns to update
+   * @returns {Promise<void>}
+   */
+  async record(id, values) {
+    const { error } = await supabase
+      .from('alert_notifications')
+      .update(values)
+      .eq('id', id);
+
+    if (error) {
+      logger.error({ error }, `Error recording delivery of alert notification ${id}`);
+    }
+  },
+
+  /**
+   * Stop alerts to a subscription whose target no longer exists
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<void>}
+   */
+  async deactivate(subscriptionId) {
+    const { error } = await supabase
+      .from('alert_subscriptions')
+      .update({ active: false })
+      .eq('id', subscriptionId);
+
+    if (error) {
+      logger.error({ error }, `Error deactivating alert subscription ${subscriptionId}`);
+      return;
+    }
+
+    logger.info(`Alert subscription ${subscriptionId} deactivated: its target has gone`);
+  },
+
+  /**
+   * Retry the notifications that are due, claiming each first so only one instance delivers it
+   * @returns {Promise<number>} Number of notifications attempted
+   */
+  async retryDue() {
+    const now = new Date();
+
+    const { data: due, error } = await supabase
+      .from('alert_notifications')
+      .select('*, subscription:alert_subscriptions(*)')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(RETRY_BATCH_SIZE);
+
+    if (error) {
+      throw new Error(`Failed to fetch due alert notifications: ${error.message}`);
+    }
+
+    const claimedUntil = new Date(now.getTime() + CLAIM_TTL_MS).toISOString();
+    const claimed = [];
+
+    for (const notification of due) {
+      const { data, error: claimError } = await supabase
+        .from('alert_notifications')
+        .update({ next_attempt_at: claimedUntil })
+        .eq('id', notification.id)
+        .eq('status', 'pending')
+        .eq('next_attempt_at', notification.next_attempt_at)
+        .select('id');
+
+      if (claimError) {
+        logger.error({ error: claimError }, `Error claiming alert notification ${notification.id}`);
+      } else if (data.length > 0) {
+        claimed.push(notification);
+      }
+    }
+
+    await inBatches(claimed, (notification) => this.deliver(notification, notification.subscription));
+
+    return claimed.length;
+  },
+
+  /**
+   * Start retrying due notifications in the background
+   * @returns {Object} Interval timer
+   */
+  start() {
+    const timer = setInterval(() => {
+      this.retryDue().catch((error) => {
+        logger.error({ error }, 'Error retrying alert notifications');
+      });
+    }, RETRY_INTERVAL_MS);
+
+    // Don't keep the process alive just for retries
+    timer.unref();
+    return timer;
+  },
+};
+
+module.exports = alertDispatcher;
@@ -0,0 +1,510 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const pubsub = require('../config/pubsub');
+const logger = require('./logger');
+const alertDispatcher = require('./alertDispatcher');
+const alertTemplates = require('./alertTemplates');
+const { ALLOW_PRIVATE_HOSTS, isPrivateHost } = require('./publicHostAgents');
+
+const CHANNELS = ['email', 'sms', 'webhook', 'push'];
+
+// Channels whose target must prove it is the subscriber's, by entering a code sent to it, before alerts go there
+const CONFIRMED_CHANNELS = ['email', 'sms'];
+
+// How long a confirmation code works, how many wrong codes it takes, and codes each user can have sent per hour
+const CONFIRMATION_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CONFIRMATION_ATTEMPTS = 5;
+const CONFIRMATIONS_PER_HOUR = parseInt(process.env.ALERT_CONFIRMATIONS_PER_HOUR || 5, 10);
+
+// Subscriptions each user can hold
+const MAX_SUBSCRIPTIONS_PER_USER = parseInt(process.env.ALERT_SUBSCRIPTIONS_PER_USER || 20, 10);
+
+// Limits on areas and tags
+const MAX_RADIUS_KM = 500;
+const MAX_POLYGON_POINTS = 200;
+const MAX_TAGS = 20;
+
+// Columns returned to clients (not the push keys or the computed geography)
+const SUBSCRIPTION_COLUMNS = 'id, user_id, channel, target, area, radius_km, tags, events, active, confirmed_at, created_at';
+
+// Columns for checking a confirmation code, never returned to clients
+const CONFIRMATION_COLUMNS = 'confirmation_code_hash, confirmation_sent_at, confirmation_attempts';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * Check whether a position is a valid [lng, lat] pair
+ * @param {*} position - Value to check
+ * @returns {boolean} True if it is two numbers within range
+ */
+const isPosition = (position) => Array.isArray(position)
+  && position.length === 2
+  && position.every((value) => typeof value === 'number' && Number.isFinite(value))
+  && Math.abs(position[0]) <= 180
+  && Math.abs(position[1]) <= 90;
+
+/**
+ * Make a six-digit confirmation code
+ * @returns {{code: string, hash: string}} Code to send, and the hash to store
+ */
+const newConfirmationCode = () => {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  return { code, hash: crypto.createHash('sha256').update(code).digest('hex') };
+};
+
+/**
+ * Check a code against a stored hash
+ * @param {string} code - Code as entered
+ * @param {string} hash - Stored hash
+ * @returns {boolean} True if they match
+ */
+const matchesConfirmationCode = (code, hash) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(code).digest(),
+  Buffer.from(hash, 'hex')
+);
+
+/**
+ * Drop the confirmation columns from a subscription record
+ * @param {Object} record - Record with CONFIRMATION_COLUMNS
+ * @returns {Object} Subscription as returned to clients
+ */
+const withoutConfirmation = ({ confirmation_code_hash, confirmation_sent_at, confirmation_attempts, ...subscription }) => subscription;
+
+/**
+ * Service for users' alert subscriptions
+ */
+const alertSubscriptionService = {
+  CHANNELS,
+  CONFIRMED_CHANNELS,
+  MAX_SUBSCRIPTIONS_PER_USER,
+  SUBSCRIPTION_COLUMNS,
+
+  /**
+   * Check whether a webhook URL may receive alerts
+   * Hostnames are checked again when they are resolved (see publicHostAgents.js).
+   * @param {string} value - URL
+   * @param {Array<string>} [protocols] - Accepted protocols
+   * @returns {boolean} True for http(s) URLs on public hosts
+   */
+  isAllowedWebhookUrl(value, protocols = ['http:', 'https:']) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return false;
+    }
+
+    return protocols.includes(url.protocol)
+      && !url.username && !url.password
+      && (ALLOW_PRIVATE_HOSTS || !isPrivateHost(url.hostname));
+  },
+
+  /**
+   * Validate a subscription's target for its channel
+   * @param {string} channel - Channel name
+   * @param {Object} input - Request body: target, or push_subscription for push
+   * @returns {{values: Object|null, message: string|null}} target (and push_keys), or why it is invalid
+   */
+  validateTarget(channel, { target, push_subscription: pushSubscription }) {
+    if (channel === 'push') {
+      const { endpoint, keys } = pushSubscription || {};
+
+      if (typeof endpoint !== 'string' || !this.isAllowedWebhookUrl(endpoint, ['https:'])
+        || typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+        return { values: null, message: 'push_subscription must be a browser push subscription ({ endpoint, keys: { p256dh, auth } })' };
+      }
+
+      return { values: { target: endpoint, push_keys: { p256dh: keys.p256dh, auth: keys.auth } }, message: null };
+    }
+
+    const value = typeof target === 'string' ? target.trim() : '';
+
+    if (channel === 'email' && !EMAIL_PATTERN.test(value)) {
+      return { values: null, message: 'target must be an email address' };
+    }
+
+    if (channel === 'sms' && !PHONE_PATTERN.test(value.replace(/[\s()-]/g, ''))) {
+      return { values: null, message: 'target must be a phone number in international format (e.g. +15555550100)' };
+    }
+
+    if (channel === 'webhook' && !this.isAllowedWebhookUrl(value)) {
+      return { values: null, message: 'target must be an http(s) URL on a public host' };
+    }
+
+    return { values: { target: channel === 'sms' ? value.replace(/[\s()-]/g, '') : value, push_keys: null }, message: null };
+  },
+
+  /**
+   * Validate an area
+   * @param {Object|null} area - GeoJSON Point or Polygon, or null for anywhere
+   * @param {number} [radiusKm] - Radius around a point
+   * @returns {{values: Object|null, message: string|null}} area and radius_km, or why they are invalid
+   */
+  validateArea(area, radiusKm) {
+    if (area === null) {
+      return { values: { area: null, radius_km: null }, message: null };
+    }
+
+    if (area?.type === 'Point') {
+      if (!isPosition(area.coordinates)) {
+        return { values: null, message: 'A point area needs coordinates [lng, lat]' };
+      }
+
+      if (typeof radiusKm !== 'number' || !(radiusKm > 0) || radiusKm > MAX_RADIUS_KM) {
+        return { values: null, message: `A point area needs radius_km between 0 and ${MAX_RADIUS_KM}` };
+      }
+
+      return { values: { area: { type: 'Point', coordinates: area.coordinates }, radius_km: radiusKm }, message: null };
+    }
+
+    if (area?.type === 'Polygon') {
+      const ring = Array.isArray(area.coordinates) && area.coordinates.length === 1 ? [...area.coordinates[0]] : null;
+
+      if (!ring || !ring.every(isPosition)) {
+        return { values: null, message: 'A polygon area needs a single ring of [lng, lat] positions' };
+      }
+
+      // Close the ring if the client left it open
+      const [first] = ring;
+      const last = ring[ring.length - 1];
+      if (ring.length > 0 && (first[0] !== last[0] || first[1] !== last[1])) {
+        ring.push(first);
+      }
+
+      if (ring.length < 4 || ring.length > MAX_POLYGON_POINTS + 1) {
+        return { values: null, message: `A polygon area needs between 3 and ${MAX_POLYGON_POINTS} points` };
+      }
+
+      return { values: { area: { type: 'Polygon', coordinates: [ring] }, radius_km: null }, message: null };
+    }
+
+    return { values: null, message: 'area must be null, a GeoJSON Point (with radius_km) or a GeoJSON Polygon' };
+  },
+
+  /**
+   * Validate the fields of a new subscription, or the changeable fields of an existing one
+   * @param {Object} input - Request body
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial] - Validate an update: only the fields given, and not the channel or target
+   * @returns {{values: Object|null, message: string|null}} Columns to store, or why the input is invalid
+   */
+  validate(input, { partial = false } = {}) {
+    const values = {};
+
+    if (partial) {
+      if (['channel', 'target', 'push_subscription'].some((field) => input[field] !== undefined)) {
+        return { values: null, message: 'The channel and target can\'t be changed; create a new subscription instead' };
+      }
+    } else {
+      if (!CHANNELS.includes(input.channel)) {
+        return { values: null, message: `channel must be one of: ${CHANNELS.join(', ')}` };
+      }
+
+      const target = this.validateTarget(input.channel, input);
+      if (!target.values) {
+        return target;
+      }
+
+      Object.assign(values, { channel: input.channel }, target.values);
+    }
+
+    if (input.area !== undefined || !partial) {
+      const area = this.validateArea(input.area ?? null, input.radius_km);
+      if (!area.values) {
+        return area;
+      }
+      Object.assign(values, area.values);
+    } else if (input.radius_km !== undefined) {
+      return { values: null, message: 'radius_km can only be changed together with area' };
+    }
+
+    if (input.tags !== undefined || !partial) {
+      const tags = input.tags ?? [];
+
+      if (!Array.isArray(tags) || tags.length > MAX_TAGS || !tags.every((tag) => typeof tag === 'string' && tag.trim())) {
+        return { values: null, message: `tags must be a list of at most ${MAX_TAGS} names` };
+      }
+
+      values.tags = [...new Set(tags.map((tag) => tag.trim()))];
+    }
+
+    if (input.events !== undefined || !partial) {
+      const events = input.events ?? alertTemplates.EVENTS;
+
+      if (!Array.isArray(events) || events.length === 0 || !events.every((event) => alertTemplates.EVENTS.includes(event))) {
+        return { values: null, message: `events must be a non-empty list of: ${alertTemplates.EVENTS.join(', ')}` };
+      }
+
+      values.events = [...new Set(events)];
+    }
+
+    if (input.active !== undefined) {
+      if (typeof input.active !== 'boolean') {
+        return { values: null, message: 'active must be true or false' };
+      }
+      values.active = input.active;
+    }
+
+    return { values, message: null };
+  },
+
+  /**
+   * List a user's subscriptions, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Subscriptions
+   */
+  async list(userId) {
+    const { data, error } = await supabase
+      .from('alert_subscriptions')
+      .select(SUBSCRIPTION_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch alert subscriptions: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Count a user's subscriptions
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of subscriptions
+   */
+  async count(userId) {
+    const { count, error } = await supabase
+      .from('alert_subscriptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Failed to count alert subscriptions: ${error.message}`);
+    }
+
+    return count || 0;
+  },
+
+  /**
+   * Count a confirmation code against the user's hourly limit, so subscriptions can't be used to flood a number or inbox
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} True if the user is still under the limit
+   */
+  async withinConfirmationLimit(userId) {
+    const { count } = await pubsub.increment(`alert-confirmations:${userId}`, 60 * 60 * 1000);
+    return count <= CONFIRMATIONS_PER_HOUR;
+  },
+
+  /**
+   * Send a confirmation code to a subscription's target; best effort, a new code can be asked for
+   * @param {Object} subscription - Subscription
+   * @param {string} code - Confirmation code
+   * @returns {Promise<boolean>} True if it was sent
+   */
+  async sendConfirmation(subscription, code) {
+    try {
+      await alertDispatcher.channels[subscription.channel].send(subscription, alertTemplates.buildConfirmation(subscription.channel, code));
+      return true;
+    } catch (error) {
+      logger.warn({ subscriptionId: subscription.id, error: error.message }, 'Could not send alert confirmation code');
+      return false;
+    }
+  },
+
+  /**
+   * Create a subscription
+   * Email and SMS subscriptions start unconfirmed and are sent a code (see confirm); others are confirmed at once.
+   * @param {string} userId - Subscriber
+   * @param {Object} values - Validated columns (see validate)
+   * @returns {Promise<Object>} Created subscription
+   */
+  async create(userId, values) {
+    const needsConfirmation = CONFIRMED_CHANNELS.includes(values.channel);
+    const confirmation = needsConfirmation ? newConfirmationCode() : null;
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('alert_subscriptions')
+      .insert({
+        ...values,
+        user_id: userId,
+        confirmed_at: needsConfirmation ? null : now,
+        ...(confirmation && { confirmation_code_hash: confirmation.hash, confirmation_sent_at: now }),
+      })
+      .select(SUBSCRIPTION_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create alert subscription: ${error.message}`);
+    }
+
+    if (confirmation) {
+      await this.sendConfirmation(data, confirmation.code);
+    }
+
+    return data;
+  },
+
+  /**
+   * Fetch one of a user's subscriptions with its confirmation columns
+   * @param {string} userId - Subscriber
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object|null>} Subscription record, or null if the user has no such subscription
+   */
+  async findWithConfirmation(userId, id) {
+    const { data, error } = await supabase
+      .from('alert_subscriptions')
+      .select(`${SUBSCRIPTION_COLUMNS}, ${CONFIRMATION_COLUMNS}`)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch alert subscription: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Confirm a subscription's target with the code sent to it
+   * @param {string} userId - Subscriber
+   * @param {string} id - Subscription ID
+   * @param {string} code - Code as entered
+   * @returns {Promise<{subscription: Object|null, message: string|null}|null>} Confirmed subscription, or why
+   *          the code was refused; null if the user has no such subscription
+   */
+  async confirm(userId, id, code) {
+    const record = await this.findWithConfirmation(userId, id);
+
+    if (!record) {
+      return null;
+    }
+
+    if (record.confirmed_at) {
+      return { subscription: withoutConfirmation(record), message: null };
+    }
+
+    if (!record.confirmation_code_hash || record.confirmation_attempts >= MAX_CONFIRMATION_ATTEMPTS) {
+      return { subscription: null, message: 'Too many wrong codes; ask for a new one' };
+    }
+
+    if (Date.now() - new Date(record.confirmation_sent_at).getTime() > CONFIRMATION_TTL_MS) {
+      return { subscription: null, message: 'The code has expired; ask for a new one' };
+    }
+
+    if (!matchesConfirmationCode(code, record.confirmation_code_hash)) {
+      // Only counted if no other attempt got in first, so concurrent guesses can't share one attempt
+      const { error } = await supabase
+        .from('alert_subscriptions')
+        .update({ confirmation_attempts: record.confirmation_attempts + 1 })
+        .eq('id', id)
+        .eq('confirmation_attempts', record.confirmation_attempts);
+
+      if (error) {
+        throw new Error(`Failed to record confirmation attempt: ${error.message}`);
+      }
+
+      return { subscription: null, message: 'Wrong code' };
+    }
+
+    const { data, error } = await supabase
+      .from('alert_subscriptions')
+      .update({ confirmed_at: new Date().toISOString(), confirmation_code_hash: null })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .eq('confirmation_attempts', record.confirmation_attempts)
+      .select(SUBSCRIPTION_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to confirm alert subscription: ${error.message}`);
+    }
+
+    return data ? { subscription: data, message: null } : { subscription: null, message: 'Wrong code' };
+  },
+
+  /**
+   * Send a new confirmation code, replacing the old one
+   * @param {string} userId - Subscriber
+   * @param {string} id - Subscription ID
+   * @returns {Promise<{sent: boolean, message: string|null}|null>} Whether it was sent, or why not;
+   *          null if the user has no such subscription
+   */
+  async resendConfirmation(userId, id) {
+    const record = await this.findWithConfirmation(userId, id);
+
+    if (!record) {
+      return null;
+    }
+
+    if (record.confirmed_at) {
+      return { sent: false, message: 'This subscription is already confirmed' };
+    }
+
+    const confirmation = newConfirmationCode();
+
+    const { error } = await supabase
+      .from('alert_subscriptions')
+      .update({
+        confirmation_code_hash: confirmation.hash,
+        confirmation_sent_at: new Date().toISOString(),
+        confirmation_attempts: 0,
+      })
+      .eq('id', id)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Failed to store confirmation code: ${error.message}`);
+    }
+
+    return { sent: await this.sendConfirmation(record, confirmation.code), message: null };
+  },
+
+  /**
+   * Update one of a user's subscriptions
+   * @param {string} userId - Subscriber
+   * @param {string} id - Subscription ID
+   * @param {Object} values - Validated columns (see validate with partial)
+   * @returns {Promise<Object|null>} Updated subscription, or null if the user has no such subscription
+   */
+  async update(userId, id, values) {
+    const { data, error } = await supabase
+      .from('alert_subscriptions')
+      .update(values)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select(SUBSCRIPTION_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update alert subscription: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Delete one of a user's subscriptions, with its pending notifications
+   * @param {string} userId - Subscriber
+   * @param {string} id - Subscription ID
+   * @returns {Promise<boolean>} False if the user has no such subscription
+   */
+  async remove(userId, id) {
+    const { data, error } = await supabase
+      .from('alert_subscriptions')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to delete alert subscription: ${error.message}`);
+    }
+
+    return data.length > 0;
+  },
+};
+
+module.exports = alertSubscriptionService;
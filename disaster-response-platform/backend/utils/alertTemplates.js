@@ -0,0 +1,135 @@
+// Base URL of the web app, for links to the disaster in alerts
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+// Longest SMS alert (two concatenated messages) and push notification body
+const MAX_SMS_LENGTH = 306;
+const MAX_PUSH_BODY_LENGTH = 200;
+
+// Templates per event: subject (email subject, push title), text (email body, push body) and sms
+// {{path}} is replaced with the value at that path of the event's variables, or nothing if missing
+const TEMPLATES = {
+  disaster_created: {
+    subject: 'New disaster near you: {{disaster.title}}',
+    text: '{{disaster.title}} ({{disaster.severity}} severity) was reported at {{disaster.location_name}}.\n\n{{disaster.description}}',
+    sms: 'ALERT: {{disaster.title}} ({{disaster.severity}}) at {{disaster.location_name}}. Text REPORT {{disaster.code}} <what you see> to report.',
+  },
+  disaster_status_changed: {
+    subject: '{{disaster.title}} is now {{status}}',
+    text: '{{disaster.title}} at {{disaster.location_name}} moved from {{previous_status}} to {{status}}.',
+    sms: 'UPDATE: {{disaster.title}} is now {{status}} (was {{previous_status}}).',
+  },
+  report_verified: {
+    subject: 'Verified report: {{disaster.title}}',
+    text: 'A report on {{disaster.title}} was verified:\n\n"{{report.content}}"',
+    sms: 'VERIFIED on {{disaster.title}}: {{report.content}}',
+  },
+};
+
+/**
+ * Shorten text to a length
+ * @param {string} text - Text
+ * @param {number} max - Maximum length
+ * @returns {string} Text, cut with an ellipsis if needed
+ */
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/**
+ * Templates and rendering for alert messages
+ */
+const alertTemplates = {
+  EVENTS: Object.keys(TEMPLATES),
+
+  /**
+   * Fill a template's {{path}} placeholders
+   * @param {string} template - Template text
+   * @param {Object} variables - Values, looked up by dotted path
+   * @returns {string} Rendered text
+   */
+  render(template, variables) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+      const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), variables);
+      return value == null ? '' : String(value);
+    });
+  },
+
+  /**
+   * Build the message carrying a subscription's confirmation code
+   * @param {string} channel - email or sms
+   * @param {string} code - Confirmation code
+   * @returns {Object} email: { subject, text }, sms: { text }
+   */
+  buildConfirmation(channel, code) {
+    const text = `Your alert confirmation code is ${code}. Enter it in the app to start receiving alerts here.`;
+
+    if (channel === 'email') {
+      return {
+        subject: 'Confirm your disaster alerts',
+        text: `${text}\n\nIf you didn't ask for alerts, ignore this message and nothing will be sent to you.`,
+      };
+    }
+
+    return { text };
+  },
+
+  /**
+   * Build the message a channel delivers for an event
+   * @param {string} event - Event name (see EVENTS)
+   * @param {string} channel - Channel name: email, sms, webhook or push
+   * @param {Object} variables - Event variables
+   * @param {Object} variables.disaster - Disaster record
+   * @param {Object} [variables.report] - Verified report (report_verified)
+   * @param {string} [variables.previous_status] - Status before the change (disaster_status_changed)
+   * @param {string} [variables.status] - New status (disaster_status_changed)
+   * @returns {Object} email: { subject, text }, sms: { text }, push: { title, body, url },
+   *          webhook: { event, subject, text, url, disaster, report, previous_status, status }
+   */
+  build(event, channel, variables) {
+    const template = TEMPLATES[event];
+    const url = `${APP_URL}/disasters/${variables.disaster.id}`;
+    const report = variables.report
+      ? { ...variables.report, content: variables.report.translated_content || variables.report.content }
+      : null;
+    const context = { ...variables, report, url };
+
+    const subject = this.render(template.subject, context);
+    const text = this.render(template.text, context);
+
+    if (channel === 'email') {
+      return {
+        subject,
+        text: `${text}\n\n${url}\n\nYou receive this because of an alert subscription. Manage your alerts in the app.`,
+      };
+    }
+
+    if (channel === 'sms') {
+      return { text: clip(this.render(template.sms, context), MAX_SMS_LENGTH) };
+    }
+
+    if (channel === 'push') {
+      return { title: subject, body: clip(text.replace(/\s+/g, ' '), MAX_PUSH_BODY_LENGTH), url };
+    }
+
+    const { disaster } = variables;
+
+    return {
+      event,
+      subject,
+      text,
+      url,
+      disaster: {
+        id: disaster.id,
+        title: disaster.title,
+        code: disaster.code,
+        location_name: disaster.location_name,
+        status: disaster.status,
+        severity: disaster.severity,
+        tags: disaster.tags,
+      },
+      report: report ? { id: report.id, content: report.content, verification_status: report.verification_status } : null,
+      previous_status: variables.previous_status || null,
+      status: variables.status || null,
+    };
+  },
+};
+
+module.exports = alertTemplates;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const authService = require('./authService');
+
+// Requests each scope allows; a key may hold several scopes
+const SCOPES = {
+  'read-only': [
+    { methods: ['GET', 'HEAD'], path: /^\/api\// },
+  ],
+  'report-submit': [
+    { methods: ['POST'], path: /^\/api\/reports\/?$/ },
+  ],
+  'resource-write': [
+    { methods: ['POST'], path: /^\/api\/resources\/?$/ },
+    { methods: ['PUT', 'DELETE'], path: /^\/api\/resources\/[^/]+\/?$/ },
+  ],
+};
+
+// Per-key request limit when none is given at issuance
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT || 60, 10);
+
+// Prefix that makes keys recognisable in logs and secret scanners
+const KEY_PREFIX = 'drp_';
+
+// Columns safe to return to clients (never key_hash)
+const KEY_COLUMNS = 'id, name, owner_id, key_prefix, scopes, rate_limit_per_minute, last_used_at, last_used_ip, revoked_at, revoked_by, created_by, created_at';
+
+/**
+ * Service for issuing, checking and revoking API keys
+ */
+const apiKeyService = {
+  SCOPES: Object.keys(SCOPES),
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  KEY_COLUMNS,
+
+  /**
+   * Check whether every value is a known scope
+   * @param {Array<string>} scopes - Scopes to check
+   * @returns {boolean} True if the list is non-empty and all scopes exist
+   */
+  areValidScopes(scopes) {
+    return Array.isArray(scopes) && scopes.length > 0 && scopes.every((scope) => this.SCOPES.includes(scope));
+  },
+
+  /**
+   * Check whether a key's scopes allow a request
+   * @param {Array<string>} scopes - Scopes held by the key
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path without query string (e.g. /api/reports)
+   * @returns {boolean} True if any scope covers the request
+   */
+  allowsRequest(scopes, method, path) {
+    return scopes.some((scope) => (SCOPES[scope] || []).some((rule) =>
+      rule.methods.includes(method) && rule.path.test(path)
+    ));
+  },
+
+  /**
+   * Build the authenticated user for a key: its owner, plus the key's ID, scopes and rate limit
+   * @param {Object} apiKey - Key record from findActiveKey
+   * @returns {Object} User to attach as req.user / socket.data.user
+   */
+  toRequestUser(apiKey) {
+    return {
+      id: apiKey.owner_id,
+      name: apiKey.users.name,
+      role: apiKey.users.role,
+      api_key_id: apiKey.id,
+      scopes: apiKey.scopes,
+      rate_limit_per_minute: apiKey.rate_limit_per_minute,
+    };
+  },
+
+  /**
+   * Issue a new API key
+   * @param {Object} options - Key options
+   * @param {string} options.name - Label, e.g. the partner agency
+   * @param {string} options.ownerId - User the key acts as
+   * @param {Array<string>} options.scopes - Scopes granted to the key
+   * @param {number} [options.rateLimitPerMinute] - Per-key request limit
+   * @param {string} options.createdBy - Admin issuing the key
+   * @returns {Promise<{apiKey: Object, key: string}>} Stored key record and the plain key (only returned here)
+   */
+  async issueKey({ name, ownerId, scopes, rateLimitPerMinute, createdBy }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        name,
+        owner_id: ownerId,
+        key_prefix: key.slice(0, KEY_PREFIX.length + 8),
+        key_hash: authService.hashToken(key),
+        scopes,
+        rate_limit_per_minute: rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+        created_by: createdBy,
+      })
+      .select(KEY_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Could not issue API key: ${error.message}`);
+    }
+
+    return { apiKey: data, key };
+  },
+
+  /**
+   * Find the unrevoked key matching a presented API key
+   * @param {string} key - Plain API key
+   * @returns {Promise<Object|null>} Key record with its owner's name, role and active flag, or null if unknown or revoked
+   */
+  async findActiveKey(key) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select(`${KEY_COLUMNS}, users(name, role, active)`)
+      .eq('key_hash', authService.hashToken(key))
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Could not look up API key: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Record that a key was just used
+   * @param {string} keyId - API key ID
+   * @param {string} ip - Client IP address
+   * @returns {Promise<void>}
+   */
+  async recordUse(keyId, ip) {
+    const { error } = await supabase
+      .from('api_keys')
+      .update({
+        last_used_at: new Date().toISOString(),
+        last_used_ip: ip,
+      })
+      .eq('id', keyId);
+
+    if (error) {
+      throw new Error(`Could not record API key use: ${error.message}`);
+    }
+  },
+
+  /**
+   * Revoke an API key
+   * @param {string} keyId - API key ID
+   * @param {string} revokedBy - User revoking the key
+   * @returns {Promise<Object|null>} Revoked key, or null if it doesn't exist or was already revoked
+   */
+  async revokeKey(keyId, revokedBy) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_by: revokedBy,
+      })
+      .eq('id', keyId)
+      .is('revoked_at', null)
+      .select(KEY_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Could not revoke API key: ${error.message}`);
+    }
+
+    return data;
+  },
+};
+
+module.exports = apiKeyService;
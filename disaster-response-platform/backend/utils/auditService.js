@@ -0,0 +1,110 @@
+/**
+ * Compare two values for audit purposes (arrays and objects compared by content)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Service for building field-level audit trail entries and reverting records
+ */
+const auditService = {
+  /**
+   * Compute the per-field changes between a record and an update
+   * @param {Object} before - Current record
+   * @param {Object} updateData - Fields about to be written
+   * @returns {Object} Map of field name to {from, to}, only for fields that change
+   */
+  diff(before, updateData) {
+    const changes = {};
+
+    Object.keys(updateData).forEach((field) => {
+      if (field === 'audit_trail') return;
+
+      const from = before[field] ?? null;
+      const to = updateData[field] ?? null;
+
+      if (!isEqual(from, to)) {
+        changes[field] = { from, to };
+      }
+    });
+
+    return changes;
+  },
+
+  /**
+   * Build an audit trail entry
+   * @param {string} action - Action name (create, update, revert, ...)
+   * @param {string} userId - ID of the user performing the action
+   * @param {Object} [changes] - Per-field changes from diff()
+   * @param {Object} [extra] - Additional fields to store on the entry
+   * @returns {Object} Audit trail entry
+   */
+  createEntry(action, userId, changes, extra = {}) {
+    const entry = {
+      action,
+      user_id: userId,
+      timestamp: new Date().toISOString(),
+      ...extra,
+    };
+
+    if (changes) {
+      entry.changes = changes;
+    }
+
+    return entry;
+  },
+
+  /**
+   * Append an entry to a record's audit trail without mutating the record
+   * @param {Object} record - Record with an audit_trail array
+   * @param {Object} entry - Entry to append
+   * @returns {Array<Object>} New audit trail
+   */
+  append(record, entry) {
+    return [...(record.audit_trail || []), entry];
+  },
+
+  /**
+   * Format an audit trail as a timeline, keeping each entry's index for reverts
+   * @param {Array<Object>} auditTrail - Audit trail entries
+   * @returns {Array<Object>} Entries with their index
+   */
+  toTimeline(auditTrail = []) {
+    return auditTrail.map((entry, index) => ({ index, ...entry }));
+  },
+
+  /**
+   * Work out the field values needed to restore a record to how it was right after a given entry
+   * Later entries are undone newest-first using their recorded "from" values.
+   * @param {Object} record - Current record
+   * @param {number} entryIndex - Index of the audit entry to restore to
+   * @param {Array<string>} revertableFields - Fields that may be restored
+   * @returns {Object|null} Fields to write, or null if the index is out of range
+   */
+  getRevertData(record, entryIndex, revertableFields) {
+    const auditTrail = record.audit_trail || [];
+
+    if (!Number.isInteger(entryIndex) || entryIndex < 0 || entryIndex >= auditTrail.length) {
+      return null;
+    }
+
+    const restored = {};
+
+    for (let i = auditTrail.length - 1; i > entryIndex; i--) {
+      const { changes } = auditTrail[i];
+      if (!changes) continue;
+
+      Object.keys(changes).forEach((field) => {
+        if (revertableFields.includes(field)) {
+          restored[field] = changes[field].from;
+        }
+      });
+    }
+
+    return restored;
+  },
+};
+
+module.exports = auditService;
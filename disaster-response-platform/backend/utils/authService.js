@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const logger = require('./logger');
+
+// Secret used to sign access tokens
+const JWT_SECRET = process.env.JWT_SECRET;
+
+if (!JWT_SECRET) {
+  logger.error('Missing JWT_SECRET in environment variables');
+  process.exit(1);
+}
+
+// Access tokens are short-lived; refresh tokens are stored server-side and can be revoked
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || 7, 10);
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || 10, 10);
+
+/**
+ * Hash an opaque token for storage, so a leaked sessions or api_keys table can't be replayed
+ * @param {string} token - Token to hash
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Service for password hashing, access tokens and refresh sessions
+ */
+const authService = {
+  ROLES: ['admin', 'contributor', 'user'],
+  hashToken,
+
+  /**
+   * Hash a password for storage
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} bcrypt hash
+   */
+  async hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  },
+
+  /**
+   * Check a password against a stored hash
+   * @param {string} password - Plain text password
+   * @param {string} passwordHash - Stored bcrypt hash
+   * @returns {Promise<boolean>} True if the password matches
+   */
+  async verifyPassword(password, passwordHash) {
+    if (!passwordHash) {
+      return false;
+    }
+
+    return bcrypt.compare(password, passwordHash);
+  },
+
+  /**
+   * Strip secrets from a user record before sending it to clients
+   * @param {Object} user - User record
+   * @returns {Object} Public user fields
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      name: user.name,
+      role: user.role,
+      active: user.active,
+      created_at: user.created_at,
+    };
+  },
+
+  /**
+   * Sign an access token for a user
+   * @param {Object} user - User record
+   * @returns {string} Signed JWT
+   */
+  issueAccessToken(user) {
+    return jwt.sign(
+      { name: user.name, role: user.role },
+      JWT_SECRET,
+      { subject: user.id, expiresIn: ACCESS_TOKEN_TTL }
+    );
+  },
+
+  /**
+   * Verify an access token and return the user it was issued to
+   * @param {string} token - Signed JWT
+   * @returns {{id: string, name: string, role: string}} User encoded in the token
+   * @throws {Error} If the token is invalid or expired
+   */
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, JWT_SECRET);
+
+    return {
+      id: payload.sub,
+      name: payload.name,
+      role: payload.role,
+    };
+  },
+
+  /**
+   * Start a refresh session for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Refresh token (only its hash is stored)
+   */
+  async createSession(userId) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const { error } = await supabase
+      .from('sessions')
+      .insert({
+        user_id: userId,
+        refresh_token_hash: hashToken(refreshToken),
+        expires_at: expiresAt.toISOString(),
+      });
+
+    if (error) {
+      throw new Error(`Could not create session: ${error.message}`);
+    }
+
+    return refreshToken;
+  },
+
+  /**
+   * Find the active session for a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object|null>} Session record, or null if unknown, revoked or expired
+   */
+  async findSession(refreshToken) {
+    const { data, error } = await supabase
+      .from('sessions')
+      .select('*')
+      .eq('refresh_token_hash', hashToken(refreshToken))
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Could not look up session: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Revoke a refresh session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async revokeSession(sessionId) {
+    const { error } = await supabase
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', sessionId);
+
+    if (error) {
+      throw new Error(`Could not revoke session: ${error.message}`);
+    }
+  },
+
+  /**
+   * Revoke every open refresh session of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async revokeUserSessions(userId) {
+    const { error } = await supabase
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (error) {
+      throw new Error(`Could not revoke sessions: ${error.message}`);
+    }
+  },
+
+  /**
+   * Issue an access token and a new refresh token for a user
+   * @param {Object} user - User record
+   * @returns {Promise<Object>} User, access_token, refresh_token and token_type
+   */
+  async issueTokens(user) {
+    return {
+      user: this.toPublicUser(user),
+      access_token: this.issueAccessToken(user),
+      refresh_token: await this.createSession(user.id),
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL,
+    };
+  },
+};
+
+module.exports = authService;
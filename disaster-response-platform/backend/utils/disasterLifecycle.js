@@ -0,0 +1,99 @@
+/**
+ * Disaster lifecycle states, in the order a disaster normally moves through them
+ */
+const STATUSES = ['reported', 'active', 'contained', 'recovery', 'closed'];
+
+/**
+ * Allowed transitions: current status -> next status -> roles allowed to make the move.
+ * Stepping back (e.g. a contained fire flaring up again) is allowed, but reopening
+ * a closed disaster and closing one out are reserved for admins.
+ */
+const TRANSITIONS = {
+  reported: {
+    active: ['admin', 'contributor'],
+    closed: ['admin'],
+  },
+  active: {
+    contained: ['admin', 'contributor'],
+  },
+  contained: {
+    active: ['admin', 'contributor'],
+    recovery: ['admin', 'contributor'],
+  },
+  recovery: {
+    contained: ['admin', 'contributor'],
+    closed: ['admin'],
+  },
+  closed: {
+    active: ['admin'],
+  },
+};
+
+/**
+ * Service for validating disaster status changes
+ */
+const disasterLifecycle = {
+  STATUSES,
+  INITIAL_STATUS: STATUSES[0],
+
+  /**
+   * Check whether a value is a known lifecycle status
+   * @param {string} status - Status to check
+   * @returns {boolean} True if the status exists
+   */
+  isValidStatus(status) {
+    return STATUSES.includes(status);
+  },
+
+  /**
+   * Get the statuses a disaster may move to from its current status
+   * @param {string} currentStatus - Current disaster status
+   * @param {string} [role] - Optional role to restrict the result to
+   * @returns {Array<string>} Reachable statuses
+   */
+  getAllowedTransitions(currentStatus, role) {
+    const targets = TRANSITIONS[currentStatus] || {};
+    return Object.keys(targets).filter(
+      (target) => !role || targets[target].includes(role)
+    );
+  },
+
+  /**
+   * Validate a status change for a given role
+   * @param {string} currentStatus - Current disaster status
+   * @param {string} nextStatus - Requested status
+   * @param {string} role - Role of the user requesting the change
+   * @returns {{allowed: boolean, code?: string, message?: string}} Validation result
+   */
+  checkTransition(currentStatus, nextStatus, role) {
+    if (!this.isValidStatus(nextStatus)) {
+      return {
+        allowed: false,
+        code: 'invalid_status',
+        message: `Status must be one of: ${STATUSES.join(', ')}`,
+      };
+    }
+
+    const roles = (TRANSITIONS[currentStatus] || {})[nextStatus];
+
+    if (!roles) {
+      return {
+        allowed: false,
+        code: 'invalid_transition',
+        message: `Cannot move a disaster from ${currentStatus} to ${nextStatus}`,
+      };
+    }
+
+    if (!roles.includes(role)) {
+      return {
+        allowed: false,
+        code: 'forbidden',
+        message: `Only ${roles.join(' or ')} users can move a disaster from ${currentStatus} to ${nextStatus}`,
+      };
+    }
+
+    return { allowed: true };
+  },
+};
+
+module.exports = disasterLifecycle;
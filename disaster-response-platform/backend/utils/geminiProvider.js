@@ -0,0 +1,115 @@
+const { GoogleGenAI } = require('@google/genai');
+const aiSchemas = require('./aiSchemas');
+
+const LOCATION_PROMPT = `Extract the most specific location name mentioned in the following disaster description.
+Reply with ONLY a JSON object with these fields:
+${aiSchemas.describe('location')}
+Use null when no location is mentioned.`;
+
+const ENRICHMENT_PROMPT = `Extract structured information from the following disaster report written by a member of the public.
+Reply with ONLY a JSON object with these fields:
+${aiSchemas.describe('reportEnrichment')}
+"needs" lists what the people involved need, "people_count" is how many people are affected or in need (null if not stated),
+"hazards" lists dangers mentioned in a few words each (e.g. "rising water", "downed power lines") and
+"locations" lists every place mentioned, most specific first. Use empty arrays when nothing applies.`;
+
+const TRANSLATION_PROMPT = `Detect the language of the following text and translate it.
+Reply with ONLY a JSON object with these fields:
+${aiSchemas.describe('translation')}
+"language" is the ISO 639-1 code of the text's language (null if it can't be told), "translation" is the text translated
+into the target language, keeping place names recognizable, or null if the text is already in the target language.`;
+
+const IMAGE_PROMPT = `Analyze this disaster-related image for authenticity and provide feedback.
+Look for signs of manipulation, doctoring, or if the image is being presented out of context.
+Reply with ONLY a JSON object with these fields:
+${aiSchemas.describe('imageVerification')}
+"authentic" is true if the image appears authentic and false if suspicious, "confidence" is how sure you are,
+"analysis" briefly explains your findings and "issues" lists specific problems (empty if none).`;
+
+/**
+ * Create an AI provider backed by Google Gemini
+ * Replies are returned as raw JSON text for aiService to validate.
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} [options.model] - Model name
+ * @returns {Object} AI provider (see config/ai.js)
+ */
+const createGeminiProvider = ({ apiKey, model = 'gemini-2.5-flash' }) => {
+  const genAI = new GoogleGenAI({ apiKey });
+
+  const generate = async (parts) => {
+    const response = await genAI.models.generateContent({
+      model,
+      contents: parts,
+      config: { responseMimeType: 'application/json' },
+    });
+    return response.text;
+  };
+
+  return {
+    name: 'gemini',
+
+    /**
+     * Extract the most specific location mentioned in a text
+     * @param {string} description - Free text
+     * @param {Object} [options] - Call options
+     * @param {string} [options.correction] - Follow-up instructions after an invalid reply
+     * @returns {Promise<string>} JSON reply ({ location })
+     */
+    async extractLocation(description, { correction } = {}) {
+      return generate([
+        { text: `${LOCATION_PROMPT}\n\nDescription: ${description}` },
+        ...(correction ? [{ text: correction }] : []),
+      ]);
+    },
+
+    /**
+     * Extract needs, people counts, hazards and places from a report
+     * @param {string} content - Report text
+     * @param {Object} [options] - Call options
+     * @param {string} [options.correction] - Follow-up instructions after an invalid reply
+     * @returns {Promise<string>} JSON reply ({ needs, people_count, hazards, locations })
+     */
+    async enrichReport(content, { correction } = {}) {
+      return generate([
+        { text: `${ENRICHMENT_PROMPT}\n\nReport: ${content}` },
+        ...(correction ? [{ text: correction }] : []),
+      ]);
+    },
+
+    /**
+     * Detect a text's language and translate it
+     * @param {Object} input - What to translate
+     * @param {string} input.text - Free text
+     * @param {string} input.targetLanguage - ISO 639-1 code to translate into
+     * @param {Object} [options] - Call options
+     * @param {string} [options.correction] - Follow-up instructions after an invalid reply
+     * @returns {Promise<string>} JSON reply ({ language, translation })
+     */
+    async translate({ text, targetLanguage }, { correction } = {}) {
+      return generate([
+        { text: `${TRANSLATION_PROMPT}\n\nTarget language: ${targetLanguage}\n\nText: ${text}` },
+        ...(correction ? [{ text: correction }] : []),
+      ]);
+    },
+
+    /**
+     * Judge whether an image looks authentic
+     * @param {Object} image - Loaded image
+     * @param {Buffer} image.buffer - Image contents
+     * @param {string} image.contentType - MIME type
+     * @param {Object} [options] - Call options
+     * @param {string} [options.correction] - Follow-up instructions after an invalid reply
+     * @returns {Promise<string>} JSON reply ({ authentic, confidence, analysis, issues })
+     */
+    async verifyImage({ buffer, contentType }, { correction } = {}) {
+      return generate([
+        { text: IMAGE_PROMPT },
+        { inlineData: { mimeType: contentType, data: buffer.toString('base64') } },
+        ...(correction ? [{ text: correction }] : []),
+      ]);
+    },
+  };
+};
+
+module.exports = createGeminiProvider;
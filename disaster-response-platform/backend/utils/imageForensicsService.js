@@ -0,0 +1,318 @@
+const sharp = require('sharp');
+const piexif = require('piexifjs');
+const supabase = require('../config/supabase');
+
+// Photos taken this long before a disaster was reported are suspect (EXIF times carry no timezone)
+const CAPTURE_TOLERANCE_HOURS = parseFloat(process.env.IMAGE_CAPTURE_TOLERANCE_HOURS || 24);
+
+// Photos taken further than this outside a disaster's affected radius are suspect
+const LOCATION_TOLERANCE_KM = parseFloat(process.env.IMAGE_LOCATION_TOLERANCE_KM || 25);
+
+// Images whose perceptual hashes differ in at most this many of 64 bits are treated as the same picture
+const REUSE_MAX_DISTANCE = 6;
+
+// Software tags left by photo editors (phones write their OS version, which isn't flagged)
+const EDITING_SOFTWARE_PATTERN = /photoshop|lightroom|gimp|affinity|pixelmator|snapseed|picsart|facetune|canva|luminar|meitu|paint\.net/i;
+
+/**
+ * Read the EXIF block of a JPEG, PNG or WebP image
+ * @param {Buffer} buffer - Image contents
+ * @returns {Promise<Object|null>} piexif dictionary, or null if the image has no readable EXIF data
+ */
+const loadExif = async (buffer) => {
+  const { exif } = await sharp(buffer).metadata();
+  if (!exif) {
+    return null;
+  }
+
+  // PNG and WebP store the TIFF data without the header JPEGs carry
+  const raw = exif.toString('binary');
+
+  try {
+    return piexif.load(raw.startsWith('Exif') ? raw : `Exif\x00\x00${raw}`);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Decode an EXIF text tag, which may be padded with NUL bytes
+ * @param {*} value - Tag value
+ * @returns {string|null} Trimmed text, or null if empty
+ */
+const exifText = (value) => (typeof value === 'string' ? value.replace(/\0/g, '').trim() || null : null);
+
+/**
+ * Turn EXIF "YYYY:MM:DD HH:MM:SS" into a Date, read as UTC since EXIF has no timezone
+ * @param {string} value - EXIF date
+ * @returns {Date|null} Date, or null if malformed
+ */
+const parseExifDate = (value) => {
+  const match = exifText(value)?.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return Number.isNaN(date.getTime()) || year < 1990 ? null : date;
+};
+
+/**
+ * Turn EXIF degrees/minutes/seconds rationals into decimal degrees
+ * @param {Array<Array<number>>} dms - [[deg, 1], [min, 1], [sec, 100]]
+ * @param {string} ref - N, S, E or W
+ * @returns {number|null} Decimal degrees, or null if malformed
+ */
+const dmsToDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length !== 3 || dms.some(([, denominator]) => !denominator)) {
+    return null;
+  }
+
+  const [degrees, minutes, seconds] = dms.map(([numerator, denominator]) => numerator / denominator);
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return ['S', 'W'].includes(exifText(ref)) ? -value : value;
+};
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Distance in kilometers
+ */
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Local forensic checks on images, run next to the AI verification:
+ * EXIF capture time, camera, GPS and editing software, and perceptual hashes to spot images re-used from earlier reports
+ * Issues have a severity; only high ones make the combined verdict inauthentic.
+ */
+const imageForensicsService = {
+  CAPTURE_TOLERANCE_HOURS,
+  LOCATION_TOLERANCE_KM,
+  REUSE_MAX_DISTANCE,
+
+  /**
+   * Extract the EXIF fields that matter for verification
+   * @param {Buffer} buffer - Image contents
+   * @returns {Promise<Object>} has_exif, captured_at, camera_make, camera_model, software, gps ({latitude, longitude} or null)
+   */
+  async readMetadata(buffer) {
+    const exif = await loadExif(buffer);
+
+    if (!exif) {
+      return { has_exif: false, captured_at: null, camera_make: null, camera_model: null, software: null, gps: null };
+    }
+
+    const capturedAt = parseExifDate(exif.Exif?.[piexif.ExifIFD.DateTimeOriginal])
+      || parseExifDate(exif['0th']?.[piexif.ImageIFD.DateTime]);
+
+    const gps = exif.GPS || {};
+    const latitude = dmsToDegrees(gps[piexif.GPSIFD.GPSLatitude], gps[piexif.GPSIFD.GPSLatitudeRef]);
+    const longitude = dmsToDegrees(gps[piexif.GPSIFD.GPSLongitude], gps[piexif.GPSIFD.GPSLongitudeRef]);
+    const hasGps = latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+    return {
+      has_exif: true,
+      captured_at: capturedAt ? capturedAt.toISOString() : null,
+      camera_make: exifText(exif['0th']?.[piexif.ImageIFD.Make]),
+      camera_model: exifText(exif['0th']?.[piexif.ImageIFD.Model]),
+      software: exifText(exif['0th']?.[piexif.ImageIFD.Software]),
+      gps: hasGps ? { latitude, longitude } : null,
+    };
+  },
+
+  /**
+   * Compute a 64-bit difference hash, which survives resizing, recompression and small edits
+   * @param {Buffer} buffer - Image contents
+   * @returns {Promise<string>} 16 hex characters
+   */
+  async perceptualHash(buffer) {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y += 1) {
+      for (let x = 0; x < 8; x += 1) {
+        hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+      }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+  },
+
+  /**
+   * Find earlier reports whose images look like this one
+   * @param {string} hash - Perceptual hash
+   * @param {string} [excludeReportId] - Report being verified
+   * @returns {Promise<Array<Object>>} report_id, disaster_id, created_at and distance, closest first
+   */
+  async findReusedImages(hash, excludeReportId) {
+    const { data, error } = await supabase
+      .rpc('find_similar_report_images', {
+        p_hash: hash,
+        p_max_distance: REUSE_MAX_DISTANCE,
+        p_exclude_report_id: excludeReportId || null,
+      });
+
+    if (error) {
+      throw new Error(`Could not search for re-used images: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Remember the hash of a report's image so later reports re-using it are caught
+   * @param {string} reportId - Report ID
+   * @param {string} hash - Perceptual hash
+   * @returns {Promise<void>}
+   */
+  async recordReportImage(reportId, hash) {
+    const { error } = await supabase
+      .from('reports')
+      .update({ image_hash: hash })
+      .eq('id', reportId);
+
+    if (error) {
+      throw new Error(`Could not record image hash: ${error.message}`);
+    }
+  },
+
+  /**
+   * Run every check on an image in the context of a disaster
+   * @param {Buffer} buffer - Image contents
+   * @param {Object} disaster - Disaster (id, created_at, affected_radius_km, latitude, longitude)
+   * @param {Object} [options] - Options
+   * @param {string} [options.reportId] - Report the image belongs to
+   * @returns {Promise<Object>} metadata, perceptual_hash, checks (capture_time, location, editing_software, reuse) and issues
+   */
+  async analyze(buffer, disaster, { reportId } = {}) {
+    const metadata = await this.readMetadata(buffer);
+    const perceptualHash = await this.perceptualHash(buffer);
+    const issues = [];
+    const checks = {};
+
+    if (!metadata.has_exif) {
+      issues.push({
+        code: 'no_metadata',
+        severity: 'low',
+        message: 'Image has no camera metadata (screenshots, messaging apps and editors strip it)',
+      });
+    }
+
+    // Capture time against when the disaster was reported
+    if (metadata.captured_at) {
+      const hoursBefore = (new Date(disaster.created_at) - new Date(metadata.captured_at)) / (60 * 60 * 1000);
+      const hoursAhead = (new Date(metadata.captured_at) - Date.now()) / (60 * 60 * 1000);
+
+      checks.capture_time = { status: 'ok', hours_before_disaster: Math.round(Math.max(hoursBefore, 0)) };
+
+      if (hoursBefore > CAPTURE_TOLERANCE_HOURS) {
+        checks.capture_time.status = 'mismatch';
+        issues.push({
+          code: 'captured_before_disaster',
+          severity: 'high',
+          message: `Photo was taken ${Math.round(hoursBefore / 24)} days before the disaster was reported`,
+        });
+      } else if (hoursAhead > CAPTURE_TOLERANCE_HOURS) {
+        checks.capture_time.status = 'mismatch';
+        issues.push({
+          code: 'capture_time_in_future',
+          severity: 'low',
+          message: 'Photo capture time is in the future; the camera clock may be wrong',
+        });
+      }
+    } else {
+      checks.capture_time = { status: 'unknown' };
+    }
+
+    // GPS position against the disaster's area (uploads only keep GPS if the reporter opted in)
+    if (metadata.gps && disaster.latitude != null && disaster.longitude != null) {
+      const distance = distanceKm(metadata.gps.latitude, metadata.gps.longitude, disaster.latitude, disaster.longitude);
+      const allowedKm = (disaster.affected_radius_km || 0) + LOCATION_TOLERANCE_KM;
+
+      checks.location = { status: distance > allowedKm ? 'mismatch' : 'ok', distance_km: Math.round(distance * 10) / 10 };
+
+      if (distance > allowedKm) {
+        issues.push({
+          code: 'location_mismatch',
+          severity: 'high',
+          message: `Photo was taken ${Math.round(distance)} km from the disaster`,
+        });
+      }
+    } else {
+      checks.location = { status: 'unknown' };
+    }
+
+    const edited = Boolean(metadata.software && EDITING_SOFTWARE_PATTERN.test(metadata.software));
+    checks.editing_software = { status: edited ? 'detected' : 'none', software: metadata.software };
+
+    if (edited) {
+      issues.push({
+        code: 'editing_software',
+        severity: 'medium',
+        message: `Image was saved by editing software (${metadata.software})`,
+      });
+    }
+
+    // The same picture in an earlier report: likely a re-share if it's the same disaster, recycled if not
+    const matches = await this.findReusedImages(perceptualHash, reportId);
+    checks.reuse = { status: matches.length > 0 ? 'detected' : 'none', matches };
+
+    const otherDisaster = matches.find((match) => match.disaster_id !== disaster.id);
+    if (otherDisaster) {
+      issues.push({
+        code: 'reused_from_other_disaster',
+        severity: 'high',
+        message: `Same image appears in an earlier report for another disaster (report ${otherDisaster.report_id})`,
+      });
+    } else if (matches.length > 0) {
+      issues.push({
+        code: 'reused_in_disaster',
+        severity: 'medium',
+        message: `Same image appears in ${matches.length} earlier report(s) for this disaster`,
+      });
+    }
+
+    return {
+      metadata,
+      perceptual_hash: perceptualHash,
+      checks,
+      issues,
+    };
+  },
+
+  /**
+   * Merge the forensic findings into the AI verification result
+   * The outcome stays the AI's: findings such as a capture time before the disaster can have innocent causes
+   * (a wrong camera clock, a disaster reported late), so they are attached for a person to weigh, not turned
+   * into a verdict. forensic_concerns tells whether any of them is high severity.
+   * @param {Object} aiResult - Result of aiService.verifyImage
+   * @param {Object|null} forensics - Result of analyze, or null if it couldn't run
+   * @returns {Object} Combined result with forensics attached
+   */
+  mergeResults(aiResult, forensics) {
+    if (!forensics) {
+      return { ...aiResult, forensics: null, forensic_concerns: false };
+    }
+
+    return {
+      ...aiResult,
+      issues: [...(aiResult.issues || []), ...forensics.issues.map((issue) => issue.message)],
+      forensics,
+      forensic_concerns: forensics.issues.some((issue) => issue.severity === 'high'),
+    };
+  },
+};
+
+module.exports = imageForensicsService;
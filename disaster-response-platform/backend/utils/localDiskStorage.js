@@ -0,0 +1,142 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keys are generated by mediaService; anything else (e.g. "../") is refused
+const KEY_PATTERN = /^[A-Za-z0-9_-]+\.[a-z0-9]+$/;
+
+/**
+ * Create a media storage backend that keeps files in a local directory
+ * Suits a single backend instance; several instances need a shared directory or another backend.
+ * @param {string} dir - Directory holding the files (created if missing)
+ * @param {Object} options - Storage options
+ * @param {string} options.publicUrl - Base URL the files are served from
+ * @returns {Object} Storage backend (see config/storage.js)
+ */
+const createLocalDiskStorage = (dir, { publicUrl }) => {
+  const baseUrl = publicUrl.replace(/\/+$/, '');
+  let ready = null;
+
+  const pathFor = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(dir, key);
+  };
+
+  const ensureDir = () => {
+    if (!ready) {
+      ready = fs.mkdir(dir, { recursive: true });
+    }
+    return ready;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Check whether a key could name a stored file
+     * @param {string} key - Storage key
+     * @returns {boolean} True if the key is well-formed
+     */
+    isValidKey(key) {
+      return KEY_PATTERN.test(key);
+    },
+
+    /**
+     * Store a file
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     * @returns {Promise<void>}
+     */
+    async put(key, buffer) {
+      await ensureDir();
+      await fs.writeFile(pathFor(key), buffer);
+    },
+
+    /**
+     * Store a file from disk without reading it into memory
+     * @param {string} key - Storage key
+     * @param {string} filePath - File to copy
+     * @returns {Promise<void>}
+     */
+    async putFile(key, filePath) {
+      await ensureDir();
+      await fs.copyFile(filePath, pathFor(key));
+    },
+
+    /**
+     * Read a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} File contents, or null if there is no such file
+     */
+    async get(key) {
+      try {
+        return await fs.readFile(pathFor(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Stream a file to a response, answering Range requests, without reading it into memory
+     * @param {Object} res - Express response object
+     * @param {string} key - Storage key
+     * @param {Object} headers - Response headers (content type, caching)
+     * @returns {Promise<boolean>} False if there is no such file (nothing was sent)
+     */
+    send(res, key, headers) {
+      return new Promise((resolve, reject) => {
+        res.sendFile(path.resolve(pathFor(key)), { headers, acceptRanges: true, cacheControl: false, dotfiles: 'deny' }, (error) => {
+          if (!error) {
+            return resolve(true);
+          }
+          if (error.code === 'ENOENT' && !res.headersSent) {
+            return resolve(false);
+          }
+          // The client went away or the response was already under way; there is nothing left to answer
+          if (res.headersSent) {
+            return resolve(true);
+          }
+          return reject(error);
+        });
+      });
+    },
+
+    /**
+     * Delete a file (missing files are ignored)
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+      await fs.rm(pathFor(key), { force: true });
+    },
+
+    /**
+     * Public URL of a file
+     * @param {string} key - Storage key
+     * @returns {string} URL
+     */
+    url(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    /**
+     * Storage key of one of this backend's public URLs
+     * @param {string} url - URL to check
+     * @returns {string|null} Key, or null if the URL isn't one of ours
+     */
+    keyFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) {
+        return null;
+      }
+
+      const key = url.slice(baseUrl.length + 1);
+      return KEY_PATTERN.test(key) ? key : null;
+    },
+  };
+};
+
+module.exports = createLocalDiskStorage;
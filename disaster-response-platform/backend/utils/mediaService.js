@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const sharp = require('sharp');
+const piexif = require('piexifjs');
+const supabase = require('../config/supabase');
+const storage = require('../config/storage');
+const logger = require('./logger');
+const imageForensicsService = require('./imageForensicsService');
+const { ALLOW_PRIVATE_HOSTS, isPrivateHost, httpAgent, httpsAgent } = require('./publicHostAgents');
+
+// Accepted upload types and the extension they are stored under
+const ALLOWED_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov',
+};
+
+const CONTENT_TYPES_BY_EXTENSION = Object.fromEntries(
+  Object.entries(ALLOWED_TYPES).map(([contentType, extension]) => [extension, contentType])
+);
+
+// Size limits per file; videos are larger so they get their own
+const MAX_IMAGE_BYTES = parseInt(process.env.MEDIA_MAX_IMAGE_MB || 10, 10) * 1024 * 1024;
+const MAX_VIDEO_BYTES = parseInt(process.env.MEDIA_MAX_VIDEO_MB || 50, 10) * 1024 * 1024;
+
+// Size limit for all files of one upload request together
+const MAX_UPLOAD_BYTES = parseInt(process.env.MEDIA_MAX_UPLOAD_MB || 100, 10) * 1024 * 1024;
+
+// Most files per upload request and per report
+const MAX_ATTACHMENTS = 5;
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Work out a file's type from its first bytes, so a renamed file can't pass as an image
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} One of ALLOWED_TYPES, or null if unrecognized
+ */
+const sniffContentType = (buffer) => {
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'video/webm';
+  if (ascii(4, 8) === 'ftyp') return ascii(8, 12) === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  return null;
+};
+
+/**
+ * Error for a loaded file that isn't a supported image
+ * @returns {Error} Error with code NOT_AN_IMAGE
+ */
+const notAnImage = () => Object.assign(new Error('The URL does not point to a JPEG, PNG or WebP image'), { code: 'NOT_AN_IMAGE' });
+
+/**
+ * Remove the GPS tags from a JPEG, keeping the rest of its EXIF data (camera, timestamps) for forensics
+ * Falls back to dropping all metadata if the EXIF block can't be rewritten.
+ * @param {Buffer} buffer - JPEG contents
+ * @returns {Promise<Buffer>} JPEG without location data
+ */
+const stripJpegGps = async (buffer) => {
+  const binary = buffer.toString('binary');
+
+  try {
+    const exif = piexif.load(binary);
+
+    if (Object.keys(exif.GPS || {}).length === 0) {
+      return buffer;
+    }
+
+    exif.GPS = {};
+    delete exif['0th'][piexif.ImageIFD.GPSTag];
+
+    return Buffer.from(piexif.insert(piexif.dump(exif), binary), 'binary');
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Could not rewrite EXIF data, dropping all image metadata');
+    return sharp(buffer).rotate().jpeg({ quality: 90 }).toBuffer();
+  }
+};
+
+/**
+ * Service for uploaded report photos and videos
+ * Images have their GPS tags stripped unless the reporter opts in, and get a thumbnail.
+ * Videos are stored as uploaded, without a thumbnail or metadata stripping; uploads arrive on disk
+ * (see mediaUploadStorage.js) and are copied into storage without being read into memory.
+ */
+const mediaService = {
+  ALLOWED_TYPES: Object.keys(ALLOWED_TYPES),
+  MAX_IMAGE_BYTES,
+  MAX_VIDEO_BYTES,
+  MAX_UPLOAD_BYTES,
+  MAX_ATTACHMENTS,
+
+  /**
+   * Work out a file's type from its first bytes
+   * @param {Buffer} buffer - File contents, or at least their first 12 bytes
+   * @returns {string|null} Accepted content type, or null if unrecognized
+   */
+  detectType(buffer) {
+    return sniffContentType(buffer);
+  },
+
+  /**
+   * Check whether a content type is accepted
+   * @param {string} contentType - MIME type
+   * @returns {boolean} True if the type can be uploaded
+   */
+  isAllowedType(contentType) {
+    return Object.prototype.hasOwnProperty.call(ALLOWED_TYPES, contentType);
+  },
+
+  /**
+   * Check whether a content type is an image
+   * @param {string} contentType - MIME type
+   * @returns {boolean} True for images
+   */
+  isImage(contentType) {
+    return typeof contentType === 'string' && contentType.startsWith('image/');
+  },
+
+  /**
+   * Content type a storage key is served with
+   * @param {string} key - Storage key
+   * @returns {string} MIME type
+   */
+  contentTypeForKey(key) {
+    return CONTENT_TYPES_BY_EXTENSION[key.split('.').pop()] || 'application/octet-stream';
+  },
+
+  /**
+   * Check an uploaded file's real type and size
+   * @param {Object} file - Multer file (buffer or path, size, originalname, and contentType if already detected)
+   * @returns {{contentType: string|null, error: string|null}} Detected type, or why the file is refused
+   */
+  validate(file) {
+    const contentType = file.contentType || (file.buffer ? sniffContentType(file.buffer) : null);
+
+    if (!contentType) {
+      return {
+        contentType: null,
+        error: `${file.originalname} is not a supported file; upload JPEG, PNG or WebP images or MP4, WebM or MOV videos`,
+      };
+    }
+
+    const maxBytes = this.isImage(contentType) ? MAX_IMAGE_BYTES : MAX_VIDEO_BYTES;
+    if (file.size > maxBytes) {
+      return {
+        contentType,
+        error: `${file.originalname} is larger than ${Math.round(maxBytes / (1024 * 1024))} MB`,
+      };
+    }
+
+    return { contentType, error: null };
+  },
+
+  /**
+   * Store an uploaded file (and its thumbnail) and record it
+   * @param {Object} file - Multer file (buffer, or path for videos; size, originalname)
+   * @param {string} contentType - Type from validate()
+   * @param {Object} options - Upload options
+   * @param {string} options.userId - Uploader ID
+   * @param {boolean} [options.keepLocation] - Keep the image's GPS tags
+   * @returns {Promise<Object>} Media record with url and thumbnail_url
+   */
+  async store(file, contentType, { userId, keepLocation = false }) {
+    const id = crypto.randomUUID();
+    const key = `${id}.${ALLOWED_TYPES[contentType]}`;
+    let buffer = file.buffer;
+    let thumbnailKey = null;
+    let dimensions = {};
+    let perceptualHash = null;
+
+    if (this.isImage(contentType)) {
+      if (!keepLocation) {
+        buffer = contentType === 'image/jpeg'
+          ? await stripJpegGps(buffer)
+          // sharp writes no metadata unless asked, so re-encoding drops any EXIF block
+          : await sharp(buffer).rotate().toFormat(ALLOWED_TYPES[contentType]).toBuffer();
+      }
+
+      const { width, height } = await sharp(buffer).metadata();
+      dimensions = { width, height };
+      perceptualHash = await imageForensicsService.perceptualHash(buffer);
+
+      thumbnailKey = `${id}_thumb.webp`;
+      await storage.put(
+        thumbnailKey,
+        await sharp(buffer)
+          .rotate()
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 70 })
+          .toBuffer()
+      );
+    }
+
+    if (buffer) {
+      await storage.put(key, buffer);
+    } else {
+      await storage.putFile(key, file.path);
+    }
+
+    const { data, error } = await supabase
+      .from('media')
+      .insert({
+        id,
+        uploaded_by: userId,
+        storage_key: key,
+        thumbnail_key: thumbnailKey,
+        content_type: contentType,
+        size_bytes: buffer ? buffer.length : file.size,
+        width: dimensions.width || null,
+        height: dimensions.height || null,
+        original_name: file.originalname || null,
+        gps_retained: this.isImage(contentType) && keepLocation,
+        perceptual_hash: perceptualHash,
+        created_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      await Promise.all([key, thumbnailKey].filter(Boolean).map((storedKey) => storage.delete(storedKey)));
+      throw new Error(`Could not record upload: ${error.message}`);
+    }
+
+    return this.toResponse(data);
+  },
+
+  /**
+   * Add the public URLs to a media record
+   * @param {Object} media - Media record
+   * @returns {Object} Record with url and thumbnail_url
+   */
+  toResponse(media) {
+    return {
+      ...media,
+      url: storage.url(media.storage_key),
+      thumbnail_url: media.thumbnail_key ? storage.url(media.thumbnail_key) : null,
+    };
+  },
+
+  /**
+   * Get a user's uploads that aren't attached to a report yet
+   * @param {Array<string>} mediaIds - Media IDs
+   * @param {string} userId - Uploader ID
+   * @returns {Promise<Array<Object>>} Matching records with URLs, in the order given
+   */
+  async getUnattached(mediaIds, userId) {
+    const { data, error } = await supabase
+      .from('media')
+      .select('*')
+      .in('id', mediaIds)
+      .eq('uploaded_by', userId)
+      .is('report_id', null);
+
+    if (error) {
+      throw new Error(`Could not fetch uploads: ${error.message}`);
+    }
+
+    return data
+      .map((media) => this.toResponse(media))
+      .sort((a, b) => mediaIds.indexOf(a.id) - mediaIds.indexOf(b.id));
+  },
+
+  /**
+   * Attach uploads to a report
+   * @param {Array<string>} mediaIds - Media IDs
+   * @param {string} reportId - Report ID
+   * @returns {Promise<void>}
+   */
+  async attachToReport(mediaIds, reportId) {
+    const { error } = await supabase
+      .from('media')
+      .update({ report_id: reportId })
+      .in('id', mediaIds)
+      .is('report_id', null);
+
+    if (error) {
+      throw new Error(`Could not attach uploads to report: ${error.message}`);
+    }
+  },
+
+  /**
+   * Add each report's attachments (oldest first) as report.attachments
+   * @param {Array<Object>} reports - Reports
+   * @returns {Promise<Array<Object>>} Reports with attachments
+   */
+  async withAttachments(reports) {
+    if (reports.length === 0) {
+      return reports;
+    }
+
+    const { data, error } = await supabase
+      .from('media')
+      .select('*')
+      .in('report_id', reports.map((report) => report.id))
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Could not fetch report attachments: ${error.message}`);
+    }
+
+    const byReport = new Map();
+    data.forEach((media) => {
+      if (!byReport.has(media.report_id)) {
+        byReport.set(media.report_id, []);
+      }
+      byReport.get(media.report_id).push(this.toResponse(media));
+    });
+
+    return reports.map((report) => ({
+      ...report,
+      attachments: byReport.get(report.id) || [],
+    }));
+  },
+
+  /**
+   * Read a stored file by its public URL, so our own uploads aren't fetched over HTTP
+   * @param {string} url - URL to check
+   * @returns {Promise<{buffer: Buffer, contentType: string}|null>} File, or null if the URL isn't a stored file
+   */
+  async loadFromUrl(url) {
+    const key = storage.keyFromUrl(url);
+    if (!key) {
+      return null;
+    }
+
+    const buffer = await storage.get(key);
+    return buffer ? { buffer, contentType: this.contentTypeForKey(key) } : null;
+  },
+
+  /**
+   * Load an image from a data URL, our storage or the web
+   * The contents must be a JPEG, PNG or WebP image whatever the URL or server claims; anything else is refused
+   * with an error whose code is NOT_AN_IMAGE.
+   * @param {string} imageUrl - data: URL, stored file URL or any http(s) URL
+   * @returns {Promise<{buffer: Buffer, contentType: string}>} Image contents and type
+   */
+  async loadImage(imageUrl) {
+    const { buffer } = await this.loadImageSource(imageUrl);
+    const contentType = sniffContentType(buffer);
+
+    if (!this.isImage(contentType)) {
+      throw notAnImage();
+    }
+
+    return { buffer, contentType };
+  },
+
+  /**
+   * Read the bytes behind an image URL, without checking them (see loadImage)
+   * @param {string} imageUrl - data: URL, stored file URL or any http(s) URL
+   * @returns {Promise<{buffer: Buffer, contentType: string}>} Contents and declared type
+   */
+  async loadImageSource(imageUrl) {
+    // Format: data:image/jpeg;base64,/9j/4AAQSkZJRgABAQEAYABgAAD...
+    if (imageUrl.startsWith('data:')) {
+      const matches = imageUrl.match(/^data:([^;]+);base64,(.+)$/);
+      if (!matches) {
+        throw new Error('Invalid data URL format');
+      }
+      return { buffer: Buffer.from(matches[2], 'base64'), contentType: matches[1] };
+    }
+
+    // Stored videos aren't read into memory just to be refused
+    const key = storage.keyFromUrl(imageUrl);
+    if (key && !this.isImage(this.contentTypeForKey(key))) {
+      throw notAnImage();
+    }
+
+    const stored = await this.loadFromUrl(imageUrl);
+    if (stored) {
+      return stored;
+    }
+
+    // Image URLs come from users: only public http(s) hosts, checked again when they are resolved, and no redirects
+    const url = new URL(imageUrl);
+    if (!['http:', 'https:'].includes(url.protocol) || (!ALLOW_PRIVATE_HOSTS && isPrivateHost(url.hostname))) {
+      throw new Error('Image URLs must be http(s) URLs on public hosts');
+    }
+
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_IMAGE_BYTES,
+      timeout: 15000,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+    });
+    return { buffer: Buffer.from(response.data), contentType: response.headers['content-type'] };
+  },
+};
+
+module.exports = mediaService;
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Bytes needed to recognize a file's type
+const SNIFF_BYTES = 12;
+
+// Size in whole megabytes, for messages
+const toMegabytes = (bytes) => Math.round(bytes / (1024 * 1024));
+
+/**
+ * Error for a refused upload, carrying the HTTP status the route answers with
+ * @param {number} status - 413 or 415
+ * @param {string} message - What was wrong
+ * @returns {Error} Error with status
+ */
+const uploadError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Create a multer storage engine for report media that never holds more than it has to
+ * The type is detected from each file's first bytes while it streams in: images are kept in memory up to their
+ * size limit, videos are written to a temporary file up to theirs, and anything else is refused at once.
+ * The bytes of all files in a request together are capped too.
+ * @param {Object} options - Storage options
+ * @param {Function} options.detectType - (buffer) => content type or null
+ * @param {Function} options.isImage - (contentType) => true for images
+ * @param {number} options.maxImageBytes - Largest image
+ * @param {number} options.maxVideoBytes - Largest video
+ * @param {number} options.maxTotalBytes - Largest request, all files together
+ * @param {string} [options.tempDir] - Directory for videos while they are checked and stored
+ * @returns {Object} Multer storage engine; files get contentType and either buffer (images) or path (videos)
+ */
+const createMediaUploadStorage = ({ detectType, isImage, maxImageBytes, maxVideoBytes, maxTotalBytes, tempDir = os.tmpdir() }) => ({
+  _handleFile(req, file, cb) {
+    const stream = file.stream;
+    let head = Buffer.alloc(0);
+    let contentType = null;
+    let maxBytes = maxVideoBytes;
+    let chunks = null;
+    let out = null;
+    let tempPath = null;
+    let size = 0;
+    let finished = false;
+
+    const finish = (error, info) => {
+      if (finished) return;
+      finished = true;
+
+      if (error) {
+        // Let the rest of the request drain; multer stops reading it
+        stream.resume();
+        if (out) {
+          out.destroy();
+          fs.rm(tempPath, { force: true }, () => cb(error));
+          return;
+        }
+      }
+
+      cb(error, info);
+    };
+
+    // The first bytes decide where the file goes
+    const start = () => {
+      contentType = detectType(head);
+
+      if (!contentType) {
+        return finish(uploadError(415,
+          `${file.originalname} is not a supported file; upload JPEG, PNG or WebP images or MP4, WebM or MOV videos`));
+      }
+
+      if (isImage(contentType)) {
+        maxBytes = maxImageBytes;
+        chunks = [head];
+        return null;
+      }
+
+      tempPath = path.join(tempDir, `upload-${crypto.randomUUID()}`);
+      out = fs.createWriteStream(tempPath, { flags: 'wx' });
+      out.on('error', (error) => finish(error));
+      out.on('drain', () => stream.resume());
+      out.write(head);
+      return null;
+    };
+
+    stream.on('data', (chunk) => {
+      if (finished) return;
+
+      size += chunk.length;
+      req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+
+      if (req.uploadedBytes > maxTotalBytes) {
+        return finish(uploadError(413, `Uploads are limited to ${toMegabytes(maxTotalBytes)} MB per request`));
+      }
+
+      if (size > maxBytes) {
+        return finish(uploadError(413, `${file.originalname} is larger than ${toMegabytes(maxBytes)} MB`));
+      }
+
+      if (!contentType) {
+        head = Buffer.concat([head, chunk]);
+        return head.length >= SNIFF_BYTES ? start() : null;
+      }
+
+      if (chunks) {
+        chunks.push(chunk);
+      } else if (!out.write(chunk)) {
+        stream.pause();
+      }
+      return null;
+    });
+
+    stream.on('end', () => {
+      if (finished) return;
+
+      // Files shorter than SNIFF_BYTES are checked once they end (and refused)
+      if (!contentType) {
+        start();
+        if (finished) return;
+      }
+
+      if (chunks) {
+        return finish(null, { contentType, buffer: Buffer.concat(chunks), size });
+      }
+
+      out.end(() => finish(null, { contentType, path: tempPath, size }));
+      return null;
+    });
+
+    stream.on('error', (error) => finish(error));
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    if (!file.path) {
+      return cb(null);
+    }
+    fs.rm(file.path, { force: true }, cb);
+    return null;
+  },
+});
+
+module.exports = createMediaUploadStorage;
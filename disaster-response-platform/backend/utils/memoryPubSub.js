@@ -0,0 +1,105 @@
+const { EventEmitter } = require('events');
+
+// Sweep expired counters once there are this many, so old rate limit keys don't pile up
+const COUNTER_SWEEP_THRESHOLD = 10000;
+
+/**
+ * Create an in-process pub/sub adapter
+ * Only reaches subscribers in the same process, so it suits a single backend instance.
+ * @returns {Object} Pub/sub adapter (see config/pubsub.js)
+ */
+const createMemoryPubSub = () => {
+  const emitter = new EventEmitter();
+  const counters = new Map();
+
+  // Any number of channels can be subscribed to
+  emitter.setMaxListeners(0);
+
+  const sweepCounters = (now) => {
+    counters.forEach((counter, key) => {
+      if (counter.resetTime <= now) {
+        counters.delete(key);
+      }
+    });
+  };
+
+  return {
+    name: 'memory',
+
+    /**
+     * Publish a message to a channel
+     * @param {string} channel - Channel name
+     * @param {Object} message - JSON-serializable message
+     * @returns {Promise<void>}
+     */
+    async publish(channel, message) {
+      // Hand subscribers a copy, as they would get from a remote store
+      emitter.emit(channel, JSON.parse(JSON.stringify(message)));
+    },
+
+    /**
+     * Subscribe to a channel
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with each message
+     * @returns {Promise<void>}
+     */
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+    },
+
+    /**
+     * Increment a counter that resets after a window
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length in milliseconds, starting at the first increment
+     * @returns {Promise<{count: number, resetTime: Date}>} Count in the current window and when it resets
+     */
+    async increment(key, windowMs) {
+      const now = Date.now();
+
+      if (counters.size >= COUNTER_SWEEP_THRESHOLD) {
+        sweepCounters(now);
+      }
+
+      let counter = counters.get(key);
+      if (!counter || counter.resetTime <= now) {
+        counter = { count: 0, resetTime: now + windowMs };
+        counters.set(key, counter);
+      }
+
+      counter.count += 1;
+      return { count: counter.count, resetTime: new Date(counter.resetTime) };
+    },
+
+    /**
+     * Decrement a counter
+     * @param {string} key - Counter key
+     * @returns {Promise<void>}
+     */
+    async decrement(key) {
+      const counter = counters.get(key);
+      if (counter && counter.count > 0) {
+        counter.count -= 1;
+      }
+    },
+
+    /**
+     * Delete a counter
+     * @param {string} key - Counter key
+     * @returns {Promise<void>}
+     */
+    async resetKey(key) {
+      counters.delete(key);
+    },
+
+    /**
+     * Release resources
+     * @returns {Promise<void>}
+     */
+    async close() {
+      emitter.removeAllListeners();
+      counters.clear();
+    },
+  };
+};
+
+module.exports = createMemoryPubSub;
@@ -1,5 +1,65 @@
 const logger = require('./logger');
 const cacheService = require('./cacheService');
+const aiService = require('./aiService');
+
+// How mock posts are worded in each language, and how often each language appears
+const POST_LANGUAGES = {
+  en: {
+    share: 0.7,
+    urgent: 'URGENT: ',
+    request: (need, location) => `Need ${need} in ${location}. `,
+    needs: ['food', 'water', 'shelter', 'medical supplies', 'evacuation', 'power generators', 'blankets', 'volunteers'],
+    details: (isUrgent, affected) => [
+      `Situation is ${isUrgent ? 'critical' : 'manageable'}.`,
+      `${affected} people affected.`,
+      `Local resources are ${Math.random() < 0.5 ? 'depleted' : 'limited'}.`,
+      `Access is ${Math.random() < 0.3 ? 'restricted' : 'difficult but possible'}.`,
+    ],
+  },
+  es: {
+    share: 0.1,
+    urgent: 'URGENTE: ',
+    request: (need, location) => `Necesitamos ${need} en ${location}. `,
+    needs: ['comida', 'agua', 'refugio', 'medicinas', 'evacuación', 'generadores', 'mantas', 'voluntarios'],
+    details: (isUrgent, affected) => [
+      `La situación es ${isUrgent ? 'crítica' : 'manejable'}.`,
+      `Hay ${affected} personas afectadas.`,
+      `Los recursos locales están ${Math.random() < 0.5 ? 'agotados' : 'limitados'}.`,
+    ],
+  },
+  fr: {
+    share: 0.1,
+    urgent: 'URGENT : ',
+    request: (need, location) => `Il nous faut ${need} à ${location}. `,
+    needs: ['de la nourriture', 'de l\'eau', 'un abri', 'des médicaments', 'une évacuation', 'des couvertures', 'des bénévoles'],
+    details: (isUrgent, affected) => [
+      `La situation est ${isUrgent ? 'critique' : 'sous contrôle'}.`,
+      `${affected} personnes touchées.`,
+      `L'accès est ${Math.random() < 0.3 ? 'bloqué' : 'difficile mais possible'}.`,
+    ],
+  },
+  pt: {
+    share: 0.1,
+    urgent: 'URGENTE: ',
+    request: (need, location) => `Precisamos de ${need} em ${location}. `,
+    needs: ['comida', 'água', 'abrigo', 'remédios', 'evacuação', 'geradores', 'cobertores', 'voluntários'],
+    details: (isUrgent, affected) => [
+      `A situação é ${isUrgent ? 'crítica' : 'controlável'}.`,
+      `${affected} pessoas afetadas.`,
+      `Os recursos locais estão ${Math.random() < 0.5 ? 'esgotados' : 'limitados'}.`,
+    ],
+  },
+};
+
+/**
+ * Pick a post language according to POST_LANGUAGES shares
+ * @returns {Object} Wording for the language
+ */
+const pickLanguage = () => {
+  let roll = Math.random();
+  const languages = Object.values(POST_LANGUAGES);
+  return languages.find(({ share }) => (roll -= share) < 0) || languages[0];
+};
 
 /**
  * Mock Twitter API service for social media integration
@@ -24,8 +84,8 @@ const mockTwitterService = {
         return cachedPosts;
       }
       
-      // Generate mock posts
-      const posts = this.generateMockPosts(disasterId, tags);
+      // Generate mock posts, in several languages like a real feed
+      const posts = await this.translatePosts(this.generateMockPosts(disasterId, tags));
       
       // Cache the results
       await cacheService.set(cacheKey, posts);
@@ -38,6 +98,28 @@ const mockTwitterService = {
     }
   },
 
+  /**
+   * Detect each post's language and add a translation into the working language
+   * Posts whose translation fails are kept untranslated.
+   * @param {Array} posts - Social media posts
+   * @returns {Promise<Array>} Posts with language and translated_content (null if not needed)
+   */
+  async translatePosts(posts) {
+    return Promise.all(posts.map(async (post) => {
+      try {
+        const translation = await aiService.translate(post.content);
+        return {
+          ...post,
+          language: translation?.language || null,
+          translated_content: translation?.translation || null,
+        };
+      } catch (error) {
+        logger.warn({ error: error.message, postId: post.id }, 'Could not translate social media post');
+        return { ...post, language: null, translated_content: null };
+      }
+    }));
+  },
+
   /**
    * Generate mock Twitter posts for a disaster
    * @param {string} disasterId - ID of the disaster
@@ -59,18 +141,6 @@ const mockTwitterService = {
       'Bronx',
     ];
     
-    // Sample needs
-    const needs = [
-      'food',
-      'water',
-      'shelter',
-      'medical supplies',
-      'evacuation',
-      'power generators',
-      'blankets',
-      'volunteers',
-    ];
-    
     // Sample hashtags
     const hashtags = ['#disaster', '#emergency', '#relief', '#help'];
     
@@ -88,8 +158,9 @@ const mockTwitterService = {
       // Random location
       const location = locations[Math.floor(Math.random() * locations.length)];
       
-      // Random need
-      const need = needs[Math.floor(Math.random() * needs.length)];
+      // Random language and need
+      const wording = pickLanguage();
+      const need = wording.needs[Math.floor(Math.random() * wording.needs.length)];
       
       // Random hashtags (2-4)
       const postHashtags = [];
@@ -118,19 +189,14 @@ const mockTwitterService = {
       let content = '';
       
       if (isUrgent) {
-        content += 'URGENT: ';
+        content += wording.urgent;
       }
       
-      content += `Need ${need} in ${location}. `;
+      content += wording.request(need, location);
       
       // Add a more detailed description sometimes
       if (Math.random() < 0.7) {
-        const details = [
-          `Situation is ${isUrgent ? 'critical' : 'manageable'}.`,
-          `${Math.floor(Math.random() * 50) + 5} people affected.`,
-          `Local resources are ${Math.random() < 0.5 ? 'depleted' : 'limited'}.`,
-          `Access is ${Math.random() < 0.3 ? 'restricted' : 'difficult but possible'}.`,
-        ];
+        const details = wording.details(isUrgent, Math.floor(Math.random() * 50) + 5);
         
         content += details[Math.floor(Math.random() * details.length)] + ' ';
       }
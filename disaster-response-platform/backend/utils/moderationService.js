@@ -0,0 +1,256 @@
+const supabase = require('../config/supabase');
+const permissions = require('./permissions');
+const priorityService = require('./priorityService');
+const teamService = require('./teamService');
+const auditService = require('./auditService');
+
+// Verdicts a moderator can reach and the reason codes that go with each
+const REASON_CODES = {
+  verified: ['corroborated', 'official_source', 'media_confirmed', 'field_confirmed'],
+  rejected: ['duplicate', 'insufficient_evidence', 'misinformation', 'spam', 'out_of_area', 'manipulated_media'],
+};
+
+// Minutes a claim holds before another moderator can take the report
+const CLAIM_TTL_MINUTES = parseInt(process.env.MODERATION_CLAIM_MINUTES || 15, 10);
+
+// Most reports returned from the queue at once
+const MAX_QUEUE_SIZE = 200;
+
+/**
+ * PostgREST filter matching reports nobody else is working on: unclaimed, claimed by the user or with an expired claim
+ * @param {string} userId - Moderator ID
+ * @param {Date} now - Current time
+ * @returns {string} Filter for .or()
+ */
+const claimableFilter = (userId, now) =>
+  `claimed_by.is.null,claimed_by.eq."${userId}",claim_expires_at.lt.${now.toISOString()}`;
+
+/**
+ * Service for the report moderation queue: claims and decisions
+ */
+const moderationService = {
+  VERDICTS: Object.keys(REASON_CODES),
+  REASON_CODES,
+  CLAIM_TTL_MINUTES,
+  MAX_QUEUE_SIZE,
+
+  /**
+   * Check whether a value is a known verdict
+   * @param {string} verdict - Verdict to check
+   * @returns {boolean} True if the verdict exists
+   */
+  isValidVerdict(verdict) {
+    return this.VERDICTS.includes(verdict);
+  },
+
+  /**
+   * Check whether a reason code can back a verdict
+   * @param {string} verdict - Verdict
+   * @param {string} reasonCode - Reason code to check
+   * @returns {boolean} True if the reason code belongs to the verdict
+   */
+  isValidReasonCode(verdict, reasonCode) {
+    return (REASON_CODES[verdict] || []).includes(reasonCode);
+  },
+
+  /**
+   * Check whether someone holds an unexpired claim on a report
+   * @param {Object} report - Report record
+   * @param {Date} [now] - Current time
+   * @returns {boolean} True if the claim is still active
+   */
+  isClaimActive(report, now = new Date()) {
+    return Boolean(report.claimed_by) && new Date(report.claim_expires_at) > now;
+  },
+
+  /**
+   * Get the pending reports a moderator can work on, highest disaster priority first and oldest first within a disaster
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Object} [options] - Queue options
+   * @param {string} [options.disasterId] - Only reports of this disaster
+   * @param {boolean} [options.unclaimedOnly] - Leave out reports claimed by someone else
+   * @param {number} [options.limit] - Most reports to return
+   * @returns {Promise<Array<Object>>} Reports with their disaster's title, severity and priority, and claim state
+   */
+  async getQueue(user, { disasterId, unclaimedOnly = false, limit = MAX_QUEUE_SIZE } = {}) {
+    const now = new Date();
+
+    let query = supabase
+      .from('reports')
+      .select('*')
+      .eq('verification_status', 'pending')
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true });
+
+    if (disasterId) {
+      query = query.eq('disaster_id', disasterId);
+    }
+
+    // Without moderate_any, only disasters the user verifies for
+    if (!permissions.can(user, 'disaster:moderate_any')) {
+      const assignedIds = await teamService.getAssignedDisasterIds(user.id, 'report:verify');
+      if (assignedIds.length === 0) {
+        return [];
+      }
+      query = query.in('disaster_id', assignedIds);
+    }
+
+    if (unclaimedOnly) {
+      query = query.or(claimableFilter(user.id, now));
+    }
+
+    const { data: reports, error } = await query;
+
+    if (error) {
+      throw new Error(`Could not fetch moderation queue: ${error.message}`);
+    }
+
+    if (reports.length === 0) {
+      return [];
+    }
+
+    const { data: disasters, error: disasterError } = await supabase
+      .from('disasters')
+      .select('*')
+      .in('id', [...new Set(reports.map((report) => report.disaster_id))])
+      .is('deleted_at', null);
+
+    if (disasterError) {
+      throw new Error(`Could not fetch disasters for moderation queue: ${disasterError.message}`);
+    }
+
+    const scored = await priorityService.scoreDisasters(disasters);
+    const disastersById = new Map(scored.map((disaster) => [disaster.id, disaster]));
+
+    return reports
+      .filter((report) => disastersById.has(report.disaster_id))
+      .map((report) => {
+        const disaster = disastersById.get(report.disaster_id);
+
+        return {
+          ...report,
+          disaster: {
+            id: disaster.id,
+            title: disaster.title,
+            severity: disaster.severity,
+            status: disaster.status,
+            priority_score: disaster.priority_score,
+          },
+          age_minutes: Math.floor((now - new Date(report.created_at)) / 60000),
+          claim_active: this.isClaimActive(report, now),
+        };
+      })
+      // Stable sort keeps the oldest-first order within equal priorities
+      .sort((a, b) => b.disaster.priority_score - a.disaster.priority_score)
+      .slice(0, Math.min(limit, MAX_QUEUE_SIZE));
+  },
+
+  /**
+   * Claim a pending report for CLAIM_TTL_MINUTES, or extend the user's own claim
+   * @param {string} reportId - Report ID
+   * @param {string} userId - Moderator ID
+   * @returns {Promise<Object|null>} Claimed report, or null if it isn't pending or someone else holds it
+   */
+  async claim(reportId, userId) {
+    const now = new Date();
+
+    const { data, error } = await supabase
+      .from('reports')
+      .update({
+        claimed_by: userId,
+        claim_expires_at: new Date(now.getTime() + CLAIM_TTL_MINUTES * 60 * 1000).toISOString(),
+      })
+      .eq('id', reportId)
+      .eq('verification_status', 'pending')
+      .is('deleted_at', null)
+      .or(claimableFilter(userId, now))
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Could not claim report: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Release a claim
+   * @param {string} reportId - Report ID
+   * @param {string} userId - Moderator releasing the claim
+   * @param {boolean} [force] - Release someone else's claim
+   * @returns {Promise<Object|null>} Released report, or null if the claim wasn't the user's
+   */
+  async release(reportId, userId, force = false) {
+    let query = supabase
+      .from('reports')
+      .update({ claimed_by: null, claim_expires_at: null })
+      .eq('id', reportId)
+      .not('claimed_by', 'is', null);
+
+    if (!force) {
+      query = query.eq('claimed_by', userId);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) {
+      throw new Error(`Could not release claim: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Record a moderator's decision on a pending report and release its claim
+   * @param {Object} report - Current report record
+   * @param {string} userId - Moderator ID
+   * @param {Object} decision - Decision
+   * @param {string} decision.verdict - verified or rejected
+   * @param {string} decision.reasonCode - Reason code for the verdict
+   * @param {string} [decision.notes] - Free-text notes
+   * @returns {Promise<Object|null>} Updated report, or null if it was decided or claimed by someone else meanwhile
+   */
+  async decide(report, userId, { verdict, reasonCode, notes }) {
+    const now = new Date();
+
+    const decision = {
+      verification_status: verdict,
+      moderated_by: userId,
+      moderated_at: now.toISOString(),
+      moderation_reason: reasonCode,
+      moderation_notes: notes || null,
+      claimed_by: null,
+      claim_expires_at: null,
+    };
+
+    const { data, error } = await supabase
+      .from('reports')
+      .update({
+        ...decision,
+        audit_trail: auditService.append(
+          report,
+          auditService.createEntry(
+            'moderate',
+            userId,
+            auditService.diff(report, { verification_status: verdict }),
+            { reason_code: reasonCode, notes: decision.moderation_notes }
+          )
+        ),
+      })
+      .eq('id', report.id)
+      .eq('verification_status', 'pending')
+      .is('deleted_at', null)
+      .or(claimableFilter(userId, now))
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Could not record decision: ${error.message}`);
+    }
+
+    return data;
+  },
+};
+
+module.exports = moderationService;
@@ -0,0 +1,223 @@
+const sharp = require('sharp');
+const offlineTranslator = require('./offlineTranslator');
+
+// Places recognized even without a preposition in front of them, checked longest first
+const GAZETTEER = [
+  // US states
+  'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut', 'Delaware', 'Florida',
+  'Georgia', 'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa', 'Kansas', 'Kentucky', 'Louisiana', 'Maine',
+  'Maryland', 'Massachusetts', 'Michigan', 'Minnesota', 'Mississippi', 'Missouri', 'Montana', 'Nebraska',
+  'Nevada', 'New Hampshire', 'New Jersey', 'New Mexico', 'New York', 'North Carolina', 'North Dakota', 'Ohio',
+  'Oklahoma', 'Oregon', 'Pennsylvania', 'Rhode Island', 'South Carolina', 'South Dakota', 'Tennessee', 'Texas',
+  'Utah', 'Vermont', 'Virginia', 'Washington', 'West Virginia', 'Wisconsin', 'Wyoming', 'Puerto Rico',
+  // Cities and boroughs
+  'New York City', 'NYC', 'Manhattan', 'Lower Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island',
+  'Los Angeles', 'San Francisco', 'San Diego', 'Sacramento', 'Seattle', 'Portland', 'Phoenix', 'Las Vegas',
+  'Denver', 'Houston', 'Dallas', 'Austin', 'San Antonio', 'New Orleans', 'Miami', 'Tampa', 'Orlando',
+  'Atlanta', 'Chicago', 'Detroit', 'Boston', 'Philadelphia', 'Baltimore', 'Washington DC', 'Charlotte',
+  'Nashville', 'Memphis', 'St. Louis', 'Kansas City', 'Minneapolis', 'Salt Lake City', 'Honolulu', 'Anchorage',
+  'Mexico City', 'Toronto', 'Vancouver', 'Montreal', 'London', 'Paris', 'Berlin', 'Rome', 'Madrid', 'Athens',
+  'Istanbul', 'Cairo', 'Lagos', 'Nairobi', 'Johannesburg', 'Cape Town', 'Mumbai', 'Delhi', 'New Delhi',
+  'Kolkata', 'Chennai', 'Bangalore', 'Dhaka', 'Karachi', 'Lahore', 'Kathmandu', 'Manila', 'Jakarta',
+  'Bangkok', 'Hanoi', 'Ho Chi Minh City', 'Beijing', 'Shanghai', 'Hong Kong', 'Tokyo', 'Osaka', 'Seoul',
+  'Sydney', 'Melbourne', 'Auckland', 'Lima', 'Santiago', 'Bogota', 'Buenos Aires', 'Sao Paulo', 'Rio de Janeiro',
+  'Port-au-Prince',
+  // Countries
+  'United States', 'USA', 'Canada', 'Mexico', 'Haiti', 'Cuba', 'Brazil', 'Chile', 'Peru', 'Colombia',
+  'United Kingdom', 'France', 'Germany', 'Italy', 'Spain', 'Greece', 'Turkey', 'Syria', 'Morocco', 'Egypt',
+  'Nigeria', 'Kenya', 'Ethiopia', 'Somalia', 'Mozambique', 'South Africa', 'India', 'Pakistan', 'Bangladesh',
+  'Nepal', 'China', 'Japan', 'South Korea', 'Philippines', 'Indonesia', 'Thailand', 'Vietnam', 'Myanmar',
+  'Australia', 'New Zealand', 'Ukraine',
+].sort((a, b) => b.length - a.length);
+
+// Capitalized phrases after a locating word: "flooding in Lower Manhattan, NYC", "fire near the Hollywood Hills"
+const PREPOSITION_PATTERN = /\b(?:in|near|at|around|outside|across|throughout|along|from|of)\s+(?:the\s+)?((?:\p{Lu}[\p{L}\p{N}'.-]*|\d+(?:st|nd|rd|th)?)(?:\s+(?:of|de|la|del|on|upon|\p{Lu}[\p{L}\p{N}'.-]*|St\.?|Ave\.?))*(?:,\s*\p{Lu}[\p{L}\p{N}'.-]*(?:\s+\p{Lu}[\p{L}\p{N}'.-]*)*)*)/gu;
+
+// Capitalized words that aren't places
+const NOT_PLACES = new Set([
+  'I', 'We', 'They', 'He', 'She', 'It', 'Our', 'My', 'This', 'That', 'Please', 'Help', 'Urgent', 'Breaking',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December',
+]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words and phrases that signal each need type
+const NEED_PATTERNS = {
+  water: /\b(?:drinking water|clean water|bottled water|water supply|no water|out of water|need(?:s|ed)? water|thirst\w*|dehydrat\w*)\b/i,
+  medical: /\b(?:injur\w*|hurt|wounded|bleeding|unconscious|broken (?:arm|leg|bones?)|medic\w*|doctors?|ambulance|hospital|insulin|first aid|sick)\b/i,
+  shelter: /\b(?:shelter|homeless|displaced|evacuees|nowhere to (?:stay|sleep|go)|(?:home|house)s? (?:destroyed|collapsed)|tents?|blankets?)\b/i,
+  rescue: /\b(?:trapped|stranded|stuck|rescue|buried|under (?:the )?rubble|missing|can'?t get out|on (?:the|our|a) roof)\b/i,
+};
+
+// Hazards reported by name, with the words that mention them
+const HAZARD_PATTERNS = [
+  ['flooding', /\b(?:flood\w*|rising water|submerged)\b/i],
+  ['fire', /\b(?:fire|flames|burning|wildfire)\b/i],
+  ['smoke', /\bsmoke\b/i],
+  ['downed power lines', /\b(?:power|electric\w*) lines?\b/i],
+  ['gas leak', /\b(?:gas leak|smell(?:s|ing)? (?:of )?gas)\b/i],
+  ['structural collapse', /\b(?:collaps\w*|crumbl\w*)\b/i],
+  ['landslide', /\b(?:landslide|mudslide)\b/i],
+  ['aftershocks', /\baftershocks?\b/i],
+  ['debris', /\bdebris\b/i],
+  ['contaminated water', /\b(?:contaminated|sewage)\b/i],
+  ['chemical spill', /\b(?:chemical|toxic|spill)\b/i],
+  ['strong winds', /\b(?:high|strong) winds?\b/i],
+];
+
+// Words just before a match that cancel it: "nobody hurt", "no injuries"
+const NEGATION_PATTERN = /\b(?:no|not|nobody|none|no one|never|without)\s+(?:\w+\s+)?$/i;
+
+/**
+ * Check whether a text mentions something, ignoring negated mentions
+ * @param {RegExp} pattern - What to look for
+ * @param {string} text - Free text
+ * @returns {boolean} True if at least one mention isn't negated
+ */
+const mentions = (pattern, text) => [...text.matchAll(new RegExp(pattern.source, 'gi'))]
+  .some((match) => !NEGATION_PATTERN.test(text.slice(Math.max(0, match.index - 30), match.index)));
+
+const NUMBER_WORDS = {
+  a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, dozen: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, fifty: 50, hundred: 100,
+};
+
+// A number followed by who it counts: "3 people", "twenty elderly residents", "family of five"
+const PEOPLE_COUNT_PATTERN = new RegExp(
+  `\\b(\\d+|${Object.keys(NUMBER_WORDS).join('|')})\\s+(?:[a-z]+\\s+)?(?:people|persons|residents|survivors|victims|children|kids|adults|men|women|patients|families|neighbors|neighbours)\\b`
+  + `|\\bfamily of (\\d+|${Object.keys(NUMBER_WORDS).join('|')})\\b`,
+  'gi'
+);
+
+/**
+ * Find capitalized phrases after locating words
+ * Phrases are matched per sentence so one never runs into the next ("St." doesn't end a sentence).
+ * @param {string} text - Free text
+ * @returns {Array<string>} Distinct candidate place names
+ */
+const findPlacePhrases = (text) => [...new Set(
+  text
+    .split(/(?<=(?:[a-z]{3,}|[A-Z]{2,})[.!?])\s+/)
+    .flatMap((sentence) => [...sentence.matchAll(PREPOSITION_PATTERN)])
+    .map((match) => match[1].replace(/[.,]+$/, '').trim())
+    .filter((candidate) => !NOT_PLACES.has(candidate.split(/[\s,]/)[0]))
+)];
+
+/**
+ * Find gazetteer places mentioned anywhere in a text
+ * @param {string} text - Free text
+ * @returns {Array<string>} Places, longest first
+ */
+const findKnownPlaces = (text) => GAZETTEER.filter((place) => new RegExp(`\\b${escapeRegExp(place)}\\b`, 'i').test(text));
+
+// Least bytes per pixel a photo normally has; less means it was recompressed over and over
+const MIN_BYTES_PER_PIXEL = 0.03;
+
+/**
+ * Create a deterministic, rule-based AI provider that needs no network
+ * Location extraction uses prepositional phrases and a gazetteer, report enrichment keyword rules,
+ * translation word lists (see offlineTranslator.js) and image checks pixel heuristics.
+ * Good enough for development, tests and as a fallback, not for real verification decisions.
+ * @returns {Object} AI provider (see config/ai.js)
+ */
+const createOfflineAiProvider = () => ({
+  name: 'offline',
+
+  /**
+   * Extract the most specific location mentioned in a text
+   * @param {string} description - Free text
+   * @returns {Promise<{location: string|null}>} Location name, or null if none is found
+   */
+  async extractLocation(description) {
+    const text = description || '';
+
+    // The longest capitalized phrase after a locating word is usually the most specific
+    const candidates = findPlacePhrases(text);
+
+    if (candidates.length > 0) {
+      return {
+        location: candidates.reduce((longest, candidate) => (candidate.length > longest.length ? candidate : longest)),
+      };
+    }
+
+    return { location: findKnownPlaces(text)[0] || null };
+  },
+
+  /**
+   * Extract needs, people counts, hazards and places from a report with keyword rules
+   * @param {string} content - Report text
+   * @returns {Promise<Object>} needs, people_count (largest count mentioned, or null), hazards and locations
+   */
+  async enrichReport(content) {
+    const text = content || '';
+    const counts = [...text.matchAll(PEOPLE_COUNT_PATTERN)]
+      .map((match) => (match[1] || match[2]).toLowerCase())
+      .map((number) => NUMBER_WORDS[number] ?? parseInt(number, 10));
+    const places = findPlacePhrases(text).sort((a, b) => b.length - a.length);
+
+    return {
+      needs: Object.keys(NEED_PATTERNS).filter((need) => mentions(NEED_PATTERNS[need], text)),
+      people_count: counts.length > 0 ? Math.min(Math.max(...counts), 1000000) : null,
+      hazards: HAZARD_PATTERNS.filter(([, pattern]) => mentions(pattern, text)).map(([hazard]) => hazard),
+      locations: places.length > 0 ? places : findKnownPlaces(text),
+    };
+  },
+
+  /**
+   * Detect a text's language from its stop words and translate disaster vocabulary word for word
+   * Only translation into English is supported; other target languages get no translation.
+   * @param {Object} input - What to translate
+   * @param {string} input.text - Free text
+   * @param {string} input.targetLanguage - ISO 639-1 code to translate into
+   * @returns {Promise<{language: string|null, translation: string|null}>} Detected language and rough translation
+   */
+  async translate({ text, targetLanguage }) {
+    const language = offlineTranslator.detectLanguage(text);
+
+    if (!language || language === targetLanguage || targetLanguage !== 'en') {
+      return { language, translation: null };
+    }
+
+    return { language, translation: offlineTranslator.toEnglish(text, language) };
+  },
+
+  /**
+   * Look for obvious problems in an image: tiny, blank, banner-shaped or heavily recompressed
+   * @param {Object} image - Loaded image
+   * @param {Buffer} image.buffer - Image contents
+   * @returns {Promise<Object>} authentic, confidence (0-100), analysis and issues
+   */
+  async verifyImage({ buffer }) {
+    const { width, height } = await sharp(buffer).metadata();
+    const { entropy } = await sharp(buffer).stats();
+    const issues = [];
+
+    if (Math.min(width, height) < 200) {
+      issues.push(`Very low resolution (${width}x${height})`);
+    }
+
+    if (entropy < 2) {
+      issues.push('Image is almost uniform; it may be blank or a placeholder');
+    }
+
+    if (Math.max(width, height) / Math.min(width, height) > 4) {
+      issues.push('Unusual aspect ratio for a photo (banner or cropped screenshot)');
+    }
+
+    if (buffer.length / (width * height) < MIN_BYTES_PER_PIXEL) {
+      issues.push('Heavily compressed; the image may have been re-shared many times');
+    }
+
+    return {
+      authentic: issues.length === 0,
+      confidence: issues.length === 0 ? 30 : 60,
+      analysis: issues.length === 0
+        ? 'Offline heuristic check found no obvious problems. It cannot detect manipulation, so review the image manually.'
+        : 'Offline heuristic check found problems with the image.',
+      issues,
+    };
+  },
+});
+
+module.exports = createOfflineAiProvider;
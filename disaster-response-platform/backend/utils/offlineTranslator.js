@@ -0,0 +1,207 @@
+// Common words that tell the supported languages apart
+const STOP_WORDS = {
+  en: ['the', 'and', 'is', 'are', 'of', 'to', 'we', 'need', 'with', 'there', 'people', 'help', 'near', 'our', 'have', 'trapped'],
+  es: ['el', 'la', 'los', 'las', 'en', 'es', 'y', 'que', 'necesitamos', 'hay', 'con', 'por', 'para', 'una', 'está', 'personas', 'ayuda', 'cerca', 'del', 'muy'],
+  fr: ['le', 'les', 'et', 'des', 'est', 'dans', 'nous', 'avons', 'besoin', 'il', 'une', 'avec', 'pour', 'sur', 'près', 'aide', 'personnes'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'sind', 'wir', 'brauchen', 'mit', 'von', 'nicht', 'es', 'gibt', 'hilfe', 'menschen', 'bei', 'eine'],
+  pt: ['o', 'os', 'e', 'em', 'que', 'precisamos', 'há', 'com', 'para', 'uma', 'está', 'pessoas', 'ajuda', 'perto', 'do', 'da', 'não'],
+  it: ['il', 'lo', 'gli', 'e', 'di', 'che', 'abbiamo', 'bisogno', 'con', 'per', 'una', 'è', 'persone', 'aiuto', 'vicino', 'sono', 'non'],
+};
+
+// Disaster vocabulary translated into English, enough to get the gist and keep keyword rules working
+const GLOSSARIES = {
+  es: {
+    'necesitamos': 'we need', 'necesitan': 'they need', 'ayuda': 'help', 'urgente': 'urgent',
+    'agua potable': 'drinking water', 'agua': 'water', 'comida': 'food', 'refugio': 'shelter', 'albergue': 'shelter',
+    'medicinas': 'medicine', 'médico': 'doctor', 'ambulancia': 'ambulance', 'hospital': 'hospital',
+    'herido': 'injured', 'heridos': 'injured', 'herida': 'injured', 'heridas': 'injured', 'sangrando': 'bleeding',
+    'atrapado': 'trapped', 'atrapados': 'trapped', 'atrapada': 'trapped', 'atrapadas': 'trapped', 'rescate': 'rescue',
+    'desaparecido': 'missing', 'desaparecidos': 'missing', 'evacuados': 'evacuated', 'sin hogar': 'homeless',
+    'inundación': 'flooding', 'inundado': 'flooded', 'inundada': 'flooded', 'incendio': 'fire', 'fuego': 'fire',
+    'humo': 'smoke', 'terremoto': 'earthquake', 'réplicas': 'aftershocks', 'derrumbe': 'collapse', 'colapsó': 'collapsed',
+    'cables eléctricos': 'power lines', 'fuga de gas': 'gas leak', 'deslizamiento': 'landslide', 'escombros': 'debris',
+    'techo': 'roof', 'casa': 'house', 'calle': 'street', 'personas': 'people', 'familias': 'families', 'familia': 'family',
+    'niños': 'children', 'vecinos': 'neighbors', 'cerca de': 'near', 'en': 'in', 'el': 'the', 'la': 'the', 'los': 'the',
+    'las': 'the', 'del': 'of the', 'de': 'of', 'y': 'and', 'hay': 'there are', 'sin': 'without', 'no': 'no',
+    'nadie': 'nobody', 'estamos': 'we are', 'está': 'is', 'están': 'are', 'nuestra': 'our', 'nuestro': 'our',
+    'dos': 'two', 'tres': 'three', 'cuatro': 'four', 'cinco': 'five', 'diez': 'ten', 'veinte': 'twenty',
+    'generadores': 'generators', 'mantas': 'blankets', 'voluntarios': 'volunteers', 'evacuación': 'evacuation',
+    'situación': 'situation', 'crítica': 'critical', 'afectadas': 'affected', 'recursos': 'resources',
+    'locales': 'local', 'agotados': 'depleted', 'limitados': 'limited', 'es': 'is',
+    'nueva york': 'New York',
+  },
+  fr: {
+    'nous avons besoin de': 'we need', 'besoin de': 'need', 'aide': 'help',
+    'urgent': 'urgent', 'eau potable': 'drinking water', 'eau': 'water', 'nourriture': 'food', 'abri': 'shelter',
+    'médicaments': 'medicine', 'médecin': 'doctor', 'ambulance': 'ambulance', 'hôpital': 'hospital',
+    'blessé': 'injured', 'blessés': 'injured', 'blessée': 'injured', 'blessées': 'injured', 'saigne': 'bleeding',
+    'coincé': 'trapped', 'coincés': 'trapped', 'piégé': 'trapped', 'piégés': 'trapped', 'secours': 'rescue',
+    'disparu': 'missing', 'disparus': 'missing', 'évacués': 'evacuated', 'sans abri': 'homeless',
+    'inondation': 'flooding', 'inondé': 'flooded', 'inondée': 'flooded', 'incendie': 'fire', 'feu': 'fire',
+    'fumée': 'smoke', 'tremblement de terre': 'earthquake', 'séisme': 'earthquake', 'répliques': 'aftershocks',
+    'effondré': 'collapsed', 'effondrement': 'collapse', 'lignes électriques': 'power lines', 'fuite de gaz': 'gas leak',
+    'glissement de terrain': 'landslide', 'débris': 'debris', 'toit': 'roof', 'maison': 'house', 'rue': 'street',
+    'personnes': 'people', 'familles': 'families', 'famille': 'family', 'enfants': 'children', 'voisins': 'neighbors',
+    'près de': 'near', 'dans': 'in', 'à': 'in', 'le': 'the', 'la': 'the', 'les': 'the', 'des': 'of the',
+    'du': 'of the', 'de': 'of', 'et': 'and', 'il y a': 'there are', 'sans': 'without', 'personne': 'nobody',
+    'nous sommes': 'we are', 'est': 'is', 'sont': 'are', 'notre': 'our', 'deux': 'two', 'trois': 'three',
+    'quatre': 'four', 'cinq': 'five', 'dix': 'ten', 'vingt': 'twenty',
+    'il nous faut': 'we need', 'couvertures': 'blankets', 'bénévoles': 'volunteers', 'évacuation': 'evacuation',
+    'situation': 'situation', 'critique': 'critical', 'touchées': 'affected', 'accès': 'access', 'bloqué': 'blocked',
+    'difficile': 'difficult', 'mais': 'but', 'possible': 'possible', 'un': 'a', 'une': 'a',
+  },
+  de: {
+    'wir brauchen': 'we need', 'brauchen': 'need', 'hilfe': 'help', 'dringend': 'urgent',
+    'trinkwasser': 'drinking water', 'wasser': 'water', 'essen': 'food', 'lebensmittel': 'food', 'unterkunft': 'shelter',
+    'notunterkunft': 'shelter', 'medikamente': 'medicine', 'arzt': 'doctor', 'krankenwagen': 'ambulance',
+    'krankenhaus': 'hospital', 'verletzt': 'injured', 'verletzte': 'injured', 'blutet': 'bleeding',
+    'eingeschlossen': 'trapped', 'gefangen': 'trapped', 'rettung': 'rescue', 'vermisst': 'missing',
+    'evakuiert': 'evacuated', 'obdachlos': 'homeless', 'überschwemmung': 'flooding', 'hochwasser': 'flooding',
+    'überflutet': 'flooded', 'brand': 'fire', 'feuer': 'fire', 'rauch': 'smoke', 'erdbeben': 'earthquake',
+    'nachbeben': 'aftershocks', 'eingestürzt': 'collapsed', 'einsturz': 'collapse', 'stromleitungen': 'power lines',
+    'gasleck': 'gas leak', 'erdrutsch': 'landslide', 'trümmer': 'debris', 'dach': 'roof', 'haus': 'house',
+    'straße': 'street', 'menschen': 'people', 'personen': 'people', 'familien': 'families', 'familie': 'family',
+    'kinder': 'children', 'nachbarn': 'neighbors', 'in der nähe von': 'near', 'in': 'in', 'der': 'the', 'die': 'the',
+    'das': 'the', 'dem': 'the', 'den': 'the', 'und': 'and', 'es gibt': 'there are', 'ohne': 'without',
+    'niemand': 'nobody', 'keine': 'no', 'kein': 'no', 'wir sind': 'we are', 'ist': 'is', 'sind': 'are',
+    'unser': 'our', 'zwei': 'two', 'drei': 'three', 'vier': 'four', 'fünf': 'five', 'zehn': 'ten', 'zwanzig': 'twenty',
+  },
+  pt: {
+    'precisamos de': 'we need', 'precisamos': 'we need', 'ajuda': 'help', 'urgente': 'urgent',
+    'água potável': 'drinking water', 'água': 'water', 'comida': 'food', 'abrigo': 'shelter',
+    'remédios': 'medicine', 'médico': 'doctor', 'ambulância': 'ambulance', 'hospital': 'hospital',
+    'ferido': 'injured', 'feridos': 'injured', 'ferida': 'injured', 'feridas': 'injured', 'sangrando': 'bleeding',
+    'preso': 'trapped', 'presos': 'trapped', 'presa': 'trapped', 'presas': 'trapped', 'resgate': 'rescue',
+    'desaparecido': 'missing', 'desaparecidos': 'missing', 'desabrigados': 'homeless', 'evacuados': 'evacuated',
+    'enchente': 'flooding', 'inundação': 'flooding', 'alagado': 'flooded', 'incêndio': 'fire', 'fogo': 'fire',
+    'fumaça': 'smoke', 'terremoto': 'earthquake', 'desabou': 'collapsed', 'desabamento': 'collapse',
+    'fios elétricos': 'power lines', 'vazamento de gás': 'gas leak', 'deslizamento': 'landslide', 'escombros': 'debris',
+    'telhado': 'roof', 'casa': 'house', 'rua': 'street', 'pessoas': 'people', 'famílias': 'families',
+    'família': 'family', 'crianças': 'children', 'vizinhos': 'neighbors', 'perto de': 'near', 'em': 'in', 'no': 'in the',
+    'na': 'in the', 'o': 'the', 'a': 'the', 'os': 'the', 'as': 'the', 'do': 'of the', 'da': 'of the', 'de': 'of',
+    'e': 'and', 'há': 'there are', 'sem': 'without', 'ninguém': 'nobody', 'não': 'not', 'estamos': 'we are',
+    'está': 'is', 'estão': 'are', 'nossa': 'our', 'nosso': 'our', 'duas': 'two', 'dois': 'two', 'três': 'three',
+    'quatro': 'four', 'cinco': 'five', 'dez': 'ten', 'vinte': 'twenty',
+    'geradores': 'generators', 'cobertores': 'blankets', 'voluntários': 'volunteers', 'evacuação': 'evacuation',
+    'situação': 'situation', 'crítica': 'critical', 'afetadas': 'affected', 'recursos': 'resources',
+    'locais': 'local', 'esgotados': 'depleted', 'limitados': 'limited', 'é': 'is',
+  },
+  it: {
+    'abbiamo bisogno di': 'we need', 'bisogno di': 'need', 'aiuto': 'help', 'urgente': 'urgent',
+    'acqua potabile': 'drinking water', 'acqua': 'water', 'cibo': 'food', 'rifugio': 'shelter',
+    'medicine': 'medicine', 'medico': 'doctor', 'ambulanza': 'ambulance', 'ospedale': 'hospital',
+    'ferito': 'injured', 'feriti': 'injured', 'ferita': 'injured', 'ferite': 'injured', 'sanguina': 'bleeding',
+    'intrappolato': 'trapped', 'intrappolati': 'trapped', 'bloccati': 'trapped', 'soccorso': 'rescue',
+    'dispersi': 'missing', 'disperso': 'missing', 'sfollati': 'displaced', 'senza casa': 'homeless',
+    'alluvione': 'flooding', 'inondazione': 'flooding', 'allagato': 'flooded', 'incendio': 'fire', 'fuoco': 'fire',
+    'fumo': 'smoke', 'terremoto': 'earthquake', 'scosse di assestamento': 'aftershocks', 'crollato': 'collapsed',
+    'crollo': 'collapse', 'linee elettriche': 'power lines', 'fuga di gas': 'gas leak', 'frana': 'landslide',
+    'macerie': 'debris', 'tetto': 'roof', 'casa': 'house', 'via': 'street', 'persone': 'people',
+    'famiglie': 'families', 'famiglia': 'family', 'bambini': 'children', 'vicini': 'neighbors',
+    'vicino a': 'near', 'in': 'in', 'a': 'in', 'il': 'the', 'lo': 'the', 'la': 'the', 'i': 'the', 'gli': 'the',
+    'le': 'the', 'del': 'of the', 'della': 'of the', 'nel': 'in the', 'nella': 'in the', 'di': 'of', 'e': 'and', 'ci sono': 'there are',
+    'senza': 'without', 'nessuno': 'nobody', 'non': 'not', 'siamo': 'we are', 'è': 'is', 'sono': 'are',
+    'nostra': 'our', 'nostro': 'our', 'due': 'two', 'tre': 'three', 'quattro': 'four', 'cinque': 'five',
+    'dieci': 'ten', 'venti': 'twenty',
+  },
+};
+
+// Elided articles and prepositions spelled out so the glossary can match them ("d'eau" -> "de eau")
+const ELISIONS = {
+  fr: [[/\b([dl])['’](?=\p{L})/giu, (match, letter) => `${letter}e `], [/\bqu['’](?=\p{L})/giu, 'que ']],
+  it: [[/\b(l|dell|nell)['’](?=\p{L})/giu, (match, word) => `${word}a `]],
+};
+
+// Words that join the parts of place names, left alone inside one ("Rio de Janeiro", not "Rio of Janeiro")
+const NAME_CONNECTORS = new Set(['de', 'del', 'della', 'di', 'da', 'do', 'dos', 'das', 'du', 'des', 'la', 'le', 'los', 'von']);
+const CAPITALIZED_BEFORE = /(\p{Lu}[\p{L}.'-]*)\s+$/u;
+const CAPITALIZED_AFTER = /^\s+\p{Lu}/u;
+
+// Glossary words this long also count towards a language; shorter ones ("a", "in") are too ambiguous
+const MIN_CLUE_LENGTH = 4;
+
+// Stop words and glossary words a text needs before its language is trusted
+const MIN_LANGUAGE_SCORE = 2;
+
+/**
+ * Split text into lowercased words
+ * @param {string} text - Free text
+ * @returns {Array<string>} Words
+ */
+const words = (text) => (text || '').toLowerCase().split(/[^\p{L}']+/u).filter(Boolean);
+
+/**
+ * Build a pattern matching any glossary entry as whole words, longest entries first
+ * @param {Object} glossary - Phrase to translation
+ * @returns {RegExp} Global, case-insensitive pattern
+ */
+const glossaryPattern = (glossary) => {
+  const phrases = Object.keys(glossary)
+    .sort((a, b) => b.length - a.length)
+    .map((phrase) => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}])(?:${phrases.join('|')})(?![\\p{L}])`, 'giu');
+};
+
+const GLOSSARY_PATTERNS = Object.fromEntries(
+  Object.entries(GLOSSARIES).map(([language, glossary]) => [language, glossaryPattern(glossary)])
+);
+
+/**
+ * Language detection and word-for-word translation into English without network access
+ * Only as good as its word lists: it keeps the offline provider usable, not fluent.
+ */
+const offlineTranslator = {
+  LANGUAGES: Object.keys(STOP_WORDS),
+
+  /**
+   * Guess a text's language from its stop words and disaster vocabulary
+   * @param {string} text - Free text
+   * @returns {string|null} ISO 639-1 code, or null if no language clearly wins
+   */
+  detectLanguage(text) {
+    const textWords = words(text);
+    const scores = Object.entries(STOP_WORDS)
+      .map(([language, stopWords]) => [
+        language,
+        textWords.filter((word) => stopWords.includes(word)
+          || (word.length >= MIN_CLUE_LENGTH && GLOSSARIES[language]?.[word])).length,
+      ])
+      .sort((a, b) => b[1] - a[1]);
+
+    const [[best, bestScore], [, runnerUpScore]] = scores;
+    return bestScore >= MIN_LANGUAGE_SCORE && bestScore > runnerUpScore ? best : null;
+  },
+
+  /**
+   * Translate the glossary's words and phrases into English, leaving everything else as is
+   * @param {string} text - Free text
+   * @param {string} language - ISO 639-1 code of the text
+   * @returns {string|null} Rough English text, or null if there's no glossary for the language
+   */
+  toEnglish(text, language) {
+    const glossary = GLOSSARIES[language];
+    if (!glossary) {
+      return null;
+    }
+
+    const spelledOut = (ELISIONS[language] || [])
+      .reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+    return spelledOut.replace(GLOSSARY_PATTERNS[language], (match, offset, whole) => {
+      const before = whole.slice(0, offset);
+      const previousName = before.match(CAPITALIZED_BEFORE)?.[1];
+
+      if (NAME_CONNECTORS.has(match) && previousName && !glossary[previousName.toLowerCase()]
+        && CAPITALIZED_AFTER.test(whole.slice(offset + match.length))) {
+        return match;
+      }
+
+      const translation = glossary[match.toLowerCase()];
+      const sentenceStart = /(?:^|[.!?]\s+)$/.test(before);
+      // Capitalize at the start of a sentence only ("En Brooklyn" -> "In Brooklyn", but German nouns lose theirs)
+      return sentenceStart ? translation[0].toUpperCase() + translation.slice(1) : translation;
+    });
+  },
+};
+
+module.exports = offlineTranslator;
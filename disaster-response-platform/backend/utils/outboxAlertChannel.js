@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Messages kept for inspection; older ones are dropped
+const OUTBOX_SIZE = 100;
+
+/**
+ * Create an alert channel that keeps messages in memory instead of delivering them,
+ * for development and for checking what subscribers would receive
+ * @param {string} name - Channel the outbox stands in for (e.g. 'email')
+ * @returns {Object} Alert channel (see config/alertChannels.js)
+ */
+const createOutboxAlertChannel = (name) => {
+  const outbox = [];
+
+  return {
+    name: `${name} outbox`,
+
+    /**
+     * Keep a message
+     * @param {Object} subscription - Alert subscription
+     * @param {Object} message - Rendered message
+     * @returns {Promise<{id: string}>} Message ID
+     */
+    async send(subscription, message) {
+      const entry = {
+        id: crypto.randomUUID(),
+        to: subscription.target,
+        message,
+        sent_at: new Date().toISOString(),
+      };
+      outbox.unshift(entry);
+      outbox.length = Math.min(outbox.length, OUTBOX_SIZE);
+      logger.info({ channel: name, to: subscription.target }, 'Alert kept in outbox');
+      return { id: entry.id };
+    },
+
+    /**
+     * Messages kept so far, newest first
+     * @returns {Array<Object>} { id, to, message, sent_at }
+     */
+    getOutbox() {
+      return [...outbox];
+    },
+  };
+};
+
+module.exports = createOutboxAlertChannel;
@@ -0,0 +1,64 @@
+// Permission registry: every permission and the roles that hold it
+// Owners can always edit and delete their own disasters and reports; the *_any permissions cover everyone else's.
+const PERMISSIONS = {
+  'disaster:create': ['admin', 'contributor'],
+  'disaster:update_any': ['admin'],
+  'disaster:update_status': ['admin', 'contributor'],
+  'disaster:delete_any': ['admin'],
+  // Moderate reports and resources of disasters the user isn't assigned to (see utils/teamService.js)
+  'disaster:moderate_any': ['admin'],
+  'team:manage': ['admin'],
+  'report:verify': ['admin', 'contributor'],
+  'report:update_any': ['admin'],
+  'report:delete_any': ['admin'],
+  'resource:create': ['admin', 'contributor'],
+  'resource:update': ['admin', 'contributor'],
+  'resource:delete': ['admin'],
+  'history:revert': ['admin'],
+  'trash:manage': ['admin'],
+  'user:manage': ['admin'],
+  'api_key:manage': ['admin'],
+  'sms:simulate': ['admin'],
+  'webhook:manage': ['admin'],
+};
+
+/**
+ * Central permission checks, so routes never compare roles directly
+ */
+const permissions = {
+  PERMISSIONS,
+
+  /**
+   * Check whether a permission name is registered
+   * @param {string} permission - Permission name
+   * @returns {boolean} True if the permission exists
+   */
+  isKnown(permission) {
+    return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+  },
+
+  /**
+   * Check whether a user holds a permission
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {string} permission - Permission name
+   * @returns {boolean} True if the user's role grants the permission
+   */
+  can(user, permission) {
+    if (!user || !this.isKnown(permission)) {
+      return false;
+    }
+
+    return PERMISSIONS[permission].includes(user.role);
+  },
+
+  /**
+   * List every permission a role grants
+   * @param {string} role - Role name
+   * @returns {Array<string>} Permission names
+   */
+  forRole(role) {
+    return Object.keys(PERMISSIONS).filter((permission) => PERMISSIONS[permission].includes(role));
+  },
+};
+
+module.exports = permissions;
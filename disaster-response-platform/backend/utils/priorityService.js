@@ -0,0 +1,165 @@
+const supabase = require('../config/supabase');
+const logger = require('./logger');
+const mockTwitterService = require('./mockTwitterService');
+
+// Severity levels, lowest to highest
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Points contributed by each severity level
+const SEVERITY_WEIGHTS = {
+  low: 10,
+  medium: 25,
+  high: 40,
+  critical: 55,
+};
+
+// Disasters that are winding down need less attention than ongoing ones
+const STATUS_MULTIPLIERS = {
+  reported: 1,
+  active: 1,
+  contained: 0.75,
+  recovery: 0.5,
+  closed: 0.1,
+};
+
+// People per square kilometre used when a disaster has no explicit population estimate
+const DEFAULT_POPULATION_DENSITY = parseFloat(process.env.DEFAULT_POPULATION_DENSITY || 500);
+
+/**
+ * Service for computing disaster triage priority scores
+ */
+const priorityService = {
+  SEVERITY_LEVELS,
+  DEFAULT_SEVERITY: 'medium',
+
+  /**
+   * Check whether a value is a known severity level
+   * @param {string} severity - Severity to check
+   * @returns {boolean} True if the severity exists
+   */
+  isValidSeverity(severity) {
+    return SEVERITY_LEVELS.includes(severity);
+  },
+
+  /**
+   * Estimate how many people live inside a disaster's affected radius
+   * @param {Object} disaster - Disaster record
+   * @returns {number} Estimated affected population
+   */
+  estimatePopulation(disaster) {
+    if (disaster.estimated_population) {
+      return disaster.estimated_population;
+    }
+
+    const radiusKm = parseFloat(disaster.affected_radius_km);
+    if (!radiusKm || radiusKm <= 0) {
+      return 0;
+    }
+
+    return Math.round(Math.PI * radiusKm * radiusKm * DEFAULT_POPULATION_DENSITY);
+  },
+
+  /**
+   * Compute a priority score from its individual signals
+   * @param {Object} disaster - Disaster record
+   * @param {Object} signals - Signals gathered for the disaster
+   * @param {number} signals.verifiedReports - Number of verified reports
+   * @param {number} signals.urgentPosts - Number of urgent social media posts
+   * @returns {{priority_score: number, priority_breakdown: Object}} Score and its components
+   */
+  computeScore(disaster, { verifiedReports = 0, urgentPosts = 0 } = {}) {
+    const severity = this.isValidSeverity(disaster.severity) ? disaster.severity : this.DEFAULT_SEVERITY;
+    const population = this.estimatePopulation(disaster);
+
+    const breakdown = {
+      severity: SEVERITY_WEIGHTS[severity],
+      // Each verified report adds 2 points, up to 20
+      verified_reports: Math.min(verifiedReports, 10) * 2,
+      // Each urgent post adds 1.5 points, up to 15
+      urgent_posts: Math.min(urgentPosts, 10) * 1.5,
+      // Logarithmic so a city-sized area doesn't drown out every other signal (1M people = 15)
+      population: population > 0 ? Math.min(15, Math.log10(population + 1) * 2.5) : 0,
+      status_multiplier: STATUS_MULTIPLIERS[disaster.status] ?? 1,
+    };
+
+    const rawScore = breakdown.severity
+      + breakdown.verified_reports
+      + breakdown.urgent_posts
+      + breakdown.population;
+
+    return {
+      priority_score: Math.round(rawScore * breakdown.status_multiplier * 10) / 10,
+      priority_breakdown: {
+        ...breakdown,
+        verified_report_count: verifiedReports,
+        urgent_post_count: urgentPosts,
+        estimated_population: population,
+      },
+    };
+  },
+
+  /**
+   * Count verified reports per disaster
+   * @param {Array<string>} disasterIds - Disaster IDs to count reports for
+   * @returns {Promise<Object>} Map of disaster ID to verified report count
+   */
+  async getVerifiedReportCounts(disasterIds) {
+    const counts = {};
+    if (disasterIds.length === 0) {
+      return counts;
+    }
+
+    const { data, error } = await supabase
+      .from('reports')
+      .select('disaster_id')
+      .eq('verification_status', 'verified')
+      .in('disaster_id', disasterIds)
+      .is('deleted_at', null);
+
+    if (error) {
+      logger.error({ error }, 'Error counting verified reports for priority scoring');
+      return counts;
+    }
+
+    data.forEach((report) => {
+      counts[report.disaster_id] = (counts[report.disaster_id] || 0) + 1;
+    });
+
+    return counts;
+  },
+
+  /**
+   * Count urgent social media posts for a disaster
+   * @param {Object} disaster - Disaster record
+   * @returns {Promise<number>} Number of urgent posts
+   */
+  async getUrgentPostCount(disaster) {
+    try {
+      const posts = await mockTwitterService.getPostsByDisaster(disaster.id, disaster.tags || []);
+      return posts.filter((post) => post.isUrgent).length;
+    } catch (error) {
+      logger.warn({ error: error.message, disasterId: disaster.id }, 'Could not fetch social media posts for priority scoring');
+      return 0;
+    }
+  },
+
+  /**
+   * Attach priority scores to a list of disasters
+   * @param {Array<Object>} disasters - Disaster records
+   * @returns {Promise<Array<Object>>} Disasters with priority_score and priority_breakdown
+   */
+  async scoreDisasters(disasters) {
+    const reportCounts = await this.getVerifiedReportCounts(disasters.map((disaster) => disaster.id));
+    const urgentCounts = await Promise.all(disasters.map((disaster) => this.getUrgentPostCount(disaster)));
+
+    return disasters.map((disaster, index) => ({
+      ...disaster,
+      ...this.computeScore(disaster, {
+        verifiedReports: reportCounts[disaster.id] || 0,
+        urgentPosts: urgentCounts[index],
+      }),
+    }));
+  },
+};
+
+module.exports = priorityService;
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const pubsub = require('../config/pubsub');
+
+// Leading zero bits a solution's hash needs; each extra bit doubles the client's work
+const DIFFICULTY = parseInt(process.env.ANON_POW_DIFFICULTY || 16, 10);
+
+// How long a challenge can be solved and used for
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+// Challenges are signed rather than stored, so any instance can check them
+const SECRET = process.env.JWT_SECRET;
+
+/**
+ * Sign the parts of a challenge
+ * @param {string} payload - expiry.difficulty.random
+ * @returns {string} Hex HMAC
+ */
+const sign = (payload) => crypto.createHmac('sha256', SECRET).update(payload).digest('hex');
+
+/**
+ * Count the leading zero bits of a hash
+ * @param {Buffer} hash - Digest
+ * @returns {number} Zero bits before the first set bit
+ */
+const leadingZeroBits = (hash) => {
+  let bits = 0;
+  for (const byte of hash) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+/**
+ * Service for the proof-of-work puzzles anonymous submitters solve before posting
+ * The client finds a nonce such that sha256("<challenge>:<nonce>") starts with `difficulty` zero bits;
+ * each challenge can be redeemed once.
+ */
+const proofOfWorkService = {
+  DIFFICULTY,
+  CHALLENGE_TTL_MS,
+
+  /**
+   * Issue a new challenge
+   * @returns {{challenge: string, difficulty: number, expiresAt: number}} Challenge to solve
+   */
+  createChallenge() {
+    const expiresAt = Date.now() + CHALLENGE_TTL_MS;
+    const payload = `${expiresAt}.${DIFFICULTY}.${crypto.randomBytes(12).toString('hex')}`;
+    return { challenge: `${payload}.${sign(payload)}`, difficulty: DIFFICULTY, expiresAt };
+  },
+
+  /**
+   * Check a solved challenge and mark it used
+   * @param {string} challenge - Challenge from createChallenge()
+   * @param {string} nonce - Client's solution
+   * @returns {Promise<{valid: boolean, message: string|null}>} Whether the proof is accepted, and why not
+   */
+  async redeem(challenge, nonce) {
+    if (typeof challenge !== 'string' || typeof nonce !== 'string' || nonce.length === 0 || nonce.length > 64) {
+      return { valid: false, message: 'A challenge and nonce are required' };
+    }
+
+    const parts = challenge.split('.');
+    if (parts.length !== 4) {
+      return { valid: false, message: 'Malformed challenge' };
+    }
+
+    const [expiresAt, difficulty, random, signature] = parts;
+    const expected = sign(`${expiresAt}.${difficulty}.${random}`);
+    if (signature.length !== expected.length
+      || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return { valid: false, message: 'Unknown challenge' };
+    }
+
+    if (Number(expiresAt) < Date.now()) {
+      return { valid: false, message: 'Challenge expired; request a new one' };
+    }
+
+    const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (leadingZeroBits(hash) < Number(difficulty)) {
+      return { valid: false, message: 'Nonce does not solve the challenge' };
+    }
+
+    // Shared counter so a challenge can't be redeemed twice on any instance
+    const { count } = await pubsub.increment(`pow:${random}`, CHALLENGE_TTL_MS);
+    if (count > 1) {
+      return { valid: false, message: 'Challenge already used; request a new one' };
+    }
+
+    return { valid: true, message: null };
+  },
+};
+
+module.exports = proofOfWorkService;
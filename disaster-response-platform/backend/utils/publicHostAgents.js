@@ -0,0 +1,72 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Requests to localhost and private networks are refused unless explicitly allowed (e.g. for local testing)
+const ALLOW_PRIVATE_HOSTS = process.env.ALERT_ALLOW_PRIVATE_WEBHOOKS === 'true';
+
+/**
+ * Check whether a hostname or address is loopback, link-local or on a private network
+ * @param {string} hostname - URL hostname or resolved IP address
+ * @returns {boolean} True if the host is local
+ */
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+    return true;
+  }
+
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) || (a === 100 && b >= 64 && b <= 127)
+      || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || a >= 224;
+  }
+
+  if (net.isIPv6(host)) {
+    return host === '::1' || host === '::' || /^f[cd]/.test(host) || host.startsWith('fe80') || host.startsWith('::ffff:');
+  }
+
+  return false;
+};
+
+/**
+ * dns.lookup replacement that refuses private addresses, so a public hostname can't resolve to an internal one
+ * Checked at connect time, so the address that is checked is the one connected to.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = ALLOW_PRIVATE_HOSTS ? null : addresses.find(({ address }) => isPrivateHost(address));
+    if (blocked) {
+      const refused = Object.assign(new Error(`${hostname} resolves to a private address (${blocked.address})`), {
+        code: 'EPRIVATEHOST',
+        permanent: true,
+      });
+      return callback(refused);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * HTTP(S) agents for requests to user-supplied URLs (alert webhooks, push endpoints, partner webhooks)
+ * Pass them as axios' httpAgent/httpsAgent together with maxRedirects: 0.
+ */
+module.exports = {
+  ALLOW_PRIVATE_HOSTS,
+  isPrivateHost,
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
@@ -0,0 +1,37 @@
+const pubsub = require('../config/pubsub');
+
+/**
+ * Create an express-rate-limit store backed by the shared pub/sub adapter,
+ * so limits hold across every backend instance
+ * Each limiter needs its own store, with its own prefix.
+ * @param {string} prefix - Key prefix identifying the limiter (e.g. 'global')
+ * @returns {Object} express-rate-limit store
+ */
+const createRateLimitStore = (prefix) => {
+  let windowMs;
+  const keyFor = (key) => `ratelimit:${prefix}:${key}`;
+
+  return {
+    prefix,
+    localKeys: pubsub.name === 'memory',
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const { count, resetTime } = await pubsub.increment(keyFor(key), windowMs);
+      return { totalHits: count, resetTime };
+    },
+
+    async decrement(key) {
+      await pubsub.decrement(keyFor(key));
+    },
+
+    async resetKey(key) {
+      await pubsub.resetKey(keyFor(key));
+    },
+  };
+};
+
+module.exports = createRateLimitStore;
@@ -0,0 +1,378 @@
+const supabase = require('../config/supabase');
+const pubsub = require('../config/pubsub');
+const logger = require('./logger');
+
+// Size of a region room's grid cell in degrees (1° is about 111 km of latitude)
+const REGION_SIZE_DEGREES = parseFloat(process.env.SOCKET_REGION_SIZE_DEGREES || 1);
+
+// Most region rooms one subscription may join, so a huge radius can't subscribe to the whole map
+const MAX_REGION_ROOMS = 25;
+
+// Rooms for clients that follow every disaster or every resource (e.g. the dashboard)
+const FEEDS = ['disasters', 'resources'];
+
+const KM_PER_DEGREE = 111.32;
+
+// Hours emitted events are kept for replay, defaults to 1 day
+const EVENT_RETENTION_HOURS = parseInt(process.env.SOCKET_EVENT_RETENTION_HOURS || 24, 10);
+
+// Most events replayed to one subscription; a longer gap makes the client reload instead
+const MAX_REPLAY_EVENTS = 500;
+
+// Pub/sub channel carrying events to every backend instance
+const EVENTS_CHANNEL = 'socket-events';
+
+// Old events are pruned at most this often, from whichever emit comes first
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPrunedAt = 0;
+
+/**
+ * Service for Socket.IO rooms: which rooms a client may join and which rooms each event goes to
+ *
+ * Rooms:
+ * - `disaster:<id>` - events for one disaster, its social media and resources inside its area
+ * - `region:<row>:<col>` - events located in one grid cell of REGION_SIZE_DEGREES
+ * - `feed:disasters` / `feed:resources` - every disaster or every resource event
+ *
+ * Every event is stored in socket_events with an increasing `seq`, sent along in the payload, so a client
+ * that reconnects can subscribe with `since: <last seq seen>` and get the events it missed.
+ *
+ * Events go out through the pub/sub adapter (config/pubsub.js) and each instance emits them to its own
+ * sockets, so clients connected to any instance receive them.
+ */
+const realtimeService = {
+  FEEDS,
+
+  /**
+   * Room for a single disaster
+   * @param {string} disasterId - Disaster ID
+   * @returns {string} Room name
+   */
+  disasterRoom(disasterId) {
+    return `disaster:${disasterId}`;
+  },
+
+  /**
+   * Room for the grid cell containing a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {string} Room name
+   */
+  regionRoom(lat, lng) {
+    return `region:${Math.floor(lat / REGION_SIZE_DEGREES)}:${Math.floor(lng / REGION_SIZE_DEGREES)}`;
+  },
+
+  /**
+   * Rooms for every grid cell overlapping a circle's bounding box
+   * @param {number} lat - Latitude of the center
+   * @param {number} lng - Longitude of the center
+   * @param {number} radiusKm - Radius in kilometers
+   * @returns {Array<string>|null} Room names, or null if the circle spans more than MAX_REGION_ROOMS cells
+   */
+  regionRoomsAround(lat, lng, radiusKm) {
+    const latDelta = radiusKm / KM_PER_DEGREE;
+    const lngDelta = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+
+    const minRow = Math.floor((lat - latDelta) / REGION_SIZE_DEGREES);
+    const maxRow = Math.floor((lat + latDelta) / REGION_SIZE_DEGREES);
+    const minCol = Math.floor((lng - lngDelta) / REGION_SIZE_DEGREES);
+    const maxCol = Math.floor((lng + lngDelta) / REGION_SIZE_DEGREES);
+
+    if ((maxRow - minRow + 1) * (maxCol - minCol + 1) > MAX_REGION_ROOMS) {
+      return null;
+    }
+
+    const rooms = [];
+    for (let row = minRow; row <= maxRow; row += 1) {
+      for (let col = minCol; col <= maxCol; col += 1) {
+        rooms.push(`region:${row}:${col}`);
+      }
+    }
+
+    return rooms;
+  },
+
+  /**
+   * Resolve a client's subscription request to room names
+   * @param {Object} target - One of `{ disaster_id }`, `{ feed }` or `{ region: { lat, lng, radius_km } }`
+   *   (an optional `since` is handled by registerSubscriptions)
+   * @returns {{rooms?: Array<string>, error?: string}} Rooms to join, or why the request is invalid
+   */
+  resolveRooms(target) {
+    if (!target || typeof target !== 'object') {
+      return { error: 'Subscription target is required' };
+    }
+
+    if (target.disaster_id) {
+      return { rooms: [this.disasterRoom(target.disaster_id)] };
+    }
+
+    if (target.feed) {
+      if (!FEEDS.includes(target.feed)) {
+        return { error: `Feed must be one of: ${FEEDS.join(', ')}` };
+      }
+
+      return { rooms: [`feed:${target.feed}`] };
+    }
+
+    if (target.region) {
+      const lat = parseFloat(target.region.lat);
+      const lng = parseFloat(target.region.lng);
+      const radiusKm = parseFloat(target.region.radius_km || 10);
+
+      if (isNaN(lat) || isNaN(lng) || isNaN(radiusKm) || radiusKm <= 0) {
+        return { error: 'Region needs numeric lat, lng and a positive radius_km' };
+      }
+
+      const rooms = this.regionRoomsAround(lat, lng, radiusKm);
+      if (!rooms) {
+        return { error: 'Region is too large, use a smaller radius_km or subscribe to a feed' };
+      }
+
+      return { rooms };
+    }
+
+    return { error: 'Subscription target must have disaster_id, feed or region' };
+  },
+
+  /**
+   * Events stored for any of the given rooms after a sequence number
+   * @param {Array<string>} rooms - Room names
+   * @param {number} since - Last sequence number the client saw
+   * @returns {Promise<{events: Array<Object>, truncated: boolean}>} Events in order; truncated if some were
+   *   pruned or there are more than MAX_REPLAY_EVENTS, in which case the client should reload instead
+   */
+  async getReplay(rooms, since) {
+    const { data: oldest, error: oldestError } = await supabase
+      .from('socket_events')
+      .select('seq')
+      .order('seq', { ascending: true })
+      .limit(1);
+
+    if (oldestError) {
+      throw new Error(`Could not fetch oldest socket event: ${oldestError.message}`);
+    }
+
+    const { data, error } = await supabase
+      .from('socket_events')
+      .select('seq, event, payload')
+      .overlaps('rooms', rooms)
+      .gt('seq', since)
+      .order('seq', { ascending: true })
+      .limit(MAX_REPLAY_EVENTS + 1);
+
+    if (error) {
+      throw new Error(`Could not fetch socket events: ${error.message}`);
+    }
+
+    const pruned = oldest.length > 0 && oldest[0].seq > since + 1;
+    const truncated = pruned || data.length > MAX_REPLAY_EVENTS;
+
+    return {
+      events: truncated ? [] : data.map(({ seq, event, payload }) => ({ seq, event, payload: { ...payload, seq } })),
+      truncated,
+    };
+  },
+
+  /**
+   * Sequence number of the most recent event
+   * @returns {Promise<number>} Latest seq, or 0 if no events are stored
+   */
+  async getLatestSeq() {
+    const { data, error } = await supabase
+      .from('socket_events')
+      .select('seq')
+      .order('seq', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Could not fetch latest socket event: ${error.message}`);
+    }
+
+    return data.length > 0 ? data[0].seq : 0;
+  },
+
+  /**
+   * Handle subscribe/unsubscribe messages from a connected client
+   * Rooms aren't kept across reconnects, so clients subscribe again after each connect,
+   * passing `since` to get the events they missed in the subscription's acknowledgement.
+   * A subscription without `since` is acknowledged with `latest_seq`, the point a later replay can start from.
+   * @param {Object} socket - Authenticated Socket.IO socket
+   */
+  registerSubscriptions(socket) {
+    const handle = (action) => async (target, ack) => {
+      const { rooms, error } = this.resolveRooms(target);
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      if (error) {
+        logger.warn({ socketId: socket.id, target }, `Socket ${action} rejected: ${error}`);
+        return reply({ error });
+      }
+
+      if (action === 'unsubscribe') {
+        rooms.forEach((room) => socket.leave(room));
+        logger.info({ socketId: socket.id, userId: socket.data.user.id, rooms }, 'Socket unsubscribed');
+        return reply({ rooms });
+      }
+
+      // Join before reading the backlog so nothing falls between replay and live delivery
+      rooms.forEach((room) => socket.join(room));
+      logger.info({ socketId: socket.id, userId: socket.data.user.id, rooms }, 'Socket subscribed');
+
+      const since = parseInt(target.since, 10);
+
+      if (isNaN(since)) {
+        try {
+          return reply({ rooms, latest_seq: await this.getLatestSeq() });
+        } catch (seqError) {
+          logger.error({ error: seqError }, 'Error fetching latest socket event');
+          return reply({ rooms });
+        }
+      }
+
+      try {
+        const replay = await this.getReplay(rooms, since);
+        logger.info({ socketId: socket.id, since, count: replay.events.length, truncated: replay.truncated }, 'Socket events replayed');
+        reply({ rooms, ...replay });
+      } catch (replayError) {
+        logger.error({ error: replayError }, 'Error replaying socket events');
+        reply({ rooms, events: [], truncated: true });
+      }
+    };
+
+    socket.on('subscribe', handle('subscribe'));
+    socket.on('unsubscribe', handle('unsubscribe'));
+  },
+
+  /**
+   * Deliver events published by any instance to this instance's sockets
+   * @param {Object} io - Socket.IO server
+   * @returns {Promise<void>}
+   */
+  async attach(io) {
+    await pubsub.subscribe(EVENTS_CHANNEL, ({ rooms, event, payload }) => {
+      io.to(rooms).emit(event, payload);
+    });
+
+    logger.info(`Socket events subscribed via ${pubsub.name} pub/sub`);
+  },
+
+  /**
+   * Store an event for replay and send it to rooms on every instance, with its sequence number in the payload
+   * @param {Array<string>} rooms - Room names
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @returns {Promise<void>}
+   */
+  async publish(rooms, event, payload) {
+    const { data, error } = await supabase
+      .from('socket_events')
+      .insert({ event, rooms, payload })
+      .select('seq')
+      .single();
+
+    if (error) {
+      // Live delivery still works, the event just can't be replayed
+      logger.error({ error }, `Error storing socket event ${event}`);
+    }
+
+    try {
+      await pubsub.publish(EVENTS_CHANNEL, { rooms, event, payload: data ? { ...payload, seq: data.seq } : payload });
+    } catch (publishError) {
+      // The change itself succeeded; clients pick the event up through replay when they resubscribe
+      logger.error({ error: publishError }, `Error publishing socket event ${event}`);
+    }
+
+    if (!error && Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+      lastPrunedAt = Date.now();
+      await this.pruneEvents();
+    }
+  },
+
+  /**
+   * Delete events older than the replay retention period
+   * @returns {Promise<void>}
+   */
+  async pruneEvents() {
+    const cutoff = new Date(Date.now() - EVENT_RETENTION_HOURS * 60 * 60 * 1000);
+
+    const { error } = await supabase
+      .from('socket_events')
+      .delete()
+      .lt('created_at', cutoff.toISOString());
+
+    if (error) {
+      logger.error({ error }, 'Error pruning socket events');
+      return;
+    }
+
+    logger.debug('Old socket events pruned');
+  },
+
+  /**
+   * Emit a disaster event to the disaster's room, its region and the disasters feed
+   * @param {string} disasterId - Disaster ID
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @returns {Promise<void>}
+   */
+  async emitDisasterEvent(disasterId, event, payload) {
+    const rooms = ['feed:disasters', this.disasterRoom(disasterId)];
+
+    const { data, error } = await supabase
+      .rpc('get_disaster_coordinates', { disaster_id: disasterId });
+
+    if (error) {
+      // Still reach the disaster's own room and the feed
+      logger.error({ error }, `Error fetching coordinates of disaster ${disasterId} for ${event}`);
+    } else if (data?.[0]?.latitude != null) {
+      rooms.push(this.regionRoom(data[0].latitude, data[0].longitude));
+    }
+
+    await this.publish(rooms, event, payload);
+  },
+
+  /**
+   * Emit an event to a single disaster's room
+   * @param {string} disasterId - Disaster ID
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @returns {Promise<void>}
+   */
+  async emitToDisaster(disasterId, event, payload) {
+    await this.publish([this.disasterRoom(disasterId)], event, payload);
+  },
+
+  /**
+   * Emit a resource event to the resources feed, the regions of its locations
+   * and the rooms of open disasters whose area covers them
+   * @param {Array<{latitude: number, longitude: number}>} locations - Locations of the resource (old and new when moved)
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @returns {Promise<void>}
+   */
+  async emitResourceEvent(locations, event, payload) {
+    const rooms = new Set(['feed:resources']);
+
+    for (const { latitude, longitude } of locations.filter((location) => location?.latitude != null)) {
+      rooms.add(this.regionRoom(latitude, longitude));
+
+      const { data: coveringDisasters, error } = await supabase
+        .rpc('get_disasters_covering_point', {
+          p_lng: longitude,
+          p_lat: latitude,
+        });
+
+      if (error) {
+        logger.error({ error }, `Error fetching disasters covering resource location for ${event}`);
+        continue;
+      }
+
+      coveringDisasters.forEach((disaster) => rooms.add(this.disasterRoom(disaster.id)));
+    }
+
+    await this.publish([...rooms], event, payload);
+  },
+};
+
+module.exports = realtimeService;
@@ -0,0 +1,108 @@
+const { createClient } = require('redis');
+const logger = require('./logger');
+
+/**
+ * Create a pub/sub adapter backed by Redis, or any server speaking the Redis protocol
+ * Uses only PUBLISH/SUBSCRIBE, INCR, DECR, PTTL, PEXPIRE and DEL, so lightweight stand-ins work for local testing.
+ * @param {string} url - Server URL, e.g. redis://localhost:6379
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.keyPrefix='drp:'] - Prefix for counter keys and channels, to share a server between deployments
+ * @returns {Object} Pub/sub adapter (see config/pubsub.js)
+ */
+const createRedisPubSub = (url, { keyPrefix = 'drp:' } = {}) => {
+  const client = createClient({ url });
+  // Subscribed connections can't run other commands
+  const subscriber = client.duplicate();
+
+  client.on('error', (error) => logger.error({ error }, 'Redis client error'));
+  subscriber.on('error', (error) => logger.error({ error }, 'Redis subscriber error'));
+
+  const ready = Promise.all([client.connect(), subscriber.connect()]);
+
+  return {
+    name: 'redis',
+
+    /**
+     * Publish a message to a channel
+     * @param {string} channel - Channel name
+     * @param {Object} message - JSON-serializable message
+     * @returns {Promise<void>}
+     */
+    async publish(channel, message) {
+      await ready;
+      await client.publish(`${keyPrefix}${channel}`, JSON.stringify(message));
+    },
+
+    /**
+     * Subscribe to a channel
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with each message
+     * @returns {Promise<void>}
+     */
+    async subscribe(channel, handler) {
+      await ready;
+      await subscriber.subscribe(`${keyPrefix}${channel}`, (raw) => {
+        try {
+          handler(JSON.parse(raw));
+        } catch (error) {
+          logger.error({ error }, `Error handling message on channel ${channel}`);
+        }
+      });
+    },
+
+    /**
+     * Increment a counter that resets after a window
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length in milliseconds, starting at the first increment
+     * @returns {Promise<{count: number, resetTime: Date}>} Count in the current window and when it resets
+     */
+    async increment(key, windowMs) {
+      await ready;
+      const redisKey = `${keyPrefix}${key}`;
+
+      const [count, ttl] = await client.multi()
+        .incr(redisKey)
+        .pTTL(redisKey)
+        .exec();
+
+      // A new key (or one that lost its expiry) starts a new window
+      if (ttl < 0) {
+        await client.pExpire(redisKey, windowMs);
+        return { count, resetTime: new Date(Date.now() + windowMs) };
+      }
+
+      return { count, resetTime: new Date(Date.now() + ttl) };
+    },
+
+    /**
+     * Decrement a counter
+     * @param {string} key - Counter key
+     * @returns {Promise<void>}
+     */
+    async decrement(key) {
+      await ready;
+      await client.decr(`${keyPrefix}${key}`);
+    },
+
+    /**
+     * Delete a counter
+     * @param {string} key - Counter key
+     * @returns {Promise<void>}
+     */
+    async resetKey(key) {
+      await ready;
+      await client.del(`${keyPrefix}${key}`);
+    },
+
+    /**
+     * Close both connections
+     * @returns {Promise<void>}
+     */
+    async close() {
+      await ready;
+      await Promise.all([client.quit(), subscriber.quit()]);
+    },
+  };
+};
+
+module.exports = createRedisPubSub;
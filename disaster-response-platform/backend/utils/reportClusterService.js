@@ -0,0 +1,337 @@
+const supabase = require('../config/supabase');
+
+// Reports filed this long before a new one are compared against it
+const DEDUP_WINDOW_HOURS = parseFloat(process.env.REPORT_DEDUP_WINDOW_HOURS || 6);
+
+// Reports closer than this count as the same place
+const DEDUP_RADIUS_METERS = parseFloat(process.env.REPORT_DEDUP_RADIUS_METERS || 500);
+
+// Text similarity (0-1) needed to call two reports duplicates; nearby reports need less
+const TEXT_SIMILARITY_THRESHOLD = 0.5;
+const NEARBY_TEXT_SIMILARITY_THRESHOLD = 0.3;
+
+// Words that say nothing about what happened
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'has', 'have', 'had', 'this', 'that', 'there', 'with',
+  'from', 'near', 'our', 'you', 'they', 'them', 'its', 'but', 'not', 'all', 'any', 'can', 'been',
+  'please', 'help', 'just', 'now', 'very', 'some', 'here', 'into', 'out', 'who', 'what', 'when',
+]);
+
+/**
+ * Split text into its distinct meaningful words
+ * @param {string} text - Report content
+ * @returns {Set<string>} Lowercased words of three or more letters, without stop words
+ */
+const tokenize = (text) => new Set(
+  (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= 3 && !STOP_WORDS.has(word))
+);
+
+/**
+ * Service for detecting duplicate reports and managing the clusters they form
+ * A cluster's representative is its first verified report, or its oldest one.
+ */
+const reportClusterService = {
+  DEDUP_WINDOW_HOURS,
+  DEDUP_RADIUS_METERS,
+
+  /**
+   * Jaccard similarity of two texts' word sets
+   * @param {string} a - First text
+   * @param {string} b - Second text
+   * @returns {number} Similarity between 0 and 1
+   */
+  textSimilarity(a, b) {
+    const wordsA = tokenize(a);
+    const wordsB = tokenize(b);
+
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return 0;
+    }
+
+    const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+  },
+
+  /**
+   * Find the most likely duplicate of a report among the disaster's recent reports
+   * Reports further apart than DEDUP_RADIUS_METERS are never duplicates; closer ones need less similar text.
+   * @param {Object} report - Report to check (id, disaster_id, content, created_at)
+   * @param {{lat: number, lng: number}} [coordinates] - Location of the report
+   * @returns {Promise<{report: Object, similarity: number, distance_meters: number|null}|null>} Best match, or null
+   */
+  async findDuplicate(report, coordinates) {
+    const since = new Date(new Date(report.created_at).getTime() - DEDUP_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const { data: candidates, error } = await supabase
+      .rpc('find_report_duplicate_candidates', {
+        p_disaster_id: report.disaster_id,
+        p_since: since.toISOString(),
+        p_exclude_id: report.id,
+        p_lng: coordinates?.lng ?? null,
+        p_lat: coordinates?.lat ?? null,
+      });
+
+    if (error) {
+      throw new Error(`Could not fetch duplicate candidates: ${error.message}`);
+    }
+
+    let best = null;
+
+    candidates.forEach((candidate) => {
+      const distance = candidate.distance_meters;
+      if (distance !== null && distance > DEDUP_RADIUS_METERS) {
+        return;
+      }
+
+      const similarity = this.textSimilarity(report.content, candidate.content);
+      const threshold = distance !== null ? NEARBY_TEXT_SIMILARITY_THRESHOLD : TEXT_SIMILARITY_THRESHOLD;
+
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { report: candidate, similarity, distance_meters: distance };
+      }
+    });
+
+    return best;
+  },
+
+  /**
+   * Put a report in its duplicate's cluster, creating the cluster if the duplicate has none
+   * @param {Object} report - New report
+   * @param {Object} duplicate - Matching report from findDuplicate
+   * @returns {Promise<string>} Cluster ID
+   */
+  async addToCluster(report, duplicate) {
+    let clusterId = duplicate.cluster_id;
+    const reportIds = [report.id];
+
+    if (!clusterId) {
+      const { data: cluster, error } = await supabase
+        .from('report_clusters')
+        .insert({ disaster_id: report.disaster_id })
+        .select('id')
+        .single();
+
+      if (error) {
+        throw new Error(`Could not create report cluster: ${error.message}`);
+      }
+
+      clusterId = cluster.id;
+      reportIds.push(duplicate.id);
+    }
+
+    await this.assignReports(reportIds, clusterId);
+    return clusterId;
+  },
+
+  /**
+   * Set the cluster of reports
+   * @param {Array<string>} reportIds - Report IDs
+   * @param {string|null} clusterId - Cluster ID, or null to take them out of their cluster
+   * @returns {Promise<void>}
+   */
+  async assignReports(reportIds, clusterId) {
+    const { error } = await supabase
+      .from('reports')
+      .update({ cluster_id: clusterId })
+      .in('id', reportIds);
+
+    if (error) {
+      throw new Error(`Could not update report clusters: ${error.message}`);
+    }
+  },
+
+  /**
+   * Pick the report that stands for a cluster
+   * @param {Array<Object>} members - Cluster members, oldest first
+   * @returns {Object} First verified member, or the oldest
+   */
+  pickRepresentative(members) {
+    return members.find((member) => member.verification_status === 'verified') || members[0];
+  },
+
+  /**
+   * Get a disaster's clusters with their members
+   * Clusters left with fewer than two live reports (after deletions) are not returned.
+   * @param {string} disasterId - Disaster ID
+   * @param {Array<string>} [clusterIds] - Only these clusters
+   * @returns {Promise<Array<Object>>} Clusters with representative, member_count and member_ids, largest first
+   */
+  async getClusters(disasterId, clusterIds) {
+    let query = supabase
+      .from('reports')
+      .select('*')
+      .eq('disaster_id', disasterId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true });
+
+    query = clusterIds ? query.in('cluster_id', clusterIds) : query.not('cluster_id', 'is', null);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Could not fetch clustered reports: ${error.message}`);
+    }
+
+    const membersByCluster = new Map();
+    data.forEach((report) => {
+      if (!membersByCluster.has(report.cluster_id)) {
+        membersByCluster.set(report.cluster_id, []);
+      }
+      membersByCluster.get(report.cluster_id).push(report);
+    });
+
+    return [...membersByCluster.entries()]
+      .filter(([, members]) => members.length > 1)
+      .map(([id, members]) => ({
+        id,
+        disaster_id: disasterId,
+        representative: this.pickRepresentative(members),
+        member_count: members.length,
+        member_ids: members.map((member) => member.id),
+      }))
+      .sort((a, b) => b.member_count - a.member_count);
+  },
+
+  /**
+   * Check that reports and clusters all belong to a disaster
+   * @param {string} disasterId - Disaster ID
+   * @param {Array<string>} reportIds - Report IDs
+   * @param {Array<string>} clusterIds - Cluster IDs
+   * @returns {Promise<boolean>} True if every ID exists under the disaster
+   */
+  async belongToDisaster(disasterId, reportIds, clusterIds) {
+    if (reportIds.length > 0) {
+      const { data, error } = await supabase
+        .from('reports')
+        .select('id')
+        .eq('disaster_id', disasterId)
+        .is('deleted_at', null)
+        .in('id', reportIds);
+
+      if (error) {
+        throw new Error(`Could not fetch reports: ${error.message}`);
+      }
+
+      if (data.length !== new Set(reportIds).size) {
+        return false;
+      }
+    }
+
+    if (clusterIds.length > 0) {
+      const { data, error } = await supabase
+        .from('report_clusters')
+        .select('id')
+        .eq('disaster_id', disasterId)
+        .in('id', clusterIds);
+
+      if (error) {
+        throw new Error(`Could not fetch report clusters: ${error.message}`);
+      }
+
+      if (data.length !== new Set(clusterIds).size) {
+        return false;
+      }
+    }
+
+    return true;
+  },
+
+  /**
+   * Merge clusters and loose reports into one cluster
+   * The first cluster given survives; with no clusters, a new one is created.
+   * @param {string} disasterId - Disaster ID
+   * @param {Object} items - What to merge
+   * @param {Array<string>} items.clusterIds - Clusters to merge
+   * @param {Array<string>} items.reportIds - Reports to add
+   * @param {string} userId - Moderator merging
+   * @returns {Promise<Object>} Merged cluster (as returned by getClusters)
+   */
+  async merge(disasterId, { clusterIds, reportIds }, userId) {
+    let targetId = clusterIds[0];
+
+    if (!targetId) {
+      const { data: cluster, error } = await supabase
+        .from('report_clusters')
+        .insert({ disaster_id: disasterId, created_by: userId })
+        .select('id')
+        .single();
+
+      if (error) {
+        throw new Error(`Could not create report cluster: ${error.message}`);
+      }
+
+      targetId = cluster.id;
+    }
+
+    const sourceIds = clusterIds.slice(1);
+
+    if (sourceIds.length > 0) {
+      const { error } = await supabase
+        .from('reports')
+        .update({ cluster_id: targetId })
+        .in('cluster_id', sourceIds);
+
+      if (error) {
+        throw new Error(`Could not move reports between clusters: ${error.message}`);
+      }
+
+      await this.deleteClusters(sourceIds);
+    }
+
+    if (reportIds.length > 0) {
+      await this.assignReports(reportIds, targetId);
+    }
+
+    const [merged] = await this.getClusters(disasterId, [targetId]);
+    return merged || null;
+  },
+
+  /**
+   * Take reports out of a cluster; a cluster left with fewer than two reports is dissolved
+   * @param {string} disasterId - Disaster ID
+   * @param {string} clusterId - Cluster ID
+   * @param {Array<string>} reportIds - Reports to take out
+   * @returns {Promise<Object|null>} Remaining cluster, or null if it was dissolved
+   */
+  async split(disasterId, clusterId, reportIds) {
+    const { error } = await supabase
+      .from('reports')
+      .update({ cluster_id: null })
+      .eq('cluster_id', clusterId)
+      .in('id', reportIds);
+
+    if (error) {
+      throw new Error(`Could not split report cluster: ${error.message}`);
+    }
+
+    const [remaining] = await this.getClusters(disasterId, [clusterId]);
+
+    if (!remaining) {
+      await this.deleteClusters([clusterId]);
+      return null;
+    }
+
+    return remaining;
+  },
+
+  /**
+   * Delete clusters (their reports become unclustered)
+   * @param {Array<string>} clusterIds - Cluster IDs
+   * @returns {Promise<void>}
+   */
+  async deleteClusters(clusterIds) {
+    const { error } = await supabase
+      .from('report_clusters')
+      .delete()
+      .in('id', clusterIds);
+
+    if (error) {
+      throw new Error(`Could not delete report clusters: ${error.message}`);
+    }
+  },
+};
+
+module.exports = reportClusterService;
@@ -0,0 +1,229 @@
+const supabase = require('../config/supabase');
+const logger = require('./logger');
+const aiService = require('./aiService');
+const auditService = require('./auditService');
+const geocodingService = require('./geocodingService');
+const reportClusterService = require('./reportClusterService');
+
+// Reports submitted without an account are stored under these user IDs, so no account may use them:
+// anonymous web reports share one ID, SMS reports get one per phone number
+const ANONYMOUS_USER_ID = 'anonymous';
+const SMS_USER_PREFIX = 'sms:';
+
+// Idempotency keys are client-chosen; anything longer than a UUID-ish token is refused
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Service for storing new reports, shared by the authenticated and anonymous submission routes
+ * A report is translated into the working language, enriched from the translation and
+ * grouped with a likely duplicate; each of those steps is best effort.
+ */
+const reportIntakeService = {
+  ANONYMOUS_USER_ID,
+  SMS_USER_PREFIX,
+  IDEMPOTENCY_KEY_PATTERN,
+
+  /**
+   * Check whether a user ID is kept for reports submitted without an account
+   * @param {string} userId - User ID
+   * @returns {boolean} True if no account may use the ID
+   */
+  isReservedUserId(userId) {
+    return userId === ANONYMOUS_USER_ID || userId.startsWith(SMS_USER_PREFIX);
+  },
+
+  /**
+   * Check an idempotency key's format
+   * @param {string} key - Key sent by the client
+   * @returns {boolean} True if the key can be stored
+   */
+  isValidIdempotencyKey(key) {
+    return typeof key === 'string' && IDEMPOTENCY_KEY_PATTERN.test(key);
+  },
+
+  /**
+   * Work out where a report is from: coordinates (e.g. from browser geolocation) or an address to geocode
+   * The location is optional; geocoding errors are thrown.
+   * @param {Object} location - Location as submitted
+   * @param {*} [location.latitude] - Latitude
+   * @param {*} [location.longitude] - Longitude
+   * @param {string} [location.locationName] - Address or place name
+   * @returns {Promise<{coordinates: Object|null, code: string|null, message: string|null}>} Coordinates,
+   *          or code 'invalid_coordinates' or 'invalid_location' with a message
+   */
+  async resolveLocation({ latitude, longitude, locationName }) {
+    if (latitude !== undefined || longitude !== undefined) {
+      const lat = parseFloat(latitude);
+      const lng = parseFloat(longitude);
+
+      if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return {
+          coordinates: null,
+          code: 'invalid_coordinates',
+          message: 'latitude must be between -90 and 90 and longitude between -180 and 180',
+        };
+      }
+
+      return { coordinates: { lat, lng }, code: null, message: null };
+    }
+
+    if (!locationName) {
+      return { coordinates: null, code: null, message: null };
+    }
+
+    const coordinates = await geocodingService.geocode(locationName);
+    if (!coordinates) {
+      return { coordinates: null, code: 'invalid_location', message: `Could not geocode location: ${locationName}` };
+    }
+
+    return { coordinates, code: null, message: null };
+  },
+
+  /**
+   * Detect the language of report content and translate it into the working language
+   * Best effort: the columns are left empty if translation fails.
+   * @param {string} content - Report text
+   * @returns {Promise<Object>} content_language, translated_content and translated_language columns
+   */
+  async translateContent(content) {
+    try {
+      const translation = await aiService.translate(content);
+      return {
+        content_language: translation?.language || null,
+        translated_content: translation?.translation || null,
+        translated_language: translation?.translation ? translation.target_language : null,
+      };
+    } catch (error) {
+      logger.error({ error }, 'Error translating report content');
+      return { content_language: null, translated_content: null, translated_language: null };
+    }
+  },
+
+  /**
+   * Extract needs, people count, hazards and places from report content
+   * Best effort: without a result the columns are reset, so they never describe other content.
+   * @param {string} content - Report text, preferably in the working language
+   * @returns {Promise<Object>} needs, people_count, hazards, mentioned_locations and enriched_by columns
+   */
+  async enrichContent(content) {
+    try {
+      const enrichment = await aiService.enrichReport(content);
+      if (enrichment) {
+        return {
+          needs: enrichment.needs,
+          people_count: enrichment.people_count,
+          hazards: enrichment.hazards,
+          mentioned_locations: enrichment.locations,
+          enriched_by: enrichment.provider,
+        };
+      }
+    } catch (error) {
+      logger.error({ error }, 'Error enriching report');
+    }
+
+    return { needs: [], people_count: null, hazards: [], mentioned_locations: [], enriched_by: null };
+  },
+
+  /**
+   * Translate report content and enrich it from the translation, for new and edited reports
+   * @param {string} content - Report text as submitted
+   * @returns {Promise<Object>} Translation and enrichment columns
+   */
+  async analyzeContent(content) {
+    const translationFields = await this.translateContent(content);
+    return {
+      ...translationFields,
+      ...await this.enrichContent(translationFields.translated_content || content),
+    };
+  },
+
+  /**
+   * Find the report a submitter already created with an idempotency key
+   * @param {string} userId - Submitter ID
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} Report, or null if the key is unused
+   */
+  async findByIdempotencyKey(userId, key) {
+    const { data, error } = await supabase
+      .from('reports')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('idempotency_key', key)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up idempotency key: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Store a new report
+   * When a concurrent retry with the same idempotency key wins the insert, its report is returned instead.
+   * @param {Object} fields - Report fields
+   * @param {string} fields.disasterId - Disaster ID
+   * @param {string} fields.userId - Submitter ID
+   * @param {string} fields.content - Report text
+   * @param {string} [fields.imageUrl] - Image to verify
+   * @param {Object} [fields.coordinates] - { lat, lng }
+   * @param {string} [fields.locationName] - Place name as given
+   * @param {string} [fields.idempotencyKey] - Client-chosen key for retries
+   * @returns {Promise<{report: Object, replayed: boolean, possibleDuplicate: Object|null}>} Stored report
+   */
+  async create({ disasterId, userId, content, imageUrl = null, coordinates = null, locationName = null, idempotencyKey = null }) {
+    // The original is kept; analysis runs on the working-language version
+    const analysisFields = await this.analyzeContent(content);
+
+    const { data, error } = await supabase
+      .from('reports')
+      .insert({
+        disaster_id: disasterId,
+        user_id: userId,
+        content,
+        image_url: imageUrl,
+        location: coordinates ? geocodingService.toGeographyPoint(coordinates.lat, coordinates.lng) : null,
+        location_name: locationName,
+        verification_status: 'pending',
+        idempotency_key: idempotencyKey,
+        ...analysisFields,
+        created_at: new Date().toISOString(),
+        audit_trail: [auditService.createEntry('create', userId)],
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505' && idempotencyKey) {
+        const existing = await this.findByIdempotencyKey(userId, idempotencyKey);
+        if (existing) {
+          return { report: existing, replayed: true, possibleDuplicate: null };
+        }
+      }
+
+      throw new Error(`Failed to create report: ${error.message}`);
+    }
+
+    // Group the report with a likely duplicate; the report is kept either way
+    let possibleDuplicate = null;
+    try {
+      const duplicate = await reportClusterService.findDuplicate(data, coordinates);
+
+      if (duplicate) {
+        data.cluster_id = await reportClusterService.addToCluster(data, duplicate.report);
+        possibleDuplicate = {
+          report_id: duplicate.report.id,
+          similarity: Math.round(duplicate.similarity * 100) / 100,
+          distance_meters: duplicate.distance_meters === null ? null : Math.round(duplicate.distance_meters),
+        };
+        logger.info({ reportId: data.id, duplicateOf: duplicate.report.id, clusterId: data.cluster_id }, 'Report clustered with likely duplicate');
+      }
+    } catch (dedupError) {
+      logger.error({ error: dedupError }, `Error checking report ${data.id} for duplicates`);
+    }
+
+    return { report: data, replayed: false, possibleDuplicate };
+  },
+};
+
+module.exports = reportIntakeService;
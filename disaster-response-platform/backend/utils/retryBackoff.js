@@ -0,0 +1,15 @@
+/**
+ * Delay before retrying a failed delivery: doubles with every attempt up to a cap,
+ * with jitter so deliveries that failed together don't all retry together
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {Object} [options] - Backoff options
+ * @param {number} [options.baseMs] - Delay after the first failure
+ * @param {number} [options.maxMs] - Longest delay
+ * @returns {number} Delay in milliseconds
+ */
+const retryBackoff = (attempts, { baseMs = 30 * 1000, maxMs = 60 * 60 * 1000 } = {}) => {
+  const delay = Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), maxMs);
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+};
+
+module.exports = retryBackoff;
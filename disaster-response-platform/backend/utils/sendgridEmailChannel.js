@@ -0,0 +1,34 @@
+const axios = require('axios');
+
+/**
+ * Create an alert channel that sends email through the SendGrid v3 API
+ * @param {Object} options - Channel options
+ * @param {string} options.apiKey - SendGrid API key
+ * @param {string} options.from - Sender address
+ * @returns {Object} Alert channel (see config/alertChannels.js)
+ */
+const createSendgridEmailChannel = ({ apiKey, from }) => ({
+  name: 'sendgrid',
+
+  /**
+   * Send an email
+   * @param {Object} subscription - Alert subscription (target is the address)
+   * @param {Object} message - Rendered message: { subject, text }
+   * @returns {Promise<{id: string}>} SendGrid message ID
+   */
+  async send(subscription, message) {
+    const response = await axios.post(
+      'https://api.sendgrid.com/v3/mail/send',
+      {
+        personalizations: [{ to: [{ email: subscription.target }] }],
+        from: { email: from },
+        subject: message.subject,
+        content: [{ type: 'text/plain', value: message.text }],
+      },
+      { headers: { Authorization: `Bearer ${apiKey}` }, timeout: 10000 }
+    );
+    return { id: response.headers['x-message-id'] || null };
+  },
+});
+
+module.exports = createSendgridEmailChannel;
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Outgoing messages kept for inspection; older ones are dropped
+const OUTBOX_SIZE = 100;
+
+/**
+ * Compare a header against the shared secret without leaking timing
+ * @param {string} given - Header value
+ * @param {string} [secret] - Configured secret; without one nothing matches
+ * @returns {boolean} True if they match
+ */
+const secretMatches = (given, secret) => {
+  if (!secret) {
+    return false;
+  }
+
+  const a = Buffer.from(given || '');
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Create an SMS gateway that exchanges plain JSON with a local simulator instead of a phone network
+ * Inbound: POST { from, text, message_id } with X-Gateway-Secret; replies { reply }. Without a secret every
+ * inbound request is rejected, so the endpoint is never open by default.
+ * Outgoing messages are logged and kept in memory.
+ * @param {Object} [options] - Gateway options
+ * @param {string} [options.secret] - Shared secret inbound requests must carry
+ * @returns {Object} SMS gateway (see config/smsGateway.js)
+ */
+const createSimulatorSmsGateway = ({ secret } = {}) => {
+  const outbox = [];
+
+  return {
+    name: 'simulator',
+
+    /**
+     * Check that an inbound request comes from the simulator
+     * @param {Object} req - Express request object
+     * @returns {boolean} True if the request may be processed
+     */
+    verify(req) {
+      return secretMatches(req.get('X-Gateway-Secret'), secret);
+    },
+
+    /**
+     * Read an inbound message
+     * @param {Object} req - Express request object
+     * @returns {Object|null} { from, text, messageId }, or null if the body isn't a message
+     */
+    parseInbound(req) {
+      const { from, text, message_id: messageId } = req.body || {};
+
+      if (typeof from !== 'string' || !from.trim() || typeof text !== 'string') {
+        return null;
+      }
+
+      return { from: from.trim(), text, messageId: typeof messageId === 'string' ? messageId : null };
+    },
+
+    /**
+     * Answer an inbound message
+     * @param {Object} res - Express response object
+     * @param {string} text - Reply text
+     */
+    reply(res, text) {
+      res.status(200).json({ reply: text });
+    },
+
+    /**
+     * Send a message
+     * @param {string} to - Phone number
+     * @param {string} text - Message text
+     * @returns {Promise<{id: string}>} Message ID
+     */
+    async send(to, text) {
+      const message = { id: crypto.randomUUID(), to, text, sent_at: new Date().toISOString() };
+      outbox.unshift(message);
+      outbox.length = Math.min(outbox.length, OUTBOX_SIZE);
+      logger.info({ to, text }, 'Simulated SMS sent');
+      return { id: message.id };
+    },
+
+    /**
+     * Messages sent so far, newest first
+     * @returns {Array<Object>} { id, to, text, sent_at }
+     */
+    getOutbox() {
+      return [...outbox];
+    },
+  };
+};
+
+module.exports = createSimulatorSmsGateway;
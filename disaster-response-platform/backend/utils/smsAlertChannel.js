@@ -0,0 +1,20 @@
+/**
+ * Create an alert channel that texts through the configured SMS gateway
+ * @param {Object} gateway - SMS gateway (see config/smsGateway.js)
+ * @returns {Object} Alert channel (see config/alertChannels.js)
+ */
+const createSmsAlertChannel = (gateway) => ({
+  name: gateway.name,
+
+  /**
+   * Send a text
+   * @param {Object} subscription - Alert subscription (target is the phone number)
+   * @param {Object} message - Rendered message: { text }
+   * @returns {Promise<{id: string}>} Gateway message ID
+   */
+  send(subscription, message) {
+    return gateway.send(subscription.target, message.text);
+  },
+});
+
+module.exports = createSmsAlertChannel;
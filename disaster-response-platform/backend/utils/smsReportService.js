@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const pubsub = require('../config/pubsub');
+const logger = require('./logger');
+const aiService = require('./aiService');
+const aiSchemas = require('./aiSchemas');
+const geocodingService = require('./geocodingService');
+const reportIntakeService = require('./reportIntakeService');
+
+// Reports each phone number can send per hour
+const REPORTS_PER_HOUR = parseInt(process.env.SMS_REPORTS_PER_HOUR || 10, 10);
+
+// Disaster codes are six hex characters (see disasters.code)
+const CODE_PATTERN = /^[0-9A-F]{6}$/i;
+
+const HELP_TEXT = 'Send REPORT <code> <what happened>, or NEED WATER|MEDICAL|SHELTER|RESCUE <place>. '
+  + 'The code is on disaster notices.';
+
+/**
+ * Shorten text for an SMS reply
+ * @param {string} text - Text to quote
+ * @param {number} max - Maximum length
+ * @returns {string} Text, cut with an ellipsis if needed
+ */
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/**
+ * Service for turning SMS keyword messages into reports
+ * Grammar (keywords are case-insensitive):
+ * - REPORT <code> <text> - report on the disaster with that code; a place in the text is geocoded
+ * - NEED <water|medical|shelter|rescue> [<code>] <place> - the disaster is the one covering the place
+ *   unless a code is given
+ * - HELP - usage
+ */
+const smsReportService = {
+  REPORTS_PER_HOUR,
+
+  /**
+   * Stable report user ID for a phone number, so the number itself isn't stored
+   * @param {string} phoneNumber - Sender's number
+   * @returns {string} "sms:" followed by a keyed hash of the number
+   */
+  senderId(phoneNumber) {
+    const digits = phoneNumber.replace(/[^\d+]/g, '');
+    const hash = crypto.createHmac('sha256', process.env.JWT_SECRET).update(digits).digest('hex');
+    return `${reportIntakeService.SMS_USER_PREFIX}${hash.slice(0, 16)}`;
+  },
+
+  /**
+   * Reference number quoted back to the sender
+   * @param {Object} report - Stored report
+   * @returns {string} First eight characters of the report ID, uppercased
+   */
+  reference(report) {
+    return report.id.replace(/-/g, '').slice(0, 8).toUpperCase();
+  },
+
+  /**
+   * Parse a message against the keyword grammar
+   * @param {string} text - Message text
+   * @returns {Object} { command: 'report', code, text }, { command: 'need', needType, code, place, placeWithoutCode },
+   *          { command: 'help' }, { command: 'invalid', usage } or { command: 'unknown' }
+   */
+  parse(text) {
+    const words = (text || '').trim().split(/\s+/).filter(Boolean);
+    const keyword = (words[0] || '').toUpperCase();
+
+    if (!keyword || keyword === 'HELP' || keyword === '?') {
+      return { command: 'help' };
+    }
+
+    if (keyword === 'REPORT') {
+      const [, code, ...rest] = words;
+
+      if (!code || !CODE_PATTERN.test(code) || rest.length === 0) {
+        return { command: 'invalid', usage: 'REPORT <code> <what happened>' };
+      }
+
+      return { command: 'report', code: code.toUpperCase(), text: rest.join(' ') };
+    }
+
+    if (keyword === 'NEED') {
+      const [, need, ...rest] = words;
+      const needType = (need || '').toLowerCase();
+
+      if (!aiSchemas.NEED_TYPES.includes(needType) || rest.length === 0) {
+        return { command: 'invalid', usage: 'NEED WATER|MEDICAL|SHELTER|RESCUE <place>' };
+      }
+
+      // A leading code is optional; if it matches no disaster it is read as part of the place
+      const hasCode = rest.length > 1 && CODE_PATTERN.test(rest[0]);
+      return {
+        command: 'need',
+        needType,
+        code: hasCode ? rest[0].toUpperCase() : null,
+        place: rest.join(' '),
+        placeWithoutCode: hasCode ? rest.slice(1).join(' ') : null,
+      };
+    }
+
+    return { command: 'unknown' };
+  },
+
+  /**
+   * Find an open disaster by its code
+   * @param {string} code - Disaster code
+   * @returns {Promise<Object|null>} { id, title, code }, or null if no open disaster has the code
+   */
+  async findDisasterByCode(code) {
+    const { data, error } = await supabase
+      .from('disasters')
+      .select('id, title, code, status')
+      .eq('code', code.toUpperCase())
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up disaster code: ${error.message}`);
+    }
+
+    return data && data.status !== 'closed' ? data : null;
+  },
+
+  /**
+   * Find the open disasters whose area covers a point
+   * @param {Object} coordinates - { lat, lng }
+   * @returns {Promise<Array<Object>>} { id, title, code } of each
+   */
+  async findDisastersAt(coordinates) {
+    const { data: covering, error } = await supabase.rpc('get_disasters_covering_point', {
+      p_lng: coordinates.lng,
+      p_lat: coordinates.lat,
+    });
+
+    if (error) {
+      throw new Error(`Failed to find disasters at location: ${error.message}`);
+    }
+
+    if (!covering || covering.length === 0) {
+      return [];
+    }
+
+    const { data, error: fetchError } = await supabase
+      .from('disasters')
+      .select('id, title, code')
+      .in('id', covering.map((disaster) => disaster.id));
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch disasters: ${fetchError.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Work out where a free-text report is from; best effort
+   * @param {string} text - Report text
+   * @returns {Promise<{coordinates: Object|null, locationName: string|null}>} Geocoded place, if any
+   */
+  async locate(text) {
+    try {
+      const locationName = await aiService.extractLocation(text);
+      const coordinates = locationName ? await geocodingService.geocode(locationName) : null;
+      return coordinates ? { coordinates, locationName } : { coordinates: null, locationName: null };
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Could not locate SMS report');
+      return { coordinates: null, locationName: null };
+    }
+  },
+
+  /**
+   * Count a report attempt against the sender's hourly limit
+   * @param {string} userId - Sender's report user ID
+   * @returns {Promise<boolean>} True if the sender is still under the limit
+   */
+  async withinLimit(userId) {
+    const { count } = await pubsub.increment(`sms-reports:${userId}`, 60 * 60 * 1000);
+    return count <= REPORTS_PER_HOUR;
+  },
+
+  /**
+   * Handle an inbound message
+   * @param {Object} message - Message from the gateway
+   * @param {string} message.from - Sender's phone number
+   * @param {string} message.text - Message text
+   * @param {string} [message.messageId] - Gateway message ID; a redelivered message returns the same report
+   * @returns {Promise<{reply: string, report: Object|null}>} Reply text, and the report if one was created
+   */
+  async handleMessage({ from, text, messageId }) {
+    const command = this.parse(text);
+
+    if (command.command === 'help') {
+      return { reply: HELP_TEXT, report: null };
+    }
+
+    if (command.command === 'invalid') {
+      return { reply: `Format: ${command.usage}. Send HELP for help.`, report: null };
+    }
+
+    if (command.command === 'unknown') {
+      return { reply: `Unknown command. ${HELP_TEXT}`, report: null };
+    }
+
+    const userId = this.senderId(from);
+    const idempotencyKey = reportIntakeService.isValidIdempotencyKey(messageId) ? messageId : null;
+
+    // Gateways redeliver messages they think went unanswered
+    if (idempotencyKey) {
+      const existing = await reportIntakeService.findByIdempotencyKey(userId, idempotencyKey);
+      if (existing) {
+        return { reply: `Report already received. Ref ${this.reference(existing)}.`, report: existing };
+      }
+    }
+
+    // Checked before any lookups so a flood of messages can't run up AI and geocoding calls
+    if (!(await this.withinLimit(userId))) {
+      return { reply: 'Too many reports from this number. Please try again in an hour.', report: null };
+    }
+
+    let disaster;
+    let content;
+    let location;
+
+    if (command.command === 'report') {
+      disaster = await this.findDisasterByCode(command.code);
+      if (!disaster) {
+        return { reply: `No open disaster has code ${command.code}. Check the code and try again.`, report: null };
+      }
+
+      content = command.text;
+      location = await this.locate(command.text);
+    } else {
+      disaster = command.code ? await this.findDisasterByCode(command.code) : null;
+      const place = disaster ? command.placeWithoutCode : command.place;
+
+      const coordinates = await geocodingService.geocode(place);
+      if (!coordinates) {
+        return { reply: `Could not find "${clip(place, 40)}". Try a nearby town or landmark.`, report: null };
+      }
+
+      if (!disaster) {
+        const candidates = await this.findDisastersAt(coordinates);
+
+        if (candidates.length === 0) {
+          return { reply: `No open disaster covers ${clip(place, 40)}. Send REPORT <code> <what happened> instead.`, report: null };
+        }
+
+        if (candidates.length > 1) {
+          const codes = candidates.slice(0, 3).map((candidate) => candidate.code).join(', ');
+          return { reply: `Several disasters near ${clip(place, 30)} (${codes}). Send NEED ${command.needType.toUpperCase()} <code> <place>.`, report: null };
+        }
+
+        [disaster] = candidates;
+      }
+
+      content = `Need ${command.needType} at ${place}`;
+      location = { coordinates, locationName: place };
+    }
+
+    const { report, replayed } = await reportIntakeService.create({
+      disasterId: disaster.id,
+      userId,
+      content,
+      coordinates: location.coordinates,
+      locationName: location.locationName,
+      idempotencyKey,
+    });
+
+    logger.info({ reportId: report.id, disasterId: disaster.id, command: command.command, replayed }, 'SMS report received');
+
+    return {
+      reply: `${replayed ? 'Report already received' : `Report received for ${clip(disaster.title, 40)}`}. Ref ${this.reference(report)}.`,
+      report,
+    };
+  },
+};
+
+module.exports = smsReportService;
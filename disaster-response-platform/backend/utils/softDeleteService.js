@@ -0,0 +1,71 @@
+// Days a soft-deleted record must stay in the trash before it can be purged, defaults to 30
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || 30, 10);
+
+/**
+ * Service for soft deletion (trash, restore and purge) of disasters, reports and resources
+ */
+const softDeleteService = {
+  RETENTION_DAYS,
+
+  /**
+   * Fields that mark a record as deleted
+   * @param {string} userId - ID of the user deleting the record
+   * @param {Date} [deletedAt=new Date()] - Deletion time, shared by cascaded records
+   * @returns {{deleted_at: string, deleted_by: string}} Fields to write
+   */
+  markDeleted(userId, deletedAt = new Date()) {
+    return {
+      deleted_at: deletedAt.toISOString(),
+      deleted_by: userId,
+    };
+  },
+
+  /**
+   * Fields that bring a record back out of the trash
+   * @returns {{deleted_at: null, deleted_by: null}} Fields to write
+   */
+  markRestored() {
+    return {
+      deleted_at: null,
+      deleted_by: null,
+    };
+  },
+
+  /**
+   * Get the time from which a deleted record may be purged
+   * @param {Object} record - Soft-deleted record
+   * @returns {Date|null} Purge time, or null if the record isn't deleted
+   */
+  getPurgeAvailableAt(record) {
+    if (!record.deleted_at) {
+      return null;
+    }
+
+    return new Date(new Date(record.deleted_at).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  },
+
+  /**
+   * Check whether a deleted record has been in the trash past the retention period
+   * @param {Object} record - Soft-deleted record
+   * @returns {boolean} True if the record can be purged
+   */
+  isPurgeable(record) {
+    const purgeAvailableAt = this.getPurgeAvailableAt(record);
+    return purgeAvailableAt !== null && purgeAvailableAt <= new Date();
+  },
+
+  /**
+   * Add retention information to trash listings
+   * @param {Array<Object>} records - Soft-deleted records
+   * @returns {Array<Object>} Records with purge_available_at and purgeable
+   */
+  withRetentionInfo(records) {
+    return records.map((record) => ({
+      ...record,
+      purge_available_at: this.getPurgeAvailableAt(record)?.toISOString() || null,
+      purgeable: this.isPurgeable(record),
+    }));
+  },
+};
+
+module.exports = softDeleteService;
@@ -0,0 +1,156 @@
+const supabase = require('../config/supabase');
+const permissions = require('./permissions');
+
+// Roles a user can hold on a disaster's response team
+const INCIDENT_ROLES = ['commander', 'field_verifier', 'logistics'];
+
+// Incident roles allowed to perform each moderation action on their own disaster
+const SCOPED_PERMISSIONS = {
+  'report:verify': ['commander', 'field_verifier'],
+  'resource:create': ['commander', 'logistics'],
+  'resource:update': ['commander', 'logistics'],
+};
+
+// Radius a disaster covers when it has no affected_radius_km, matches the default used for nearby resources
+const DEFAULT_COVERAGE_RADIUS_KM = 10;
+
+/**
+ * Service for per-disaster team assignments and the moderation scope they grant
+ */
+const teamService = {
+  INCIDENT_ROLES,
+
+  /**
+   * Check whether a value is a known incident role
+   * @param {string} incidentRole - Incident role to check
+   * @returns {boolean} True if the incident role exists
+   */
+  isValidIncidentRole(incidentRole) {
+    return INCIDENT_ROLES.includes(incidentRole);
+  },
+
+  /**
+   * Get the team roster of a disaster
+   * @param {string} disasterId - Disaster ID
+   * @returns {Promise<Array<Object>>} Assignments with the member's name
+   */
+  async getTeam(disasterId) {
+    const { data, error } = await supabase
+      .from('disaster_assignments')
+      .select('id, disaster_id, user_id, incident_role, assigned_by, created_at, users(name, role)')
+      .eq('disaster_id', disasterId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Could not fetch team: ${error.message}`);
+    }
+
+    return data.map(({ users, ...assignment }) => ({
+      ...assignment,
+      name: users?.name || assignment.user_id,
+      user_role: users?.role || null,
+    }));
+  },
+
+  /**
+   * Get a user's assignment on a disaster
+   * @param {string} disasterId - Disaster ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Assignment, or null if the user isn't on the team
+   */
+  async getAssignment(disasterId, userId) {
+    const { data, error } = await supabase
+      .from('disaster_assignments')
+      .select('*')
+      .eq('disaster_id', disasterId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Could not fetch assignment: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Check whether a user may perform a moderation action on a disaster
+   * The user needs the permission itself and, unless they can moderate any disaster,
+   * an incident role on this disaster's team that covers the action.
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {string} disasterId - Disaster ID
+   * @param {string} permission - Scoped permission (e.g. 'report:verify')
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async canModerateDisaster(user, disasterId, permission) {
+    if (!permissions.can(user, permission)) {
+      return false;
+    }
+
+    if (permissions.can(user, 'disaster:moderate_any')) {
+      return true;
+    }
+
+    const assignment = await this.getAssignment(disasterId, user.id);
+    return Boolean(assignment) && SCOPED_PERMISSIONS[permission].includes(assignment.incident_role);
+  },
+
+  /**
+   * Check whether a user may perform a moderation action at a location
+   * Resources aren't tied to a disaster, so they fall under every open disaster whose area covers them.
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {{lat: number, lng: number}} coordinates - Location of the resource
+   * @param {string} permission - Scoped permission (e.g. 'resource:update')
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async canModerateLocation(user, coordinates, permission) {
+    if (!permissions.can(user, permission)) {
+      return false;
+    }
+
+    if (permissions.can(user, 'disaster:moderate_any')) {
+      return true;
+    }
+
+    const assignedIds = await this.getAssignedDisasterIds(user.id, permission);
+
+    if (assignedIds.length === 0) {
+      return false;
+    }
+
+    const { data: coveringDisasters, error: coverageError } = await supabase
+      .rpc('get_disasters_covering_point', {
+        p_lng: coordinates.lng,
+        p_lat: coordinates.lat,
+        p_default_radius_meters: DEFAULT_COVERAGE_RADIUS_KM * 1000,
+      });
+
+    if (coverageError) {
+      throw new Error(`Could not fetch disasters covering location: ${coverageError.message}`);
+    }
+
+    return coveringDisasters.some((disaster) => assignedIds.includes(disaster.id));
+  },
+
+  /**
+   * Get the disasters on which a user's incident role covers a moderation action
+   * @param {string} userId - User ID
+   * @param {string} permission - Scoped permission (e.g. 'report:verify')
+   * @returns {Promise<Array<string>>} Disaster IDs
+   */
+  async getAssignedDisasterIds(userId, permission) {
+    const { data, error } = await supabase
+      .from('disaster_assignments')
+      .select('disaster_id')
+      .eq('user_id', userId)
+      .in('incident_role', SCOPED_PERMISSIONS[permission]);
+
+    if (error) {
+      throw new Error(`Could not fetch assignments: ${error.message}`);
+    }
+
+    return data.map((assignment) => assignment.disaster_id);
+  },
+};
+
+module.exports = teamService;
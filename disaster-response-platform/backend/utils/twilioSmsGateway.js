@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Escape text for an XML element
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => text.replace(/[<>&'"]/g, (char) => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;',
+}[char]));
+
+/**
+ * Create an SMS gateway backed by Twilio
+ * Inbound messages arrive as form posts signed with X-Twilio-Signature; replies are TwiML.
+ * @param {Object} options - Gateway options
+ * @param {string} options.accountSid - Twilio account SID
+ * @param {string} options.authToken - Twilio auth token (also signs inbound requests)
+ * @param {string} options.fromNumber - Number outgoing messages are sent from
+ * @param {string} [options.webhookUrl] - Public inbound URL as configured in Twilio (defaults to the request URL)
+ * @returns {Object} SMS gateway (see config/smsGateway.js)
+ */
+const createTwilioSmsGateway = ({ accountSid, authToken, fromNumber, webhookUrl }) => ({
+  name: 'twilio',
+
+  /**
+   * Check an inbound request's Twilio signature: HMAC-SHA1 of the URL followed by the sorted form fields
+   * @param {Object} req - Express request object
+   * @returns {boolean} True if the request was signed with our auth token
+   */
+  verify(req) {
+    const url = webhookUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const params = req.body || {};
+    const signed = Object.keys(params).sort().reduce((data, key) => data + key + params[key], url);
+    const expected = crypto.createHmac('sha1', authToken).update(signed).digest('base64');
+    const given = Buffer.from(req.get('X-Twilio-Signature') || '');
+
+    return given.length === Buffer.byteLength(expected)
+      && crypto.timingSafeEqual(given, Buffer.from(expected));
+  },
+
+  /**
+   * Read an inbound message
+   * @param {Object} req - Express request object
+   * @returns {Object|null} { from, text, messageId }, or null if the body isn't a message
+   */
+  parseInbound(req) {
+    const { From: from, Body: text, MessageSid: messageId } = req.body || {};
+
+    if (!from || typeof text !== 'string') {
+      return null;
+    }
+
+    return { from, text, messageId: messageId || null };
+  },
+
+  /**
+   * Answer an inbound message with TwiML
+   * @param {Object} res - Express response object
+   * @param {string} text - Reply text
+   */
+  reply(res, text) {
+    res.type('text/xml').status(200).send(
+      `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escapeXml(text)}</Message></Response>`
+    );
+  },
+
+  /**
+   * Send a message
+   * @param {string} to - Phone number in E.164 format
+   * @param {string} text - Message text
+   * @returns {Promise<{id: string}>} Twilio message SID
+   */
+  async send(to, text) {
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams({ From: fromNumber, To: to, Body: text }),
+      { auth: { username: accountSid, password: authToken }, timeout: 10000 }
+    );
+    return { id: response.data.sid };
+  },
+});
+
+module.exports = createTwilioSmsGateway;
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { httpsAgent } = require('./publicHostAgents');
+
+// Record size declared in the encrypted payload; alerts always fit in one record
+const RECORD_SIZE = 4096;
+
+// Hours a VAPID token is valid (push services accept at most 24)
+const TOKEN_TTL_HOURS = 12;
+
+/**
+ * Derive key material with HKDF-SHA256
+ * @param {Buffer} key - Input key material
+ * @param {Buffer} salt - Salt
+ * @param {Buffer|string} info - Context info
+ * @param {number} length - Bytes to derive
+ * @returns {Buffer} Derived bytes
+ */
+const hkdf = (key, salt, info, length) => Buffer.from(crypto.hkdfSync('sha256', key, salt, info, length));
+
+/**
+ * Encrypt a payload for a push subscription (RFC 8291, aes128gcm content encoding)
+ * @param {Buffer} payload - Plain payload
+ * @param {Object} keys - Subscription keys: { p256dh, auth } as base64url
+ * @returns {Buffer} Encrypted body: header (salt, record size, sender key) followed by the ciphertext
+ */
+const encryptPayload = (payload, keys) => {
+  const receiverKey = Buffer.from(keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(keys.auth, 'base64url');
+
+  const sender = crypto.createECDH('prime256v1');
+  sender.generateKeys();
+  const senderKey = sender.getPublicKey();
+  const sharedSecret = sender.computeSecret(receiverKey);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]);
+  const inputKey = hkdf(sharedSecret, authSecret, keyInfo, 32);
+
+  const salt = crypto.randomBytes(16);
+  const contentKey = hkdf(inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  // A single record ends with the 0x02 padding delimiter
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.concat([payload, Buffer.from([2])])),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(senderKey.length, 20);
+
+  return Buffer.concat([header, senderKey, ciphertext]);
+};
+
+/**
+ * Create an alert channel that sends Web Push notifications, authenticated with VAPID (RFC 8292)
+ * Keys are base64url: the public key is the uncompressed P-256 point, the private key its 32-byte scalar.
+ * @param {Object} options - Channel options
+ * @param {string} options.publicKey - VAPID public key (also given to browsers as applicationServerKey)
+ * @param {string} options.privateKey - VAPID private key
+ * @param {string} options.subject - Contact for push services (mailto: or https: URL)
+ * @param {number} [options.ttlSeconds] - How long push services keep undelivered notifications
+ * @returns {Object} Alert channel (see config/alertChannels.js)
+ */
+const createWebPushChannel = ({ publicKey, privateKey, subject, ttlSeconds = 24 * 60 * 60 }) => {
+  const point = Buffer.from(publicKey, 'base64url');
+  const signingKey = crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: privateKey,
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33, 65).toString('base64url'),
+    },
+    format: 'jwk',
+  });
+
+  /**
+   * Sign a VAPID token for a push service
+   * @param {string} audience - Origin of the push endpoint
+   * @returns {string} ES256 JWT
+   */
+  const vapidToken = (audience) => {
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+      aud: audience,
+      exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_HOURS * 60 * 60,
+      sub: subject,
+    })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), { key: signingKey, dsaEncoding: 'ieee-p1363' });
+    return `${unsigned}.${signature.toString('base64url')}`;
+  };
+
+  return {
+    name: 'webpush',
+    publicKey,
+
+    /**
+     * Send a push notification
+     * @param {Object} subscription - Alert subscription (target is the push endpoint, push_keys its keys)
+     * @param {Object} message - Rendered message: { title, body, url }, shown by the service worker
+     * @returns {Promise<{id: string|null}>} Push service message ID, if it returned one
+     */
+    async send(subscription, message) {
+      const endpoint = new URL(subscription.target);
+
+      try {
+        const response = await axios.post(
+          subscription.target,
+          encryptPayload(Buffer.from(JSON.stringify(message)), subscription.push_keys),
+          {
+            headers: {
+              Authorization: `vapid t=${vapidToken(endpoint.origin)}, k=${publicKey}`,
+              'Content-Encoding': 'aes128gcm',
+              'Content-Type': 'application/octet-stream',
+              TTL: String(ttlSeconds),
+              Urgency: 'high',
+            },
+            timeout: 10000,
+            // Push endpoints are user-supplied URLs: no redirects, no private hosts
+            maxRedirects: 0,
+            httpsAgent,
+          }
+        );
+        return { id: response.headers.location || null };
+      } catch (error) {
+        // The browser unsubscribed or the subscription expired
+        if ([404, 410].includes(error.response?.status)) {
+          error.expired = true;
+        }
+        throw error;
+      }
+    },
+  };
+};
+
+module.exports = createWebPushChannel;
@@ -0,0 +1,33 @@
+const axios = require('axios');
+const { httpAgent, httpsAgent } = require('./publicHostAgents');
+
+/**
+ * Create an alert channel that POSTs the alert as JSON to the subscriber's URL
+ * Non-2xx responses are errors; the dispatcher decides from the status whether to retry.
+ * Hosts that resolve to private addresses are refused and redirects aren't followed.
+ * @param {Object} [options] - Channel options
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {Object} Alert channel (see config/alertChannels.js)
+ */
+const createWebhookAlertChannel = ({ timeoutMs = 10000 } = {}) => ({
+  name: 'http',
+
+  /**
+   * Post an alert
+   * @param {Object} subscription - Alert subscription (target is the URL)
+   * @param {Object} message - Rendered message, sent as the body
+   * @returns {Promise<{id: null}>} Webhooks have no message ID
+   */
+  async send(subscription, message) {
+    await axios.post(subscription.target, message, {
+      headers: { 'User-Agent': 'DisasterResponsePlatform-Alerts/1.0', 'X-Alert-Event': message.event },
+      timeout: timeoutMs,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+    });
+    return { id: null };
+  },
+});
+
+module.exports = createWebhookAlertChannel;
@@ -0,0 +1,490 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const supabase = require('../config/supabase');
+const logger = require('./logger');
+const retryBackoff = require('./retryBackoff');
+const alertSubscriptionService = require('./alertSubscriptionService');
+const { httpAgent, httpsAgent } = require('./publicHostAgents');
+
+// Events partners can subscribe to
+const EVENTS = ['disaster.created', 'disaster.updated', 'disaster.deleted', 'resource.updated', 'report.verified'];
+
+// Attempts per delivery before it goes to the dead letters (about a day with the default backoff)
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || 10, 10);
+
+// How often due retries are picked up
+const RETRY_INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS || 30, 10) * 1000;
+
+// Days delivered deliveries stay in the log (dead ones are kept until redelivered or their endpoint is deleted)
+const LOG_RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS || 30, 10);
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPrunedAt = 0;
+
+// Backoff between attempts: 30 seconds doubling up to six hours
+const BACKOFF = { baseMs: 30 * 1000, maxMs: 6 * 60 * 60 * 1000 };
+
+// How long a delivery in progress is left alone; one interrupted by a restart is retried after this
+const CLAIM_TTL_MS = 5 * 60 * 1000;
+
+const TIMEOUT_MS = 10000;
+const CONCURRENCY = 10;
+const RETRY_BATCH_SIZE = 100;
+const MAX_ERROR_LENGTH = 500;
+
+// Columns returned to clients (never the secret)
+const ENDPOINT_COLUMNS = 'id, name, url, events, active, created_by, created_at';
+const DELIVERY_COLUMNS = 'id, endpoint_id, event, payload, status, attempts, response_status, response_time_ms, last_error, next_attempt_at, delivered_at, created_at';
+
+/**
+ * Run a function over items, a few at a time
+ * @param {Array} items - Items
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<void>}
+ */
+const inBatches = async (items, fn) => {
+  for (let i = 0; i < items.length; i += CONCURRENCY) {
+    await Promise.all(items.slice(i, i + CONCURRENCY).map(fn));
+  }
+};
+
+/**
+ * Service for partner webhooks: endpoint registration, HMAC-signed deliveries with exponential backoff,
+ * the delivery log and dead letters
+ * Each request carries X-Webhook-Id, X-Webhook-Event and X-Webhook-Signature: "t=<unix seconds>,v1=<hex>",
+ * where v1 is the HMAC-SHA256 of "<t>.<raw body>" with the endpoint's secret.
+ */
+const webhookService = {
+  EVENTS,
+  MAX_ATTEMPTS,
+  ENDPOINT_COLUMNS,
+  DELIVERY_COLUMNS,
+
+  /**
+   * Validate an endpoint's fields
+   * @param {Object} input - Request body: { name, url, events, active }
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial] - Validate an update: only the fields given
+   * @returns {{values: Object|null, message: string|null}} Columns to store, or why the input is invalid
+   */
+  validateEndpoint(input, { partial = false } = {}) {
+    const values = {};
+
+    if (input.name !== undefined || !partial) {
+      if (typeof input.name !== 'string' || !input.name.trim()) {
+        return { values: null, message: 'name is required' };
+      }
+      values.name = input.name.trim();
+    }
+
+    if (input.url !== undefined || !partial) {
+      if (typeof input.url !== 'string' || !alertSubscriptionService.isAllowedWebhookUrl(input.url.trim())) {
+        return { values: null, message: 'url must be an http(s) URL on a public host' };
+      }
+      values.url = input.url.trim();
+    }
+
+    if (input.events !== undefined || !partial) {
+      if (!Array.isArray(input.events) || input.events.length === 0 || !input.events.every((event) => EVENTS.includes(event))) {
+        return { values: null, message: `events must be a non-empty list of: ${EVENTS.join(', ')}` };
+      }
+      values.events = [...new Set(input.events)];
+    }
+
+    if (input.active !== undefined) {
+      if (typeof input.active !== 'boolean') {
+        return { values: null, message: 'active must be true or false' };
+      }
+      values.active = input.active;
+    }
+
+    return { values, message: null };
+  },
+
+  /**
+   * Generate an endpoint secret
+   * @returns {string} Secret, prefixed so it is recognisable
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  },
+
+  /**
+   * Sign a request body
+   * @param {string} secret - Endpoint secret
+   * @param {string} body - Raw JSON body
+   * @param {number} [timestamp] - Unix time in seconds
+   * @returns {string} X-Webhook-Signature header value
+   */
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  },
+
+  /**
+   * List endpoints, newest first
+   * @returns {Promise<Array<Object>>} Endpoints
+   */
+  async listEndpoints() {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .select(ENDPOINT_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch webhook endpoints: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Register an endpoint
+   * @param {Object} values - Validated columns (see validateEndpoint)
+   * @param {string} createdBy - Admin registering it
+   * @returns {Promise<{endpoint: Object, secret: string}>} Endpoint, and its secret (only returned here)
+   */
+  async createEndpoint(values, createdBy) {
+    const secret = this.generateSecret();
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .insert({ ...values, secret, created_by: createdBy })
+      .select(ENDPOINT_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create webhook endpoint: ${error.message}`);
+    }
+
+    return { endpoint: data, secret };
+  },
+
+  /**
+   * Update an endpoint
+   * @param {string} id - Endpoint ID
+   * @param {Object} values - Validated columns (see validateEndpoint with partial), or { secret } to rotate it
+   * @returns {Promise<Object|null>} Updated endpoint, or null if it doesn't exist
+   */
+  async updateEndpoint(id, values) {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .update(values)
+      .eq('id', id)
+      .select(ENDPOINT_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update webhook endpoint: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Delete an endpoint with its delivery log
+   * @param {string} id - Endpoint ID
+   * @returns {Promise<boolean>} False if it doesn't exist
+   */
+  async deleteEndpoint(id) {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to delete webhook endpoint: ${error.message}`);
+    }
+
+    return data.length > 0;
+  },
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.endpointId] - Only this endpoint's deliveries
+   * @param {string} [filters.status] - pending, delivered or dead
+   * @param {number} [filters.limit] - Most deliveries to return
+   * @returns {Promise<Array<Object>>} Deliveries with their endpoint's name and URL
+   */
+  async listDeliveries({ endpointId, status, limit = 100 } = {}) {
+    let query = supabase
+      .from('webhook_deliveries')
+      .select(`${DELIVERY_COLUMNS}, endpoint:webhook_endpoints(name, url)`)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (endpointId) {
+      query = query.eq('endpoint_id', endpointId);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch webhook deliveries: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Queue an event for every active endpoint subscribed to it and deliver it; never throws,
+   * so callers can fire and forget
+   * @param {string} event - Event name (see EVENTS)
+   * @param {Object} data - Event data, sent as the payload's data
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async publish(event, data) {
+    try {
+      const { data: endpoints, error } = await supabase
+        .from('webhook_endpoints')
+        .select('id, url, secret, active')
+        .eq('active', true)
+        .contains('events', [event]);
+
+      if (error) {
+        throw new Error(`Failed to find webhook endpoints: ${error.message}`);
+      }
+
+      if (endpoints.length === 0) {
+        return 0;
+      }
+
+      const claimedUntil = new Date(Date.now() + CLAIM_TTL_MS).toISOString();
+
+      const { data: deliveries, error: insertError } = await supabase
+        .from('webhook_deliveries')
+        .insert(endpoints.map((endpoint) => ({
+          endpoint_id: endpoint.id,
+          event,
+          payload: data,
+          // Claimed for the delivery below
+          next_attempt_at: claimedUntil,
+        })))
+        .select();
+
+      if (insertError) {
+        throw new Error(`Failed to queue webhook deliveries: ${insertError.message}`);
+      }
+
+      const endpointsById = new Map(endpoints.map((endpoint) => [endpoint.id, endpoint]));
+
+      await inBatches(deliveries, (delivery) => this.deliver(delivery, endpointsById.get(delivery.endpoint_id)));
+
+      return deliveries.length;
+    } catch (error) {
+      logger.error({ error }, `Error publishing webhook event ${event}`);
+      return 0;
+    }
+  },
+
+  /**
+   * Attempt a delivery and record the outcome: delivered, due for a retry, or dead
+   * Any 2xx response counts as delivered; everything else is retried until MAX_ATTEMPTS.
+   * @param {Object} delivery - Delivery record
+   * @param {Object} endpoint - Its endpoint, with the secret
+   * @returns {Promise<boolean>} True if it was delivered
+   */
+  async deliver(delivery, endpoint) {
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      created_at: delivery.created_at,
+      data: delivery.payload,
+    });
+    const startedAt = Date.now();
+
+    try {
+      if (!endpoint?.active) {
+        throw new Error('Endpoint is disabled');
+      }
+
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'DisasterResponsePlatform-Webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Signature': this.sign(endpoint.secret, body),
+        },
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        // Refuse hosts that resolve to private addresses
+        httpAgent,
+        httpsAgent,
+        // Only the status matters; don't keep large response bodies around
+        maxContentLength: 64 * 1024,
+      });
+
+      await this.record(delivery.id, {
+        status: 'delivered',
+        attempts,
+        response_status: response.status,
+        response_time_ms: Date.now() - startedAt,
+        last_error: null,
+        delivered_at: new Date().toISOString(),
+      });
+      return true;
+    } catch (error) {
+      const dead = attempts >= MAX_ATTEMPTS || !endpoint?.active || Boolean(error.permanent);
+      const message = error.response ? `HTTP ${error.response.status}` : error.message;
+
+      await this.record(delivery.id, {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        response_status: error.response?.status ?? null,
+        response_time_ms: Date.now() - startedAt,
+        last_error: message.slice(0, MAX_ERROR_LENGTH),
+        ...(!dead && { next_attempt_at: new Date(Date.now() + retryBackoff(attempts, BACKOFF)).toISOString() }),
+      });
+
+      logger.warn({ deliveryId: delivery.id, endpointId: delivery.endpoint_id, attempts, dead, error: message }, 'Webhook delivery failed');
+      return false;
+    }
+  },
+
+  /**
+   * Store a delivery outcome
+   * @param {string} id - Delivery ID
+   * @param {Object} values - Columns to update
+   * @returns {Promise<void>}
+   */
+  async record(id, values) {
+    const { error } = await supabase
+      .from('webhook_deliveries')
+      .update(values)
+      .eq('id', id);
+
+    if (error) {
+      logger.error({ error }, `Error recording webhook delivery ${id}`);
+    }
+  },
+
+  /**
+   * Send a dead (or any) delivery again, with a fresh set of attempts
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} The delivery after the attempt, or null if it doesn't exist
+   */
+  async redeliver(id) {
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .update({ status: 'pending', attempts: 0, next_attempt_at: new Date(Date.now() + CLAIM_TTL_MS).toISOString() })
+      .eq('id', id)
+      .select('*, endpoint:webhook_endpoints(id, url, secret, active)')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to requeue webhook delivery: ${error.message}`);
+    }
+
+    if (!delivery) {
+      return null;
+    }
+
+    await this.deliver(delivery, delivery.endpoint);
+
+    const { data, error: fetchError } = await supabase
+      .from('webhook_deliveries')
+      .select(DELIVERY_COLUMNS)
+      .eq('id', id)
+      .single();
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch webhook delivery: ${fetchError.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Retry the deliveries that are due, claiming each first so only one instance sends it
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async retryDue() {
+    const now = new Date();
+
+    const { data: due, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*, endpoint:webhook_endpoints(id, url, secret, active)')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(RETRY_BATCH_SIZE);
+
+    if (error) {
+      throw new Error(`Failed to fetch due webhook deliveries: ${error.message}`);
+    }
+
+    const claimedUntil = new Date(now.getTime() + CLAIM_TTL_MS).toISOString();
+    const claimed = [];
+
+    for (const delivery of due) {
+      const { data, error: claimError } = await supabase
+        .from('webhook_deliveries')
+        .update({ next_attempt_at: claimedUntil })
+        .eq('id', delivery.id)
+        .eq('status', 'pending')
+        .eq('next_attempt_at', delivery.next_attempt_at)
+        .select('id');
+
+      if (claimError) {
+        logger.error({ error: claimError }, `Error claiming webhook delivery ${delivery.id}`);
+      } else if (data.length > 0) {
+        claimed.push(delivery);
+      }
+    }
+
+    await inBatches(claimed, (delivery) => this.deliver(delivery, delivery.endpoint));
+
+    if (Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+      lastPrunedAt = Date.now();
+      await this.pruneDeliveries();
+    }
+
+    return claimed.length;
+  },
+
+  /**
+   * Delete delivered deliveries older than the log retention period
+   * @returns {Promise<void>}
+   */
+  async pruneDeliveries() {
+    const cutoff = new Date(Date.now() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const { error } = await supabase
+      .from('webhook_deliveries')
+      .delete()
+      .eq('status', 'delivered')
+      .lt('created_at', cutoff.toISOString());
+
+    if (error) {
+      logger.error({ error }, 'Error pruning webhook deliveries');
+      return;
+    }
+
+    logger.debug('Old webhook deliveries pruned');
+  },
+
+  /**
+   * Start retrying due deliveries in the background
+   * @returns {Object} Interval timer
+   */
+  start() {
+    const timer = setInterval(() => {
+      this.retryDue().catch((error) => {
+        logger.error({ error }, 'Error retrying webhook deliveries');
+      });
+    }, RETRY_INTERVAL_MS);
+
+    // Don't keep the process alive just for retries
+    timer.unref();
+    return timer;
+  },
+};
+
+module.exports = webhookService;
@@ -0,0 +1,18 @@
+// Service worker for push alerts (see backend/utils/webPushChannel.js): shows the alert and opens the disaster when clicked
+
+self.addEventListener('push', (event) => {
+  const alert = event.data ? event.data.json() : {};
+
+  event.waitUntil(
+    self.registration.showNotification(alert.title || 'Disaster alert', {
+      body: alert.body || '',
+      icon: '/vite.svg',
+      data: { url: alert.url || '/' },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow(event.notification.data.url));
+});
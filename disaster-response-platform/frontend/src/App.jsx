@@ -16,9 +16,16 @@ import ReportIncident from './pages/ReportIncident';
 import ImageVerification from './pages/ImageVerification';
 import CreateDisaster from './pages/CreateDisaster';
 import MyReports from './pages/MyReports';
+import ModerationQueue from './pages/ModerationQueue';
+import Trash from './pages/Trash';
+import Users from './pages/Users';
+import SmsSimulator from './pages/SmsSimulator';
+import Alerts from './pages/Alerts';
+import Webhooks from './pages/Webhooks';
 
 // Context
 import { useAuth } from './contexts/AuthContext';
+import { getAccessToken, refreshAccessToken } from './services/apiService';
 
 // Protected Route component
 const ProtectedRoute = ({ children }) => {
@@ -45,7 +52,17 @@ function App() {
   useEffect(() => {
     if (user) {
       const newSocket = io(import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000', {
-        query: { userId: user.id },
+        // Read on every (re)connect so a refreshed token is picked up
+        auth: (cb) => cb({ token: getAccessToken() }),
+      });
+      
+      // The server rejects expired tokens; refresh and try again
+      newSocket.on('connect_error', (err) => {
+        if (err.message === 'Access token expired') {
+          refreshAccessToken()
+            .then(() => newSocket.connect())
+            .catch((refreshError) => console.error('Could not refresh socket credentials:', refreshError));
+        }
       });
       
       setSocket(newSocket);
@@ -56,8 +73,8 @@ function App() {
     }
   }, [user]);
   
-  // Check if we're on the login page
-  const isLoginPage = location.pathname === '/login';
+  // Check if we're on a page that works without signing in (no sidebar or header)
+  const isLoginPage = ['/login', '/report-anonymously'].includes(location.pathname);
 
   return (
     <Box minH="100vh" bg="gray.50">
@@ -74,6 +91,9 @@ function App() {
           <Routes>
             <Route path="/login" element={<Login />} />
             
+            {/* Anyone can report; reports wait on the device while offline */}
+            <Route path="/report-anonymously" element={<ReportIncident anonymous />} />
+            
             <Route
               path="/"
               element={
@@ -136,6 +156,60 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            
+            <Route
+              path="/alerts"
+              element={
+                <ProtectedRoute>
+                  <Alerts />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/moderation"
+              element={
+                <ProtectedRoute>
+                  <ModerationQueue />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/trash"
+              element={
+                <ProtectedRoute>
+                  <Trash />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/users"
+              element={
+                <ProtectedRoute>
+                  <Users />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/sms-simulator"
+              element={
+                <ProtectedRoute>
+                  <SmsSimulator />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/webhooks"
+              element={
+                <ProtectedRoute>
+                  <Webhooks />
+                </ProtectedRoute>
+              }
+            />
           </Routes>
         </Box>
       </Flex>
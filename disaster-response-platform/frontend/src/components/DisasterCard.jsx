@@ -12,6 +12,8 @@ import {
   useColorModeValue,
 } from '@chakra-ui/react';
 import { Link as RouterLink } from 'react-router-dom';
+import { getStatusColor } from '../utils/disasterStatus';
+import { getSeverityColor } from '../utils/disasterPriority';
 
 const DisasterCard = ({ disaster }) => {
   const {
@@ -21,6 +23,7 @@ const DisasterCard = ({ disaster }) => {
     description,
     severity,
     status,
+    priority_score,
     tag,
     created_at,
     updated_at,
@@ -33,34 +36,6 @@ const DisasterCard = ({ disaster }) => {
     return new Date(dateString).toLocaleDateString(undefined, options);
   };
 
-  // Get severity color
-  const getSeverityColor = (level) => {
-    switch (level) {
-      case 'high':
-        return 'red';
-      case 'medium':
-        return 'orange';
-      case 'low':
-        return 'yellow';
-      default:
-        return 'gray';
-    }
-  };
-
-  // Get status color
-  const getStatusColor = (statusValue) => {
-    switch (statusValue) {
-      case 'active':
-        return 'red';
-      case 'contained':
-        return 'orange';
-      case 'resolved':
-        return 'green';
-      default:
-        return 'gray';
-    }
-  };
-
   return (
     <Box
       borderWidth="1px"
@@ -121,6 +96,12 @@ const DisasterCard = ({ disaster }) => {
 
           <Divider my={2} />
 
+          {priority_score !== undefined && (
+            <Text fontSize="xs" color="gray.600" fontWeight="semibold">
+              Priority score: {priority_score}
+            </Text>
+          )}
+
           <Text fontSize="xs" color="gray.500">
             Created: {formatDate(created_at)}
             {updated_at !== created_at && ` • Updated: ${formatDate(updated_at)}`}
@@ -5,7 +5,7 @@ import { ChevronDownIcon } from '@chakra-ui/icons';
 import { useAuth } from '../contexts/AuthContext';
 
 const Header = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   
   return (
     <Box as="header" bg="brand.600" color="white" px={4} py={2} m={0}>
@@ -15,7 +15,7 @@ const Header = () => {
         </Heading>
         
         <HStack spacing={4}>
-          {user?.role === 'admin' || user?.role === 'contributor' ? (
+          {can('disaster:create') ? (
             <Button 
               as={RouterLink} 
               to="/create-disaster" 
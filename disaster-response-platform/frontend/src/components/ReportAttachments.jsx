@@ -0,0 +1,50 @@
+import React from 'react';
+import { Box, Image, Link, SimpleGrid, Text } from '@chakra-ui/react';
+
+// A report's image plus thumbnails of its uploaded photos and videos, each opening the full file
+const ReportAttachments = ({ report }) => {
+  const attachments = report.attachments || [];
+
+  // A report's image_url is usually its first uploaded image, which the thumbnails already show
+  const showImageUrl = report.image_url && !attachments.some((media) => media.url === report.image_url);
+
+  return (
+    <>
+      {showImageUrl && (
+        <Image
+          src={report.image_url}
+          alt="Report evidence"
+          maxH="200px"
+          objectFit="cover"
+          borderRadius="md"
+          mb={3}
+        />
+      )}
+
+      {attachments.length > 0 && (
+        <SimpleGrid columns={{ base: 3, md: 5 }} spacing={2} mb={3}>
+          {attachments.map((media) => (
+            <Link key={media.id} href={media.url} isExternal>
+              {media.thumbnail_url ? (
+                <Image
+                  src={media.thumbnail_url}
+                  alt={media.original_name || 'Report attachment'}
+                  h="80px"
+                  w="100%"
+                  objectFit="cover"
+                  borderRadius="md"
+                />
+              ) : (
+                <Box h="80px" borderWidth="1px" borderRadius="md" display="flex" alignItems="center" justifyContent="center">
+                  <Text fontSize="xs" color="gray.600">🎬 Video</Text>
+                </Box>
+              )}
+            </Link>
+          ))}
+        </SimpleGrid>
+      )}
+    </>
+  );
+};
+
+export default ReportAttachments;
@@ -0,0 +1,90 @@
+import React, { useEffect, useMemo } from 'react';
+import { Box, HStack, Text } from '@chakra-ui/react';
+import { MapContainer, TileLayer, CircleMarker, Popup, useMap } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+
+// Marker colors by verification status
+const STATUS_COLORS = {
+  verified: '#38A169',
+  rejected: '#E53E3E',
+  pending: '#D69E2E',
+};
+
+const getStatusColor = (status) => STATUS_COLORS[status] || STATUS_COLORS.pending;
+
+// Fit the map to the reports whenever they change
+const FitToReports = ({ positions }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (positions.length === 1) {
+      map.setView(positions[0], 14);
+    } else if (positions.length > 1) {
+      map.fitBounds(positions, { padding: [30, 30], maxZoom: 15 });
+    }
+  }, [map, positions]);
+
+  return null;
+};
+
+const ReportsMap = ({ reports, height = '350px' }) => {
+  const located = useMemo(
+    () => reports.filter((report) => report.latitude != null && report.longitude != null),
+    [reports]
+  );
+  const positions = useMemo(() => located.map((report) => [report.latitude, report.longitude]), [located]);
+
+  if (located.length === 0) {
+    return (
+      <Text fontSize="sm" color="gray.500">
+        None of these reports has a location yet.
+      </Text>
+    );
+  }
+
+  return (
+    <Box>
+      <Box border="1px" borderColor="gray.200" borderRadius="md" overflow="hidden" h={height}>
+        <MapContainer center={positions[0]} zoom={12} style={{ height: '100%', width: '100%' }}>
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+          <FitToReports positions={positions} />
+          {located.map((report) => (
+            <CircleMarker
+              key={report.id}
+              center={[report.latitude, report.longitude]}
+              radius={8}
+              pathOptions={{
+                color: getStatusColor(report.verification_status),
+                fillColor: getStatusColor(report.verification_status),
+                fillOpacity: 0.7,
+              }}
+            >
+              <Popup>
+                <div>
+                  <strong>{report.verification_status || 'pending'}</strong><br />
+                  {report.location_name && <>{report.location_name}<br /></>}
+                  {report.content}
+                </div>
+              </Popup>
+            </CircleMarker>
+          ))}
+        </MapContainer>
+      </Box>
+
+      <HStack spacing={4} mt={2} fontSize="sm" color="gray.600">
+        {Object.entries(STATUS_COLORS).map(([status, color]) => (
+          <HStack key={status} spacing={1}>
+            <Box w="10px" h="10px" borderRadius="full" bg={color} />
+            <Text>{status}</Text>
+          </HStack>
+        ))}
+        <Text>{located.length} of {reports.length} reports located</Text>
+      </HStack>
+    </Box>
+  );
+};
+
+export default ReportsMap;
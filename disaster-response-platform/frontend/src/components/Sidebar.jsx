@@ -1,7 +1,7 @@
 import React from 'react';
 import { Box, Flex, Icon, Link, Text, VStack, HStack, Divider, useColorModeValue } from '@chakra-ui/react';
 import { Link as RouterLink, useLocation } from 'react-router-dom';
-import { FiHome, FiMap, FiFileText, FiImage, FiUser, FiPlus, FiList } from 'react-icons/fi';
+import { FiHome, FiMap, FiFileText, FiImage, FiUser, FiPlus, FiList, FiTrash2, FiUsers, FiCheckSquare, FiMessageSquare, FiBell, FiShare2 } from 'react-icons/fi';
 import { useAuth } from '../contexts/AuthContext';
 
 const MenuItem = ({ icon, label, to, isActive }) => {
@@ -44,17 +44,38 @@ const MenuItem = ({ icon, label, to, isActive }) => {
 
 const Sidebar = () => {
   const { pathname } = useLocation();
-  const { user } = useAuth();
+  const { user, can } = useAuth();
     const menuItems = [
     { icon: FiHome, label: 'Dashboard', to: '/' },
     { icon: FiMap, label: 'Resources Map', to: '/resources' },
     { icon: FiFileText, label: 'Report Incident', to: '/report' },
     { icon: FiList, label: 'My Reports', to: '/my-reports' },
+    { icon: FiBell, label: 'Alerts', to: '/alerts' },
     { icon: FiImage, label: 'Image Verification', to: '/verify-image' },
   ];
   
   // Add Create Disaster option for admin and contributor users
 
+  // Only show admin pages to users who can use them
+  if (can('report:verify')) {
+    menuItems.push({ icon: FiCheckSquare, label: 'Moderation Queue', to: '/moderation' });
+  }
+  
+  if (can('user:manage')) {
+    menuItems.push({ icon: FiUsers, label: 'Users', to: '/users' });
+  }
+  
+  if (can('trash:manage')) {
+    menuItems.push({ icon: FiTrash2, label: 'Trash', to: '/trash' });
+  }
+  
+  if (can('sms:simulate')) {
+    menuItems.push({ icon: FiMessageSquare, label: 'SMS Simulator', to: '/sms-simulator' });
+  }
+  
+  if (can('webhook:manage')) {
+    menuItems.push({ icon: FiShare2, label: 'Webhooks', to: '/webhooks' });
+  }
   
   return (
     <Box
@@ -0,0 +1,21 @@
+import React, { useState } from 'react';
+import { Box, Button, Text } from '@chakra-ui/react';
+
+// Text with a toggle between the original and its translation; without a translation only the original is shown
+const TranslatableText = ({ text, translatedText, language, showOriginalFirst = false, ...textProps }) => {
+  const [showOriginal, setShowOriginal] = useState(showOriginalFirst || !translatedText);
+
+  return (
+    <Box>
+      <Text {...textProps}>{showOriginal || !translatedText ? text : translatedText}</Text>
+
+      {translatedText && (
+        <Button size="xs" variant="link" colorScheme="blue" mt={1} onClick={() => setShowOriginal(!showOriginal)}>
+          {showOriginal ? 'Show translation' : `Show original${language ? ` (${language.toUpperCase()})` : ''}`}
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default TranslatableText;
@@ -1,73 +1,85 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import apiService, { USER_STORAGE_KEY, TOKEN_STORAGE_KEY } from '../services/apiService';
 
 // Create context
 const AuthContext = createContext();
 
-// Mock user data
-const mockUsers = {
-  'netrunnerX': { id: 'netrunnerX', name: 'NetRunner X', role: 'admin' },
-  'reliefAdmin': { id: 'reliefAdmin', name: 'Relief Admin', role: 'admin' },
-  'contributor1': { id: 'contributor1', name: 'Contributor 1', role: 'contributor' },
-  'contributor2': { id: 'contributor2', name: 'Contributor 2', role: 'contributor' },
-  'citizen1': { id: 'citizen1', name: 'Citizen 1', role: 'user' },
-  'citizen2': { id: 'citizen2', name: 'Citizen 2', role: 'user' },
-};
-
 // Provider component
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const [permissions, setPermissions] = useState([]);
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
   
   // Check if user is stored in localStorage on initial load
   useEffect(() => {
-    const storedUser = localStorage.getItem('disaster_response_user');
+    const storedUser = localStorage.getItem(USER_STORAGE_KEY);
     
-    if (storedUser) {
+    if (storedUser && localStorage.getItem(TOKEN_STORAGE_KEY)) {
       try {
         const parsedUser = JSON.parse(storedUser);
         setUser(parsedUser);
       } catch (error) {
         console.error('Error parsing stored user:', error);
-        localStorage.removeItem('disaster_response_user');
+        localStorage.removeItem(USER_STORAGE_KEY);
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
       }
     }
     
     setLoading(false);
   }, []);
   
-  // Login function
-  const login = (userId) => {
-    if (mockUsers[userId]) {
-      const userData = mockUsers[userId];
-      setUser(userData);
-      localStorage.setItem('disaster_response_user', JSON.stringify(userData));
-      return true;
+  // Load the user's effective permissions from the server whenever the user changes
+  useEffect(() => {
+    if (!user) {
+      setPermissions([]);
+      return;
     }
-    return false;
+    
+    apiService.getMyPermissions()
+      .then((data) => setPermissions(data.permissions))
+      .catch((error) => {
+        console.error('Error loading permissions:', error);
+        setPermissions([]);
+      });
+  }, [user]);
+  
+  // Login function
+  const login = async (username, password) => {
+    const data = await apiService.login(username, password);
+    
+    localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify({
+      access_token: data.access_token,
+      refresh_token: data.refresh_token,
+    }));
+    localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(data.user));
+    setUser(data.user);
+    
+    return data.user;
   };
   
   // Logout function
-  const logout = () => {
+  const logout = async () => {
+    const storedTokens = localStorage.getItem(TOKEN_STORAGE_KEY);
+    
+    try {
+      if (storedTokens) {
+        await apiService.logout(JSON.parse(storedTokens).refresh_token);
+      }
+    } catch (error) {
+      // The local session is cleared either way
+      console.error('Error revoking session:', error);
+    }
+    
     setUser(null);
-    localStorage.removeItem('disaster_response_user');
+    localStorage.removeItem(USER_STORAGE_KEY);
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
     navigate('/login');
   };
   
-  // Check if user has permission
-  const hasPermission = (requiredRole) => {
-    if (!user) return false;
-    
-    // Admin has all permissions
-    if (user.role === 'admin') return true;
-    
-    // Contributors have more permissions than regular users
-    if (user.role === 'contributor' && requiredRole === 'user') return true;
-    
-    // Direct role match
-    return user.role === requiredRole;
-  };
+  // Check if user has a named permission (e.g. 'disaster:create')
+  const can = (permission) => permissions.includes(permission);
   
   // Auth context value
   const value = {
@@ -75,7 +87,8 @@ export const AuthProvider = ({ children }) => {
     loading,
     login,
     logout,
-    hasPermission,
+    permissions,
+    can,
   };
   
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,429 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  VStack,
+  HStack,
+  Button,
+  Badge,
+  Flex,
+  Spacer,
+  Select,
+  Input,
+  Textarea,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Checkbox,
+  CheckboxGroup,
+  SimpleGrid,
+  Switch,
+  useToast,
+} from '@chakra-ui/react';
+import apiService from '../services/apiService';
+import PageLoader from '../components/PageLoader';
+import ErrorAlert from '../components/ErrorAlert';
+import { isPushSupported, subscribeToPush } from '../utils/pushAlerts';
+
+const CHANNELS = [
+  { value: 'email', label: 'Email', targetLabel: 'Email address', placeholder: 'you@example.org' },
+  { value: 'sms', label: 'SMS', targetLabel: 'Phone number', placeholder: '+15555550100' },
+  { value: 'webhook', label: 'Webhook', targetLabel: 'URL', placeholder: 'https://example.org/alerts' },
+  { value: 'push', label: 'Browser notification' },
+];
+
+const EVENTS = [
+  { value: 'disaster_created', label: 'New disasters' },
+  { value: 'disaster_status_changed', label: 'Status changes' },
+  { value: 'report_verified', label: 'Verified reports' },
+];
+
+const EMPTY_FORM = {
+  channel: 'email',
+  target: '',
+  areaType: 'point',
+  latitude: '',
+  longitude: '',
+  radiusKm: '25',
+  polygon: '',
+  tags: '',
+  events: EVENTS.map((event) => event.value),
+};
+
+// Build the request's area from the form; polygons are entered as one "lat, lng" pair per line
+const buildArea = (form) => {
+  if (form.areaType === 'anywhere') {
+    return { area: null };
+  }
+
+  if (form.areaType === 'point') {
+    return {
+      area: { type: 'Point', coordinates: [Number(form.longitude), Number(form.latitude)] },
+      radius_km: Number(form.radiusKm),
+    };
+  }
+
+  const ring = form.polygon
+    .split('\n')
+    .map((line) => line.split(',').map((value) => Number(value.trim())))
+    .filter((pair) => pair.length === 2 && pair.every((value) => !Number.isNaN(value)))
+    .map(([lat, lng]) => [lng, lat]);
+
+  return { area: { type: 'Polygon', coordinates: [ring] } };
+};
+
+const describeArea = (subscription) => {
+  if (!subscription.area) {
+    return 'Anywhere';
+  }
+
+  if (subscription.area.type === 'Point') {
+    const [lng, lat] = subscription.area.coordinates;
+    return `Within ${subscription.radius_km} km of ${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+  }
+
+  return `Inside an area of ${subscription.area.coordinates[0].length - 1} points`;
+};
+
+// Manage the user's alert subscriptions: how and where to be told about disasters
+const Alerts = () => {
+  const toast = useToast();
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pendingId, setPendingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isCreating, setIsCreating] = useState(false);
+  // Confirmation codes being typed, by subscription ID
+  const [codes, setCodes] = useState({});
+
+  const loadSubscriptions = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setSubscriptions(await apiService.getAlertSubscriptions());
+      setError(null);
+    } catch (err) {
+      console.error('Error loading alert subscriptions:', err);
+      setError('Failed to load your alerts. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSubscriptions();
+  }, [loadSubscriptions]);
+
+  // Show an error toast for a failed request
+  const showError = (title, err) => {
+    toast({
+      title,
+      description: err.response?.data?.message || err.message || 'An unexpected error occurred',
+      status: 'error',
+      duration: 7000,
+      isClosable: true,
+    });
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleUseMyLocation = () => {
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setForm((prev) => ({
+        ...prev,
+        latitude: coords.latitude.toFixed(5),
+        longitude: coords.longitude.toFixed(5),
+      })),
+      (err) => showError('Location Unavailable', err)
+    );
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsCreating(true);
+
+      const destination = form.channel === 'push'
+        ? { push_subscription: await subscribeToPush((await apiService.getPushKey()).public_key) }
+        : { target: form.target.trim() };
+
+      const subscription = await apiService.createAlertSubscription({
+        channel: form.channel,
+        ...destination,
+        ...buildArea(form),
+        tags: form.tags.split(',').map((tag) => tag.trim()).filter(Boolean),
+        events: form.events,
+      });
+
+      setSubscriptions((prev) => [subscription, ...prev]);
+      setForm((prev) => ({ ...EMPTY_FORM, channel: prev.channel }));
+
+      toast({
+        title: 'Alert Created',
+        description: subscription.confirmed_at
+          ? 'You will be notified about matching disasters.'
+          : `We sent a code to ${subscription.target}. Enter it below to start receiving alerts.`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error creating alert subscription:', err);
+      showError('Error Creating Alert', err);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleToggleActive = async (subscription) => {
+    try {
+      setPendingId(subscription.id);
+      const updated = await apiService.updateAlertSubscription(subscription.id, { active: !subscription.active });
+      setSubscriptions((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+    } catch (err) {
+      console.error('Error updating alert subscription:', err);
+      showError('Error Updating Alert', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleConfirm = async (subscription) => {
+    try {
+      setPendingId(subscription.id);
+      const confirmed = await apiService.confirmAlertSubscription(subscription.id, (codes[subscription.id] || '').trim());
+      setSubscriptions((prev) => prev.map((item) => (item.id === confirmed.id ? confirmed : item)));
+      setCodes((prev) => ({ ...prev, [subscription.id]: '' }));
+    } catch (err) {
+      console.error('Error confirming alert subscription:', err);
+      showError('Error Confirming Alert', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleResend = async (subscription) => {
+    try {
+      setPendingId(subscription.id);
+      await apiService.resendAlertConfirmation(subscription.id);
+      toast({
+        title: 'Code Sent',
+        description: `A new code was sent to ${subscription.target}.`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error resending alert confirmation:', err);
+      showError('Error Sending Code', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleDelete = async (subscription) => {
+    if (!window.confirm('Delete this alert?')) {
+      return;
+    }
+
+    try {
+      setPendingId(subscription.id);
+      await apiService.deleteAlertSubscription(subscription.id);
+      setSubscriptions((prev) => prev.filter((item) => item.id !== subscription.id));
+    } catch (err) {
+      console.error('Error deleting alert subscription:', err);
+      showError('Error Deleting Alert', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  if (isLoading) {
+    return <PageLoader message="Loading alerts..." />;
+  }
+
+  if (error) {
+    return (
+      <ErrorAlert
+        title="Failed to Load Alerts"
+        message={error}
+        onRetry={loadSubscriptions}
+      />
+    );
+  }
+
+  const channel = CHANNELS.find((item) => item.value === form.channel);
+
+  return (
+    <Box p={6}>
+      <Heading size="lg" mb={2}>Alerts</Heading>
+      <Text color="gray.600" mb={6}>
+        Be told when a disaster is declared, changes status or has a verified report in an area you care about.
+      </Text>
+
+      <SimpleGrid columns={{ base: 1, lg: 2 }} spacing={6} alignItems="start">
+        <Box as="form" bg="white" borderRadius="md" borderWidth="1px" p={4} onSubmit={handleCreate}>
+          <VStack spacing={4} align="stretch">
+            <Heading size="sm">New Alert</Heading>
+
+            <FormControl>
+              <FormLabel>Send to</FormLabel>
+              <Select name="channel" value={form.channel} onChange={handleInputChange}>
+                {CHANNELS.map((item) => (
+                  <option key={item.value} value={item.value}>{item.label}</option>
+                ))}
+              </Select>
+            </FormControl>
+
+            {form.channel === 'push' ? (
+              <Text fontSize="sm" color={isPushSupported() ? 'gray.600' : 'red.500'}>
+                {isPushSupported()
+                  ? 'Notifications will be shown in this browser. You will be asked for permission.'
+                  : 'This browser does not support push notifications.'}
+              </Text>
+            ) : (
+              <FormControl isRequired>
+                <FormLabel>{channel.targetLabel}</FormLabel>
+                <Input name="target" value={form.target} onChange={handleInputChange} placeholder={channel.placeholder} />
+              </FormControl>
+            )}
+
+            <FormControl>
+              <FormLabel>Area</FormLabel>
+              <Select name="areaType" value={form.areaType} onChange={handleInputChange}>
+                <option value="point">Around a point</option>
+                <option value="polygon">Inside an area</option>
+                <option value="anywhere">Anywhere</option>
+              </Select>
+            </FormControl>
+
+            {form.areaType === 'point' && (
+              <>
+                <HStack align="end">
+                  <FormControl isRequired>
+                    <FormLabel>Latitude</FormLabel>
+                    <Input name="latitude" type="number" step="any" value={form.latitude} onChange={handleInputChange} />
+                  </FormControl>
+                  <FormControl isRequired>
+                    <FormLabel>Longitude</FormLabel>
+                    <Input name="longitude" type="number" step="any" value={form.longitude} onChange={handleInputChange} />
+                  </FormControl>
+                  <FormControl isRequired>
+                    <FormLabel>Radius (km)</FormLabel>
+                    <Input name="radiusKm" type="number" min="1" max="500" value={form.radiusKm} onChange={handleInputChange} />
+                  </FormControl>
+                </HStack>
+                <Button size="sm" variant="outline" alignSelf="start" onClick={handleUseMyLocation}>
+                  Use My Location
+                </Button>
+              </>
+            )}
+
+            {form.areaType === 'polygon' && (
+              <FormControl isRequired>
+                <FormLabel>Corners</FormLabel>
+                <Textarea name="polygon" value={form.polygon} onChange={handleInputChange} placeholder={'40.70, -74.02\n40.80, -73.93\n40.70, -73.90'} rows={5} />
+                <FormHelperText>One &quot;latitude, longitude&quot; per line, at least three</FormHelperText>
+              </FormControl>
+            )}
+
+            <FormControl>
+              <FormLabel>Tags</FormLabel>
+              <Input name="tags" value={form.tags} onChange={handleInputChange} placeholder="flood, earthquake" />
+              <FormHelperText>Only disasters with one of these tags; leave empty for all</FormHelperText>
+            </FormControl>
+
+            <FormControl>
+              <FormLabel>Notify me about</FormLabel>
+              <CheckboxGroup value={form.events} onChange={(events) => setForm((prev) => ({ ...prev, events }))}>
+                <VStack align="start" spacing={1}>
+                  {EVENTS.map((event) => (
+                    <Checkbox key={event.value} value={event.value}>{event.label}</Checkbox>
+                  ))}
+                </VStack>
+              </CheckboxGroup>
+            </FormControl>
+
+            <Button
+              type="submit"
+              colorScheme="brand"
+              isLoading={isCreating}
+              isDisabled={form.events.length === 0 || (form.channel === 'push' && !isPushSupported())}
+            >
+              Create Alert
+            </Button>
+          </VStack>
+        </Box>
+
+        <VStack spacing={3} align="stretch">
+          {subscriptions.length === 0 ? (
+            <Text color="gray.500">You have no alerts yet.</Text>
+          ) : (
+            subscriptions.map((subscription) => (
+              <Box key={subscription.id} bg="white" borderRadius="md" borderWidth="1px" p={4} opacity={subscription.active ? 1 : 0.6}>
+                <Flex align="center" mb={2}>
+                  <Badge colorScheme="blue" mr={2}>
+                    {CHANNELS.find((item) => item.value === subscription.channel)?.label}
+                  </Badge>
+                  {subscription.channel !== 'push' && (
+                    <Text fontSize="sm" noOfLines={1}>{subscription.target}</Text>
+                  )}
+                  {!subscription.confirmed_at && (
+                    <Badge colorScheme="orange" ml={2}>Unconfirmed</Badge>
+                  )}
+                  <Spacer />
+                  <Switch
+                    isChecked={subscription.active}
+                    isDisabled={pendingId === subscription.id}
+                    onChange={() => handleToggleActive(subscription)}
+                    mr={3}
+                  />
+                  <Button size="xs" colorScheme="red" variant="ghost" isLoading={pendingId === subscription.id} onClick={() => handleDelete(subscription)}>
+                    Delete
+                  </Button>
+                </Flex>
+                <Text fontSize="sm" color="gray.600">{describeArea(subscription)}</Text>
+                <Text fontSize="sm" color="gray.600">
+                  {subscription.events.map((value) => EVENTS.find((event) => event.value === value)?.label).join(', ')}
+                  {subscription.tags.length > 0 && ` · tagged ${subscription.tags.join(', ')}`}
+                </Text>
+                {!subscription.confirmed_at && (
+                  <HStack mt={3}>
+                    <Input
+                      size="sm"
+                      maxW="120px"
+                      inputMode="numeric"
+                      maxLength={6}
+                      placeholder="Code"
+                      value={codes[subscription.id] || ''}
+                      onChange={(e) => setCodes((prev) => ({ ...prev, [subscription.id]: e.target.value }))}
+                    />
+                    <Button
+                      size="sm"
+                      colorScheme="brand"
+                      isLoading={pendingId === subscription.id}
+                      isDisabled={!/^\d{6}$/.test((codes[subscription.id] || '').trim())}
+                      onClick={() => handleConfirm(subscription)}
+                    >
+                      Confirm
+                    </Button>
+                    <Button size="sm" variant="ghost" isDisabled={pendingId === subscription.id} onClick={() => handleResend(subscription)}>
+                      Send New Code
+                    </Button>
+                  </HStack>
+                )}
+              </Box>
+            ))
+          )}
+        </VStack>
+      </SimpleGrid>
+    </Box>
+  );
+};
+
+export default Alerts;
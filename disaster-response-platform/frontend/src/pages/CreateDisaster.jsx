@@ -7,6 +7,10 @@ import {
   FormLabel,
   Input,
   Textarea,
+  Select,
+  NumberInput,
+  NumberInputField,
+  FormHelperText,
   Button,
   Heading,
   Card,
@@ -28,15 +32,18 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import apiService from '../services/apiService';
 import LocationSearchInput from '../components/LocationSearchInput';
+import { SEVERITY_LEVELS } from '../utils/disasterPriority';
 
 const CreateDisaster = () => {
   const navigate = useNavigate();
   const toast = useToast();
-  const { user } = useAuth();
+  const { can } = useAuth();
     const [formData, setFormData] = useState({
     title: '',
     location_name: '',
     description: '',
+    severity: 'medium',
+    affected_radius_km: '',
   });
   
   const [locationData, setLocationData] = useState(null);
@@ -46,7 +53,7 @@ const CreateDisaster = () => {
   const [errors, setErrors] = useState({});
 
   // Check if user has permission to create disasters
-  const canCreateDisaster = user && ['admin', 'contributor'].includes(user.role);
+  const canCreateDisaster = can('disaster:create');
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -111,6 +118,10 @@ const CreateDisaster = () => {
       newErrors.location_name = 'Location name must be less than 500 characters';
     }
     
+    if (formData.affected_radius_km !== '' && !(parseFloat(formData.affected_radius_km) > 0)) {
+      newErrors.affected_radius_km = 'Affected radius must be a positive number';
+    }
+    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -126,6 +137,9 @@ const CreateDisaster = () => {
       try {
       const disasterData = {
         ...formData,
+        affected_radius_km: formData.affected_radius_km !== ''
+          ? parseFloat(formData.affected_radius_km)
+          : undefined,
         tags: tags.length > 0 ? tags : undefined,
         // Include geocoded location data if available
         ...(locationData && {
@@ -234,6 +248,42 @@ const CreateDisaster = () => {
                   )}
                 </FormControl>
 
+                <HStack spacing={4} align="flex-start">
+                  <FormControl>
+                    <FormLabel>Severity</FormLabel>
+                    <Select
+                      name="severity"
+                      value={formData.severity}
+                      onChange={handleInputChange}
+                    >
+                      {SEVERITY_LEVELS.map((level) => (
+                        <option key={level} value={level}>
+                          {level.charAt(0).toUpperCase() + level.slice(1)}
+                        </option>
+                      ))}
+                    </Select>
+                  </FormControl>
+
+                  <FormControl isInvalid={!!errors.affected_radius_km}>
+                    <FormLabel>Affected Radius (km)</FormLabel>
+                    <NumberInput
+                      min={0}
+                      value={formData.affected_radius_km}
+                      onChange={(value) => handleInputChange({
+                        target: { name: 'affected_radius_km', value },
+                      })}
+                    >
+                      <NumberInputField placeholder="e.g., 5" />
+                    </NumberInput>
+                    <FormHelperText>Used to estimate the affected population.</FormHelperText>
+                    {errors.affected_radius_km && (
+                      <Text color="red.500" fontSize="sm" mt={1}>
+                        {errors.affected_radius_km}
+                      </Text>
+                    )}
+                  </FormControl>
+                </HStack>
+
                 <Divider />
 
                 <FormControl>
@@ -14,6 +14,9 @@ import {
 import { Link as RouterLink } from 'react-router-dom';
 import apiService from '../services/apiService';
 import { useAuth } from '../contexts/AuthContext';
+import { DISASTER_STATUSES } from '../utils/disasterStatus';
+import { sortDisasters } from '../utils/disasterPriority';
+import { subscribe } from '../utils/realtime';
 
 // Components
 import DisasterCard from '../components/DisasterCard';
@@ -25,8 +28,10 @@ const Dashboard = ({ socket }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [tagFilter, setTagFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [sortBy, setSortBy] = useState('priority');
   const [searchQuery, setSearchQuery] = useState('');
-  const { user } = useAuth();
+  const { can } = useAuth();
   const toast = useToast();
     // Load disasters
   const loadDisasters = useCallback(async () => {
@@ -36,6 +41,9 @@ const Dashboard = ({ socket }) => {
       // Prepare filter params
       const params = {};
       if (tagFilter) params.tag = tagFilter;
+      if (statusFilter) params.status = statusFilter;
+      // Status ordering is done client-side; the server ranks by priority or date
+      if (sortBy !== 'status') params.sort = sortBy;
       
       const data = await apiService.getDisasters(params);
       
@@ -51,7 +59,7 @@ const Dashboard = ({ socket }) => {
         );
       }
       
-      setDisasters(filteredData);
+      setDisasters(sortDisasters(filteredData, sortBy));
       setError(null);
     } catch (err) {
       console.error('Error loading disasters:', err);
@@ -66,7 +74,7 @@ const Dashboard = ({ socket }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [tagFilter, searchQuery, toast]);
+  }, [tagFilter, statusFilter, sortBy, searchQuery, toast]);
     // Initial load
   useEffect(() => {
     loadDisasters();
@@ -84,22 +92,49 @@ const Dashboard = ({ socket }) => {
   // Listen for real-time updates
   useEffect(() => {
     if (socket) {
+      // Events missed while offline are replayed on reconnect; reload if too many were missed
+      const unsubscribe = subscribe(socket, { feed: 'disasters' }, { onResync: loadDisasters });
+      
       socket.on('disaster_updated', (data) => {
-        if (data.action === 'create') {
-          setDisasters((prev) => [data.disaster, ...prev]);
+        if (data.action === 'create' || data.action === 'restore') {
+          // Replayed events can repeat one already applied
+          setDisasters((prev) =>
+            sortDisasters([data.disaster, ...prev.filter((disaster) => disaster.id !== data.disaster.id)], sortBy)
+          );
           toast({
-            title: 'New Disaster',
-            description: `${data.disaster.title} has been added.`,
+            title: data.action === 'restore' ? 'Disaster Restored' : 'New Disaster',
+            description: `${data.disaster.title} has been ${data.action === 'restore' ? 'restored' : 'added'}.`,
             status: 'info',
             duration: 5000,
             isClosable: true,
           });
         } else if (data.action === 'update') {
           setDisasters((prev) =>
-            prev.map((disaster) =>
-              disaster.id === data.disaster.id ? data.disaster : disaster
+            sortDisasters(
+              prev.map((disaster) =>
+                disaster.id === data.disaster.id ? data.disaster : disaster
+              ),
+              sortBy
             )
           );
+        } else if (data.action === 'status_change') {
+          // Drop the disaster if it no longer matches the status filter, otherwise re-sort
+          setDisasters((prev) => {
+            const others = prev.filter((disaster) => disaster.id !== data.disaster.id);
+            const stillMatches = !statusFilter || statusFilter === data.status;
+            const wasListed = others.length !== prev.length;
+            
+            return wasListed && stillMatches
+              ? sortDisasters([...others, data.disaster], sortBy)
+              : others;
+          });
+          toast({
+            title: 'Status Changed',
+            description: `${data.disaster.title} moved from ${data.previous_status} to ${data.status}.`,
+            status: 'info',
+            duration: 5000,
+            isClosable: true,
+          });
         } else if (data.action === 'delete') {
           setDisasters((prev) =>
             prev.filter((disaster) => disaster.id !== data.disaster.id)
@@ -108,16 +143,17 @@ const Dashboard = ({ socket }) => {
       });
       
       return () => {
+        unsubscribe();
         socket.off('disaster_updated');
       };
     }
-  }, [socket, toast]);
+  }, [socket, statusFilter, sortBy, toast, loadDisasters]);
   
   return (
     <Box p={4} >
       <Flex align="center" m={6}>
         <Heading size="lg">Active Disasters</Heading>
-        <Spacer />        {(user?.role === 'admin' || user?.role === 'contributor') && (
+        <Spacer />        {can('disaster:create') && (
           <Button
             as={RouterLink}
             to="/create-disaster"
@@ -150,6 +186,27 @@ const Dashboard = ({ socket }) => {
           <option value="storm">Storm</option>
           <option value="urgent">Urgent</option>
         </Select>
+        <Select
+          placeholder="Filter by status"
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          width={{ base: 'full', md: '200px' }}
+        >
+          {DISASTER_STATUSES.map((statusValue) => (
+            <option key={statusValue} value={statusValue}>
+              {statusValue.charAt(0).toUpperCase() + statusValue.slice(1)}
+            </option>
+          ))}
+        </Select>
+        <Select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          width={{ base: 'full', md: '200px' }}
+        >
+          <option value="priority">Sort by priority</option>
+          <option value="status">Sort by status</option>
+          <option value="created_at">Sort by newest</option>
+        </Select>
       </Flex>
         {isLoading ? (
         <PageLoader message="Loading disasters..." />
@@ -162,8 +219,15 @@ const Dashboard = ({ socket }) => {
       ) : disasters.length === 0 ? (
         <Box textAlign="center" p={8}>
           <Text>No disasters found.</Text>
-          {tagFilter && (
-            <Button mt={4} onClick={() => setTagFilter('')} variant="outline">
+          {(tagFilter || statusFilter) && (
+            <Button
+              mt={4}
+              onClick={() => {
+                setTagFilter('');
+                setStatusFilter('');
+              }}
+              variant="outline"
+            >
               Clear Filter
             </Button>
           )}
@@ -29,40 +29,84 @@ import {
   FormLabel,
   Input,
   Textarea,
+  Select,
   useDisclosure,
   Tag,
   TagLabel,
   TagCloseButton,
   Wrap,
   WrapItem,
+  Checkbox,
 } from '@chakra-ui/react';
 import apiService from '../services/apiService';
 import ErrorAlert from '../components/ErrorAlert';
+import ReportAttachments from '../components/ReportAttachments';
+import TranslatableText from '../components/TranslatableText';
 import LocationSearchInput from '../components/LocationSearchInput';
+import ReportsMap from '../components/ReportsMap';
 import { useAuth } from '../contexts/AuthContext';
+import { DISASTER_STATUSES, getStatusColor } from '../utils/disasterStatus';
+import { SEVERITY_LEVELS, getSeverityColor } from '../utils/disasterPriority';
+import { subscribe } from '../utils/realtime';
+
+// Incident roles a user can hold on a disaster's team (mirrors backend/utils/teamService.js)
+const INCIDENT_ROLES = ['commander', 'field_verifier', 'logistics'];
+
+// Incident roles that may verify the disaster's reports
+const VERIFYING_ROLES = ['commander', 'field_verifier'];
+
+// Needs extracted from report content (mirrors backend/utils/aiSchemas.js)
+const NEED_TYPES = ['water', 'medical', 'shelter', 'rescue'];
+
+const formatIncidentRole = (role) => role.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+
+const getIncidentRoleColor = (role) => {
+  switch (role) {
+    case 'commander':
+      return 'purple';
+    case 'field_verifier':
+      return 'green';
+    case 'logistics':
+      return 'orange';
+    default:
+      return 'gray';
+  }
+};
 
 const DisasterDetail = ({ socket }) => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const [disaster, setDisaster] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);  const [socialMedia, setSocialMedia] = useState([]);
   const [resources, setResources] = useState([]);
   const [updates, setUpdates] = useState([]);
   const [reports, setReports] = useState([]);
+  const [team, setTeam] = useState([]);
+  const [clusters, setClusters] = useState([]);
+  const [selectedReportIds, setSelectedReportIds] = useState([]);
+  const [needFilter, setNeedFilter] = useState('');
   const toast = useToast();
+
+  // Team roster state (users to pick from are only loaded for team managers)
+  const [assignableUsers, setAssignableUsers] = useState([]);
+  const [newMemberId, setNewMemberId] = useState('');
+  const [newMemberRole, setNewMemberRole] = useState(INCIDENT_ROLES[0]);
+  const [isAssigning, setIsAssigning] = useState(false);
   
   // Edit disaster modal state
   const { isOpen: isEditOpen, onOpen: onEditOpen, onClose: onEditClose } = useDisclosure();
   const [editFormData, setEditFormData] = useState({
     title: '',    location_name: '',
     description: '',
+    severity: 'medium',
   });  const [editTags, setEditTags] = useState([]);
   const [currentEditTag, setCurrentEditTag] = useState('');
   const [editLocationData, setEditLocationData] = useState(null);
   const [isUpdating, setIsUpdating] = useState(false);
   const [editErrors, setEditErrors] = useState({});
+  const [isChangingStatus, setIsChangingStatus] = useState(false);
 
   // Format date
   const formatDate = (dateString) => {
@@ -70,33 +114,6 @@ const DisasterDetail = ({ socket }) => {
     return new Date(dateString).toLocaleDateString(undefined, options);
   };
 
-  // Get severity color
-  const getSeverityColor = (level) => {
-    switch (level) {
-      case 'high':
-        return 'red';
-      case 'medium':
-        return 'orange';
-      case 'low':
-        return 'yellow';
-      default:
-        return 'gray';
-    }
-  };
-  // Get status color
-  const getStatusColor = (statusValue) => {
-    switch (statusValue) {
-      case 'active':
-        return 'red';
-      case 'contained':
-        return 'orange';
-      case 'resolved':
-        return 'green';
-      default:
-        return 'gray';
-    }
-  };
-
   // Get verification status color
   const getVerificationColor = (status) => {
     switch (status) {
@@ -111,83 +128,240 @@ const DisasterDetail = ({ socket }) => {
     }
   };
 
-  // Handle report verification
-  const handleVerifyReport = async (reportId, newStatus) => {
+  // Delete disaster function
+  const handleDeleteDisaster = async () => {
+    if (!window.confirm('Are you sure you want to delete this disaster? It will be moved to the trash, where an admin can restore it.')) {
+      return;
+    }
+
     try {
-      await apiService.updateReportVerification(id, reportId, newStatus);
+      await apiService.deleteDisaster(id);
+      
+      toast({
+        title: 'Disaster Deleted',
+        description: 'The disaster has been successfully deleted.',
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
       
-      // Update the local state
-      setReports(prev => 
-        prev.map(report => 
-          report.id === reportId 
-            ? { ...report, verification_status: newStatus }
-            : report
-        )
-      );
+      // Navigate back to dashboard
+      navigate('/');
+    } catch (error) {
+      console.error('Error deleting disaster:', error);
       
       toast({
-        title: 'Report Updated',
-        description: `Report has been ${newStatus}`,
+        title: 'Error Deleting Disaster',
+        description: error.message || 'An unexpected error occurred',
+        status: 'error',
+        duration: 7000,
+        isClosable: true,
+      });
+    }
+  };
+
+  // Handle lifecycle status change (transition rules are enforced by the server)
+  const handleStatusChange = async (newStatus) => {
+    if (!newStatus || newStatus === disaster.status) {
+      return;
+    }
+
+    setIsChangingStatus(true);
+    try {
+      const updatedDisaster = await apiService.updateDisasterStatus(id, newStatus);
+      setDisaster(updatedDisaster);
+
+      toast({
+        title: 'Status Updated',
+        description: `Disaster is now ${newStatus}`,
         status: 'success',
         duration: 3000,
         isClosable: true,
       });
-    } catch (err) {
-      console.error('Error updating report verification:', err);
+    } catch (error) {
+      console.error('Error updating disaster status:', error);
+
       toast({
-        title: 'Error',
-        description: 'Failed to update report verification',
+        title: 'Error Updating Status',
+        description: error.response?.data?.message || error.message || 'An unexpected error occurred',
         status: 'error',
-        duration: 5000,
+        duration: 7000,
         isClosable: true,
       });
+    } finally {
+      setIsChangingStatus(false);
     }
   };
 
-
-  // Delete disaster function
-  const handleDeleteDisaster = async () => {
-    if (!window.confirm('Are you sure you want to delete this disaster? This action cannot be undone.')) {
+  // Handle reverting the disaster to an earlier version from its history
+  const handleRevertDisaster = async (entryIndex) => {
+    if (!window.confirm('Restore the disaster to how it was after this change?')) {
       return;
     }
 
     try {
-      await apiService.deleteDisaster(id);
-      
+      const revertedDisaster = await apiService.revertDisaster(id, entryIndex);
+      setDisaster(revertedDisaster);
+
       toast({
-        title: 'Disaster Deleted',
-        description: 'The disaster has been successfully deleted.',
+        title: 'Disaster Reverted',
+        description: 'The disaster has been restored to the selected version.',
         status: 'success',
         duration: 5000,
         isClosable: true,
       });
-      
-      // Navigate back to dashboard
-      navigate('/');
     } catch (error) {
-      console.error('Error deleting disaster:', error);
-      
+      console.error('Error reverting disaster:', error);
+
       toast({
-        title: 'Error Deleting Disaster',
-        description: error.message || 'An unexpected error occurred',
+        title: 'Error Reverting Disaster',
+        description: error.response?.data?.message || error.message || 'An unexpected error occurred',
+        status: 'error',
+        duration: 7000,
+        isClosable: true,
+      });
+    }
+  };
+
+  // Format a single field change from the audit trail for display
+  const formatChangeValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    // Raw PostGIS values aren't readable; location_name carries the meaningful change
+    if (field === 'location') return 'coordinates';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  };
+
+  const history = disaster?.audit_trail || [];
+
+  // Handle assigning a user to the team (or changing their incident role)
+  const handleAssignTeamMember = async () => {
+    if (!newMemberId) {
+      return;
+    }
+
+    setIsAssigning(true);
+    try {
+      await apiService.assignTeamMember(id, newMemberId, newMemberRole);
+      const teamData = await apiService.getDisasterTeam(id);
+      setTeam(teamData.team);
+      setNewMemberId('');
+    } catch (error) {
+      console.error('Error assigning team member:', error);
+
+      toast({
+        title: 'Error Assigning Team Member',
+        description: error.response?.data?.message || error.message || 'An unexpected error occurred',
         status: 'error',
         duration: 7000,
         isClosable: true,
       });
+    } finally {
+      setIsAssigning(false);
     }
   };
 
-  // Check if user can delete disaster (admin or owner)
-  const canDeleteDisaster = user && (user.role === 'admin' || user.id === disaster?.owner_id);
+  // Handle removing a user from the team
+  const handleRemoveTeamMember = async (member) => {
+    if (!window.confirm(`Remove ${member.name} from this disaster's team?`)) {
+      return;
+    }
+
+    try {
+      await apiService.removeTeamMember(id, member.user_id);
+      setTeam((prev) => prev.filter((m) => m.user_id !== member.user_id));
+    } catch (error) {
+      console.error('Error removing team member:', error);
+
+      toast({
+        title: 'Error Removing Team Member',
+        description: error.response?.data?.message || error.message || 'An unexpected error occurred',
+        status: 'error',
+        duration: 7000,
+        isClosable: true,
+      });
+    }
+  };
+
+  const visibleReports = needFilter
+    ? reports.filter((report) => report.needs?.includes(needFilter))
+    : reports;
+
+  // Duplicate groups: which group each report belongs to
+  const clusterByReport = new Map(
+    clusters.flatMap((cluster) => cluster.member_ids.map((reportId) => [reportId, cluster]))
+  );
+
+  const toggleReportSelection = (reportId) => {
+    setSelectedReportIds((prev) => (
+      prev.includes(reportId) ? prev.filter((selectedId) => selectedId !== reportId) : [...prev, reportId]
+    ));
+  };
+
+  // Group the selected reports (and the groups they are already in) as duplicates of each other
+  const handleMergeReports = async () => {
+    const clusterIds = [...new Set(
+      selectedReportIds.map((reportId) => clusterByReport.get(reportId)?.id).filter(Boolean)
+    )];
+    const reportIds = selectedReportIds.filter((reportId) => !clusterByReport.has(reportId));
+
+    try {
+      await apiService.mergeReportClusters(id, { cluster_ids: clusterIds, report_ids: reportIds });
+      const clustersData = await apiService.getReportClusters(id);
+      setClusters(clustersData.clusters);
+      setSelectedReportIds([]);
+    } catch (error) {
+      console.error('Error merging reports:', error);
+
+      toast({
+        title: 'Error Grouping Reports',
+        description: error.response?.data?.message || error.message || 'An unexpected error occurred',
+        status: 'error',
+        duration: 7000,
+        isClosable: true,
+      });
+    }
+  };
+
+  // Take a report out of its duplicate group
+  const handleSplitReport = async (reportId) => {
+    try {
+      await apiService.splitReportCluster(id, clusterByReport.get(reportId).id, [reportId]);
+      const clustersData = await apiService.getReportClusters(id);
+      setClusters(clustersData.clusters);
+    } catch (error) {
+      console.error('Error splitting report cluster:', error);
+
+      toast({
+        title: 'Error Ungrouping Report',
+        description: error.response?.data?.message || error.message || 'An unexpected error occurred',
+        status: 'error',
+        duration: 7000,
+        isClosable: true,
+      });
+    }
+  };
+
+  // Check if user can verify this disaster's reports (moderates any disaster, or is on the team in a verifying role)
+  const myAssignment = team.find((member) => member.user_id === user?.id);
+  const canVerifyReports = can('report:verify') &&
+    (can('disaster:moderate_any') || VERIFYING_ROLES.includes(myAssignment?.incident_role));
+
+  // Check if user can change disaster status
+  const canChangeStatus = can('disaster:update_status');
+
+  // Check if user can delete disaster (owner, or permission to delete any)
+  const canDeleteDisaster = user && (can('disaster:delete_any') || user.id === disaster?.owner_id);
   
-  // Check if user can edit disaster (admin or owner)
-  const canEditDisaster = user && (user.role === 'admin' || user.id === disaster?.owner_id);    // Handle opening edit modal
+  // Check if user can edit disaster (owner, or permission to edit any)
+  const canEditDisaster = user && (can('disaster:update_any') || user.id === disaster?.owner_id);    // Handle opening edit modal
   const handleEditDisaster = () => {
     if (disaster) {
       setEditFormData({
         title: disaster.title,
         location_name: disaster.location_name,
         description: disaster.description,
+        severity: disaster.severity || 'medium',
       });
       setEditTags(disaster.tags || []);
       
@@ -328,11 +502,13 @@ const DisasterDetail = ({ socket }) => {
         const disasterData = await apiService.getDisasterById(id);
         setDisaster(disasterData);
           // Fetch related data
-        const [socialMediaData, resourcesData, updatesData, reportsData] = await Promise.allSettled([
+        const [socialMediaData, resourcesData, updatesData, reportsData, teamData, clustersData] = await Promise.allSettled([
           apiService.getSocialMediaByDisasterId(id),
           apiService.getResourcesByDisasterId(id),
           apiService.getOfficialUpdatesByDisasterId(id),
           apiService.getReportsByDisasterId(id),
+          apiService.getDisasterTeam(id),
+          apiService.getReportClusters(id),
         ]);
         
         if (socialMediaData.status === 'fulfilled') {
@@ -351,6 +527,14 @@ const DisasterDetail = ({ socket }) => {
           setReports(reportsData.value);
         }
         
+        if (teamData.status === 'fulfilled') {
+          setTeam(teamData.value.team);
+        }
+        
+        if (clustersData.status === 'fulfilled') {
+          setClusters(clustersData.value.clusters);
+        }
+        
         setError(null);
       } catch (err) {
         console.error('Error fetching disaster details:', err);
@@ -363,10 +547,30 @@ const DisasterDetail = ({ socket }) => {
     fetchDisasterDetails();
   }, [id]);
 
+  // Load active users for the team assignment form
+  const canManageTeam = can('team:manage');
+  useEffect(() => {
+    if (!canManageTeam) return;
+
+    apiService.getUsers({ active: 'true' })
+      .then(setAssignableUsers)
+      .catch((err) => console.error('Error loading users for team assignment:', err));
+  }, [canManageTeam]);
+
   // Setup socket listeners for real-time updates
   useEffect(() => {
     if (!socket) return;
 
+    // Only this disaster's room: its own changes, social media and resources inside its area
+    const unsubscribe = subscribe(socket, { disaster_id: id });
+
+    // Listen for changes to this disaster (e.g. status changes by other responders)
+    socket.on('disaster_updated', (data) => {
+      if (data.disaster?.id === id && (data.action === 'update' || data.action === 'status_change')) {
+        setDisaster(data.disaster);
+      }
+    });
+
     // Listen for social media updates
     socket.on('social_media_updated', (data) => {
       if (data.disaster_id === id) {
@@ -391,31 +595,35 @@ const DisasterDetail = ({ socket }) => {
       }
     });
 
-    // Listen for resource updates
+    // Listen for resource updates (the server only sends resources inside this disaster's area)
     socket.on('resources_updated', (data) => {
-      if (data.disaster_id === id) {
-        setResources((prev) => {
-          // Handle create, update, or delete actions
-          if (data.action === 'create') {
-            toast({
-              title: 'New resource',
-              description: 'A new resource has been added',
-              status: 'info',
-              duration: 3000,
-              isClosable: true,
-            });
-            return [...prev, data.resource];
-          } else if (data.action === 'update') {
-            return prev.map((resource) => (resource.id === data.resource.id ? data.resource : resource));
-          } else if (data.action === 'delete') {
-            return prev.filter((resource) => resource.id !== data.resource_id);
-          }
-          return prev;
-        });
-      }
+      setResources((prev) => {
+        // Handle create, update, or delete actions
+        if (data.action === 'create') {
+          toast({
+            title: 'New resource',
+            description: 'A new resource has been added',
+            status: 'info',
+            duration: 3000,
+            isClosable: true,
+          });
+          // Replayed events can repeat one already applied
+          return [...prev.filter((resource) => resource.id !== data.resource.id), data.resource];
+        } else if (data.action === 'update') {
+          // A resource moved into the area isn't listed yet
+          return prev.some((resource) => resource.id === data.resource.id)
+            ? prev.map((resource) => (resource.id === data.resource.id ? data.resource : resource))
+            : [...prev, data.resource];
+        } else if (data.action === 'delete') {
+          return prev.filter((resource) => resource.id !== data.resource_id);
+        }
+        return prev;
+      });
     });
 
     return () => {
+      unsubscribe();
+      socket.off('disaster_updated');
       socket.off('social_media_updated');
       socket.off('resources_updated');
     };
@@ -479,6 +687,22 @@ const DisasterDetail = ({ socket }) => {
           </Heading>
           
           <HStack spacing={2}>
+            {canChangeStatus && (
+              <Select
+                size="sm"
+                width="150px"
+                value={disaster.status || 'reported'}
+                onChange={(e) => handleStatusChange(e.target.value)}
+                isDisabled={isChangingStatus}
+              >
+                {DISASTER_STATUSES.map((statusValue) => (
+                  <option key={statusValue} value={statusValue}>
+                    {statusValue.charAt(0).toUpperCase() + statusValue.slice(1)}
+                  </option>
+                ))}
+              </Select>
+            )}
+            
             {canEditDisaster && (
               <Button
                 colorScheme="blue"
@@ -507,6 +731,23 @@ const DisasterDetail = ({ socket }) => {
           Location: {disaster.location_name}
         </Text>
 
+        {disaster.code && disaster.status !== 'closed' && (
+          <Text fontSize="md" color="gray.600">
+            Text <strong>REPORT {disaster.code}</strong> followed by what happened to report by SMS
+          </Text>
+        )}
+
+        {disaster.priority_score !== undefined && (
+          <Text fontSize="md" color="gray.600">
+            Priority score: <strong>{disaster.priority_score}</strong>
+            {disaster.priority_breakdown && (
+              <> ({disaster.priority_breakdown.verified_report_count} verified reports,{' '}
+              {disaster.priority_breakdown.urgent_post_count} urgent posts,{' '}
+              ~{disaster.priority_breakdown.estimated_population.toLocaleString()} people affected)</>
+            )}
+          </Text>
+        )}
+
         <Box bg="white" p={5} borderRadius="md" shadow="md">
           <Heading as="h3" size="md" mb={2}>
             Description
@@ -532,6 +773,8 @@ const DisasterDetail = ({ socket }) => {
             <Tab>Reports ({reports.length})</Tab>
             <Tab>Social Media ({socialMedia.length})</Tab>
             <Tab>Official Updates ({updates.length})</Tab>
+            <Tab>History ({history.length})</Tab>
+            <Tab>Team ({team.length})</Tab>
           </TabList>
 
           <TabPanels>
@@ -561,63 +804,137 @@ const DisasterDetail = ({ socket }) => {
                 <Text>No incident reports available for this disaster.</Text>
               ) : (
                 <VStack align="stretch" spacing={4}>
-                  {reports.map((report) => (
+                  <Select
+                    size="sm"
+                    width="200px"
+                    value={needFilter}
+                    onChange={(e) => setNeedFilter(e.target.value)}
+                  >
+                    <option value="">All needs</option>
+                    {NEED_TYPES.map((need) => (
+                      <option key={need} value={need}>
+                        Needs {need}
+                      </option>
+                    ))}
+                  </Select>
+                  
+                  {/* Located reports, colored by verification status */}
+                  <ReportsMap reports={visibleReports} />
+                  
+                  {canVerifyReports && (
+                    <HStack justify="space-between">
+                      <Text fontSize="sm" color="gray.500">
+                        Select reports about the same incident to group them as duplicates.
+                      </Text>
+                      <Button
+                        size="sm"
+                        colorScheme="purple"
+                        variant="outline"
+                        isDisabled={selectedReportIds.length < 2}
+                        onClick={handleMergeReports}
+                      >
+                        Group Selected ({selectedReportIds.length})
+                      </Button>
+                    </HStack>
+                  )}
+                  
+                  {visibleReports.length === 0 && (
+                    <Text color="gray.500">No reports mention a need for {needFilter}.</Text>
+                  )}
+                  
+                  {visibleReports.map((report) => (
                     <Box key={report.id} p={4} borderWidth="1px" borderRadius="md" bg="white">
                       <HStack justify="space-between" mb={2}>
                         <HStack>
+                          {canVerifyReports && (
+                            <Checkbox
+                              isChecked={selectedReportIds.includes(report.id)}
+                              onChange={() => toggleReportSelection(report.id)}
+                            />
+                          )}
                           <Text fontWeight="bold">Report #{report.id}</Text>
                           <Badge colorScheme={getVerificationColor(report.verification_status)}>
                             {report.verification_status?.toUpperCase() || 'PENDING'}
                           </Badge>
+                          {clusterByReport.has(report.id) && (
+                            <Badge colorScheme="purple">
+                              {clusterByReport.get(report.id).representative.id === report.id
+                                ? `Representative of ${clusterByReport.get(report.id).member_count} similar reports`
+                                : `1 of ${clusterByReport.get(report.id).member_count} similar reports`}
+                            </Badge>
+                          )}
                         </HStack>
                         <Text fontSize="sm" color="gray.500">
                           {formatDate(report.created_at)}
                         </Text>
                       </HStack>
                       
-                      <Text mb={3}>{report.content}</Text>
-                      
-                      {report.image_url && (
-                        <Image
-                          src={report.image_url}
-                          alt="Report evidence"
-                          maxH="200px"
-                          objectFit="cover"
-                          borderRadius="md"
-                          mb={3}
+                      <Box mb={3}>
+                        <TranslatableText
+                          text={report.content}
+                          translatedText={report.translated_content}
+                          language={report.content_language}
                         />
+                      </Box>
+                      
+                      {/* Extracted from the content when the report was filed */}
+                      {(report.needs?.length > 0 || report.hazards?.length > 0 || report.people_count > 0) && (
+                        <Wrap mb={3}>
+                          {report.needs?.map((need) => (
+                            <WrapItem key={need}>
+                              <Badge colorScheme="red">Needs {need}</Badge>
+                            </WrapItem>
+                          ))}
+                          {report.people_count > 0 && (
+                            <WrapItem>
+                              <Badge colorScheme="blue">{report.people_count} people</Badge>
+                            </WrapItem>
+                          )}
+                          {report.hazards?.map((hazard) => (
+                            <WrapItem key={hazard}>
+                              <Badge colorScheme="orange">{hazard}</Badge>
+                            </WrapItem>
+                          ))}
+                        </Wrap>
                       )}
                       
+                      <ReportAttachments report={report} />
+                      
                       <Text fontSize="sm" color="gray.500" mb={3}>
                         Reported by: User {report.user_id}
                       </Text>
-                        {/* Admin and Contributor controls */}
-                      {user && (user.role === 'admin' || user.role === 'contributor') && (
-                        <VStack align="stretch" spacing={2}>
-                          {/* Verification controls - for pending reports */}
-                          {report.verification_status === 'pending' && (
-                            <HStack spacing={2}>
-                              <Button
-                                size="sm"
-                                colorScheme="green"
-                                onClick={() => handleVerifyReport(report.id, 'verified')}
-                              >
-                                Verify
-                              </Button>
-                              <Button
-                                size="sm"
-                                colorScheme="red"
-                                onClick={() => handleVerifyReport(report.id, 'rejected')}
-                              >
-                                Reject
-                              </Button>
-                            </HStack>
-                          )}
-                          
-              
-                        
-                        </VStack>
+                      
+                      {report.moderated_by && (
+                        <Text fontSize="sm" color="gray.500" mb={3}>
+                          {report.verification_status === 'verified' ? 'Verified' : 'Rejected'} by {report.moderated_by}
+                          {report.moderation_reason && ` (${report.moderation_reason.replace(/_/g, ' ')})`}
+                          {report.moderation_notes && `: ${report.moderation_notes}`}
+                        </Text>
                       )}
+                      
+                      <HStack spacing={2}>
+                        {/* Decisions are made in the moderation queue, which handles claims and reasons */}
+                        {canVerifyReports && report.verification_status === 'pending' && (
+                          <Button
+                            size="sm"
+                            colorScheme="blue"
+                            variant="outline"
+                            onClick={() => navigate(`/moderation?disaster_id=${id}`)}
+                          >
+                            Review in Moderation Queue
+                          </Button>
+                        )}
+                        
+                        {canVerifyReports && clusterByReport.has(report.id) && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleSplitReport(report.id)}
+                          >
+                            Not a Duplicate
+                          </Button>
+                        )}
+                      </HStack>
                     </Box>
                   ))}
                 </VStack>
@@ -638,7 +955,11 @@ const DisasterDetail = ({ socket }) => {
                           {formatDate(post.timestamp)}
                         </Text>
                       </HStack>
-                      <Text>{post.content}</Text>
+                      <TranslatableText
+                        text={post.content}
+                        translatedText={post.translated_content}
+                        language={post.language}
+                      />
                     </Box>
                   ))}
                 </VStack>
@@ -663,7 +984,114 @@ const DisasterDetail = ({ socket }) => {
                   ))}
                 </VStack>
               )}
-            </TabPanel>          </TabPanels>
+            </TabPanel>
+
+            <TabPanel>
+              {history.length === 0 ? (
+                <Text>No history recorded for this disaster.</Text>
+              ) : (
+                <VStack align="stretch" spacing={4}>
+                  {history.map((entry, index) => ({ entry, index })).reverse().map(({ entry, index }) => (
+                    <Box key={index} p={4} borderWidth="1px" borderRadius="md" bg="white">
+                      <HStack justify="space-between" mb={2}>
+                        <HStack>
+                          <Badge colorScheme="purple">{entry.action.replace(/_/g, ' ').toUpperCase()}</Badge>
+                          <Text fontSize="sm">by {entry.user_id}</Text>
+                        </HStack>
+                        <Text fontSize="sm" color="gray.500">
+                          {formatDate(entry.timestamp)}
+                        </Text>
+                      </HStack>
+
+                      {entry.changes && Object.keys(entry.changes).length > 0 && (
+                        <VStack align="stretch" spacing={1} mb={2}>
+                          {Object.entries(entry.changes).map(([field, change]) => (
+                            <Text key={field} fontSize="sm">
+                              <strong>{field}</strong>: {formatChangeValue(field, change.from)} → {formatChangeValue(field, change.to)}
+                            </Text>
+                          ))}
+                        </VStack>
+                      )}
+
+                      {entry.reason && (
+                        <Text fontSize="sm" color="gray.600">Reason: {entry.reason}</Text>
+                      )}
+
+                      {can('history:revert') && index < history.length - 1 && (
+                        <Button size="xs" variant="outline" colorScheme="purple" mt={2} onClick={() => handleRevertDisaster(index)}>
+                          Revert to this version
+                        </Button>
+                      )}
+                    </Box>
+                  ))}
+                </VStack>
+              )}
+            </TabPanel>
+
+            <TabPanel>
+              <VStack align="stretch" spacing={4}>
+                {team.length === 0 ? (
+                  <Text>No one is assigned to this disaster yet.</Text>
+                ) : (
+                  team.map((member) => (
+                    <HStack key={member.user_id} p={4} borderWidth="1px" borderRadius="md" bg="white" justify="space-between">
+                      <HStack>
+                        <Text fontWeight="bold">{member.name}</Text>
+                        <Text fontSize="sm" color="gray.500">@{member.user_id}</Text>
+                        <Badge colorScheme={getIncidentRoleColor(member.incident_role)}>
+                          {formatIncidentRole(member.incident_role)}
+                        </Badge>
+                      </HStack>
+                      {canManageTeam && (
+                        <Button size="xs" variant="outline" colorScheme="red" onClick={() => handleRemoveTeamMember(member)}>
+                          Remove
+                        </Button>
+                      )}
+                    </HStack>
+                  ))
+                )}
+
+                {canManageTeam && (
+                  <HStack p={4} borderWidth="1px" borderRadius="md" bg="white" spacing={3}>
+                    <Select
+                      size="sm"
+                      placeholder="Select user"
+                      value={newMemberId}
+                      onChange={(e) => setNewMemberId(e.target.value)}
+                    >
+                      {assignableUsers.map((assignableUser) => (
+                        <option key={assignableUser.id} value={assignableUser.id}>
+                          {assignableUser.name} ({assignableUser.id})
+                        </option>
+                      ))}
+                    </Select>
+                    <Select
+                      size="sm"
+                      maxW="180px"
+                      value={newMemberRole}
+                      onChange={(e) => setNewMemberRole(e.target.value)}
+                    >
+                      {INCIDENT_ROLES.map((role) => (
+                        <option key={role} value={role}>
+                          {formatIncidentRole(role)}
+                        </option>
+                      ))}
+                    </Select>
+                    <Button
+                      size="sm"
+                      colorScheme="blue"
+                      flexShrink={0}
+                      isDisabled={!newMemberId}
+                      isLoading={isAssigning}
+                      onClick={handleAssignTeamMember}
+                    >
+                      Assign
+                    </Button>
+                  </HStack>
+                )}
+              </VStack>
+            </TabPanel>
+          </TabPanels>
         </Tabs>
       </VStack>
       
@@ -719,6 +1147,21 @@ const DisasterDetail = ({ socket }) => {
                 )}
               </FormControl>
 
+              <FormControl>
+                <FormLabel>Severity</FormLabel>
+                <Select
+                  name="severity"
+                  value={editFormData.severity}
+                  onChange={handleEditInputChange}
+                >
+                  {SEVERITY_LEVELS.map((level) => (
+                    <option key={level} value={level}>
+                      {level.charAt(0).toUpperCase() + level.slice(1)}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+
               <FormControl>
                 <FormLabel>Tags</FormLabel>
                 <HStack>
@@ -29,6 +29,28 @@ import apiService from '../services/apiService';
 import PageLoader from '../components/PageLoader';
 import ErrorAlert from '../components/ErrorAlert';
 
+// Badge colors for forensic check statuses
+const CHECK_STATUS_COLORS = {
+  ok: 'green',
+  none: 'green',
+  mismatch: 'red',
+  detected: 'orange',
+  unknown: 'gray',
+};
+
+// Alert shown for each verification outcome; inconclusive means the AI gave no valid answer
+const OUTCOME_ALERTS = {
+  authentic: { status: 'success', toast: 'Image Verified', title: 'Image Appears Authentic' },
+  inauthentic: { status: 'warning', toast: 'Image Verification Warning', title: 'Verification Warning' },
+  inconclusive: { status: 'info', toast: 'Verification Inconclusive', title: 'Inconclusive — Review Manually' },
+};
+
+// Shown instead when the AI accepts the image but a forensic check raised a serious concern
+const CONCERNS_ALERT = { status: 'warning', toast: 'Forensic Concerns', title: 'Authentic per AI — Check Forensic Findings' };
+
+const outcomeAlertFor = (result) =>
+  (result.outcome === 'authentic' && result.forensic_concerns ? CONCERNS_ALERT : OUTCOME_ALERTS[result.outcome]);
+
 const ImageVerification = () => {
   const [disasters, setDisasters] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -110,10 +132,11 @@ const ImageVerification = () => {
       
       setVerificationResult(data.verification_result);
       
+      const outcomeAlert = outcomeAlertFor(data.verification_result);
       toast({
-        title: data.verification_result.authentic ? 'Image Verified' : 'Image Verification Warning',
+        title: outcomeAlert.toast,
         description: data.verification_result.analysis,
-        status: data.verification_result.authentic ? 'success' : 'warning',
+        status: outcomeAlert.status,
         duration: 5000,
         isClosable: true,
       });
@@ -145,6 +168,9 @@ const ImageVerification = () => {
     );
   }
 
+  // Local forensic findings merged into the result by the backend
+  const forensics = verificationResult?.forensics;
+
   return (
     <Container maxW="container.md" py={8}>
       <VStack spacing={8} align="stretch">
@@ -215,7 +241,7 @@ const ImageVerification = () => {
             <CardBody>
               <VStack spacing={4} align="stretch">
                 <Alert
-                  status={verificationResult.authentic ? 'success' : 'warning'}
+                  status={outcomeAlertFor(verificationResult).status}
                   variant="subtle"
                   flexDirection="column"
                   alignItems="center"
@@ -226,11 +252,11 @@ const ImageVerification = () => {
                 >
                   <AlertIcon boxSize="40px" mr={0} />
                   <AlertTitle mt={4} mb={1} fontSize="lg">
-                    {verificationResult.authentic ? 'Image Appears Authentic' : 'Verification Warning'}
+                    {outcomeAlertFor(verificationResult).title}
                   </AlertTitle>
                   <AlertDescription maxWidth="sm">
                     <Text mb={2}>{verificationResult.analysis}</Text>
-                    {verificationResult.confidence && (
+                    {verificationResult.confidence != null && (
                       <Badge 
                         colorScheme={verificationResult.confidence > 70 ? 'green' : 'yellow'}
                         fontSize="md"
@@ -257,6 +283,58 @@ const ImageVerification = () => {
                     </Box>
                   </>
                 )}
+
+                {forensics && (
+                  <>
+                    <Divider />
+                    <Box>
+                      <Heading size="sm" mb={2}>Forensic Checks:</Heading>
+                      <VStack align="stretch" spacing={2} fontSize="sm">
+                        <Flex justify="space-between">
+                          <Text>
+                            Capture time: {forensics.metadata.captured_at
+                              ? new Date(forensics.metadata.captured_at).toLocaleString()
+                              : 'not recorded'}
+                          </Text>
+                          <Badge colorScheme={CHECK_STATUS_COLORS[forensics.checks.capture_time.status]}>
+                            {forensics.checks.capture_time.status}
+                          </Badge>
+                        </Flex>
+                        <Flex justify="space-between">
+                          <Text>
+                            Location: {forensics.checks.location.distance_km != null
+                              ? `${forensics.checks.location.distance_km} km from the disaster`
+                              : 'no GPS data'}
+                          </Text>
+                          <Badge colorScheme={CHECK_STATUS_COLORS[forensics.checks.location.status]}>
+                            {forensics.checks.location.status}
+                          </Badge>
+                        </Flex>
+                        <Flex justify="space-between">
+                          <Text>
+                            Editing software: {forensics.metadata.software || 'none recorded'}
+                          </Text>
+                          <Badge colorScheme={CHECK_STATUS_COLORS[forensics.checks.editing_software.status]}>
+                            {forensics.checks.editing_software.status}
+                          </Badge>
+                        </Flex>
+                        <Flex justify="space-between">
+                          <Text>
+                            Seen in earlier reports: {forensics.checks.reuse.matches.length}
+                          </Text>
+                          <Badge colorScheme={CHECK_STATUS_COLORS[forensics.checks.reuse.status]}>
+                            {forensics.checks.reuse.status}
+                          </Badge>
+                        </Flex>
+                        {(forensics.metadata.camera_make || forensics.metadata.camera_model) && (
+                          <Text color="gray.600">
+                            Camera: {[forensics.metadata.camera_make, forensics.metadata.camera_model].filter(Boolean).join(' ')}
+                          </Text>
+                        )}
+                      </VStack>
+                    </Box>
+                  </>
+                )}
               </VStack>
             </CardBody>
           </Card>
@@ -303,6 +381,9 @@ const ImageVerification = () => {
               <Text fontSize="sm" color="blue.600">
                 • The system checks for digital artifacts, inconsistencies, and contextual accuracy
               </Text>
+              <Text fontSize="sm" color="blue.600">
+                • Photo metadata is compared with the disaster's time and place, and images already used in earlier reports are flagged
+              </Text>
               <Text fontSize="sm" color="blue.600">
                 • Results include confidence scores and specific issues if detected
               </Text>
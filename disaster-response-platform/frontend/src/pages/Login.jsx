@@ -4,40 +4,32 @@ import {
   Button,
   FormControl,
   FormLabel,
-  Select,
+  Input,
   Heading,
   Text,
   Container,
   VStack,
   useToast,
   Flex,
+  Link,
 } from '@chakra-ui/react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
-// Mock users for the select dropdown
-const mockUsers = [
-  { id: 'netrunnerX', name: 'NetRunner X (Admin)' },
-  { id: 'reliefAdmin', name: 'Relief Admin (Admin)' },
-  { id: 'contributor1', name: 'Contributor 1 (Contributor)' },
-  { id: 'contributor2', name: 'Contributor 2 (Contributor)' },
-  { id: 'citizen1', name: 'Citizen 1 (User)' },
-  { id: 'citizen2', name: 'Citizen 2 (User)' },
-];
-
 const Login = () => {
-  const [selectedUser, setSelectedUser] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const { login } = useAuth();
   const navigate = useNavigate();
   const toast = useToast();
   
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault();
     
-    if (!selectedUser) {
+    if (!username || !password) {
       toast({
-        title: 'Please select a user',
+        title: 'Please enter your username and password',
         status: 'error',
         duration: 3000,
         isClosable: true,
@@ -47,24 +39,20 @@ const Login = () => {
     
     setIsLoading(true);
     
-    // Simulate API call with a small delay
-    setTimeout(() => {
-      const success = login(selectedUser);
-      
-      if (success) {
-        navigate('/');
-      } else {
-        toast({
-          title: 'Login failed',
-          description: 'Invalid user ID',
-          status: 'error',
-          duration: 3000,
-          isClosable: true,
-        });
-      }
-      
+    try {
+      await login(username, password);
+      navigate('/');
+    } catch (error) {
+      toast({
+        title: 'Login failed',
+        description: error.response?.data?.message || 'Could not reach the server',
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    } finally {
       setIsLoading(false);
-    }, 1000);
+    }
   };
   
   return (
@@ -83,25 +71,31 @@ const Login = () => {
                 Disaster Response Platform
               </Heading>
               <Text fontSize="lg" color="gray.600">
-                Select a user to login
+                Sign in to continue
               </Text>
             </VStack>
             
             <form onSubmit={handleLogin}>
               <VStack spacing={6}>
-                <FormControl id="userId" isRequired>
-                  <FormLabel>User</FormLabel>
-                  <Select
-                    placeholder="Select user"
-                    value={selectedUser}
-                    onChange={(e) => setSelectedUser(e.target.value)}
-                  >
-                    {mockUsers.map((user) => (
-                      <option key={user.id} value={user.id}>
-                        {user.name}
-                      </option>
-                    ))}
-                  </Select>
+                <FormControl id="username" isRequired>
+                  <FormLabel>Username</FormLabel>
+                  <Input
+                    placeholder="Enter username"
+                    autoComplete="username"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                  />
+                </FormControl>
+                
+                <FormControl id="password" isRequired>
+                  <FormLabel>Password</FormLabel>
+                  <Input
+                    type="password"
+                    placeholder="Enter password"
+                    autoComplete="current-password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
                 </FormControl>
                 
                 <Button
@@ -116,10 +110,11 @@ const Login = () => {
               </VStack>
             </form>
             
-            <Text mt={8} fontSize="sm" color="gray.500" textAlign="center">
-              This is a demo application with mock authentication.
-              <br />
-              Select any user to continue.
+            <Text mt={6} textAlign="center" fontSize="sm" color="gray.600">
+              No account?{' '}
+              <Link as={RouterLink} to="/report-anonymously" color="brand.600" fontWeight="semibold">
+                Report an emergency anonymously
+              </Link>
             </Text>
           </Box>
         </Flex>
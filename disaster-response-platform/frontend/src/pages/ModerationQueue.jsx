@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Heading,
+  Text,
+  VStack,
+  HStack,
+  Button,
+  Badge,
+  Card,
+  CardBody,
+  Link,
+  Switch,
+  FormControl,
+  FormLabel,
+  Select,
+  Textarea,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  useDisclosure,
+  useToast,
+} from '@chakra-ui/react';
+import apiService from '../services/apiService';
+import PageLoader from '../components/PageLoader';
+import ErrorAlert from '../components/ErrorAlert';
+import ReportAttachments from '../components/ReportAttachments';
+import { useAuth } from '../contexts/AuthContext';
+import { getSeverityColor } from '../utils/disasterPriority';
+
+const formatReasonCode = (reasonCode) => reasonCode.replace(/_/g, ' ');
+
+// "35 min", "4 h", "2 d"
+const formatAge = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h`;
+  return `${Math.floor(minutes / (24 * 60))} d`;
+};
+
+const ModerationQueue = () => {
+  const toast = useToast();
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const disasterId = searchParams.get('disaster_id');
+
+  const [reports, setReports] = useState([]);
+  const [reasonCodes, setReasonCodes] = useState({});
+  const [claimTtlMinutes, setClaimTtlMinutes] = useState(null);
+  const [unclaimedOnly, setUnclaimedOnly] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pendingId, setPendingId] = useState(null);
+
+  // Decision modal state
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const [decisionReport, setDecisionReport] = useState(null);
+  const [decision, setDecision] = useState({ verdict: 'verified', reason_code: '', notes: '' });
+  const [isDeciding, setIsDeciding] = useState(false);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const data = await apiService.getModerationQueue({
+        disaster_id: disasterId || undefined,
+        unclaimed: unclaimedOnly || undefined,
+      });
+
+      setReports(data.reports);
+      setReasonCodes(data.reason_codes);
+      setClaimTtlMinutes(data.claim_ttl_minutes);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading moderation queue:', err);
+      setError(err.response?.data?.message || 'Failed to load the moderation queue. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [disasterId, unclaimedOnly]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const showError = (title, err) => {
+    toast({
+      title,
+      description: err.response?.data?.message || err.message || 'An unexpected error occurred',
+      status: 'error',
+      duration: 7000,
+      isClosable: true,
+    });
+  };
+
+  // Put the claim state returned by the server on the listed report
+  const replaceReport = (updated) => {
+    setReports((prev) => prev.map((report) => (
+      report.id === updated.id
+        ? {
+            ...report,
+            claimed_by: updated.claimed_by,
+            claim_expires_at: updated.claim_expires_at,
+            claim_active: Boolean(updated.claimed_by),
+          }
+        : report
+    )));
+  };
+
+  const handleClaim = async (report) => {
+    try {
+      setPendingId(report.id);
+      replaceReport(await apiService.claimReport(report.id));
+    } catch (err) {
+      console.error('Error claiming report:', err);
+      showError('Could Not Claim Report', err);
+
+      // Someone else may have taken or decided it
+      if (err.response?.status === 409) {
+        loadQueue();
+      }
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleRelease = async (report) => {
+    try {
+      setPendingId(report.id);
+      replaceReport(await apiService.releaseReportClaim(report.id));
+    } catch (err) {
+      console.error('Error releasing claim:', err);
+      showError('Could Not Release Claim', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const openDecision = (report) => {
+    setDecisionReport(report);
+    setDecision({ verdict: 'verified', reason_code: reasonCodes.verified?.[0] || '', notes: '' });
+    onOpen();
+  };
+
+  const handleVerdictChange = (verdict) => {
+    setDecision((prev) => ({ ...prev, verdict, reason_code: reasonCodes[verdict]?.[0] || '' }));
+  };
+
+  const handleDecide = async () => {
+    try {
+      setIsDeciding(true);
+      await apiService.decideReport(decisionReport.id, decision);
+
+      setReports((prev) => prev.filter((report) => report.id !== decisionReport.id));
+      onClose();
+
+      toast({
+        title: 'Decision Recorded',
+        description: `Report has been ${decision.verdict}`,
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error recording decision:', err);
+      showError('Could Not Record Decision', err);
+    } finally {
+      setIsDeciding(false);
+    }
+  };
+
+  if (isLoading && reports.length === 0) {
+    return <PageLoader message="Loading moderation queue..." />;
+  }
+
+  if (error) {
+    return (
+      <ErrorAlert
+        title="Failed to Load Moderation Queue"
+        message={error}
+        onRetry={loadQueue}
+      />
+    );
+  }
+
+  return (
+    <Box p={6}>
+      <HStack justify="space-between" mb={2}>
+        <Heading size="lg">Moderation Queue ({reports.length})</Heading>
+        <Button size="sm" onClick={loadQueue} isLoading={isLoading}>
+          Refresh
+        </Button>
+      </HStack>
+
+      <Text color="gray.500" mb={4}>
+        Pending reports by disaster priority, oldest first. Claim a report before reviewing it; claims expire after {claimTtlMinutes} minutes.
+      </Text>
+
+      <HStack spacing={6} mb={6}>
+        <FormControl display="flex" alignItems="center" w="auto">
+          <FormLabel htmlFor="unclaimed-only" mb={0}>
+            Hide reports claimed by others
+          </FormLabel>
+          <Switch
+            id="unclaimed-only"
+            isChecked={unclaimedOnly}
+            onChange={(e) => setUnclaimedOnly(e.target.checked)}
+          />
+        </FormControl>
+
+        {disasterId && (
+          <HStack>
+            <Text fontSize="sm">Showing one disaster only.</Text>
+            <Button size="xs" variant="link" onClick={() => setSearchParams({})}>
+              Show all
+            </Button>
+          </HStack>
+        )}
+      </HStack>
+
+      {reports.length === 0 ? (
+        <Box textAlign="center" py={10}>
+          <Text fontSize="lg" color="gray.500">
+            No reports waiting for moderation.
+          </Text>
+        </Box>
+      ) : (
+        <VStack align="stretch" spacing={4}>
+          {reports.map((report) => {
+            const claimedByMe = report.claim_active && report.claimed_by === user?.id;
+            const claimedByOther = report.claim_active && !claimedByMe;
+
+            return (
+              <Card key={report.id} variant="outline">
+                <CardBody>
+                  <HStack justify="space-between" mb={2} align="start">
+                    <VStack align="start" spacing={1}>
+                      <Link as={RouterLink} to={`/disasters/${report.disaster.id}`} fontWeight="bold">
+                        {report.disaster.title}
+                      </Link>
+                      <HStack>
+                        <Badge colorScheme={getSeverityColor(report.disaster.severity)}>
+                          {report.disaster.severity}
+                        </Badge>
+                        <Badge>Priority {report.disaster.priority_score}</Badge>
+                        <Text fontSize="sm" color="gray.500">
+                          Waiting {formatAge(report.age_minutes)}
+                        </Text>
+                      </HStack>
+                    </VStack>
+
+                    {report.claim_active && (
+                      <Badge colorScheme={claimedByMe ? 'green' : 'orange'}>
+                        {claimedByMe ? 'Claimed by you' : `Claimed by ${report.claimed_by}`}
+                      </Badge>
+                    )}
+                  </HStack>
+
+                  <Text mb={3}>{report.content}</Text>
+
+                  <ReportAttachments report={report} />
+
+                  <Text fontSize="sm" color="gray.500" mb={3}>
+                    Reported by: User {report.user_id}
+                  </Text>
+
+                  <HStack spacing={2}>
+                    {claimedByMe ? (
+                      <>
+                        <Button size="sm" colorScheme="blue" onClick={() => openDecision(report)}>
+                          Decide
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          isLoading={pendingId === report.id}
+                          onClick={() => handleRelease(report)}
+                        >
+                          Release
+                        </Button>
+                      </>
+                    ) : (
+                      <Button
+                        size="sm"
+                        colorScheme="blue"
+                        variant="outline"
+                        isDisabled={claimedByOther}
+                        isLoading={pendingId === report.id}
+                        onClick={() => handleClaim(report)}
+                      >
+                        Claim
+                      </Button>
+                    )}
+                  </HStack>
+                </CardBody>
+              </Card>
+            );
+          })}
+        </VStack>
+      )}
+
+      <Modal isOpen={isOpen} onClose={onClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Moderation Decision</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <VStack spacing={4}>
+              <FormControl isRequired>
+                <FormLabel>Verdict</FormLabel>
+                <Select value={decision.verdict} onChange={(e) => handleVerdictChange(e.target.value)}>
+                  {Object.keys(reasonCodes).map((verdict) => (
+                    <option key={verdict} value={verdict}>
+                      {verdict}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <FormControl isRequired>
+                <FormLabel>Reason</FormLabel>
+                <Select
+                  value={decision.reason_code}
+                  onChange={(e) => setDecision((prev) => ({ ...prev, reason_code: e.target.value }))}
+                >
+                  {(reasonCodes[decision.verdict] || []).map((reasonCode) => (
+                    <option key={reasonCode} value={reasonCode}>
+                      {formatReasonCode(reasonCode)}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <FormControl>
+                <FormLabel>Notes</FormLabel>
+                <Textarea
+                  value={decision.notes}
+                  onChange={(e) => setDecision((prev) => ({ ...prev, notes: e.target.value }))}
+                  placeholder="What did you check?"
+                />
+              </FormControl>
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={onClose}>
+              Cancel
+            </Button>
+            <Button
+              colorScheme={decision.verdict === 'verified' ? 'green' : 'red'}
+              isLoading={isDeciding}
+              onClick={handleDecide}
+            >
+              {decision.verdict === 'verified' ? 'Verify' : 'Reject'}
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+    </Box>
+  );
+};
+
+export default ModerationQueue;
@@ -33,6 +33,7 @@ import { useAuth } from '../contexts/AuthContext';
 import apiService from '../services/apiService';
 import PageLoader from '../components/PageLoader';
 import ErrorAlert from '../components/ErrorAlert';
+import TranslatableText from '../components/TranslatableText';
 
 const MyReports = () => {
   const { user } = useAuth();
@@ -168,7 +169,7 @@ const MyReports = () => {
 
   // Handle delete report
   const handleDeleteReport = async (reportId) => {
-    if (!window.confirm('Are you sure you want to delete this report? This action cannot be undone.')) {
+    if (!window.confirm('Are you sure you want to delete this report? It will be moved to the trash, where an admin can restore it.')) {
       return;
     }
 
@@ -246,15 +247,25 @@ const MyReports = () => {
               </CardHeader>
                 <CardBody pt={0}>
                 <VStack align="stretch" spacing={3}>
-                  <Text fontSize="sm" noOfLines={3}>
-                    {report.content}
-                  </Text>
+                  {/* Reporters see their own words first */}
+                  <TranslatableText
+                    text={report.content}
+                    translatedText={report.translated_content}
+                    language={report.content_language}
+                    showOriginalFirst
+                    fontSize="sm"
+                    noOfLines={3}
+                  />
                   
                   <Text fontSize="xs" color="gray.500">
                     Reported: {formatDate(report.created_at)}
                   </Text>
                   
-                  {report.image_url && (
+                  {report.attachments?.length > 0 ? (
+                    <Text fontSize="xs" color="blue.500">
+                      📷 {report.attachments.length} {report.attachments.length === 1 ? 'file' : 'files'} attached
+                    </Text>
+                  ) : report.image_url && (
                     <Text fontSize="xs" color="blue.500">
                       📷 Image attached
                     </Text>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import {
   Box,
   Button,
@@ -26,14 +26,62 @@ import {
   CardFooter,
   Divider,
   Spinner,
+  Checkbox,
+  SimpleGrid,
+  Link,
 } from '@chakra-ui/react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
 import apiService from '../services/apiService';
 import { useAuth } from '../contexts/AuthContext';
 import PageLoader from '../components/PageLoader';
 import ErrorAlert from '../components/ErrorAlert';
+import {
+  getQueuedReports,
+  removeQueuedReport,
+  createQueueEntry,
+  submitOrQueue,
+  flushReportQueue,
+  cacheDisasters,
+  getCachedDisasters,
+} from '../utils/reportQueue';
+
+// Matches the backend's per-report attachment limit
+const MAX_ATTACHMENTS = 5;
+
+// Matches the backend's default ANON_REPORT_MAX_LENGTH
+const ANONYMOUS_MAX_LENGTH = 1000;
+
+const EMPTY_FORM = {
+  disaster_id: '',
+  content: '',
+  image_url: '',
+  location_name: '',
+};
+
+// Compact payload for POST /api/public/reports; coordinates win over a typed address
+const toCompactReport = ({ disaster_id, content, location_name }, position) => ({
+  d: disaster_id,
+  c: content,
+  ...(position
+    ? { g: [position.latitude, position.longitude] }
+    : location_name && { n: location_name }),
+});
 
-const ReportIncident = ({ socket }) => {
+// Alert shown for each verification outcome; inconclusive leaves the decision to a reviewer
+const OUTCOME_ALERTS = {
+  authentic: { status: 'success', toast: 'Image Verified', title: 'Image Verified' },
+  inauthentic: { status: 'warning', toast: 'Image Verification Failed', title: 'Verification Warning' },
+  inconclusive: { status: 'info', toast: 'Verification Inconclusive', title: 'Inconclusive — A Reviewer Will Check It' },
+};
+
+// Shown instead when the AI accepts the image but a forensic check raised a serious concern
+const CONCERNS_ALERT = { status: 'warning', toast: 'Forensic Concerns', title: 'Forensic Concerns — A Reviewer Will Check It' };
+
+const outcomeAlertFor = (result) =>
+  (result.outcome === 'authentic' && result.forensic_concerns ? CONCERNS_ALERT : OUTCOME_ALERTS[result.outcome]);
+
+// Without an account (or with the anonymous prop) reports go through the public endpoint, without media
+const ReportIncident = ({ socket, anonymous = false }) => {
   const [disasters, setDisasters] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -43,32 +91,118 @@ const ReportIncident = ({ socket }) => {
   const { user } = useAuth();
   const toast = useToast();
   const navigate = useNavigate();
+  const isAnonymous = anonymous || !user;
 
   // Form state
-  const [formData, setFormData] = useState({
-    disaster_id: '',
-    content: '',
-    image_url: '',
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  
+  // Coordinates from browser geolocation (take precedence over a typed address)
+  const [currentPosition, setCurrentPosition] = useState(null);
+  const [isLocating, setIsLocating] = useState(false);
+
+  // Photos and videos to upload with the report; GPS tags are stripped unless the reporter keeps them
+  const [mediaFiles, setMediaFiles] = useState([]);
+  const [keepLocation, setKeepLocation] = useState(false);
+  const fileInputRef = useRef(null);
 
-  // Load disasters for dropdown
+  const mediaPreviews = useMemo(
+    () => mediaFiles.map((file) => ({ file, url: URL.createObjectURL(file) })),
+    [mediaFiles]
+  );
+
+  // Free the preview URLs when the files change or the page closes
+  useEffect(() => () => {
+    mediaPreviews.forEach((preview) => URL.revokeObjectURL(preview.url));
+  }, [mediaPreviews]);
+
+  // Reports waiting for a connection, and whether the browser thinks it has one
+  const [queuedReports, setQueuedReports] = useState(getQueuedReports);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isFlushing, setIsFlushing] = useState(false);
+
+  // Load disasters for dropdown, falling back to the last list seen when offline
   useEffect(() => {
     const fetchDisasters = async () => {
       setIsLoading(true);
       try {
-        const data = await apiService.getAllDisasters();
+        const data = isAnonymous
+          ? await apiService.getPublicDisasters()
+          : await apiService.getAllDisasters();
         setDisasters(data);
+        cacheDisasters(data.map(({ id, title, location_name }) => ({ id, title, location_name })));
         setError(null);
       } catch (err) {
         console.error('Error fetching disasters:', err);
-        setError('Failed to load disasters. Please try again.');
+        const cached = getCachedDisasters();
+        if (cached.length > 0) {
+          setDisasters(cached);
+          setError(null);
+        } else {
+          setError('Failed to load disasters. Please try again.');
+        }
       } finally {
         setIsLoading(false);
       }
     };
 
     fetchDisasters();
-  }, []);
+  }, [isAnonymous]);
+
+  // Send queued reports, then show what is still waiting
+  const sendQueuedReports = useCallback(async () => {
+    setIsFlushing(true);
+    try {
+      const { sent, failed } = await flushReportQueue(user?.id);
+
+      if (sent > 0) {
+        toast({
+          title: 'Queued Reports Sent',
+          description: `${sent} report${sent === 1 ? '' : 's'} saved on this device ${sent === 1 ? 'was' : 'were'} submitted`,
+          status: 'success',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+
+      if (failed > 0) {
+        toast({
+          title: 'Queued Reports Refused',
+          description: `${failed} saved report${failed === 1 ? ' was' : 's were'} refused; see the details below`,
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+    } finally {
+      setQueuedReports(getQueuedReports());
+      setIsFlushing(false);
+    }
+  }, [user?.id, toast]);
+
+  // Send the queue on load and whenever the connection comes back
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      sendQueuedReports();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    if (navigator.onLine && getQueuedReports().length > 0) {
+      sendQueuedReports();
+    }
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [sendQueuedReports]);
+
+  const handleDiscardQueued = (key) => {
+    removeQueuedReport(key);
+    setQueuedReports(getQueuedReports());
+  };
 
   // Handle form input changes
   const handleInputChange = (e) => {
@@ -106,10 +240,11 @@ const ReportIncident = ({ socket }) => {
       
       setVerificationResult(data.verification_result);
       
+      const outcomeAlert = outcomeAlertFor(data.verification_result);
       toast({
-        title: data.verification_result.authentic ? 'Image Verified' : 'Image Verification Failed',
-        description: data.verification_result.message,
-        status: data.verification_result.authentic ? 'success' : 'warning',
+        title: outcomeAlert.toast,
+        description: data.verification_result.analysis,
+        status: outcomeAlert.status,
         duration: 5000,
         isClosable: true,
       });
@@ -127,6 +262,65 @@ const ReportIncident = ({ socket }) => {
     }
   };
 
+  // Add picked files, up to the attachment limit
+  const handleFilesSelected = (e) => {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    if (mediaFiles.length + picked.length > MAX_ATTACHMENTS) {
+      toast({
+        title: 'Too Many Files',
+        description: `A report can have at most ${MAX_ATTACHMENTS} photos or videos`,
+        status: 'warning',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+
+    setMediaFiles((prev) => [...prev, ...picked].slice(0, MAX_ATTACHMENTS));
+  };
+
+  const handleRemoveFile = (index) => {
+    setMediaFiles((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  // Fill in the reporter's current position
+  const handleLocateMe = () => {
+    if (!navigator.geolocation) {
+      toast({
+        title: 'Location Unavailable',
+        description: 'Your browser does not support geolocation. Type an address instead.',
+        status: 'warning',
+        duration: 5000,
+        isClosable: true,
+      });
+      return;
+    }
+
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setCurrentPosition({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+        });
+        setIsLocating(false);
+      },
+      (err) => {
+        console.error('Error getting current location:', err);
+        toast({
+          title: 'Location Unavailable',
+          description: 'Could not get your location. Type an address instead.',
+          status: 'warning',
+          duration: 5000,
+          isClosable: true,
+        });
+        setIsLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -143,33 +337,74 @@ const ReportIncident = ({ socket }) => {
       return;
     }
 
-    setIsSubmitting(true);
-    try {
-      const data = await apiService.createReport(formData);
-      
-      // Success
+    // Uploads can't wait in the queue, so they need a connection now
+    if (!isAnonymous && mediaFiles.length > 0 && !navigator.onLine) {
       toast({
-        title: 'Report Submitted',
-        description: 'Your incident report has been submitted successfully',
-        status: 'success',
+        title: 'You Are Offline',
+        description: 'Photos and videos need a connection. Remove them to save the report for later.',
+        status: 'warning',
         duration: 5000,
         isClosable: true,
       });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const uploads = !isAnonymous && mediaFiles.length > 0
+        ? await apiService.uploadMedia(mediaFiles, keepLocation)
+        : [];
+
+      const entry = createQueueEntry({
+        anonymous: isAnonymous,
+        userId: user?.id,
+        report: isAnonymous
+          ? toCompactReport(formData, currentPosition)
+          : {
+            ...formData,
+            location_name: formData.location_name || undefined,
+            ...currentPosition,
+            media_ids: uploads.map((media) => media.id),
+          },
+      });
+
+      const { queued, data } = await submitOrQueue(entry);
+      
+      // Success (reports about an incident someone already reported are grouped with theirs)
+      toast(queued
+        ? {
+          title: 'Report Saved',
+          description: 'You are offline or the server could not be reached. The report will be sent automatically when the connection returns.',
+          status: 'info',
+          duration: 8000,
+          isClosable: true,
+        }
+        : {
+          title: 'Report Submitted',
+          description: data.possible_duplicate
+            ? 'Your report was submitted and grouped with a similar report about the same incident'
+            : 'Your incident report has been submitted successfully',
+          status: 'success',
+          duration: 5000,
+          isClosable: true,
+        });
       
       // Reset form
-      setFormData({
-        disaster_id: '',
-        content: '',
-        image_url: '',
-      });
+      setFormData(EMPTY_FORM);
+      setCurrentPosition(null);
+      setMediaFiles([]);
+      setKeepLocation(false);
+      setQueuedReports(getQueuedReports());
       
-      // Navigate to disaster detail
-      navigate(`/disasters/${formData.disaster_id}`);
+      // Navigate to disaster detail (anonymous reporters can't view it, so they stay to report again)
+      if (!queued && !isAnonymous) {
+        navigate(`/disasters/${formData.disaster_id}`);
+      }
     } catch (err) {
       console.error('Error submitting report:', err);
       toast({
         title: 'Submission Error',
-        description: 'Failed to submit report. Please try again.',
+        description: err.response?.data?.message || 'Failed to submit report. Please try again.',
         status: 'error',
         duration: 5000,
         isClosable: true,
@@ -197,13 +432,68 @@ const ReportIncident = ({ socket }) => {
     <Container maxW="container.md" py={8}>
       <VStack spacing={8} align="stretch">
         <Heading as="h1" size="xl" textAlign="center">
-          Report Incident
+          {isAnonymous ? 'Report an Emergency' : 'Report Incident'}
         </Heading>
         
         <Text fontSize="md" textAlign="center" color="gray.600">
           Submit a report about a disaster incident. Your report will help coordinate response efforts.
         </Text>
         
+        {isAnonymous && (
+          <Text fontSize="sm" textAlign="center" color="gray.500">
+            No account needed. Photos and videos can be added by signed-in responders.{' '}
+            {!user && (
+              <Link as={RouterLink} to="/login" color="blue.500">
+                Sign in
+              </Link>
+            )}
+          </Text>
+        )}
+        
+        {!isOnline && (
+          <Alert status="warning" borderRadius="md">
+            <AlertIcon />
+            <AlertDescription>
+              You are offline. Reports you submit are saved on this device and sent when the connection returns.
+            </AlertDescription>
+          </Alert>
+        )}
+        
+        {queuedReports.length > 0 && (
+          <Card variant="outline">
+            <CardBody>
+              <Flex align="center" justify="space-between" gap={4}>
+                <Text>
+                  {queuedReports.length} report{queuedReports.length === 1 ? '' : 's'} saved on this device
+                </Text>
+                <Button
+                  size="sm"
+                  colorScheme="blue"
+                  onClick={sendQueuedReports}
+                  isLoading={isFlushing}
+                  loadingText="Sending"
+                  isDisabled={!isOnline}
+                >
+                  Send Now
+                </Button>
+              </Flex>
+              
+              {queuedReports.filter((entry) => entry.error).map((entry) => (
+                <Alert key={entry.key} status="error" borderRadius="md" mt={3}>
+                  <AlertIcon />
+                  <Box flex="1">
+                    <AlertTitle fontSize="sm">Not accepted: {entry.error}</AlertTitle>
+                    <AlertDescription fontSize="sm" noOfLines={2}>
+                      {entry.anonymous ? entry.report.c : entry.report.content}
+                    </AlertDescription>
+                  </Box>
+                  <CloseButton size="sm" onClick={() => handleDiscardQueued(entry.key)} />
+                </Alert>
+              ))}
+            </CardBody>
+          </Card>
+        )}
+        
         <Card variant="outline">
           <CardHeader>
             <Heading size="md">Submit Report</Heading>
@@ -235,71 +525,165 @@ const ReportIncident = ({ socket }) => {
                   onChange={handleInputChange}
                   placeholder="Describe the incident, needs, or situation"
                   rows={5}
+                  maxLength={isAnonymous ? ANONYMOUS_MAX_LENGTH : undefined}
                 />
               </FormControl>
               
               <FormControl>
                 <FormLabel>
-                  Image URL 
+                  Location
                   <Badge ml={2} colorScheme="blue">Optional</Badge>
                 </FormLabel>
-                <Input
-                  name="image_url"
-                  value={formData.image_url}
-                  onChange={handleInputChange}
-                  placeholder="URL to an image of the incident"
-                />
-                <Flex mt={2} justifyContent="flex-end">
-                  <Button
-                    size="sm"
-                    colorScheme="blue"
-                    variant="outline"
-                    onClick={verifyImage}
-                    isLoading={isVerifying}
-                    loadingText="Verifying"
-                    isDisabled={!formData.image_url}
-                  >
-                    Verify Image
-                  </Button>
-                </Flex>
+                {currentPosition ? (
+                  <Flex align="center" justify="space-between">
+                    <Text fontSize="sm">
+                      Using your current location ({currentPosition.latitude.toFixed(4)}, {currentPosition.longitude.toFixed(4)})
+                    </Text>
+                    <Button size="sm" variant="ghost" onClick={() => setCurrentPosition(null)}>
+                      Clear
+                    </Button>
+                  </Flex>
+                ) : (
+                  <Flex gap={2}>
+                    <Input
+                      name="location_name"
+                      value={formData.location_name}
+                      onChange={handleInputChange}
+                      placeholder="Street address or place name"
+                    />
+                    <Button
+                      flexShrink={0}
+                      variant="outline"
+                      onClick={handleLocateMe}
+                      isLoading={isLocating}
+                      loadingText="Locating"
+                    >
+                      Use My Location
+                    </Button>
+                  </Flex>
+                )}
               </FormControl>
               
-              {verificationResult && (
-                <Alert
-                  status={verificationResult.authentic ? 'success' : 'warning'}
-                  variant="subtle"
-                  flexDirection="column"
-                  alignItems="center"
-                  justifyContent="center"
-                  textAlign="center"
-                  borderRadius="md"
-                  p={4}
-                >
-                  <AlertIcon boxSize="40px" mr={0} />
-                  <AlertTitle mt={4} mb={1} fontSize="lg">
-                    {verificationResult.authentic ? 'Image Verified' : 'Verification Warning'}
-                  </AlertTitle>
-                  <AlertDescription maxWidth="sm">
-                    {verificationResult.message}
-                    {verificationResult.confidence && (
-                      <Text mt={2} fontWeight="bold">
-                        Confidence: {(verificationResult.confidence * 100).toFixed(1)}%
+              {!isAnonymous && (
+                <>
+                  <FormControl>
+                    <FormLabel>
+                      Photos & Videos
+                      <Badge ml={2} colorScheme="blue">Optional</Badge>
+                    </FormLabel>
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      accept="image/jpeg,image/png,image/webp,video/mp4,video/webm,video/quicktime"
+                      multiple
+                      hidden
+                      onChange={handleFilesSelected}
+                    />
+                    <Flex align="center" justify="space-between" gap={2}>
+                      <Button
+                        variant="outline"
+                        onClick={() => fileInputRef.current?.click()}
+                        isDisabled={mediaFiles.length >= MAX_ATTACHMENTS}
+                      >
+                        Add Files
+                      </Button>
+                      <Text fontSize="sm" color="gray.500">
+                        Up to {MAX_ATTACHMENTS} files: JPEG, PNG or WebP images, MP4, WebM or MOV videos
                       </Text>
+                    </Flex>
+
+                    {mediaPreviews.length > 0 && (
+                      <SimpleGrid columns={{ base: 2, md: 3 }} spacing={3} mt={3}>
+                        {mediaPreviews.map((preview, index) => (
+                          <Box key={preview.url} borderWidth="1px" borderRadius="md" overflow="hidden">
+                            {preview.file.type.startsWith('video/') ? (
+                              <Box as="video" src={preview.url} h="100px" w="100%" objectFit="cover" muted />
+                            ) : (
+                              <Image src={preview.url} alt={preview.file.name} h="100px" w="100%" objectFit="cover" />
+                            )}
+                            <Flex align="center" justify="space-between" px={2} py={1}>
+                              <Text fontSize="xs" noOfLines={1}>{preview.file.name}</Text>
+                              <Button size="xs" variant="ghost" onClick={() => handleRemoveFile(index)}>
+                                Remove
+                              </Button>
+                            </Flex>
+                          </Box>
+                        ))}
+                      </SimpleGrid>
                     )}
-                  </AlertDescription>
-                </Alert>
-              )}
+
+                    <Checkbox mt={3} isChecked={keepLocation} onChange={(e) => setKeepLocation(e.target.checked)}>
+                      Keep the location stored in my photos
+                    </Checkbox>
+                    <Text fontSize="xs" color="gray.500">
+                      Location tags are removed from photos unless you check this.
+                    </Text>
+                  </FormControl>
+              
+                  <FormControl>
+                    <FormLabel>
+                      Image URL 
+                      <Badge ml={2} colorScheme="blue">Optional</Badge>
+                    </FormLabel>
+                    <Input
+                      name="image_url"
+                      value={formData.image_url}
+                      onChange={handleInputChange}
+                      placeholder="URL to an image of the incident"
+                    />
+                    <Flex mt={2} justifyContent="flex-end">
+                      <Button
+                        size="sm"
+                        colorScheme="blue"
+                        variant="outline"
+                        onClick={verifyImage}
+                        isLoading={isVerifying}
+                        loadingText="Verifying"
+                        isDisabled={!formData.image_url}
+                      >
+                        Verify Image
+                      </Button>
+                    </Flex>
+                  </FormControl>
+              
+                  {verificationResult && (
+                    <Alert
+                      status={outcomeAlertFor(verificationResult).status}
+                      variant="subtle"
+                      flexDirection="column"
+                      alignItems="center"
+                      justifyContent="center"
+                      textAlign="center"
+                      borderRadius="md"
+                      p={4}
+                    >
+                      <AlertIcon boxSize="40px" mr={0} />
+                      <AlertTitle mt={4} mb={1} fontSize="lg">
+                        {outcomeAlertFor(verificationResult).title}
+                      </AlertTitle>
+                      <AlertDescription maxWidth="sm">
+                        {verificationResult.analysis}
+                        {verificationResult.confidence != null && (
+                          <Text mt={2} fontWeight="bold">
+                            Confidence: {verificationResult.confidence}%
+                          </Text>
+                        )}
+                      </AlertDescription>
+                    </Alert>
+                  )}
               
-              {formData.image_url && (
-                <Box borderWidth="1px" borderRadius="lg" overflow="hidden" mt={4}>
-                  <Image
-                    src={formData.image_url}
-                    alt="Incident image"
-                    fallback={<Box p={8} textAlign="center">
-                      <Text>Image preview not available</Text>
-                    </Box>}
-                  />
-                </Box>
+                  {formData.image_url && (
+                    <Box borderWidth="1px" borderRadius="lg" overflow="hidden" mt={4}>
+                      <Image
+                        src={formData.image_url}
+                        alt="Incident image"
+                        fallback={<Box p={8} textAlign="center">
+                          <Text>Image preview not available</Text>
+                        </Box>}
+                      />
+                    </Box>
+                  )}
+                </>
               )}
               
               <Button
@@ -34,6 +34,7 @@ import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import apiService from '../services/apiService';
 import { useAuth } from '../contexts/AuthContext';
+import { subscribe } from '../utils/realtime';
 import PageLoader from '../components/PageLoader';
 import ErrorAlert from '../components/ErrorAlert';
 import LocationSearchInput from '../components/LocationSearchInput';
@@ -124,6 +125,7 @@ const ResourcesMap = ({ socket }) => {  const [resources, setResources] = useSta
   const [resourceType, setResourceType] = useState('');  const [searchLocation, setSearchLocation] = useState('');
   const [searchRadius, setSearchRadius] = useState(10);
   const [viewMode, setViewMode] = useState('all'); // 'all' or 'disaster'
+  const [searchCoords, setSearchCoords] = useState(null); // geocoded searchLocation, used for the region subscription
   const [innerTabIndex, setInnerTabIndex] = useState(0); // 0 for Map View, 1 for List View
   const { isOpen, onOpen, onClose } = useDisclosure();
   const { 
@@ -137,7 +139,7 @@ const ResourcesMap = ({ socket }) => {  const [resources, setResources] = useSta
     onClose: onEditClose 
   } = useDisclosure();
   const [selectedResource, setSelectedResource] = useState(null);
-  const { user } = useAuth();
+  const { can } = useAuth();
   const toast = useToast();
   // Form state for creating new resource
   const [newResource, setNewResource] = useState({
@@ -221,6 +223,9 @@ const ResourcesMap = ({ socket }) => {  const [resources, setResources] = useSta
           }
         }
         
+        // Keep the same object when the point hasn't moved, so the region subscription isn't renewed
+        setSearchCoords((prev) => (prev?.lat === coords?.lat && prev?.lng === coords?.lng ? prev : coords));
+        
         data = await apiService.getAllResources(
           coords?.lat, 
           coords?.lng, 
@@ -268,10 +273,21 @@ const ResourcesMap = ({ socket }) => {  const [resources, setResources] = useSta
   // Listen for real-time updates
   useEffect(() => {
     if (socket) {
+      // Follow only what's on screen: the selected disaster, the searched area, or every resource
+      let target = { feed: 'resources' };
+      if (viewMode === 'disaster' && selectedDisaster) {
+        target = { disaster_id: selectedDisaster };
+      } else if (viewMode === 'all' && searchCoords) {
+        target = { region: { lat: searchCoords.lat, lng: searchCoords.lng, radius_km: searchRadius } };
+      }
+      // Events missed while offline are replayed on reconnect; reload if too many were missed
+      const unsubscribe = subscribe(socket, target, { onResync: loadResources });
+      
       socket.on('resources_updated', (data) => {
         // Update resources for all view modes since resources are now independent
         if (data.action === 'create') {
-          setResources((prev) => [...prev, data.resource]);
+          // Replayed events can repeat one already applied
+          setResources((prev) => [...prev.filter((resource) => resource.id !== data.resource.id), data.resource]);
           toast({
             title: 'New Resource',
             description: `${data.resource.name} has been added.`,
@@ -293,10 +309,11 @@ const ResourcesMap = ({ socket }) => {  const [resources, setResources] = useSta
       });
       
       return () => {
+        unsubscribe();
         socket.off('resources_updated');
       };
     }
-  }, [socket, toast]);  // Handle form input change
+  }, [socket, toast, viewMode, selectedDisaster, searchCoords, searchRadius, loadResources]);  // Handle form input change
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setNewResource((prev) => ({
@@ -568,7 +585,7 @@ const ResourcesMap = ({ socket }) => {  const [resources, setResources] = useSta
       <Flex align="center" m={6}>
         <Heading size="lg">Resources Map</Heading>
         <Spacer />
-        {(user?.role === 'admin' || user?.role === 'contributor') && (
+        {can('resource:create') && (
           <Button
             onClick={onOpen}
             colorScheme="brand"
@@ -1067,7 +1084,7 @@ const ResourcesMap = ({ socket }) => {  const [resources, setResources] = useSta
             <Button colorScheme="blue" mr={3} onClick={onDetailClose}>
               Close
             </Button>            
-            {user?.role === 'admin' || user?.role=='contributor' && (
+            {can('resource:update') && (
               <>
                 <Button 
                   variant="outline" 
@@ -1080,7 +1097,7 @@ const ResourcesMap = ({ socket }) => {  const [resources, setResources] = useSta
                 >
                   Edit Resource
                 </Button>
-                {user?.role === 'admin' &&(
+                {can('resource:delete') && (
                 <Button 
                   variant="outline" 
                   colorScheme="red"
@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  VStack,
+  Button,
+  Flex,
+  Input,
+  FormControl,
+  FormLabel,
+  SimpleGrid,
+  useToast,
+} from '@chakra-ui/react';
+import apiService from '../services/apiService';
+
+// Example messages in the keyword grammar (see backend/utils/smsReportService.js)
+const EXAMPLES = ['HELP', 'REPORT <code> Water rising on Main Street', 'NEED WATER Riverside school'];
+
+// Try the SMS gateway's keyword grammar without a phone: messages go through the same handling as real ones
+const SmsSimulator = () => {
+  const toast = useToast();
+  const [from, setFrom] = useState('+15555550100');
+  const [text, setText] = useState('');
+  const [conversation, setConversation] = useState([]);
+  const [outbox, setOutbox] = useState([]);
+  const [isSending, setIsSending] = useState(false);
+
+  // Messages the simulator gateway sent (alerts and other outgoing texts)
+  const loadOutbox = useCallback(async () => {
+    try {
+      setOutbox(await apiService.getSmsOutbox());
+    } catch (err) {
+      // Only the simulator gateway keeps an outbox
+      setOutbox([]);
+      if (err.response?.status !== 404) {
+        console.error('Error loading SMS outbox:', err);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOutbox();
+  }, [loadOutbox]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setIsSending(true);
+    try {
+      const data = await apiService.simulateSms(from, text);
+      setConversation((prev) => [
+        ...prev,
+        { direction: 'in', text },
+        { direction: 'out', text: data.reply },
+      ]);
+      setText('');
+    } catch (err) {
+      console.error('Error simulating SMS:', err);
+      toast({
+        title: 'Message Failed',
+        description: err.response?.data?.message || 'Failed to send the message. Please try again.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSending(false);
+      loadOutbox();
+    }
+  };
+
+  return (
+    <Box p={6}>
+      <Heading size="lg" mb={2}>SMS Simulator</Heading>
+      <Text color="gray.600" mb={6}>
+        Messages sent here are handled like texts arriving at the SMS gateway and create real reports.
+        Try: {EXAMPLES.join(' · ')}
+      </Text>
+
+      <SimpleGrid columns={{ base: 1, lg: 2 }} spacing={6}>
+        <Box bg="white" borderRadius="md" borderWidth="1px" p={4}>
+          <VStack as="form" spacing={4} align="stretch" onSubmit={handleSend}>
+            <FormControl>
+              <FormLabel>From</FormLabel>
+              <Input value={from} onChange={(e) => setFrom(e.target.value)} placeholder="Phone number" />
+            </FormControl>
+
+            <VStack spacing={2} align="stretch" minH="200px" maxH="400px" overflowY="auto" bg="gray.50" p={3} borderRadius="md">
+              {conversation.length === 0 && (
+                <Text fontSize="sm" color="gray.500">No messages yet</Text>
+              )}
+              {conversation.map((message, index) => (
+                <Flex key={index} justify={message.direction === 'in' ? 'flex-end' : 'flex-start'}>
+                  <Box
+                    maxW="80%"
+                    px={3}
+                    py={2}
+                    borderRadius="lg"
+                    bg={message.direction === 'in' ? 'blue.500' : 'white'}
+                    color={message.direction === 'in' ? 'white' : 'inherit'}
+                    borderWidth={message.direction === 'in' ? 0 : '1px'}
+                  >
+                    <Text fontSize="sm">{message.text}</Text>
+                  </Box>
+                </Flex>
+              ))}
+            </VStack>
+
+            <Flex gap={2}>
+              <Input value={text} onChange={(e) => setText(e.target.value)} placeholder="Message" />
+              <Button type="submit" colorScheme="brand" isLoading={isSending} isDisabled={!from.trim() || !text.trim()}>
+                Send
+              </Button>
+            </Flex>
+          </VStack>
+        </Box>
+
+        <Box bg="white" borderRadius="md" borderWidth="1px" p={4}>
+          <Flex align="center" justify="space-between" mb={3}>
+            <Heading size="sm">Outbox</Heading>
+            <Button size="xs" variant="ghost" onClick={loadOutbox}>
+              Refresh
+            </Button>
+          </Flex>
+          {outbox.length === 0 ? (
+            <Text fontSize="sm" color="gray.500">Nothing sent yet</Text>
+          ) : (
+            <VStack spacing={2} align="stretch">
+              {outbox.map((message) => (
+                <Box key={message.id} borderWidth="1px" borderRadius="md" p={2}>
+                  <Text fontSize="xs" color="gray.500">
+                    To {message.to} · {new Date(message.sent_at).toLocaleString()}
+                  </Text>
+                  <Text fontSize="sm">{message.text}</Text>
+                </Box>
+              ))}
+            </VStack>
+          )}
+        </Box>
+      </SimpleGrid>
+    </Box>
+  );
+};
+
+export default SmsSimulator;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  VStack,
+  HStack,
+  SimpleGrid,
+  Button,
+  Badge,
+  Card,
+  CardBody,
+  CardHeader,
+  Tabs,
+  TabList,
+  TabPanels,
+  Tab,
+  TabPanel,
+  useToast,
+} from '@chakra-ui/react';
+import apiService from '../services/apiService';
+import PageLoader from '../components/PageLoader';
+import ErrorAlert from '../components/ErrorAlert';
+
+// Trash sections: how to load, restore and purge each record type
+const SECTIONS = [
+  {
+    key: 'disasters',
+    label: 'Disasters',
+    load: apiService.getDeletedDisasters,
+    restore: apiService.restoreDisaster,
+    purge: apiService.purgeDisaster,
+    getTitle: (record) => record.title,
+    getDetail: (record) => record.location_name,
+  },
+  {
+    key: 'reports',
+    label: 'Reports',
+    load: apiService.getDeletedReports,
+    restore: apiService.restoreReport,
+    purge: apiService.purgeReport,
+    getTitle: (record) => `Report #${record.id.substring(0, 8)}`,
+    getDetail: (record) => record.content,
+  },
+  {
+    key: 'resources',
+    label: 'Resources',
+    load: apiService.getDeletedResources,
+    restore: apiService.restoreResource,
+    purge: apiService.purgeResource,
+    getTitle: (record) => record.name,
+    getDetail: (record) => `${record.type} - ${record.location_name}`,
+  },
+];
+
+const Trash = () => {
+  const toast = useToast();
+  const [records, setRecords] = useState({ disasters: [], reports: [], resources: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pendingId, setPendingId] = useState(null);
+
+  // Load deleted records of every type
+  const loadTrash = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const results = await Promise.all(SECTIONS.map((section) => section.load()));
+
+      setRecords(
+        SECTIONS.reduce((acc, section, index) => ({ ...acc, [section.key]: results[index] }), {})
+      );
+      setError(null);
+    } catch (err) {
+      console.error('Error loading trash:', err);
+      setError('Failed to load deleted records. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  // Format date for display
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  // Restore or purge a record, then drop it from the list
+  const handleAction = async (section, record, action) => {
+    if (action === 'purge' && !window.confirm('Permanently delete this record? This action cannot be undone.')) {
+      return;
+    }
+
+    try {
+      setPendingId(record.id);
+      await section[action](record.id);
+
+      setRecords((prev) => {
+        const next = {
+          ...prev,
+          [section.key]: prev[section.key].filter((item) => item.id !== record.id),
+        };
+
+        // Reports deleted together with a disaster share its timestamp and go with it
+        if (section.key === 'disasters') {
+          next.reports = prev.reports.filter(
+            (report) => !(report.disaster_id === record.id && report.deleted_at === record.deleted_at)
+          );
+        }
+
+        return next;
+      });
+
+      toast({
+        title: action === 'restore' ? 'Restored' : 'Permanently Deleted',
+        description: `${section.getTitle(record)} has been ${action === 'restore' ? 'restored' : 'purged'}.`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (error) {
+      console.error(`Error during ${action}:`, error);
+
+      toast({
+        title: action === 'restore' ? 'Error Restoring' : 'Error Purging',
+        description: error.response?.data?.message || error.message || 'An unexpected error occurred',
+        status: 'error',
+        duration: 7000,
+        isClosable: true,
+      });
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  if (isLoading) {
+    return <PageLoader message="Loading trash..." />;
+  }
+
+  if (error) {
+    return (
+      <ErrorAlert
+        title="Failed to Load Trash"
+        message={error}
+        onRetry={loadTrash}
+      />
+    );
+  }
+
+  return (
+    <Box p={6}>
+      <Heading size="lg" mb={6}>Trash</Heading>
+
+      <Tabs variant="enclosed">
+        <TabList>
+          {SECTIONS.map((section) => (
+            <Tab key={section.key}>
+              {section.label} ({records[section.key].length})
+            </Tab>
+          ))}
+        </TabList>
+
+        <TabPanels>
+          {SECTIONS.map((section) => (
+            <TabPanel key={section.key} px={0}>
+              {records[section.key].length === 0 ? (
+                <Box textAlign="center" py={10}>
+                  <Text fontSize="lg" color="gray.500">
+                    No deleted {section.label.toLowerCase()}.
+                  </Text>
+                </Box>
+              ) : (
+                <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={6}>
+                  {records[section.key].map((record) => (
+                    <Card key={record.id} variant="outline">
+                      <CardHeader pb={2}>
+                        <HStack justify="space-between">
+                          <Text fontWeight="bold" noOfLines={1}>
+                            {section.getTitle(record)}
+                          </Text>
+                          <Badge colorScheme={record.purgeable ? 'red' : 'gray'}>
+                            {record.purgeable ? 'purgeable' : 'retained'}
+                          </Badge>
+                        </HStack>
+                      </CardHeader>
+                      <CardBody pt={0}>
+                        <VStack align="stretch" spacing={3}>
+                          <Text fontSize="sm" noOfLines={3}>
+                            {section.getDetail(record)}
+                          </Text>
+
+                          <Text fontSize="xs" color="gray.500">
+                            Deleted: {formatDate(record.deleted_at)} by {record.deleted_by}
+                          </Text>
+
+                          {!record.purgeable && (
+                            <Text fontSize="xs" color="gray.500">
+                              Can be purged after {formatDate(record.purge_available_at)}
+                            </Text>
+                          )}
+
+                          <HStack spacing={2} pt={2}>
+                            <Button
+                              size="sm"
+                              colorScheme="blue"
+                              variant="outline"
+                              isLoading={pendingId === record.id}
+                              onClick={() => handleAction(section, record, 'restore')}
+                            >
+                              Restore
+                            </Button>
+                            <Button
+                              size="sm"
+                              colorScheme="red"
+                              variant="outline"
+                              isDisabled={!record.purgeable || pendingId === record.id}
+                              onClick={() => handleAction(section, record, 'purge')}
+                            >
+                              Purge
+                            </Button>
+                          </HStack>
+                        </VStack>
+                      </CardBody>
+                    </Card>
+                  ))}
+                </SimpleGrid>
+              )}
+            </TabPanel>
+          ))}
+        </TabPanels>
+      </Tabs>
+    </Box>
+  );
+};
+
+export default Trash;
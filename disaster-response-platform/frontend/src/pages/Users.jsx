@@ -0,0 +1,338 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  VStack,
+  HStack,
+  Button,
+  Badge,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Select,
+  Flex,
+  Spacer,
+  useToast,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Input,
+  useDisclosure,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext';
+import apiService from '../services/apiService';
+import PageLoader from '../components/PageLoader';
+import ErrorAlert from '../components/ErrorAlert';
+
+const ROLES = ['admin', 'contributor', 'user'];
+
+const EMPTY_FORM = {
+  id: '',
+  name: '',
+  password: '',
+  role: 'user',
+};
+
+const Users = () => {
+  const { user: currentUser } = useAuth();
+  const toast = useToast();
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pendingId, setPendingId] = useState(null);
+
+  // Create user modal state
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [isCreating, setIsCreating] = useState(false);
+
+  // Load users
+  const loadUsers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const data = await apiService.getUsers();
+      setUsers(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading users:', err);
+      setError('Failed to load users. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  // Show an error toast for a failed request
+  const showError = (title, err) => {
+    toast({
+      title,
+      description: err.response?.data?.message || err.message || 'An unexpected error occurred',
+      status: 'error',
+      duration: 7000,
+      isClosable: true,
+    });
+  };
+
+  // Replace a user in the list with the server's copy
+  const replaceUser = (updatedUser) => {
+    setUsers((prev) => prev.map((user) => (user.id === updatedUser.id ? updatedUser : user)));
+  };
+
+  // Handle role change
+  const handleRoleChange = async (user, role) => {
+    try {
+      setPendingId(user.id);
+      const updatedUser = await apiService.updateUserRole(user.id, role);
+      replaceUser(updatedUser);
+
+      toast({
+        title: 'Role Updated',
+        description: `${user.name} is now ${role === 'user' ? 'a citizen' : `a ${role}`}.`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error updating role:', err);
+      showError('Error Updating Role', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  // Handle deactivate / reactivate
+  const handleToggleActive = async (user) => {
+    if (user.active && !window.confirm(`Deactivate ${user.name}? Their sessions will be revoked and they will not be able to log in.`)) {
+      return;
+    }
+
+    try {
+      setPendingId(user.id);
+      const updatedUser = await apiService.setUserActive(user.id, !user.active);
+      replaceUser(updatedUser);
+    } catch (err) {
+      console.error('Error updating user status:', err);
+      showError('Error Updating User', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  // Handle form input changes
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Handle create user
+  const handleCreateUser = async () => {
+    if (!formData.id || !formData.name || !formData.password) {
+      toast({
+        title: 'Missing Fields',
+        description: 'Username, name and password are required.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+      return;
+    }
+
+    try {
+      setIsCreating(true);
+      const newUser = await apiService.createUser(formData);
+      setUsers((prev) => [...prev, newUser]);
+      setFormData(EMPTY_FORM);
+      onClose();
+
+      toast({
+        title: 'User Created',
+        description: `${newUser.name} can now log in as ${newUser.id}.`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error creating user:', err);
+      showError('Error Creating User', err);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  if (isLoading) {
+    return <PageLoader message="Loading users..." />;
+  }
+
+  if (error) {
+    return (
+      <ErrorAlert
+        title="Failed to Load Users"
+        message={error}
+        onRetry={loadUsers}
+      />
+    );
+  }
+
+  return (
+    <Box p={6}>
+      <Flex align="center" mb={6}>
+        <Heading size="lg">Users</Heading>
+        <Spacer />
+        <Button colorScheme="brand" onClick={onOpen}>
+          Add User
+        </Button>
+      </Flex>
+
+      <Box bg="white" borderRadius="md" borderWidth="1px" overflowX="auto">
+        <Table variant="simple">
+          <Thead>
+            <Tr>
+              <Th>Name</Th>
+              <Th>Username</Th>
+              <Th>Role</Th>
+              <Th>Status</Th>
+              <Th>Actions</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {users.map((user) => {
+              const isSelf = user.id === currentUser?.id;
+
+              return (
+                <Tr key={user.id} opacity={user.active ? 1 : 0.6}>
+                  <Td>{user.name}</Td>
+                  <Td>
+                    <Text fontFamily="mono" fontSize="sm">{user.id}</Text>
+                  </Td>
+                  <Td>
+                    <Select
+                      size="sm"
+                      maxW="150px"
+                      value={user.role}
+                      isDisabled={isSelf || pendingId === user.id}
+                      onChange={(e) => handleRoleChange(user, e.target.value)}
+                    >
+                      {ROLES.map((role) => (
+                        <option key={role} value={role}>
+                          {role.charAt(0).toUpperCase() + role.slice(1)}
+                        </option>
+                      ))}
+                    </Select>
+                  </Td>
+                  <Td>
+                    <Badge colorScheme={user.active ? 'green' : 'red'}>
+                      {user.active ? 'active' : 'deactivated'}
+                    </Badge>
+                  </Td>
+                  <Td>
+                    <HStack spacing={2}>
+                      {user.role === 'user' && (
+                        <Button
+                          size="sm"
+                          colorScheme="blue"
+                          variant="outline"
+                          isLoading={pendingId === user.id}
+                          onClick={() => handleRoleChange(user, 'contributor')}
+                        >
+                          Promote to Contributor
+                        </Button>
+                      )}
+                      <Button
+                        size="sm"
+                        colorScheme={user.active ? 'red' : 'green'}
+                        variant="outline"
+                        isDisabled={isSelf || pendingId === user.id}
+                        onClick={() => handleToggleActive(user)}
+                      >
+                        {user.active ? 'Deactivate' : 'Reactivate'}
+                      </Button>
+                    </HStack>
+                  </Td>
+                </Tr>
+              );
+            })}
+          </Tbody>
+        </Table>
+      </Box>
+
+      {/* Create User Modal */}
+      <Modal isOpen={isOpen} onClose={onClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Add User</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <VStack spacing={4} align="stretch">
+              <FormControl isRequired>
+                <FormLabel>Username</FormLabel>
+                <Input
+                  name="id"
+                  value={formData.id}
+                  onChange={handleInputChange}
+                  placeholder="volunteer42"
+                />
+                <FormHelperText>3 to 32 letters, digits, dots, dashes or underscores</FormHelperText>
+              </FormControl>
+
+              <FormControl isRequired>
+                <FormLabel>Name</FormLabel>
+                <Input
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  placeholder="Full name"
+                />
+              </FormControl>
+
+              <FormControl isRequired>
+                <FormLabel>Initial Password</FormLabel>
+                <Input
+                  name="password"
+                  type="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                />
+              </FormControl>
+
+              <FormControl>
+                <FormLabel>Role</FormLabel>
+                <Select name="role" value={formData.role} onChange={handleInputChange}>
+                  {ROLES.map((role) => (
+                    <option key={role} value={role}>
+                      {role.charAt(0).toUpperCase() + role.slice(1)}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+            </VStack>
+          </ModalBody>
+
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={onClose}>
+              Cancel
+            </Button>
+            <Button colorScheme="brand" onClick={handleCreateUser} isLoading={isCreating}>
+              Create User
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+    </Box>
+  );
+};
+
+export default Users;
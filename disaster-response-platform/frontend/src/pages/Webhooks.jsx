@@ -0,0 +1,428 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  VStack,
+  HStack,
+  Button,
+  Badge,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Flex,
+  Spacer,
+  Switch,
+  Select,
+  Code,
+  Alert,
+  AlertIcon,
+  AlertDescription,
+  CloseButton,
+  useToast,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  FormControl,
+  FormLabel,
+  Input,
+  Checkbox,
+  CheckboxGroup,
+  useDisclosure,
+} from '@chakra-ui/react';
+import apiService from '../services/apiService';
+import PageLoader from '../components/PageLoader';
+import ErrorAlert from '../components/ErrorAlert';
+
+const EVENTS = ['disaster.created', 'disaster.updated', 'disaster.deleted', 'resource.updated', 'report.verified'];
+
+const STATUS_COLORS = {
+  pending: 'yellow',
+  delivered: 'green',
+  dead: 'red',
+};
+
+const EMPTY_FORM = {
+  name: '',
+  url: '',
+  events: EVENTS,
+};
+
+// Partner webhook endpoints, their delivery log and dead letters (admin)
+const Webhooks = () => {
+  const toast = useToast();
+  const [endpoints, setEndpoints] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pendingId, setPendingId] = useState(null);
+  // Secret of the endpoint just created or rotated; the server never returns it again
+  const [issuedSecret, setIssuedSecret] = useState(null);
+
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      setDeliveries(statusFilter === 'dead'
+        ? await apiService.getWebhookDeadLetters()
+        : await apiService.getWebhookDeliveries({ status: statusFilter || undefined }));
+    } catch (err) {
+      console.error('Error loading webhook deliveries:', err);
+    }
+  }, [statusFilter]);
+
+  const loadEndpoints = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setEndpoints(await apiService.getWebhookEndpoints());
+      setError(null);
+    } catch (err) {
+      console.error('Error loading webhook endpoints:', err);
+      setError('Failed to load webhook endpoints. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEndpoints();
+  }, [loadEndpoints]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  // Show an error toast for a failed request
+  const showError = (title, err) => {
+    toast({
+      title,
+      description: err.response?.data?.message || err.message || 'An unexpected error occurred',
+      status: 'error',
+      duration: 7000,
+      isClosable: true,
+    });
+  };
+
+  const replaceEndpoint = (updated) => {
+    setEndpoints((prev) => prev.map((endpoint) => (endpoint.id === updated.id ? updated : endpoint)));
+  };
+
+  const handleCreateEndpoint = async () => {
+    try {
+      setIsCreating(true);
+      const { secret, ...endpoint } = await apiService.createWebhookEndpoint(formData);
+      setEndpoints((prev) => [endpoint, ...prev]);
+      setIssuedSecret({ name: endpoint.name, secret });
+      setFormData(EMPTY_FORM);
+      onClose();
+    } catch (err) {
+      console.error('Error creating webhook endpoint:', err);
+      showError('Error Creating Endpoint', err);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleToggleActive = async (endpoint) => {
+    try {
+      setPendingId(endpoint.id);
+      replaceEndpoint(await apiService.updateWebhookEndpoint(endpoint.id, { active: !endpoint.active }));
+    } catch (err) {
+      console.error('Error updating webhook endpoint:', err);
+      showError('Error Updating Endpoint', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleRotateSecret = async (endpoint) => {
+    if (!window.confirm(`Rotate the secret of ${endpoint.name}? Deliveries are signed with the new secret straight away.`)) {
+      return;
+    }
+
+    try {
+      setPendingId(endpoint.id);
+      const { secret, ...updated } = await apiService.rotateWebhookSecret(endpoint.id);
+      replaceEndpoint(updated);
+      setIssuedSecret({ name: updated.name, secret });
+    } catch (err) {
+      console.error('Error rotating webhook secret:', err);
+      showError('Error Rotating Secret', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm(`Delete ${endpoint.name} and its delivery log?`)) {
+      return;
+    }
+
+    try {
+      setPendingId(endpoint.id);
+      await apiService.deleteWebhookEndpoint(endpoint.id);
+      setEndpoints((prev) => prev.filter((item) => item.id !== endpoint.id));
+      loadDeliveries();
+    } catch (err) {
+      console.error('Error deleting webhook endpoint:', err);
+      showError('Error Deleting Endpoint', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      setPendingId(delivery.id);
+      const updated = await apiService.redeliverWebhook(delivery.id);
+
+      toast({
+        title: updated.status === 'delivered' ? 'Delivered' : 'Delivery Failed',
+        description: updated.status === 'delivered'
+          ? `${delivery.event} was delivered to ${delivery.endpoint?.name}.`
+          : `${updated.last_error}. It will be retried.`,
+        status: updated.status === 'delivered' ? 'success' : 'warning',
+        duration: 5000,
+        isClosable: true,
+      });
+
+      loadDeliveries();
+    } catch (err) {
+      console.error('Error redelivering webhook:', err);
+      showError('Error Redelivering', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  if (isLoading) {
+    return <PageLoader message="Loading webhooks..." />;
+  }
+
+  if (error) {
+    return (
+      <ErrorAlert
+        title="Failed to Load Webhooks"
+        message={error}
+        onRetry={loadEndpoints}
+      />
+    );
+  }
+
+  return (
+    <Box p={6}>
+      <Flex align="center" mb={2}>
+        <Heading size="lg">Webhooks</Heading>
+        <Spacer />
+        <Button colorScheme="brand" onClick={onOpen}>
+          Add Endpoint
+        </Button>
+      </Flex>
+      <Text color="gray.600" mb={6}>
+        Partner systems receive signed JSON posts when disasters, resources and verified reports change.
+        Verify the X-Webhook-Signature header (t=timestamp, v1=HMAC-SHA256 of &quot;timestamp.body&quot;) with the endpoint&apos;s secret.
+      </Text>
+
+      {issuedSecret && (
+        <Alert status="warning" mb={6} borderRadius="md" alignItems="start">
+          <AlertIcon />
+          <AlertDescription flex="1">
+            Signing secret for {issuedSecret.name}. Copy it now, it won&apos;t be shown again:{' '}
+            <Code>{issuedSecret.secret}</Code>
+          </AlertDescription>
+          <CloseButton onClick={() => setIssuedSecret(null)} />
+        </Alert>
+      )}
+
+      <Box bg="white" borderRadius="md" borderWidth="1px" overflowX="auto" mb={8}>
+        <Table variant="simple">
+          <Thead>
+            <Tr>
+              <Th>Name</Th>
+              <Th>URL</Th>
+              <Th>Events</Th>
+              <Th>Active</Th>
+              <Th>Actions</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {endpoints.length === 0 && (
+              <Tr>
+                <Td colSpan={5}>
+                  <Text color="gray.500">No endpoints registered</Text>
+                </Td>
+              </Tr>
+            )}
+            {endpoints.map((endpoint) => (
+              <Tr key={endpoint.id} opacity={endpoint.active ? 1 : 0.6}>
+                <Td>{endpoint.name}</Td>
+                <Td>
+                  <Text fontFamily="mono" fontSize="sm" noOfLines={1}>{endpoint.url}</Text>
+                </Td>
+                <Td>
+                  <HStack spacing={1} wrap="wrap">
+                    {endpoint.events.map((event) => (
+                      <Badge key={event} variant="subtle">{event}</Badge>
+                    ))}
+                  </HStack>
+                </Td>
+                <Td>
+                  <Switch
+                    isChecked={endpoint.active}
+                    isDisabled={pendingId === endpoint.id}
+                    onChange={() => handleToggleActive(endpoint)}
+                  />
+                </Td>
+                <Td>
+                  <HStack spacing={2}>
+                    <Button size="sm" variant="outline" isDisabled={pendingId === endpoint.id} onClick={() => handleRotateSecret(endpoint)}>
+                      Rotate Secret
+                    </Button>
+                    <Button size="sm" colorScheme="red" variant="outline" isDisabled={pendingId === endpoint.id} onClick={() => handleDelete(endpoint)}>
+                      Delete
+                    </Button>
+                  </HStack>
+                </Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </Box>
+
+      <Flex align="center" mb={4}>
+        <Heading size="md">Deliveries</Heading>
+        <Spacer />
+        <Select size="sm" maxW="200px" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} mr={2}>
+          <option value="">All</option>
+          <option value="pending">Pending retry</option>
+          <option value="delivered">Delivered</option>
+          <option value="dead">Dead letters</option>
+        </Select>
+        <Button size="sm" variant="ghost" onClick={loadDeliveries}>
+          Refresh
+        </Button>
+      </Flex>
+
+      <Box bg="white" borderRadius="md" borderWidth="1px" overflowX="auto">
+        <Table variant="simple" size="sm">
+          <Thead>
+            <Tr>
+              <Th>Time</Th>
+              <Th>Event</Th>
+              <Th>Endpoint</Th>
+              <Th>Status</Th>
+              <Th>Attempts</Th>
+              <Th>Response</Th>
+              <Th></Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {deliveries.length === 0 && (
+              <Tr>
+                <Td colSpan={7}>
+                  <Text color="gray.500">No deliveries</Text>
+                </Td>
+              </Tr>
+            )}
+            {deliveries.map((delivery) => (
+              <Tr key={delivery.id}>
+                <Td whiteSpace="nowrap">{new Date(delivery.created_at).toLocaleString()}</Td>
+                <Td>{delivery.event}</Td>
+                <Td>{delivery.endpoint?.name}</Td>
+                <Td>
+                  <Badge colorScheme={STATUS_COLORS[delivery.status]}>{delivery.status}</Badge>
+                  {delivery.status === 'pending' && delivery.attempts > 0 && (
+                    <Text fontSize="xs" color="gray.500">
+                      next {new Date(delivery.next_attempt_at).toLocaleTimeString()}
+                    </Text>
+                  )}
+                </Td>
+                <Td>{delivery.attempts}</Td>
+                <Td>
+                  <Text fontSize="sm">
+                    {delivery.last_error || delivery.response_status}
+                    {delivery.response_time_ms != null && ` · ${delivery.response_time_ms} ms`}
+                  </Text>
+                </Td>
+                <Td>
+                  {delivery.status !== 'delivered' && (
+                    <Button size="xs" variant="outline" isLoading={pendingId === delivery.id} onClick={() => handleRedeliver(delivery)}>
+                      Redeliver
+                    </Button>
+                  )}
+                </Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </Box>
+
+      {/* Add Endpoint Modal */}
+      <Modal isOpen={isOpen} onClose={onClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Add Endpoint</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <VStack spacing={4} align="stretch">
+              <FormControl isRequired>
+                <FormLabel>Name</FormLabel>
+                <Input
+                  value={formData.name}
+                  onChange={(e) => setFormData((prev) => ({ ...prev, name: e.target.value }))}
+                  placeholder="Partner agency"
+                />
+              </FormControl>
+
+              <FormControl isRequired>
+                <FormLabel>URL</FormLabel>
+                <Input
+                  value={formData.url}
+                  onChange={(e) => setFormData((prev) => ({ ...prev, url: e.target.value }))}
+                  placeholder="https://partner.example.org/webhooks"
+                />
+              </FormControl>
+
+              <FormControl>
+                <FormLabel>Events</FormLabel>
+                <CheckboxGroup value={formData.events} onChange={(events) => setFormData((prev) => ({ ...prev, events }))}>
+                  <VStack align="start" spacing={1}>
+                    {EVENTS.map((event) => (
+                      <Checkbox key={event} value={event}>{event}</Checkbox>
+                    ))}
+                  </VStack>
+                </CheckboxGroup>
+              </FormControl>
+            </VStack>
+          </ModalBody>
+
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={onClose}>
+              Cancel
+            </Button>
+            <Button
+              colorScheme="brand"
+              onClick={handleCreateEndpoint}
+              isLoading={isCreating}
+              isDisabled={!formData.name.trim() || !formData.url.trim() || formData.events.length === 0}
+            >
+              Add Endpoint
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+    </Box>
+  );
+};
+
+export default Webhooks;
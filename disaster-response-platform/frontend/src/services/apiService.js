@@ -11,18 +11,59 @@ const api = axios.create({
   },
 });
 
-// Add request interceptor to include user ID in headers
+// localStorage keys for the signed-in user and their tokens
+export const USER_STORAGE_KEY = 'disaster_response_user';
+export const TOKEN_STORAGE_KEY = 'disaster_response_tokens';
+
+// localStorage key for the random ID that throttles anonymous reports per device
+const DEVICE_STORAGE_KEY = 'disaster_response_device_id';
+
+// This browser's device ID, created on first use
+const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_STORAGE_KEY);
+  
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(DEVICE_STORAGE_KEY, deviceId);
+  }
+  
+  return deviceId;
+};
+
+// Read stored access/refresh tokens
+const getStoredTokens = () => {
+  const tokenData = localStorage.getItem(TOKEN_STORAGE_KEY);
+  
+  if (!tokenData) return null;
+  
+  try {
+    return JSON.parse(tokenData);
+  } catch (error) {
+    console.error('Error parsing token data:', error);
+    return null;
+  }
+};
+
+// Current access token, also used to authenticate the socket connection
+export const getAccessToken = () => getStoredTokens()?.access_token || null;
+
+// Forget the session and send the user back to the login page
+const clearSession = () => {
+  localStorage.removeItem(USER_STORAGE_KEY);
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+  
+  if (window.location.pathname !== '/login') {
+    window.location.assign('/login');
+  }
+};
+
+// Add request interceptor to include the access token in headers
 api.interceptors.request.use(
   (config) => {
-    const userData = localStorage.getItem('disaster_response_user');
+    const tokens = getStoredTokens();
     
-    if (userData) {
-      try {
-        const user = JSON.parse(userData);
-        config.headers['X-User-ID'] = user.id;
-      } catch (error) {
-        console.error('Error parsing user data:', error);
-      }
+    if (tokens?.access_token) {
+      config.headers.Authorization = `Bearer ${tokens.access_token}`;
     }
     
     return config;
@@ -32,8 +73,73 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh in flight, shared so concurrent 401s only refresh once
+let refreshPromise = null;
+
+// Exchange the stored refresh token for new tokens; clears the session if that fails
+export const refreshAccessToken = async () => {
+  const tokens = getStoredTokens();
+  
+  try {
+    refreshPromise = refreshPromise || api.post('/auth/refresh', { refresh_token: tokens?.refresh_token });
+    const { data } = await refreshPromise;
+    
+    localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify({
+      access_token: data.access_token,
+      refresh_token: data.refresh_token,
+    }));
+    localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(data.user));
+    
+    return data.access_token;
+  } catch (refreshError) {
+    clearSession();
+    throw refreshError;
+  } finally {
+    refreshPromise = null;
+  }
+};
+
+// Add response interceptor to refresh an expired access token and retry once
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+    const tokens = getStoredTokens();
+    
+    if (
+      error.response?.status !== 401 ||
+      originalRequest._retried ||
+      originalRequest.url.startsWith('/auth/') ||
+      !tokens?.refresh_token
+    ) {
+      return Promise.reject(error);
+    }
+    
+    originalRequest._retried = true;
+    
+    await refreshAccessToken();
+    return api(originalRequest);
+  }
+);
+
 // API service methods
 const apiService = {
+  // Auth endpoints
+  login: async (username, password) => {
+    const response = await api.post('/auth/login', { username, password });
+    return response.data;
+  },
+  
+  logout: async (refreshToken) => {
+    const response = await api.post('/auth/logout', { refresh_token: refreshToken });
+    return response.data;
+  },
+  
+  getMyPermissions: async () => {
+    const response = await api.get('/auth/permissions');
+    return response.data;
+  },
+  
   // Disaster endpoints
   getAllDisasters: async () => {
     const response = await api.get('/disasters');
@@ -70,10 +176,40 @@ const apiService = {
     return response.data;
   },
   
+  updateDisasterStatus: async (id, status, reason) => {
+    const response = await api.put(`/disasters/${id}/status`, { status, reason });
+    return response.data;
+  },
+  
+  getDisasterHistory: async (id) => {
+    const response = await api.get(`/disasters/${id}/history`);
+    return response.data;
+  },
+  
+  revertDisaster: async (id, entryIndex) => {
+    const response = await api.post(`/disasters/${id}/revert/${entryIndex}`);
+    return response.data;
+  },
+  
   deleteDisaster: async (id) => {
     const response = await api.delete(`/disasters/${id}`);
     return response.data;
   },
+  
+  getDeletedDisasters: async () => {
+    const response = await api.get('/disasters/trash');
+    return response.data;
+  },
+  
+  restoreDisaster: async (id) => {
+    const response = await api.post(`/disasters/${id}/restore`);
+    return response.data;
+  },
+  
+  purgeDisaster: async (id) => {
+    const response = await api.delete(`/disasters/${id}/purge`);
+    return response.data;
+  },
     // Social media endpoints
   getSocialMediaByDisasterId: async (disasterId, includeReplies = false) => {
     const response = await api.get(`/disasters/${disasterId}/social-media`, {
@@ -120,11 +256,36 @@ const apiService = {
     return response.data;
   },
   
+  getResourceHistory: async (id) => {
+    const response = await api.get(`/resources/${id}/history`);
+    return response.data;
+  },
+  
+  revertResource: async (id, entryIndex) => {
+    const response = await api.post(`/resources/${id}/revert/${entryIndex}`);
+    return response.data;
+  },
+  
   deleteResourceIndependent: async (id) => {
     const response = await api.delete(`/resources/${id}`);
     return response.data;
   },
   
+  getDeletedResources: async () => {
+    const response = await api.get('/resources/trash');
+    return response.data;
+  },
+  
+  restoreResource: async (id) => {
+    const response = await api.post(`/resources/${id}/restore`);
+    return response.data;
+  },
+  
+  purgeResource: async (id) => {
+    const response = await api.delete(`/resources/${id}/purge`);
+    return response.data;
+  },
+  
   // Resources endpoints (disaster-specific - for finding resources near disasters)
   getResourcesByDisasterId: async (disasterId, radius, type) => {
     const params = {};
@@ -200,27 +361,252 @@ const apiService = {
     return response.data;
   },
   
-  createReport: async (reportData) => {
-    const response = await api.post('/reports', reportData);
+  // Retrying with the same idempotency key returns the original report instead of creating another
+  createReport: async (reportData, idempotencyKey) => {
+    const response = await api.post('/reports', reportData, {
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+    });
     return response.data;
   },
   
+  // Anonymous reporting endpoints (compact payloads for poor connections, see backend/routes/publicReports.js)
+  getPublicDisasters: async () => {
+    const response = await api.get('/public/disasters');
+    return response.data.map((disaster) => ({ id: disaster.i, title: disaster.t, location_name: disaster.l }));
+  },
+  
+  getReportChallenge: async () => {
+    const response = await api.get('/public/challenge');
+    return { challenge: response.data.c, difficulty: response.data.b, expiresAt: response.data.e };
+  },
+  
+  // payload is already compact: { d, c, g, n, k, p }
+  submitAnonymousReport: async (payload) => {
+    const response = await api.post('/public/reports', payload, {
+      headers: { 'X-Device-Id': getDeviceId() },
+    });
+    return { id: response.data.i, verification_status: response.data.s, possible_duplicate: Boolean(response.data.dup) };
+  },
+  
+  // Upload photos/videos; attach the returned IDs to a report with media_ids
+  uploadMedia: async (files, keepLocation = false) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+    formData.append('keep_location', keepLocation ? 'true' : 'false');
+
+    const response = await api.post('/media', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
   updateReport: async (id, reportData) => {
     const response = await api.put(`/reports/${id}`, reportData);
     return response.data;
   },
   
+  getReportHistory: async (id) => {
+    const response = await api.get(`/reports/${id}/history`);
+    return response.data;
+  },
+  
+  revertReport: async (id, entryIndex) => {
+    const response = await api.post(`/reports/${id}/revert/${entryIndex}`);
+    return response.data;
+  },
+  
   deleteReport: async (id) => {
     const response = await api.delete(`/reports/${id}`);
     return response.data;
   },
   
-  updateReportVerification: async (disasterId, reportId, verificationStatus) => {
-    const response = await api.put(`/reports/${reportId}`, {
-      verification_status: verificationStatus,
+  getDeletedReports: async () => {
+    const response = await api.get('/reports/trash');
+    return response.data;
+  },
+  
+  restoreReport: async (id) => {
+    const response = await api.post(`/reports/${id}/restore`);
+    return response.data;
+  },
+  
+  purgeReport: async (id) => {
+    const response = await api.delete(`/reports/${id}/purge`);
+    return response.data;
+  },
+  
+  // Report clusters (likely duplicates)
+  getReportClusters: async (disasterId) => {
+    const response = await api.get(`/disasters/${disasterId}/report-clusters`);
+    return response.data;
+  },
+  
+  mergeReportClusters: async (disasterId, { cluster_ids = [], report_ids = [] }) => {
+    const response = await api.post(`/disasters/${disasterId}/report-clusters/merge`, { cluster_ids, report_ids });
+    return response.data;
+  },
+  
+  splitReportCluster: async (disasterId, clusterId, reportIds) => {
+    const response = await api.post(`/disasters/${disasterId}/report-clusters/${clusterId}/split`, {
+      report_ids: reportIds,
     });
     return response.data;
   },
+  
+  // Moderation queue endpoints
+  getModerationQueue: async (params) => {
+    const response = await api.get('/reports/moderation-queue', { params });
+    return response.data;
+  },
+  
+  claimReport: async (id) => {
+    const response = await api.post(`/reports/${id}/claim`);
+    return response.data;
+  },
+  
+  releaseReportClaim: async (id) => {
+    const response = await api.delete(`/reports/${id}/claim`);
+    return response.data;
+  },
+  
+  decideReport: async (id, decision) => {
+    const response = await api.post(`/reports/${id}/decision`, decision);
+    return response.data;
+  },
+  
+  // SMS simulator endpoints (admin)
+  simulateSms: async (from, text) => {
+    const response = await api.post('/sms/simulate', { from, text });
+    return response.data;
+  },
+  
+  getSmsOutbox: async () => {
+    const response = await api.get('/sms/outbox');
+    return response.data;
+  },
+  
+  // Alert subscription endpoints
+  getAlertSubscriptions: async () => {
+    const response = await api.get('/alerts/subscriptions');
+    return response.data;
+  },
+  
+  createAlertSubscription: async (subscriptionData) => {
+    const response = await api.post('/alerts/subscriptions', subscriptionData);
+    return response.data;
+  },
+  
+  updateAlertSubscription: async (id, changes) => {
+    const response = await api.put(`/alerts/subscriptions/${id}`, changes);
+    return response.data;
+  },
+  
+  // Email and SMS subscriptions get alerts only once the code sent to their target is entered
+  confirmAlertSubscription: async (id, code) => {
+    const response = await api.post(`/alerts/subscriptions/${id}/confirm`, { code });
+    return response.data;
+  },
+  
+  resendAlertConfirmation: async (id) => {
+    const response = await api.post(`/alerts/subscriptions/${id}/resend`);
+    return response.data;
+  },
+  
+  deleteAlertSubscription: async (id) => {
+    const response = await api.delete(`/alerts/subscriptions/${id}`);
+    return response.data;
+  },
+  
+  getPushKey: async () => {
+    const response = await api.get('/alerts/push-key');
+    return response.data;
+  },
+  
+  // Partner webhook endpoints (admin)
+  getWebhookEndpoints: async () => {
+    const response = await api.get('/webhooks/endpoints');
+    return response.data;
+  },
+  
+  createWebhookEndpoint: async (endpointData) => {
+    const response = await api.post('/webhooks/endpoints', endpointData);
+    return response.data;
+  },
+  
+  updateWebhookEndpoint: async (id, changes) => {
+    const response = await api.put(`/webhooks/endpoints/${id}`, changes);
+    return response.data;
+  },
+  
+  rotateWebhookSecret: async (id) => {
+    const response = await api.post(`/webhooks/endpoints/${id}/rotate-secret`);
+    return response.data;
+  },
+  
+  deleteWebhookEndpoint: async (id) => {
+    const response = await api.delete(`/webhooks/endpoints/${id}`);
+    return response.data;
+  },
+  
+  getWebhookDeliveries: async (params) => {
+    const response = await api.get('/webhooks/deliveries', { params });
+    return response.data;
+  },
+  
+  getWebhookDeadLetters: async () => {
+    const response = await api.get('/webhooks/dead-letters');
+    return response.data;
+  },
+  
+  redeliverWebhook: async (id) => {
+    const response = await api.post(`/webhooks/deliveries/${id}/redeliver`);
+    return response.data;
+  },
+  
+  // User administration endpoints
+  getUsers: async (params) => {
+    const response = await api.get('/users', { params });
+    return response.data;
+  },
+  
+  createUser: async (userData) => {
+    const response = await api.post('/users', userData);
+    return response.data;
+  },
+  
+  updateUserRole: async (id, role, reason) => {
+    const response = await api.put(`/users/${id}/role`, { role, reason });
+    return response.data;
+  },
+  
+  setUserActive: async (id, active) => {
+    const response = await api.put(`/users/${id}/active`, { active });
+    return response.data;
+  },
+  
+  getUserRoleHistory: async (id) => {
+    const response = await api.get(`/users/${id}/role-history`);
+    return response.data;
+  },
+  
+  // Disaster team endpoints
+  getDisasterTeam: async (disasterId) => {
+    const response = await api.get(`/disasters/${disasterId}/team`);
+    return response.data;
+  },
+  
+  assignTeamMember: async (disasterId, userId, incidentRole) => {
+    const response = await api.post(`/disasters/${disasterId}/team`, {
+      user_id: userId,
+      incident_role: incidentRole,
+    });
+    return response.data;
+  },
+  
+  removeTeamMember: async (disasterId, userId) => {
+    const response = await api.delete(`/disasters/${disasterId}/team/${userId}`);
+    return response.data;
+  },
 };
 
 export default apiService;
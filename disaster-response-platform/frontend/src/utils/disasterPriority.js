@@ -0,0 +1,37 @@
+import { sortDisastersByStatus } from './disasterStatus';
+
+// Severity levels (mirrors backend/utils/priorityService.js)
+export const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Get severity color
+export const getSeverityColor = (level) => {
+  switch (level) {
+    case 'critical':
+      return 'purple';
+    case 'high':
+      return 'red';
+    case 'medium':
+      return 'orange';
+    case 'low':
+      return 'yellow';
+    default:
+      return 'gray';
+  }
+};
+
+// Sort disasters by the selected dashboard ordering
+export const sortDisasters = (disasters, sortBy) => {
+  switch (sortBy) {
+    case 'priority':
+      return [...disasters].sort(
+        (a, b) => (b.priority_score ?? 0) - (a.priority_score ?? 0)
+      );
+    case 'created_at':
+      return [...disasters].sort(
+        (a, b) => new Date(b.created_at) - new Date(a.created_at)
+      );
+    case 'status':
+    default:
+      return sortDisastersByStatus(disasters);
+  }
+};
@@ -0,0 +1,38 @@
+// Disaster lifecycle statuses (mirrors backend/utils/disasterLifecycle.js)
+export const DISASTER_STATUSES = ['reported', 'active', 'contained', 'recovery', 'closed'];
+
+// Order used on the dashboard: ongoing incidents first, closed ones last
+const STATUS_SORT_ORDER = {
+  active: 0,
+  reported: 1,
+  contained: 2,
+  recovery: 3,
+  closed: 4,
+};
+
+// Get status color
+export const getStatusColor = (statusValue) => {
+  switch (statusValue) {
+    case 'reported':
+      return 'yellow';
+    case 'active':
+      return 'red';
+    case 'contained':
+      return 'orange';
+    case 'recovery':
+      return 'blue';
+    case 'closed':
+      return 'green';
+    default:
+      return 'gray';
+  }
+};
+
+// Sort disasters by lifecycle status, newest first within the same status
+export const sortDisastersByStatus = (disasters) => {
+  const rank = (disaster) => STATUS_SORT_ORDER[disaster.status] ?? STATUS_SORT_ORDER.reported;
+
+  return [...disasters].sort(
+    (a, b) => rank(a) - rank(b) || new Date(b.created_at) - new Date(a.created_at)
+  );
+};
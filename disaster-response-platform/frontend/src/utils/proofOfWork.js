@@ -0,0 +1,26 @@
+// Proof-of-work solver for anonymous reports (mirrors backend/utils/proofOfWorkService.js):
+// find a nonce such that sha256("<challenge>:<nonce>") starts with `difficulty` zero bits
+
+const encoder = new TextEncoder();
+
+const leadingZeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+// Takes about a second at the default difficulty; digests resolve asynchronously so the page stays responsive
+export const solveChallenge = async (challenge, difficulty) => {
+  for (let nonce = 0; ; nonce += 1) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+    if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+      return String(nonce);
+    }
+  }
+};
@@ -0,0 +1,28 @@
+// Browser side of push alerts: registers public/alert-sw.js and subscribes with the server's VAPID key
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+const toUint8Array = (base64Url) => {
+  const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+// Returns the subscription as JSON ({ endpoint, keys }), reusing this browser's existing one
+export const subscribeToPush = async (publicKey) => {
+  if ((await Notification.requestPermission()) !== 'granted') {
+    throw new Error('Notifications are blocked for this site');
+  }
+
+  const registration = await navigator.serviceWorker.register('/alert-sw.js');
+  await navigator.serviceWorker.ready;
+
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: toUint8Array(publicKey),
+    });
+
+  return subscription.toJSON();
+};
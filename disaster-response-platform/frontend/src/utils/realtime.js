@@ -0,0 +1,81 @@
+// Socket room subscriptions (rooms are resolved by backend/utils/realtimeService.js)
+//
+// Targets:
+// - { disaster_id } - events for one disaster
+// - { feed: 'disasters' | 'resources' } - every disaster or resource event
+// - { region: { lat, lng, radius_km } } - events located around a point
+//
+// Every event carries a `seq`. After a reconnect each subscription is renewed with the last seq seen
+// and the server sends back the events missed in between, which are passed to the socket's listeners
+// as if they had arrived live.
+
+// Per socket: highest seq seen, and the seqs delivered since the last connect (to drop replay duplicates)
+const socketState = new WeakMap();
+
+const getState = (socket) => {
+  if (!socketState.has(socket)) {
+    const state = { lastSeq: null, delivered: new Set() };
+
+    socket.onAny((event, payload) => {
+      if (payload?.seq) {
+        state.delivered.add(payload.seq);
+        state.lastSeq = Math.max(state.lastSeq ?? 0, payload.seq);
+      }
+    });
+    socket.on('connect', () => state.delivered.clear());
+
+    socketState.set(socket, state);
+  }
+
+  return socketState.get(socket);
+};
+
+// Hand missed events to the socket's listeners, in order, skipping any that already arrived live
+const replayEvents = (socket, state, events) => {
+  events.forEach(({ seq, event, payload }) => {
+    if (state.delivered.has(seq)) return;
+
+    state.delivered.add(seq);
+    state.lastSeq = Math.max(state.lastSeq ?? 0, seq);
+    socket.listeners(event).forEach((listener) => listener(payload));
+  });
+};
+
+// Join a room and rejoin it after every reconnect, catching up on missed events; returns a function that leaves it
+// onResync is called when the gap is too long to replay and the caller should reload its data instead
+export const subscribe = (socket, target, { onResync } = {}) => {
+  const state = getState(socket);
+
+  const join = (resume) => {
+    const since = resume ? state.lastSeq : null;
+
+    socket.emit('subscribe', since === null ? target : { ...target, since }, (response) => {
+      if (response?.error) {
+        console.error('Socket subscription rejected:', response.error);
+        return;
+      }
+
+      if (response.latest_seq !== undefined) {
+        state.lastSeq = Math.max(state.lastSeq ?? 0, response.latest_seq);
+      }
+
+      if (response.truncated) {
+        onResync?.();
+      } else if (response.events) {
+        replayEvents(socket, state, response.events);
+      }
+    });
+  };
+
+  const rejoin = () => join(true);
+
+  if (socket.connected) {
+    join(false);
+  }
+  socket.on('connect', rejoin);
+
+  return () => {
+    socket.off('connect', rejoin);
+    socket.emit('unsubscribe', target);
+  };
+};
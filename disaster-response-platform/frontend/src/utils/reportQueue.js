@@ -0,0 +1,126 @@
+import apiService from '../services/apiService';
+import { solveChallenge } from './proofOfWork';
+
+// Reports that couldn't be sent yet survive reloads in localStorage and go out when the connection returns.
+// Each entry keeps the idempotency key of its first attempt, so a retry of a report the server did store
+// returns that report instead of creating a second one.
+
+const QUEUE_STORAGE_KEY = 'disaster_response_report_queue';
+const DISASTERS_STORAGE_KEY = 'disaster_response_report_disasters';
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    console.error(`Error parsing ${key}:`, error);
+    return fallback;
+  }
+};
+
+const writeQueue = (entries) => {
+  localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(entries));
+};
+
+// Every queued report, oldest first; entries with an error were refused and won't be retried
+export const getQueuedReports = () => readJson(QUEUE_STORAGE_KEY, []);
+
+export const removeQueuedReport = (key) => {
+  writeQueue(getQueuedReports().filter((entry) => entry.key !== key));
+};
+
+// Last disaster list seen, so the form still works when the page is opened offline
+export const cacheDisasters = (disasters) => {
+  localStorage.setItem(DISASTERS_STORAGE_KEY, JSON.stringify(disasters));
+};
+
+export const getCachedDisasters = () => readJson(DISASTERS_STORAGE_KEY, []);
+
+// A report to send: anonymous ones carry the compact payload ({ d, c, g, n }), others the createReport body
+export const createQueueEntry = ({ anonymous, userId, report }) => ({
+  key: crypto.randomUUID(),
+  anonymous,
+  user_id: anonymous ? null : userId,
+  report,
+  queued_at: new Date().toISOString(),
+  error: null,
+});
+
+// No response, a server error, a timeout or a rate limit: worth trying again later
+const isRetryable = (err) => {
+  const status = err.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+};
+
+const sendEntry = async (entry) => {
+  if (!entry.anonymous) {
+    return apiService.createReport(entry.report, entry.key);
+  }
+
+  // Challenges expire, so each attempt solves a fresh one
+  const { challenge, difficulty } = await apiService.getReportChallenge();
+  const nonce = await solveChallenge(challenge, difficulty);
+  return apiService.submitAnonymousReport({ ...entry.report, k: entry.key, p: [challenge, nonce] });
+};
+
+// Send a report now, or queue it when offline or the attempt fails in a retryable way
+// Resolves to { queued: true } or { queued: false, data }; refused reports reject as before
+export const submitOrQueue = async (entry) => {
+  if (!navigator.onLine) {
+    writeQueue([...getQueuedReports(), entry]);
+    return { queued: true };
+  }
+
+  try {
+    return { queued: false, data: await sendEntry(entry) };
+  } catch (err) {
+    if (!isRetryable(err)) {
+      throw err;
+    }
+
+    console.error('Error submitting report, queued for later:', err);
+    writeQueue([...getQueuedReports(), entry]);
+    return { queued: true };
+  }
+};
+
+// Flush in flight, shared so the online event and the "Send now" button don't send twice
+let flushPromise = null;
+
+const flush = async (userId) => {
+  const result = { sent: 0, failed: 0 };
+
+  // Signed-in reports only go out for the user who wrote them
+  const sendable = getQueuedReports().filter(
+    (entry) => !entry.error && (entry.anonymous || entry.user_id === userId)
+  );
+
+  for (const entry of sendable) {
+    try {
+      await sendEntry(entry);
+      removeQueuedReport(entry.key);
+      result.sent += 1;
+    } catch (err) {
+      // Still offline or the server is struggling; keep the rest for the next attempt
+      if (isRetryable(err)) {
+        break;
+      }
+
+      writeQueue(getQueuedReports().map((queued) => (
+        queued.key === entry.key
+          ? { ...queued, error: err.response?.data?.message || 'The report was refused' }
+          : queued
+      )));
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+// Send every queued report that can go out; resolves to { sent, failed } counts
+export const flushReportQueue = (userId) => {
+  flushPromise = flushPromise || flush(userId).finally(() => {
+    flushPromise = null;
+  });
+  return flushPromise;
+};